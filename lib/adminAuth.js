@@ -0,0 +1,160 @@
+import crypto from "crypto";
+
+// ─── Admin authentication ─────────────────────────────────────────────────────
+// Staff sign in with an email and password from the `admin_users` table and get
+// a random session token; only its hash is kept in `admin_sessions`, so a
+// session can be revoked by deleting the row. Roles are ranked — each one can
+// do everything the roles before it can:
+//   support  — look up books, resend emails
+//   operator — re-run generation, print production files
+//   admin    — force-unlock books
+// Every change made through the admin API is written to `admin_audit_log`.
+
+export const ADMIN_ROLES          = ["support", "operator", "admin"];
+export const ADMIN_SESSION_COOKIE = "admin_session";
+
+const SESSION_TOKEN_BYTES = 32;
+const SCRYPT_KEY_LENGTH   = 64;
+
+// "scrypt$<salt>$<key>", both base64url
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key  = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString("base64url")}$${key.toString("base64url")}`;
+}
+
+export function verifyPassword(password, stored) {
+  const match = /^scrypt\$([A-Za-z0-9_-]+)\$([A-Za-z0-9_-]+)$/.exec(String(stored || ""));
+  if (!match) return false;
+  const expected = Buffer.from(match[2], "base64url");
+  const actual   = crypto.scryptSync(String(password), Buffer.from(match[1], "base64url"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function roleAtLeast(role, required) {
+  const rank = ADMIN_ROLES.indexOf(role);
+  return rank !== -1 && rank >= ADMIN_ROLES.indexOf(required);
+}
+
+// The session token from "Authorization: Bearer …" or the admin cookie
+export function adminTokenFromRequest(req) {
+  const auth = req.get("authorization") || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (name === ADMIN_SESSION_COOKIE) return decodeURIComponent(value.join("="));
+  }
+  return "";
+}
+
+export function createAdminAuth({
+  supabase,
+  sessionTtlMs = 12 * 60 * 60 * 1000,
+  maxFailures  = 5,
+  lockoutMs    = 15 * 60 * 1000
+}) {
+  // email|ip → { count, firstAt } — failed logins, forgotten after lockoutMs
+  const failures = new Map();
+  // Checked against for unknown emails so timing does not reveal which exist
+  const decoyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+  function failureKey(email, ip) {
+    return `${email}|${ip || ""}`;
+  }
+
+  function isLockedOut(key) {
+    const entry = failures.get(key);
+    if (!entry) return false;
+    if (Date.now() - entry.firstAt > lockoutMs) {
+      failures.delete(key);
+      return false;
+    }
+    return entry.count >= maxFailures;
+  }
+
+  function recordFailure(key) {
+    const entry = failures.get(key);
+    if (!entry || Date.now() - entry.firstAt > lockoutMs) failures.set(key, { count: 1, firstAt: Date.now() });
+    else entry.count++;
+  }
+
+  function toAdmin(row) {
+    return { id: row.id, email: row.email, role: row.role };
+  }
+
+  // Returns { token, expiresAt, admin }, or { error, status } when refused
+  async function login(email, password, { ip } = {}) {
+    const normalized = String(email || "").trim().toLowerCase();
+    const key        = failureKey(normalized, ip);
+    if (isLockedOut(key)) return { status: 429, error: "Too many failed sign-in attempts. Try again later." };
+
+    const { data: row, error } = await supabase
+      .from("admin_users")
+      .select("id, email, role, password_hash, disabled")
+      .eq("email", normalized)
+      .maybeSingle();
+    if (error) throw error;
+
+    const valid = verifyPassword(password, row?.password_hash || decoyHash);
+    if (!row || !valid || row.disabled || !ADMIN_ROLES.includes(row.role)) {
+      recordFailure(key);
+      return { status: 401, error: "Invalid email or password" };
+    }
+    failures.delete(key);
+
+    const token     = crypto.randomBytes(SESSION_TOKEN_BYTES).toString("base64url");
+    const expiresAt = new Date(Date.now() + sessionTtlMs).toISOString();
+    const { error: insertError } = await supabase
+      .from("admin_sessions")
+      .insert({ token_hash: hashSessionToken(token), admin_id: row.id, expires_at: expiresAt, ip: ip || null });
+    if (insertError) throw insertError;
+
+    await supabase.from("admin_users").update({ last_login_at: new Date().toISOString() }).eq("id", row.id);
+    return { token, expiresAt, admin: toAdmin(row) };
+  }
+
+  // The signed-in admin for a session token, or null
+  async function authenticate(token) {
+    if (!token) return null;
+    const { data, error } = await supabase
+      .from("admin_sessions")
+      .select("expires_at, admin_users (id, email, role, disabled)")
+      .eq("token_hash", hashSessionToken(token))
+      .maybeSingle();
+    if (error) throw error;
+
+    const user = data?.admin_users;
+    if (!user || user.disabled || new Date(data.expires_at).getTime() < Date.now()) return null;
+    return toAdmin(user);
+  }
+
+  async function logout(token) {
+    if (!token) return;
+    const { error } = await supabase.from("admin_sessions").delete().eq("token_hash", hashSessionToken(token));
+    if (error) throw error;
+  }
+
+  async function audit(admin, action, { bookId = null, note = null, details = {} } = {}) {
+    const { error } = await supabase
+      .from("admin_audit_log")
+      .insert({ admin_id: admin.id, admin_email: admin.email, action, book_id: bookId, note, details });
+    if (error) throw error;
+  }
+
+  async function auditLog(bookId, { limit = 50 } = {}) {
+    const { data, error } = await supabase
+      .from("admin_audit_log")
+      .select("id, admin_email, action, note, details, created_at")
+      .eq("book_id", bookId)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  return { login, authenticate, logout, audit, auditLog };
+}
@@ -0,0 +1,53 @@
+// ─── Attempt limiter ──────────────────────────────────────────────────────────
+// Counts failed attempts per key — a client IP — in memory, and locks a key
+// out once it has `max` failures within `windowMs` of its first. Expired
+// entries are swept out at most once a window as the limiter is used, and
+// past `maxKeys` the oldest entry makes room, so the map stays bounded however
+// many addresses try.
+//
+//   const limiter = createAttemptLimiter({ max: 10, windowMs: 15 * 60 * 1000 });
+//   if (limiter.isLockedOut(req.ip)) ...; else if (miss) limiter.recordFailure(req.ip);
+
+export function createAttemptLimiter({ max, windowMs, maxKeys = 10000, now = Date.now }) {
+  const failures  = new Map(); // key → { count, firstAt }, oldest first
+  let   lastSweep = now();
+
+  function expired(entry, at) {
+    return at - entry.firstAt > windowMs;
+  }
+
+  function sweep(at) {
+    if (at - lastSweep < windowMs) return;
+    lastSweep = at;
+    for (const [key, entry] of failures) {
+      if (expired(entry, at)) failures.delete(key);
+    }
+  }
+
+  function isLockedOut(key) {
+    const at = now();
+    sweep(at);
+    const entry = failures.get(key);
+    if (!entry) return false;
+    if (expired(entry, at)) {
+      failures.delete(key);
+      return false;
+    }
+    return entry.count >= max;
+  }
+
+  function recordFailure(key) {
+    const at = now();
+    sweep(at);
+    const entry = failures.get(key);
+    if (entry && !expired(entry, at)) {
+      entry.count++;
+      return;
+    }
+    failures.delete(key);
+    if (failures.size >= maxKeys) failures.delete(failures.keys().next().value);
+    failures.set(key, { count: 1, firstAt: at });
+  }
+
+  return { isLockedOut, recordFailure, get size() { return failures.size; } };
+}
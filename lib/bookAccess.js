@@ -0,0 +1,67 @@
+import crypto from "crypto";
+
+// ─── Book access ──────────────────────────────────────────────────────────────
+// Every book endpoint needs one of two credentials, sent as the x-book-token
+// header or a ?token= query parameter:
+//   • the owner token — random, handed to the browser once by /api/books/create.
+//     Only its hash is stored on the book.
+//   • a signed link   — "<scope>.<expires>.<signature>", minted by the server for
+//     emails, Stripe redirects and image/audio URLs. Scope "book" can do what
+//     the owner can; scope "media" only loads illustrations and narration;
+//     scope "unsubscribe" only stops the book's reminder emails.
+
+export const BOOK_TOKEN_HEADER = "x-book-token";
+
+const OWNER_TOKEN_BYTES = 32;
+const LINK_SCOPES       = ["book", "media", "unsubscribe"];
+
+function hmac(secret, value) {
+  return crypto.createHmac("sha256", secret).update(value).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const left  = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function hashOwnerToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// { token } goes to the browser, { hash } to the database
+export function createOwnerToken() {
+  const token = crypto.randomBytes(OWNER_TOKEN_BYTES).toString("base64url");
+  return { token, hash: hashOwnerToken(token) };
+}
+
+export function ownerTokenMatches(token, hash) {
+  return !!token && !!hash && safeEqual(hashOwnerToken(token), hash);
+}
+
+export function bookTokenFromRequest(req) {
+  return req.get(BOOK_TOKEN_HEADER) || (typeof req.query.token === "string" ? req.query.token : "");
+}
+
+export function createBookLinkSigner(secret) {
+  if (!secret) throw new Error("createBookLinkSigner: a secret is required");
+
+  // expiresAt is a Date or epoch milliseconds
+  function sign(bookId, { scope = "book", expiresAt }) {
+    if (!LINK_SCOPES.includes(scope)) throw new Error(`Unknown link scope: ${scope}`);
+    const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+    return `${scope}.${expires}.${hmac(secret, `${scope}:${bookId}:${expires}`)}`;
+  }
+
+  // Returns the link's scope, or null when the token is not a valid, unexpired
+  // link for this book
+  function verify(bookId, token) {
+    const match = /^(book|media|unsubscribe)\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ""));
+    if (!match) return null;
+    const [, scope, expires, signature] = match;
+    if (Number(expires) * 1000 < Date.now()) return null;
+    return safeEqual(signature, hmac(secret, `${scope}:${bookId}:${expires}`)) ? scope : null;
+  }
+
+  return { sign, verify };
+}
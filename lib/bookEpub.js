@@ -0,0 +1,198 @@
+import JSZip from "jszip";
+import { normalizeStoryLanguage, storyLanguageDirection } from "./storyLanguage.js";
+
+// ─── EPUB 3 fixed-layout edition ──────────────────────────────────────────────
+// One pre-paginated page per story beat (illustration over text), plus the
+// cover. Pages carry the story's language; Hebrew books also get dir="rtl" and
+// a right-to-left page progression so Apple Books turns pages the right way.
+
+// Bump when the markup changes so cached EPUBs are rebuilt
+export const BOOK_EPUB_VERSION = 1;
+
+const VIEWPORT = { width: 1024, height: 1448 };
+
+const ALT_MAX_LENGTH = 250;
+
+function xml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Trust the bytes over the stored content type — the image model returns PNG
+function sniffImage(body) {
+  if (body[0] === 0x89 && body[1] === 0x50) return { mediaType: "image/png",  ext: "png" };
+  if (body[0] === 0xff && body[1] === 0xd8) return { mediaType: "image/jpeg", ext: "jpg" };
+  if (body.slice(8, 12).toString() === "WEBP") return { mediaType: "image/webp", ext: "webp" };
+  return null;
+}
+
+// The page's scene prompt is the best description we have of the picture
+function altText(page, index, childName) {
+  const scene = String(page?.imagePrompt || "").replace(/\s+/g, " ").trim();
+  if (!scene) return `Illustration for page ${index + 1} showing ${childName}`;
+  return scene.length > ALT_MAX_LENGTH ? `${scene.slice(0, ALT_MAX_LENGTH - 1).replace(/\s+\S*$/, "")}…` : scene;
+}
+
+function xhtmlPage({ lang, dir, title, body, bodyClass }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}" dir="${dir}">
+<head>
+  <meta charset="UTF-8"/>
+  <meta name="viewport" content="width=${VIEWPORT.width}, height=${VIEWPORT.height}"/>
+  <title>${xml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="css/book.css"/>
+</head>
+<body class="${bodyClass}">
+${body}
+</body>
+</html>
+`;
+}
+
+const STYLESHEET = `
+html, body { margin: 0; padding: 0; width: ${VIEWPORT.width}px; height: ${VIEWPORT.height}px; overflow: hidden; }
+body { position: relative; background: #fdf6ec; color: #3a2810; font-family: Georgia, "Times New Roman", serif; }
+.cover img { display: block; width: ${VIEWPORT.width}px; height: ${VIEWPORT.width}px; object-fit: cover; }
+.cover .titles { padding: 48px 72px; text-align: center; }
+.cover h1 { margin: 0 0 16px; font-size: 64px; line-height: 1.15; color: #5c3d1e; }
+.cover .subtitle { margin: 0; font-size: 32px; font-style: italic; color: #7a6048; }
+.page img { display: block; width: ${VIEWPORT.width}px; height: ${VIEWPORT.width}px; object-fit: cover; }
+.page .text { box-sizing: border-box; height: ${VIEWPORT.height - VIEWPORT.width}px; padding: 40px 72px; display: flex; align-items: center; justify-content: center; text-align: center; font-size: 34px; line-height: 1.55; }
+.page .folio { position: absolute; bottom: 18px; width: 100%; text-align: center; font-size: 20px; color: #b49b78; }
+`.trim() + "\n";
+
+// cover / pageImages are { body: Buffer } or null; a page without an image
+// is still included, with its text only
+export async function renderBookEpub({ book, cover = null, pageImages = [] }) {
+  const generated = book.generatedBook || {};
+  const pages     = generated.pages || [];
+  const title     = generated.title    || "Your Magical Adventure";
+  const subtitle  = generated.subtitle || "";
+  const childName = book.childName     || "the child";
+  const lang      = normalizeStoryLanguage(book.storyLanguage);
+  const dir       = storyLanguageDirection(lang);
+  const modified  = new Date(book.updatedAt || Date.now()).toISOString().replace(/\.\d+Z$/, "Z");
+
+  const zip      = new JSZip();
+  const manifest = [];
+  const spine    = [];
+
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+  zip.file("META-INF/container.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+
+  zip.file("OEBPS/css/book.css", STYLESHEET);
+  manifest.push(`<item id="css" href="css/book.css" media-type="text/css"/>`);
+
+  function addImage(id, image) {
+    const type = image?.body && sniffImage(image.body);
+    if (!type) return null;
+    const href = `images/${id}.${type.ext}`;
+    zip.file(`OEBPS/${href}`, image.body);
+    manifest.push(`<item id="${id}" href="${href}" media-type="${type.mediaType}"${id === "cover-image" ? ` properties="cover-image"` : ""}/>`);
+    return href;
+  }
+
+  // Cover
+  const coverHref = addImage("cover-image", cover);
+  zip.file("OEBPS/cover.xhtml", xhtmlPage({
+    lang, dir, title, bodyClass: "cover",
+    body: `  <section epub:type="cover">
+${coverHref ? `    <img src="${coverHref}" alt="${xml(`Cover illustration of ${childName}`)}"${lang === "en" ? "" : ` lang="en" xml:lang="en"`}/>\n` : ""}    <div class="titles">
+      <h1>${xml(title)}</h1>
+${subtitle ? `      <p class="subtitle">${xml(subtitle)}</p>\n` : ""}    </div>
+  </section>`
+  }));
+  manifest.push(`<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>`);
+  spine.push(`<itemref idref="cover" properties="rendition:page-spread-center"/>`);
+
+  // Story pages — alt text comes from the English scene prompt, so it is
+  // tagged as English inside a book in another language
+  const pageFiles = pages.map((page, i) => {
+    const num  = String(i + 1).padStart(3, "0");
+    const file = `page-${num}.xhtml`;
+    const href = addImage(`page-${num}-image`, pageImages[i]);
+    zip.file(`OEBPS/${file}`, xhtmlPage({
+      lang, dir, title: `${title} — ${i + 1}`, bodyClass: "page",
+      body: `  <section epub:type="bodymatter chapter" id="p${i + 1}">
+${href ? `    <img src="${href}" alt="${xml(altText(page, i, childName))}"${lang === "en" ? "" : ` lang="en" xml:lang="en"`}/>\n` : ""}    <div class="text"><p>${xml(page.text || "")}</p></div>
+    <div class="folio" epub:type="pagebreak" id="page${i + 1}" title="${i + 1}">${i + 1}</div>
+  </section>`
+    }));
+    manifest.push(`<item id="page-${num}" href="${file}" media-type="application/xhtml+xml"/>`);
+    spine.push(`<itemref idref="page-${num}"/>`);
+    return file;
+  });
+
+  // Navigation document — table of contents plus a page list
+  zip.file("OEBPS/nav.xhtml", `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}" dir="${dir}">
+<head><meta charset="UTF-8"/><title>${xml(title)}</title></head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${xml(title)}</h1>
+    <ol>
+      <li><a href="cover.xhtml">${xml(title)}</a></li>
+${pageFiles.map((file, i) => `      <li><a href="${file}">${i + 1}</a></li>`).join("\n")}
+    </ol>
+  </nav>
+  <nav epub:type="page-list" hidden="">
+    <ol>
+${pageFiles.map((file, i) => `      <li><a href="${file}#page${i + 1}">${i + 1}</a></li>`).join("\n")}
+    </ol>
+  </nav>
+  <nav epub:type="landmarks" hidden="">
+    <ol>
+      <li><a epub:type="cover" href="cover.xhtml">Cover</a></li>
+${pageFiles.length ? `      <li><a epub:type="bodymatter" href="${pageFiles[0]}">Start</a></li>\n` : ""}    </ol>
+  </nav>
+</body>
+</html>
+`);
+  manifest.push(`<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`);
+
+  zip.file("OEBPS/content.opf", `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}" dir="${dir}"
+         prefix="rendition: http://www.idpf.org/vocab/rendition/#">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${xml(book.bookId)}</dc:identifier>
+    <dc:title id="title">${xml(title)}</dc:title>
+${subtitle ? `    <dc:title id="subtitle">${xml(subtitle)}</dc:title>
+    <meta refines="#subtitle" property="title-type">subtitle</meta>
+` : ""}    <meta refines="#title" property="title-type">main</meta>
+    <dc:language>${lang}</dc:language>
+    <dc:creator>Lifebook</dc:creator>
+    <dc:publisher>Lifebook</dc:publisher>
+    <dc:description>${xml(`A personalized storybook for ${childName}`)}</dc:description>
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">portrait</meta>
+    <meta property="rendition:spread">none</meta>
+    <meta property="schema:accessMode">textual</meta>
+    <meta property="schema:accessMode">visual</meta>
+    <meta property="schema:accessibilityFeature">alternativeText</meta>
+    <meta property="schema:accessibilityHazard">none</meta>
+    <meta name="cover" content="cover-image"/>
+  </metadata>
+  <manifest>
+    ${manifest.join("\n    ")}
+  </manifest>
+  <spine page-progression-direction="${dir}">
+    ${spine.join("\n    ")}
+  </spine>
+</package>
+`);
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE", mimeType: "application/epub+zip" });
+}
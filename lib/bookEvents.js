@@ -0,0 +1,38 @@
+import { EventEmitter } from "events";
+
+// ─── Book progress events ─────────────────────────────────────────────────────
+// In-process pub/sub used by the generation pipeline to push progress to the
+// Server-Sent Events endpoint. Subscribers that connect late get a snapshot
+// from the book row first, so a missed event never leaves a client stuck.
+
+export const BOOK_EVENT_TYPES = [
+  "character-ready",
+  "story-ready",
+  "cover-ready",
+  "page-ready",
+  "failed",
+  "complete"
+];
+
+export function createBookEvents() {
+  const emitter = new EventEmitter();
+  // One listener per open SSE connection — lift the default cap of 10
+  emitter.setMaxListeners(0);
+
+  function publish(bookId, type, data = {}) {
+    if (!BOOK_EVENT_TYPES.includes(type)) throw new Error(`Unknown book event: ${type}`);
+    emitter.emit(bookId, { type, data });
+  }
+
+  function subscribe(bookId, listener) {
+    emitter.on(bookId, listener);
+    return () => emitter.off(bookId, listener);
+  }
+
+  return { publish, subscribe };
+}
+
+// Writes one event in text/event-stream framing
+export function writeSseEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
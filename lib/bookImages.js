@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import { isPreviewOnly, slotInPreview } from "./bookPreview.js";
+
+// ─── Book images ──────────────────────────────────────────────────────────────
+// A book's pictures are served from GET /api/books/:bookId/images/:slot, where
+// slot is "cover", "character-sheet" or "page-<index>". The URL carries
+// ?v=<tag of the stored key>, so a matching request can be cached for good and
+// a redrawn page gets a new URL. Access (owner token or a signed media link)
+// is checked before the handler runs.
+
+export function isImageSlot(slot) {
+  return slot === "cover" || slot === "character-sheet" || /^page-\d+$/.test(slot);
+}
+
+export function imageRefForSlot(book, slot) {
+  if (slot === "cover") return book.coverImage || null;
+  if (slot === "character-sheet") return book.characterSheet || null;
+  const match = /^page-(\d+)$/.exec(slot);
+  return match ? book.fullImages?.[Number(match[1])] || null : null;
+}
+
+export function imageVersionTag(ref) {
+  return crypto.createHash("sha1").update(ref).digest("hex").slice(0, 12);
+}
+
+// getBook(bookId) → book | null; loadImage(ref) → { body, contentType } | null
+export function createBookImageHandler({ getBook, loadImage }) {
+  return async (req, res) => {
+    try {
+      const { bookId, slot } = req.params;
+      if (!isImageSlot(slot)) return res.status(400).json({ status: "error", message: "Invalid image slot" });
+
+      const book = await getBook(bookId);
+      if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+      if (isPreviewOnly(book) && !slotInPreview(slot)) {
+        return res.status(403).json({ status: "error", message: "Book not purchased" });
+      }
+
+      const ref = imageRefForSlot(book, slot);
+      if (!ref) return res.status(404).json({ status: "error", message: "Image not ready" });
+
+      const tag  = imageVersionTag(ref);
+      const etag = `"${tag}"`;
+      res.set("ETag", etag);
+      res.set("Cache-Control", req.query.v === tag ? "private, max-age=31536000, immutable" : "private, no-cache");
+      if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+      const image = await loadImage(ref);
+      if (!image) return res.status(404).json({ status: "error", message: "Image not found" });
+
+      res.type(image.contentType);
+      return res.send(image.body);
+    } catch (err) {
+      return res.status(500).json({ status: "error", message: err?.message || "Failed to load image" });
+    }
+  };
+}
@@ -0,0 +1,237 @@
+import PDFDocument from "pdfkit";
+import crypto from "crypto";
+import { registerBookFonts, drawParagraph, measureParagraph } from "./pdfText.js";
+import { normalizeStoryLanguage } from "./storyLanguage.js";
+
+// ─── Digital edition PDF ──────────────────────────────────────────────────────
+// A4 portrait: cover, one page per story beat (illustration over text) and a
+// closing page. Same look as the old in-browser jsPDF export, but rendered on
+// the server with embedded fonts so Hebrew books come out right.
+
+// Bump when the layout changes so cached PDFs are rebuilt
+export const BOOK_PDF_VERSION = 1;
+
+export const mm = v => v * 72 / 25.4;
+
+const W = mm(210);
+const H = mm(297);
+const M = mm(14);
+
+export const GOLD      = [200, 146, 42];
+export const CREAM     = [253, 246, 236];
+export const PARCHMENT = [237, 224, 200];
+export const INK       = [58, 40, 16];
+export const BROWN     = [92, 61, 30];
+export const MUTED     = [160, 130, 100];
+export const FAINT     = [180, 155, 120];
+export const NIGHT     = [40, 22, 7];
+
+const STRINGS = {
+  en: {
+    madeFor:  name => `A personalized story for ${name}`,
+    createdBy: "Created with Lifebook AI",
+    tagline:   "AI-powered personalized storybooks",
+    closing:  name => `A magical story created just for ${name}`
+  },
+  he: {
+    madeFor:  name => `סיפור אישי עבור ${name}`,
+    createdBy: "נוצר עם Lifebook AI",
+    tagline:   "ספרי ילדים אישיים בעזרת בינה מלאכותית",
+    closing:  name => `סיפור קסום שנכתב במיוחד עבור ${name}`
+  },
+  es: {
+    madeFor:  name => `Una historia personalizada para ${name}`,
+    createdBy: "Creado con Lifebook AI",
+    tagline:   "Cuentos infantiles personalizados con IA",
+    closing:  name => `Una historia mágica creada solo para ${name}`
+  },
+  fr: {
+    madeFor:  name => `Une histoire personnalisée pour ${name}`,
+    createdBy: "Créé avec Lifebook AI",
+    tagline:   "Des livres pour enfants personnalisés grâce à l'IA",
+    closing:  name => `Une histoire magique écrite rien que pour ${name}`
+  }
+};
+
+// Changes whenever anything drawn in the PDF changes. Other exports pass their
+// own version and options in `extra`.
+export function bookPdfFingerprint(book, ...extra) {
+  const generated = book.generatedBook || {};
+  return crypto.createHash("sha1").update(JSON.stringify([
+    BOOK_PDF_VERSION,
+    ...extra,
+    book.storyLanguage,
+    book.childName,
+    generated.title,
+    generated.subtitle,
+    (generated.pages || []).map(p => p.text),
+    book.coverImage,
+    book.fullImages
+  ])).digest("hex").slice(0, 16);
+}
+
+// Book-level strings follow the language the story was written in
+export function bookStrings(book) {
+  return STRINGS[normalizeStoryLanguage(book.storyLanguage)];
+}
+
+export function goldRule(doc, x, y, width) {
+  doc.rect(x, y, width, mm(0.6)).fill(GOLD);
+}
+
+export function diamond(doc, cx, cy, r) {
+  doc.polygon([cx, cy - r], [cx + r, cy], [cx, cy + r], [cx - r, cy]).fill(GOLD);
+}
+
+// Open-book outline drawn with lines — no emoji glyphs in the embedded font
+export function bookSymbol(doc, cx, cy, size) {
+  const s = size * 0.5;
+  doc.save().lineWidth(mm(1.2)).strokeColor(GOLD);
+  doc.polygon([cx - s, cy + s * 0.3], [cx - s, cy - s * 0.6], [cx, cy - s * 0.2], [cx, cy + s * 0.5]).stroke();
+  doc.moveTo(cx + s, cy + s * 0.3).lineTo(cx + s, cy - s * 0.6).lineTo(cx, cy - s * 0.2).stroke();
+  doc.lineWidth(mm(0.4)).moveTo(cx - s * 0.3, cy - s * 0.5).lineTo(cx + s * 0.3, cy - s * 0.5).stroke();
+  doc.restore();
+}
+
+// Scales the image to fill the box and clips whatever overflows
+export function fillImage(doc, image, x, y, w, h) {
+  doc.save().rect(x, y, w, h).clip();
+  doc.image(image, x, y, { cover: [w, h], align: "center", valign: "center" });
+  doc.restore();
+}
+
+function drawCover(doc, { title, subtitle, childName, cover, strings }) {
+  if (cover) {
+    fillImage(doc, cover, 0, 0, W, H * 0.62);
+  } else {
+    doc.rect(0, 0, W, H * 0.62).fill([50, 28, 10]);
+    [[0.25, 0.12], [0.75, 0.08], [0.5, 0.22], [0.15, 0.3], [0.82, 0.25], [0.35, 0.18], [0.65, 0.28]]
+      .forEach(([sx, sy]) => doc.circle(W * sx, H * sy, mm(1)).fill(GOLD));
+    bookSymbol(doc, W / 2, H * 0.33, mm(22));
+  }
+
+  doc.rect(0, 0, W, mm(3)).fill(GOLD);
+  doc.rect(0, H * 0.6, W, H * 0.4).fill(CREAM);
+  goldRule(doc, mm(16), H * 0.635, W - mm(32));
+
+  let y = H * 0.655;
+  doc.font("bold").fontSize(26).fillColor(BROWN);
+  y += drawParagraph(doc, title, { x: M, y, width: W - M * 2, align: "center" });
+
+  if (subtitle) {
+    doc.font("italic").fontSize(12).fillColor([122, 96, 72]);
+    y += mm(2) + drawParagraph(doc, subtitle, { x: M, y: y + mm(2), width: W - M * 2, align: "center" });
+  }
+
+  doc.font("regular").fontSize(10).fillColor(MUTED);
+  drawParagraph(doc, strings.madeFor(childName), { x: M, y: y + mm(5), width: W - M * 2, align: "center" });
+
+  doc.fontSize(7.5).fillColor(FAINT);
+  drawParagraph(doc, strings.createdBy, { x: M, y: H - mm(9), width: W - M * 2, align: "center" });
+  doc.rect(0, H - mm(3), W, mm(3)).fill(GOLD);
+}
+
+function drawStoryPage(doc, { index, text, image }) {
+  doc.rect(0, 0, W, H).fill(CREAM);
+  doc.rect(0, 0, W, mm(3)).fill(GOLD);
+  doc.rect(0, H - mm(3), W, mm(3)).fill(GOLD);
+
+  const iTop = mm(8);
+  const iH   = H * 0.55;
+  const iW   = W - M * 2;
+
+  if (image) {
+    doc.rect(M - mm(0.8), iTop + mm(0.5), iW + mm(1.6), iH + mm(0.2)).fill(PARCHMENT);
+    fillImage(doc, image, M, iTop + mm(0.8), iW, iH - mm(0.8));
+  } else {
+    doc.rect(M, iTop, iW, iH).fill(PARCHMENT);
+    diamond(doc, W / 2, iTop + iH / 2, mm(4));
+  }
+
+  doc.font("regular").fontSize(7.5).fillColor(FAINT);
+  drawParagraph(doc, String(index + 1), { x: M, y: iTop + iH + mm(0.8), width: iW, align: "center" });
+  goldRule(doc, M + mm(10), iTop + iH + mm(5), W - (M + mm(10)) * 2);
+
+  // Shrink long pages until they fit above the footer ornament
+  const textTop = iTop + iH + mm(9);
+  const room    = H - mm(12) - textTop;
+  let size = 13;
+  doc.fontSize(size);
+  while (size > 9 && measureParagraph(doc, text, { width: iW - mm(6), lineGap: size * 0.7 }) > room) {
+    doc.fontSize(--size);
+  }
+  doc.fillColor(INK);
+  drawParagraph(doc, text, { x: M + mm(3), y: textTop, width: iW - mm(6), align: "center", lineGap: size * 0.7 });
+
+  diamond(doc, W / 2, H - mm(6), mm(2.5));
+}
+
+function drawClosingPage(doc, { childName, strings }) {
+  doc.rect(0, 0, W, H).fill(NIGHT);
+  [[0.18, 0.22], [0.82, 0.18], [0.55, 0.12], [0.3, 0.78], [0.72, 0.75], [0.1, 0.5],
+   [0.9, 0.55], [0.5, 0.88], [0.42, 0.32], [0.65, 0.42], [0.2, 0.6], [0.78, 0.38]]
+    .forEach(([sx, sy]) => doc.circle(W * sx, H * sy, mm(0.7)).fill(GOLD));
+  doc.rect(0, 0, W, mm(3.5)).fill(GOLD);
+  doc.rect(0, H - mm(3.5), W, mm(3.5)).fill(GOLD);
+
+  const bY = H / 2;
+  bookSymbol(doc, W / 2, bY - mm(30), mm(20));
+
+  doc.font("bold").fontSize(28).fillColor([245, 217, 138]);
+  drawParagraph(doc, "lifebook", { x: M, y: bY - mm(10), width: W - M * 2, align: "center" });
+
+  doc.font("italic").fontSize(12).fillColor([180, 150, 110]);
+  drawParagraph(doc, strings.tagline, { x: M, y: bY + mm(6), width: W - M * 2, align: "center" });
+
+  goldRule(doc, mm(40), bY + mm(18), W - mm(80));
+
+  doc.font("regular").fontSize(10).fillColor(MUTED);
+  drawParagraph(doc, strings.closing(childName), { x: M, y: bY + mm(24), width: W - M * 2, align: "center" });
+}
+
+// Resolves with the finished file once doc.end() has been called
+export function collectPdf(doc) {
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  return new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+}
+
+// cover and pageImages are image Buffers (JPEG or PNG); missing ones get a placeholder
+export function renderBookPdf({ book, cover = null, pageImages = [] }) {
+  const generated = book.generatedBook || {};
+  const pages     = generated.pages || [];
+  const title     = generated.title    || "Your Magical Adventure";
+  const subtitle  = generated.subtitle || "";
+  const childName = book.childName     || "your child";
+  const strings   = bookStrings(book);
+
+  const doc = new PDFDocument({
+    size:          [W, H],
+    margin:        0,
+    autoFirstPage: false,
+    info: {
+      Title:   title,
+      Subject: subtitle,
+      Author:  "Lifebook",
+      Creator: "Lifebook"
+    }
+  });
+  registerBookFonts(doc);
+
+  const done = collectPdf(doc);
+
+  doc.addPage();
+  drawCover(doc, { title, subtitle, childName, cover, strings });
+  pages.forEach((page, index) => {
+    doc.addPage();
+    drawStoryPage(doc, { index, text: page.text || "", image: pageImages[index] || null });
+  });
+  doc.addPage();
+  drawClosingPage(doc, { childName, strings });
+
+  doc.end();
+  return done;
+}
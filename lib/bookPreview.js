@@ -0,0 +1,44 @@
+// ─── Book preview ─────────────────────────────────────────────────────────────
+// A refunded book goes back to what the preview shows: the cover and the
+// first PREVIEW_PAGES pages — their text, pictures, earlier versions, text
+// revisions and narration. Books not yet paid for are still being made and
+// edited, and keep the whole book. Every route that hands out book content
+// runs it through here (or refuses pages past the preview) for a
+// preview-only book.
+
+// Pages a book that is not (or no longer) paid for still shows, as on the
+// preview page
+export const PREVIEW_PAGES = 2;
+
+export function isPreviewOnly(book) {
+  return book?.paymentStatus === "refunded" && !book.purchaseUnlocked;
+}
+
+// index is a number, or the digits of one from a URL
+export function pageInPreview(index) {
+  const n = typeof index === "string" && /^\d+$/.test(index) ? Number(index) : index;
+  return Number.isInteger(n) && n >= 0 && n < PREVIEW_PAGES;
+}
+
+// An image slot: "cover", "character-sheet" or "page-<index>"
+export function slotInPreview(slot) {
+  const match = /^page-(\d+)$/.exec(slot);
+  return !match || pageInPreview(match[1]);
+}
+
+function previewEntries(byIndex = {}) {
+  return Object.fromEntries(Object.entries(byIndex).filter(([index]) => pageInPreview(index)));
+}
+
+// Pages past the preview keep their place, so the page count stays right
+export function previewOfBook(book) {
+  const pages = book.generatedBook?.pages || [];
+  return {
+    ...book,
+    generatedBook: book.generatedBook && { ...book.generatedBook, pages: pages.map((page, i) => (pageInPreview(i) ? page : {})) },
+    fullImages:    (book.fullImages || []).map((ref, i) => (pageInPreview(i) ? ref : null)),
+    imageVersions: previewEntries(book.imageVersions),
+    textRevisions: (book.textRevisions || []).filter(revision => pageInPreview(revision.pageIndex)),
+    narration:     book.narration && { ...book.narration, pages: previewEntries(book.narration.pages) }
+  };
+}
@@ -0,0 +1,166 @@
+import { STORY_LANGUAGES } from "./storyLanguage.js";
+import { PRODUCT_FORMATS } from "./catalog.js";
+
+// ─── Book fields ──────────────────────────────────────────────────────────────
+// Every field a request may set on a book, with its type, size limit and who
+// may write it:
+//   customer — the browser holding the book's token (PATCH, create)
+//   pipeline — the generation steps and other server code
+//   admin    — the admin API
+// Fields missing here cannot be written through the API at all. A field marked
+// lockedWhenPaid can no longer be changed by the customer once the book is
+// unlocked.
+
+const CUSTOMER = "customer";
+const PIPELINE = "pipeline";
+const ADMIN    = "admin";
+
+const PHOTO_MAX_LENGTH = 12 * 1024 * 1024; // characters of data URL
+const JSON_MAX_BYTES   = 512 * 1024;
+
+export const BOOK_FIELDS = {
+  childName:          { type: "string",  maxLength: 60,   writers: [CUSTOMER, ADMIN], onCreate: true, required: true },
+  childAge:           { type: "enum",    values: ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10"], writers: [CUSTOMER, ADMIN], onCreate: true, required: true },
+  childGender:        { type: "enum",    values: ["", "boy", "girl", "neutral"], writers: [CUSTOMER, ADMIN], onCreate: true },
+  storyIdea:          { type: "string",  maxLength: 1000, writers: [CUSTOMER, ADMIN], onCreate: true, required: true },
+  illustrationStyle:  { type: "string",  maxLength: 80,   writers: [CUSTOMER, ADMIN], onCreate: true },
+  storyLanguage:      { type: "enum",    values: Object.keys(STORY_LANGUAGES), writers: [CUSTOMER, ADMIN], onCreate: true },
+  croppedPhoto:       { type: "photo",   maxLength: PHOTO_MAX_LENGTH, writers: [CUSTOMER, PIPELINE, ADMIN], onCreate: true },
+  originalPhoto:      { type: "photo",   maxLength: PHOTO_MAX_LENGTH, writers: [CUSTOMER, PIPELINE, ADMIN], onCreate: true },
+  customerEmail:      { type: "email",   maxLength: 254,  writers: [CUSTOMER, ADMIN], onCreate: true },
+  selectedFormat:     { type: "enum",    values: PRODUCT_FORMATS, writers: [CUSTOMER, ADMIN], lockedWhenPaid: true },
+
+  characterReference: { type: "json",    maxBytes: JSON_MAX_BYTES, writers: [PIPELINE, ADMIN] },
+  characterSheet:     { type: "string",  maxLength: 1024, nullable: true, writers: [PIPELINE, ADMIN] },
+  generatedBook:      { type: "json",    maxBytes: JSON_MAX_BYTES, writers: [PIPELINE, ADMIN] },
+  coverImage:         { type: "string",  maxLength: PHOTO_MAX_LENGTH, nullable: true, writers: [PIPELINE, ADMIN] },
+  previewImages:      { type: "array",   maxItems: 32, writers: [PIPELINE, ADMIN] },
+  fullImages:         { type: "array",   maxItems: 32, writers: [PIPELINE, ADMIN] },
+  imageVersions:      { type: "json",    maxBytes: JSON_MAX_BYTES, writers: [PIPELINE, ADMIN] },
+  regenerationsUsed:  { type: "integer", min: 0, max: 1000, writers: [PIPELINE, ADMIN] },
+  textRevisions:      { type: "array",   maxItems: 500, writers: [PIPELINE, ADMIN] },
+  narration:          { type: "json",    maxBytes: JSON_MAX_BYTES, writers: [PIPELINE, ADMIN] },
+
+  selectedPrice:      { type: "integer", min: 0, max: 10000, writers: [PIPELINE, ADMIN] },
+  paidFormat:         { type: "enum",    values: PRODUCT_FORMATS, nullable: true, writers: [PIPELINE, ADMIN] },
+  paymentStatus:      { type: "enum",    values: ["pending", "paid", "failed", "expired", "refunded"], writers: [PIPELINE, ADMIN] },
+  purchaseUnlocked:   { type: "boolean", writers: [PIPELINE, ADMIN] },
+  stripeSessionId:    { type: "string",  maxLength: 255, nullable: true, writers: [PIPELINE, ADMIN] },
+  stripePaymentIntentId: { type: "string", maxLength: 255, nullable: true, writers: [PIPELINE, ADMIN] },
+  paidAt:             { type: "timestamp", nullable: true, writers: [PIPELINE, ADMIN] },
+  refundedAt:         { type: "timestamp", nullable: true, writers: [PIPELINE, ADMIN] },
+  paymentFailedAt:    { type: "timestamp", nullable: true, writers: [PIPELINE, ADMIN] },
+  checkoutExpiredAt:  { type: "timestamp", nullable: true, writers: [PIPELINE, ADMIN] },
+  amountPaidCents:    { type: "integer", min: 0, max: 1000000, nullable: true, writers: [PIPELINE, ADMIN] },
+  paymentCurrency:    { type: "string",  maxLength: 3, nullable: true, writers: [PIPELINE, ADMIN] },
+  promoCode:          { type: "string",  maxLength: 40, nullable: true, writers: [PIPELINE, ADMIN] },
+  discountCents:      { type: "integer", min: 0, max: 1000000, writers: [PIPELINE, ADMIN] },
+  convertedByReminder: { type: "integer", min: 1, max: 99, nullable: true, writers: [PIPELINE, ADMIN] }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns [error, value] — value is the field normalised (trimmed, age as a string)
+function checkField(name, spec, value) {
+  if (value === null && spec.nullable) return [null, null];
+
+  switch (spec.type) {
+    case "string": {
+      if (typeof value !== "string") return [`${name} must be a string`];
+      const trimmed = value.trim();
+      if (trimmed.length > spec.maxLength) return [`${name} must be at most ${spec.maxLength} characters`];
+      return [null, trimmed];
+    }
+    case "email": {
+      if (typeof value !== "string") return [`${name} must be a string`];
+      const trimmed = value.trim();
+      if (trimmed.length > spec.maxLength) return [`${name} must be at most ${spec.maxLength} characters`];
+      if (trimmed && !EMAIL_PATTERN.test(trimmed)) return [`${name} must be an email address`];
+      return [null, trimmed];
+    }
+    case "enum": {
+      const normalized = typeof value === "number" ? String(value) : value;
+      if (typeof normalized !== "string" || !spec.values.includes(normalized.trim())) {
+        return [`${name} must be one of: ${spec.values.filter(Boolean).join(", ")}`];
+      }
+      return [null, normalized.trim()];
+    }
+    case "photo": {
+      if (typeof value !== "string") return [`${name} must be a string`];
+      if (value && !/^data:image\/(jpeg|png|webp);base64,/.test(value)) return [`${name} must be a JPEG, PNG or WebP data URL`];
+      if (value.length > spec.maxLength) return [`${name} is too large`];
+      return [null, value];
+    }
+    case "integer":
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        return [`${name} must be a whole number from ${spec.min} to ${spec.max}`];
+      }
+      return [null, value];
+    case "timestamp":
+      if (typeof value !== "string" || Number.isNaN(Date.parse(value))) return [`${name} must be an ISO date`];
+      return [null, new Date(value).toISOString()];
+    case "boolean":
+      if (typeof value !== "boolean") return [`${name} must be true or false`];
+      return [null, value];
+    case "array":
+      if (!Array.isArray(value)) return [`${name} must be an array`];
+      if (value.length > spec.maxItems) return [`${name} must have at most ${spec.maxItems} items`];
+      return [null, value];
+    case "json":
+      if (value !== null && typeof value !== "object") return [`${name} must be an object`];
+      if (Buffer.byteLength(JSON.stringify(value)) > spec.maxBytes) return [`${name} is too large`];
+      return [null, value];
+    default:
+      return [`${name} has an unknown type`];
+  }
+}
+
+// Checks a partial update written by `role` to `book` (when it exists yet).
+// Returns { errors, value }; the update is only safe to apply when errors is
+// empty.
+export function validateBookPatch(patch, role, book = null) {
+  const errors = [];
+  const value  = {};
+
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    return { errors: [{ field: null, message: "Body must be a JSON object" }], value };
+  }
+
+  for (const [name, input] of Object.entries(patch)) {
+    const spec = BOOK_FIELDS[name];
+    if (!spec) {
+      errors.push({ field: name, message: `${name} is not a book field` });
+      continue;
+    }
+    if (!spec.writers.includes(role)) {
+      errors.push({ field: name, message: `${name} cannot be changed` });
+      continue;
+    }
+    if (spec.lockedWhenPaid && role === CUSTOMER && book?.purchaseUnlocked) {
+      errors.push({ field: name, message: `${name} cannot be changed after payment` });
+      continue;
+    }
+    const [error, normalized] = checkField(name, spec, input);
+    if (error) errors.push({ field: name, message: error });
+    else value[name] = normalized;
+  }
+  return { errors, value };
+}
+
+// Checks the body of /api/books/create. Fields that cannot be set on create are
+// rejected; required ones must be present and non-empty.
+export function validateBookCreate(input) {
+  const { errors, value } = validateBookPatch(input, CUSTOMER);
+
+  for (const name of Object.keys(value)) {
+    if (!BOOK_FIELDS[name].onCreate) {
+      errors.push({ field: name, message: `${name} cannot be set when creating a book` });
+    }
+  }
+  for (const [name, spec] of Object.entries(BOOK_FIELDS)) {
+    if (spec.required && !value[name] && !errors.some(e => e.field === name)) {
+      errors.push({ field: name, message: `${name} is required` });
+    }
+  }
+  return { errors, value };
+}
@@ -0,0 +1,109 @@
+// ─── Product catalog ──────────────────────────────────────────────────────────
+// Every format a book can be bought in, with its price in each currency (in
+// the currency's smallest unit) and what it includes:
+//   downloads — PDF and EPUB downloads (every format includes the online reader)
+//   print     — a printed copy is made and shipped, in `binding`
+// Checkout prices come only from here; the browser sends a format and a
+// currency, never an amount. GET /api/products serves this to the pages.
+
+export const CURRENCIES = {
+  usd: { symbol: "$" },
+  eur: { symbol: "€" },
+  gbp: { symbol: "£" },
+  ils: { symbol: "₪" }
+};
+
+export const DEFAULT_CURRENCY = "usd";
+
+export const PRODUCTS = {
+  digital: {
+    name:        "Digital Storybook",
+    description: "Instant PDF and EPUB download · All pages",
+    features:    ["Read online on any device", "PDF and EPUB downloads"],
+    downloads:   true,
+    print:       false,
+    prices:      { usd: 3900, eur: 3900, gbp: 3300, ils: 14900 }
+  },
+  softcover: {
+    name:        "Softcover Book",
+    description: "Printed softcover, shipped to your door",
+    features:    ["Printed softcover book", "Read online while it prints", "Shipping tracked to your door"],
+    downloads:   false,
+    print:       true,
+    binding:     "softcover",
+    prices:      { usd: 4900, eur: 4900, gbp: 4200, ils: 18900 }
+  },
+  hardcover: {
+    name:        "Hardcover Book",
+    description: "Printed hardcover keepsake, shipped to your door",
+    features:    ["Printed hardcover keepsake", "Read online while it prints", "Shipping tracked to your door"],
+    downloads:   false,
+    print:       true,
+    binding:     "hardcover",
+    prices:      { usd: 5900, eur: 5900, gbp: 5000, ils: 22900 }
+  },
+  bundle: {
+    name:        "Digital + Print Bundle",
+    description: "Hardcover book plus the complete digital edition",
+    features:    ["Printed hardcover keepsake", "PDF and EPUB downloads", "Shipping tracked to your door"],
+    downloads:   true,
+    print:       true,
+    binding:     "hardcover",
+    prices:      { usd: 6900, eur: 6900, gbp: 5900, ils: 26900 }
+  }
+};
+
+export const PRODUCT_FORMATS = Object.keys(PRODUCTS);
+
+export const DEFAULT_FORMAT = "digital";
+
+// Books and Checkout sessions from before the catalog say "printed", which
+// included the printed copy and the downloads
+const LEGACY_FORMATS = { printed: "bundle" };
+
+export function resolveFormat(format) {
+  const key = LEGACY_FORMATS[format] || format;
+  return PRODUCTS[key] ? key : DEFAULT_FORMAT;
+}
+
+export function productFor(format) {
+  const key = resolveFormat(format);
+  return { format: key, ...PRODUCTS[key] };
+}
+
+// What a book includes: the format it was paid for once unlocked, until then
+// the one the customer has chosen. Books paid before the paid format was
+// recorded fall back to their choice, which no longer changes once paid.
+export function purchasedFormat(book) {
+  return (book?.purchaseUnlocked && book.paidFormat) || book?.selectedFormat;
+}
+
+export function normalizeCurrency(value) {
+  const code = String(value || "").trim().toLowerCase();
+  return CURRENCIES[code] ? code : null;
+}
+
+// { format, name, amount, currency } or null when the product has no price in
+// that currency
+export function catalogPrice(format, currency = DEFAULT_CURRENCY) {
+  const product = productFor(format);
+  const amount  = product.prices[currency];
+  if (!Number.isInteger(amount)) return null;
+  return { format: product.format, name: product.name, amount, currency, print: product.print };
+}
+
+// The catalog as GET /api/products serves it, priced in one currency
+export function catalogForClient(currency = DEFAULT_CURRENCY) {
+  return PRODUCT_FORMATS
+    .filter(format => Number.isInteger(PRODUCTS[format].prices[currency]))
+    .map(format => {
+      const { name, description, features, downloads, print, binding, prices } = PRODUCTS[format];
+      return { format, name, description, features, downloads, print, binding: binding || null, price: prices[currency] };
+    });
+}
+
+// ─── Gift cards ───────────────────────────────────────────────────────────────
+// Amounts a gift card can be bought for, in whole units of the currency
+export const GIFT_CARD_AMOUNTS = {
+  usd: [39, 49, 100]
+};
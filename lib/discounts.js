@@ -0,0 +1,363 @@
+import crypto from "crypto";
+import { createAttemptLimiter } from "./attemptLimiter.js";
+
+// ─── Promotion codes and gift cards ───────────────────────────────────────────
+// A checkout may carry one promotion code (`promo_codes`: a percentage or a
+// fixed amount off) and one gift card (`gift_cards`: a balance bought through
+// its own Stripe checkout). The promotion comes off first, then the gift card
+// covers what it can of the rest.
+//
+// What a checkout used is kept in `checkout_discounts` under a checkout ref
+// that travels in the Stripe session metadata:
+//   held     — gift card balance taken and the promotion's redemption counted
+//              when the checkout starts, so parallel checkouts cannot use a
+//              code more often than max_redemptions allows
+//   captured — the checkout was paid
+//   released — the checkout expired or was refunded; the balance is given
+//              back, and so is the redemption of a checkout never paid
+// Each move is a conditional update on the status, so a webhook and the success
+// page settling the same checkout count it once. Rows held before
+// redemptions were counted up front (promo_reserved false) count at capture.
+
+export const PROMO_KINDS = ["percent", "fixed"];
+
+const GIFT_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// Upper case without spaces or dashes — how codes are stored and compared
+export function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// XXXX-XXXX-XXXX-XXXX from an alphabet without 0/O and 1/I
+function generateGiftCode() {
+  const bytes = crypto.randomBytes(16);
+  const chars = [...bytes].map(b => GIFT_CODE_ALPHABET[b % GIFT_CODE_ALPHABET.length]).join("");
+  return chars.match(/.{4}/g).join("-");
+}
+
+function hashGiftCode(code) {
+  return crypto.createHash("sha256").update(normalizeCode(code)).digest("hex");
+}
+
+export function createDiscounts({
+  supabase,
+  minChargeCents    = 50,
+  maxLookupFailures = 10,
+  lookupLockoutMs   = 15 * 60 * 1000
+}) {
+  // Wrong gift card codes per IP, so they cannot be guessed
+  const lookupFailures = createAttemptLimiter({ max: maxLookupFailures, windowMs: lookupLockoutMs });
+
+  async function findPromo(code) {
+    const { data, error } = await supabase
+      .from("promo_codes")
+      .select("*")
+      .eq("code", normalizeCode(code))
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // Why a promotion cannot be used on this checkout, or null
+  function promoProblem(promo, { format, currency }) {
+    const now = Date.now();
+    if (!promo || !promo.active) return "That promotion code is not valid";
+    if (promo.starts_at && new Date(promo.starts_at).getTime() > now) return "That promotion code is not active yet";
+    if (promo.expires_at && new Date(promo.expires_at).getTime() <= now) return "That promotion code has expired";
+    if (promo.max_redemptions != null && promo.redemptions >= promo.max_redemptions) return "That promotion code has been used up";
+    if (promo.formats?.length && !promo.formats.includes(format)) return "That promotion code does not apply to this format";
+    if (promo.kind === "fixed" && promo.currency !== currency) return "That promotion code does not apply to this currency";
+    return null;
+  }
+
+  async function findGiftCard(code) {
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .select("*")
+      .eq("code_hash", hashGiftCode(code))
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // Works out what a checkout costs. Returns { subtotal, promo, giftCard,
+  // total } in cents, or { status, error } when a code cannot be used. Stripe
+  // cannot charge less than minChargeCents, so a total is either 0 or at least
+  // that — and never 0 for a product that is printed (`print`), whose shipping
+  // address only Stripe Checkout collects.
+  async function quote({ amount, currency, format, print = false, promoCode, giftCardCode, ip }) {
+    const floor  = print ? minChargeCents : 0;
+    let due      = amount;
+    let promo    = null;
+    let giftCard = null;
+
+    if (normalizeCode(promoCode)) {
+      const row     = await findPromo(promoCode);
+      const problem = promoProblem(row, { format, currency });
+      if (problem) return { status: 400, error: problem };
+
+      const off = row.kind === "percent" ? Math.round(amount * Math.min(row.amount, 100) / 100) : row.amount;
+      due   = Math.max(amount - off, 0);
+      if (due > 0 && due < minChargeCents) due = minChargeCents;
+      due   = Math.max(due, floor);
+      promo = { code: row.code, kind: row.kind, amount: row.amount, off: amount - due };
+    }
+
+    if (normalizeCode(giftCardCode)) {
+      if (lookupFailures.isLockedOut(ip)) return { status: 429, error: "Too many gift card attempts. Try again later." };
+      const row = await findGiftCard(giftCardCode);
+      if (!row || row.status !== "active") {
+        lookupFailures.recordFailure(ip);
+        return { status: 400, error: "That gift card code is not valid" };
+      }
+      if (row.currency !== currency) return { status: 400, error: "That gift card is in a different currency" };
+      if (row.balance_cents <= 0) return { status: 400, error: "That gift card has no balance left" };
+
+      let off = Math.min(row.balance_cents, due - floor);
+      const rest = due - off;
+      if (rest > 0 && rest < minChargeCents) off = Math.max(due - minChargeCents, 0);
+      if (off > 0) {
+        giftCard = { id: row.id, last4: row.code_last4, balance: row.balance_cents, off };
+        due -= off;
+      }
+    }
+
+    return { subtotal: amount, currency, promo, giftCard, total: due };
+  }
+
+  // Moves `delta` cents on to a gift card balance (negative to spend). The
+  // update only applies if the balance is unchanged since it was read; returns
+  // false when spending more than is left.
+  async function adjustBalance(giftCardId, delta) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { data: card, error } = await supabase
+        .from("gift_cards")
+        .select("balance_cents")
+        .eq("id", giftCardId)
+        .single();
+      if (error) throw error;
+      if (card.balance_cents + delta < 0) return false;
+
+      const { data, error: updateError } = await supabase
+        .from("gift_cards")
+        .update({ balance_cents: card.balance_cents + delta, updated_at: new Date().toISOString() })
+        .eq("id", giftCardId)
+        .eq("balance_cents", card.balance_cents)
+        .select("id")
+        .maybeSingle();
+      if (updateError) throw updateError;
+      if (data) return true;
+    }
+    throw new Error("Gift card balance is changing too fast — try again");
+  }
+
+  // Moves a promotion's redemption count by `delta`, conditional on the count
+  // it was read at. With { limit: true } it returns false instead of going
+  // past max_redemptions; it never goes below 0.
+  async function adjustRedemptions(code, delta, { limit = false } = {}) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const promo = await findPromo(code);
+      if (!promo) return false;
+      const next = promo.redemptions + delta;
+      if (next < 0) return false;
+      if (limit && delta > 0 && promo.max_redemptions != null && next > promo.max_redemptions) return false;
+
+      const { data, error } = await supabase
+        .from("promo_codes")
+        .update({ redemptions: next, updated_at: new Date().toISOString() })
+        .eq("code", promo.code)
+        .eq("redemptions", promo.redemptions)
+        .select("code")
+        .maybeSingle();
+      if (error) throw error;
+      if (data) return true;
+    }
+    throw new Error("Promotion code is being used too fast — try again");
+  }
+
+  // Records the discounts of a quote under checkoutRef, counts the promotion's
+  // redemption and takes the gift card amount off its balance. Returns
+  // { recorded } — false when there was nothing to record — or { status,
+  // error } if the promotion was used up or the balance has gone meanwhile.
+  async function hold(checkoutRef, { bookId, quote: q }) {
+    if (!q.promo && !q.giftCard) return { recorded: false };
+    if (q.promo && !await adjustRedemptions(q.promo.code, 1, { limit: true })) {
+      return { status: 409, error: "That promotion code has been used up" };
+    }
+    if (q.giftCard && !await adjustBalance(q.giftCard.id, -q.giftCard.off)) {
+      if (q.promo) await adjustRedemptions(q.promo.code, -1);
+      return { status: 409, error: "That gift card no longer has enough balance — please apply it again" };
+    }
+
+    const { error } = await supabase
+      .from("checkout_discounts")
+      .insert({
+        checkout_ref:    checkoutRef,
+        book_id:         bookId,
+        currency:        q.currency,
+        subtotal_cents:  q.subtotal,
+        promo_code:      q.promo?.code || null,
+        promo_cents:     q.promo?.off || 0,
+        gift_card_id:    q.giftCard?.id || null,
+        gift_card_cents: q.giftCard?.off || 0,
+        total_cents:     q.total,
+        promo_reserved:  Boolean(q.promo)
+      });
+    if (error) {
+      if (q.giftCard) await adjustBalance(q.giftCard.id, q.giftCard.off);
+      if (q.promo) await adjustRedemptions(q.promo.code, -1);
+      throw error;
+    }
+    return { recorded: true };
+  }
+
+  async function attachSession(checkoutRef, stripeSessionId) {
+    const { error } = await supabase
+      .from("checkout_discounts")
+      .update({ stripe_session_id: stripeSessionId, updated_at: new Date().toISOString() })
+      .eq("checkout_ref", checkoutRef);
+    if (error) throw error;
+  }
+
+  async function moveStatus(match, from, to) {
+    let query = supabase
+      .from("checkout_discounts")
+      .update({ status: to, updated_at: new Date().toISOString() })
+      .eq("status", from);
+    query = match.checkoutRef ? query.eq("checkout_ref", match.checkoutRef) : query.eq("stripe_session_id", match.stripeSessionId);
+    const { data, error } = await query.select().maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // The checkout was paid. Safe to call again — only the first call moves the
+  // row. The customer has paid by now, so an older hold counts its
+  // redemption even past max_redemptions.
+  async function settle(checkoutRef) {
+    if (!checkoutRef) return null;
+    const row = await moveStatus({ checkoutRef }, "held", "captured");
+    if (!row?.promo_code || row.promo_reserved) return row;
+
+    if (!await adjustRedemptions(row.promo_code, 1).catch(() => false)) {
+      console.warn(`discounts: could not count a redemption of ${row.promo_code}`);
+    }
+    return row;
+  }
+
+  // The checkout expired, or its payment was refunded: the gift card gets its
+  // amount back, and a checkout that was never paid its promotion redemption.
+  // Matches on { checkoutRef } or { stripeSessionId }.
+  async function release(match) {
+    if (!match.checkoutRef && !match.stripeSessionId) return null;
+    const held = await moveStatus(match, "held", "released");
+    const row  = held || await moveStatus(match, "captured", "released");
+    if (row?.gift_card_id && row.gift_card_cents > 0) await adjustBalance(row.gift_card_id, row.gift_card_cents);
+    if (held?.promo_code && held.promo_reserved) await adjustRedemptions(held.promo_code, -1);
+    return row;
+  }
+
+  // ── Gift cards ──────────────────────────────────────────────────────────────
+  // Bought through their own checkout; the code only exists once paid.
+  async function createGiftCard({ amount, currency, purchaserEmail, recipientEmail, recipientName, message }) {
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .insert({
+        status:          "pending",
+        initial_cents:   amount,
+        balance_cents:   0,
+        currency,
+        purchaser_email: purchaserEmail,
+        recipient_email: recipientEmail || null,
+        recipient_name:  recipientName  || null,
+        message:         message        || null
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  // Returns { giftCard, code } for the call that activates the card, null for
+  // any later call. Only the hash of the code is stored.
+  async function activateGiftCard(giftCardId, { stripeSessionId }) {
+    const code = generateGiftCode();
+    const { data: pending, error: readError } = await supabase
+      .from("gift_cards")
+      .select("initial_cents")
+      .eq("id", giftCardId)
+      .maybeSingle();
+    if (readError) throw readError;
+    if (!pending) return null;
+
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .update({
+        status:            "active",
+        code_hash:         hashGiftCode(code),
+        code_last4:        normalizeCode(code).slice(-4),
+        balance_cents:     pending.initial_cents,
+        stripe_session_id: stripeSessionId,
+        activated_at:      new Date().toISOString(),
+        updated_at:        new Date().toISOString()
+      })
+      .eq("id", giftCardId)
+      .eq("status", "pending")
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data ? { giftCard: data, code } : null;
+  }
+
+  // A paid card whose code never reached anyone (the email failed) gets a
+  // fresh code — the old one was never seen. Returns { giftCard, code } or null.
+  async function reissueGiftCardCode(giftCardId) {
+    const code = generateGiftCode();
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .update({
+        code_hash:  hashGiftCode(code),
+        code_last4: normalizeCode(code).slice(-4),
+        updated_at: new Date().toISOString()
+      })
+      .eq("id", giftCardId)
+      .eq("status", "active")
+      .is("code_sent_at", null)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data ? { giftCard: data, code } : null;
+  }
+
+  async function markGiftCardSent(giftCardId) {
+    const { error } = await supabase
+      .from("gift_cards")
+      .update({ code_sent_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq("id", giftCardId);
+    if (error) throw error;
+  }
+
+  // The card's own purchase was refunded: it stops working and whatever was
+  // left on it goes. Returns the card as it was before, or null when it was
+  // already disabled — so a resent refund event does nothing.
+  async function voidGiftCard(giftCardId) {
+    const { data: card, error: readError } = await supabase
+      .from("gift_cards")
+      .select("*")
+      .eq("id", giftCardId)
+      .maybeSingle();
+    if (readError) throw readError;
+    if (!card || card.status === "disabled") return null;
+
+    const { data, error } = await supabase
+      .from("gift_cards")
+      .update({ status: "disabled", balance_cents: 0, updated_at: new Date().toISOString() })
+      .eq("id", giftCardId)
+      .neq("status", "disabled")
+      .select("id")
+      .maybeSingle();
+    if (error) throw error;
+    return data ? card : null;
+  }
+
+  return { quote, hold, attachSession, settle, release, createGiftCard, activateGiftCard, reissueGiftCardCode, markGiftCardSent, voidGiftCard };
+}
@@ -0,0 +1,193 @@
+// ─── Email outbox ─────────────────────────────────────────────────────────────
+// Outgoing email is queued in `email_outbox` — template, language, recipient,
+// data and the book it is about — and sent by this worker through
+// deliver(row), which returns the provider's message id. A send that fails is
+// tried again after retryDelayMs, doubling each time, until maxAttempts.
+// Rows are claimed by setting locked_until, as in lib/fulfillment.js, and the
+// row id doubles as the provider's idempotency key, so a worker that dies
+// between sending and recording does not send twice.
+//
+//   queued → sent → bounced (reported later by the provider)
+//   queued → failed (after maxAttempts)      failed → queued (admin retry)
+
+export const EMAIL_STATUSES = ["queued", "sent", "failed", "bounced"];
+
+export function createEmailOutbox({
+  supabase,
+  deliver,
+  pollIntervalMs = 15 * 1000,
+  lockMs         = 5 * 60 * 1000,
+  maxAttempts    = 6,
+  retryDelayMs   = 60 * 1000
+}) {
+  let timer   = null;
+  let polling = false;
+
+  async function updateEmail(id, patch) {
+    const { data, error } = await supabase
+      .from("email_outbox")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // Queues one email and returns its row. Sending starts on the next poll,
+  // which is kicked off straight away.
+  async function enqueue(template, data, { to, lang = "en", from = null, replyTo = null, bookId = null }) {
+    const { data: row, error } = await supabase
+      .from("email_outbox")
+      .insert({
+        template,
+        lang,
+        to_email:   Array.isArray(to) ? to.join(", ") : to,
+        from_email: from,
+        reply_to:   replyTo,
+        book_id:    bookId,
+        data
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    setImmediate(poll);
+    return row;
+  }
+
+  async function findDue(limit = 10) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("email_outbox")
+      .select("*")
+      .eq("status", "queued")
+      .lte("run_after", now)
+      .or(`locked_until.is.null,locked_until.lt."${now}"`)
+      .order("created_at", { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function claim(row) {
+    const { data, error } = await supabase
+      .from("email_outbox")
+      .update({ locked_until: new Date(Date.now() + lockMs).toISOString(), updated_at: new Date().toISOString() })
+      .eq("id", row.id)
+      .eq("status", "queued")
+      .eq("updated_at", row.updated_at)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function send(row) {
+    const attempts = (row.attempts || 0) + 1;
+    try {
+      const messageId = await deliver(row);
+      await updateEmail(row.id, {
+        status:              "sent",
+        attempts,
+        provider_message_id: messageId || null,
+        sent_at:             new Date().toISOString(),
+        last_error:          null,
+        locked_until:        null
+      });
+      console.log(`outbox: ${row.template} sent to ${row.to_email}${row.book_id ? ` [${row.book_id}]` : ""}`);
+    } catch (err) {
+      const failed = attempts >= maxAttempts;
+      console.error(`outbox: ${row.template} to ${row.to_email} attempt ${attempts} failed — ${err.message}`);
+      await updateEmail(row.id, {
+        status:       failed ? "failed" : "queued",
+        attempts,
+        last_error:   String(err?.message || err).slice(0, 2000),
+        locked_until: null,
+        run_after:    new Date(Date.now() + retryDelayMs * 2 ** (attempts - 1)).toISOString()
+      }).catch(e => console.error(`outbox: could not record failure of ${row.id}:`, e.message));
+    }
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      for (const candidate of await findDue()) {
+        const row = await claim(candidate);
+        if (row) await send(row);
+      }
+    } catch (err) {
+      console.error("outbox: poll failed:", err.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  // The provider reported that a sent email bounced
+  async function markBounced(providerMessageId, reason = "") {
+    const { data, error } = await supabase
+      .from("email_outbox")
+      .update({
+        status:     "bounced",
+        bounced_at: new Date().toISOString(),
+        last_error: String(reason).slice(0, 2000) || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq("provider_message_id", providerMessageId)
+      .eq("status", "sent")
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // A failed email goes back in the queue, with its attempts reset
+  async function retry(id) {
+    const { data, error } = await supabase
+      .from("email_outbox")
+      .update({ status: "queued", attempts: 0, run_after: new Date().toISOString(), locked_until: null, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .eq("status", "failed")
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (data) setImmediate(poll);
+    return data;
+  }
+
+  async function listForBook(bookId) {
+    const { data, error } = await supabase
+      .from("email_outbox")
+      .select("id, template, lang, to_email, status, attempts, last_error, sent_at, bounced_at, created_at, updated_at")
+      .eq("book_id", bookId)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Emails of one template queued for a book since `since` — for rate limits
+  async function countRecent(bookId, template, since) {
+    const { count, error } = await supabase
+      .from("email_outbox")
+      .select("id", { count: "exact", head: true })
+      .eq("book_id", bookId)
+      .eq("template", template)
+      .gte("created_at", since.toISOString());
+    if (error) throw error;
+    return count || 0;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(poll, pollIntervalMs);
+    poll();
+    console.log("outbox: worker started");
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, poll, start, stop, markBounced, retry, listForBook, countRecent };
+}
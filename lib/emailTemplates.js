@@ -0,0 +1,562 @@
+// ─── Email templates ──────────────────────────────────────────────────────────
+// Every transactional email, by name. A template turns its data into a subject
+// and the inner HTML of the message, in English and — for customer emails —
+// Hebrew; the shared layout adds the header, footer and text direction, and
+// the plain-text part is made from the finished HTML.
+//
+//   renderEmail("bookReady", data, { lang: "he", appUrl }) → { subject, html, text }
+//
+// Data values are plain text: renderEmail escapes them before a template sees
+// them. Each template carries `sample` data for the admin preview.
+
+export const EMAIL_LANGUAGES = ["en", "he"];
+
+// Books in other languages get English email
+export function emailLanguage(storyLanguage) {
+  const code = String(storyLanguage || "").trim().toLowerCase();
+  return EMAIL_LANGUAGES.includes(code) ? code : "en";
+}
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'", "&nbsp;": " " };
+
+function escapeHtml(text = "") {
+  return String(text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity]);
+}
+
+function escapeData(value) {
+  if (typeof value === "string") return escapeHtml(value);
+  if (Array.isArray(value)) return value.map(escapeData);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, escapeData(v)]));
+  return value;
+}
+
+// The plain-text alternative: links keep their address, blocks become lines
+export function htmlToText(html) {
+  const text = String(html)
+    .replace(/<(head|style|title)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const words = label.replace(/<[^>]+>/g, "").trim();
+      return words && words !== href ? `${words}: ${href}` : href;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<hr[^>]*>/gi, "\n\n")
+    .replace(/<\/(p|div|h[1-6]|tr|table|li)>/gi, "\n\n")
+    .replace(/<\/td>/gi, "  ")
+    .replace(/<[^>]+>/g, "");
+  return decodeEntities(text)
+    .split("\n")
+    .map(line => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ─── Layout partials ──────────────────────────────────────────────────────────
+const CHROME = {
+  en: {
+    tagline:   "AI Children's Storybooks",
+    questions: "Questions? Just reply to this email and we'll help right away.",
+    thanks:    "Thank you for creating with Lifebook 💛",
+    contact:   "Contact Us",
+    copyLink:  "Or copy this link:"
+  },
+  he: {
+    tagline:   "ספרי ילדים אישיים",
+    questions: "יש שאלות? פשוט השיבו למייל הזה ונעזור מיד.",
+    thanks:    "תודה שיצרתם עם Lifebook 💛",
+    contact:   "צרו קשר",
+    copyLink:  "או העתיקו את הקישור:"
+  }
+};
+
+function layout({ lang, appUrl, icon = "", content }) {
+  const chrome = CHROME[lang] || CHROME.en;
+  const dir    = lang === "he" ? "rtl" : "ltr";
+  const align  = dir === "rtl" ? "right" : "left";
+  return `
+<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}">
+<head><meta charset="UTF-8"/></head>
+<body style="margin:0;padding:0;background:#fdf6ec;font-family:Georgia,serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background:#fdf6ec;padding:40px 0;">
+    <tr><td align="center">
+      <table width="560" cellpadding="0" cellspacing="0" dir="${dir}" style="background:#ffffff;border-radius:24px;overflow:hidden;box-shadow:0 8px 40px rgba(100,60,20,0.12);border:1px solid #ede0c8;">
+
+        <!-- Header -->
+        <tr>
+          <td style="background:linear-gradient(135deg,#1a1008,#5c3d1e);padding:36px;text-align:center;">
+            ${icon ? `<div style="font-size:36px;margin-bottom:10px;">${icon}</div>` : ""}
+            <div style="font-family:Georgia,serif;font-size:28px;color:#f5d98a;letter-spacing:0.5px;">lifebook</div>
+            <div style="font-size:11px;color:#c4a87a;margin-top:5px;letter-spacing:2px;text-transform:uppercase;">${chrome.tagline}</div>
+          </td>
+        </tr>
+
+        <!-- Body -->
+        <tr>
+          <td style="padding:36px 40px;text-align:${align};">
+${content}
+          </td>
+        </tr>
+
+        <!-- Footer -->
+        <tr>
+          <td style="background:#fdf6ec;border-top:1px solid #ede0c8;padding:16px 40px;text-align:center;">
+            <p style="font-size:11px;color:#c4a87a;margin:0;">
+              © 2026 Lifebook · <a href="${appUrl}/contact.html" style="color:#c8922a;text-decoration:none;">${chrome.contact}</a>
+            </p>
+          </td>
+        </tr>
+
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>
+  `.trim();
+}
+
+const heading = (text) =>
+  `<p style="font-family:Georgia,serif;font-size:26px;color:#3a2810;margin:0 0 12px;line-height:1.2;">${text}</p>`;
+
+const paragraph = (html) =>
+  `<p style="font-size:15px;color:#7a6048;line-height:1.7;margin:0 0 24px;">${html}</p>`;
+
+const link = (label, url) =>
+  `<a href="${url}" style="color:#c8922a;font-weight:700;">${label}</a>`;
+
+const button = (label, url) => `
+<table cellpadding="0" cellspacing="0" style="margin:0 0 24px;"><tr><td style="background:linear-gradient(135deg,#e8b84b,#c8922a);border-radius:50px;">
+  <a href="${url}" style="display:inline-block;padding:14px 32px;color:#ffffff;font-size:15px;font-weight:700;text-decoration:none;font-family:Arial,sans-serif;">${label}</a>
+</td></tr></table>`;
+
+const copyLink = (lang, url) => `
+<p style="font-size:13px;color:#b09070;line-height:1.6;margin:0 0 8px;">${(CHROME[lang] || CHROME.en).copyLink}</p>
+<p style="font-size:12px;color:#c8922a;word-break:break-all;margin:0 0 24px;background:#fdf6ec;padding:10px 14px;border-radius:10px;border:1px solid #ede0c8;">${url}</p>`;
+
+const image = (src, alt) =>
+  `<img src="${src}" alt="${alt}" width="480" style="display:block;width:100%;max-width:480px;border-radius:16px;margin:0 0 24px;border:1px solid #ede0c8;" />`;
+
+// The book's title, a line under it, and small labelled facts side by side
+function bookBox({ title, subtitle = "", facts = [] }) {
+  const cells = facts.map(([label, value]) => `
+        <td style="padding:0 28px 0 0;">
+          <span style="font-size:10px;color:#c8922a;font-weight:700;letter-spacing:0.8px;text-transform:uppercase;">${label}</span><br/>
+          <span style="font-size:14px;color:#3a2810;">${value}</span>
+        </td>`).join("");
+  return `
+<table cellpadding="0" cellspacing="0" width="100%" style="background:#fdf6ec;border-radius:14px;border:1px solid #ede0c8;margin-bottom:24px;">
+  <tr><td style="padding:18px 22px;">
+    <p style="font-family:Georgia,serif;font-size:17px;color:#5c3d1e;margin:0 0 6px;">“${title}”</p>
+    ${subtitle ? `<p style="font-size:13px;color:#8a6240;margin:0 0 14px;">${subtitle}</p>` : ""}
+    ${cells ? `<table cellpadding="0" cellspacing="0"><tr>${cells}</tr></table>` : ""}
+  </td></tr>
+</table>`;
+}
+
+// Label / value rows, for messages to the team
+function factRows(rows) {
+  return `
+<table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:16px;">
+  ${rows.map(([label, value], i) => `<tr>
+    <td style="padding:8px 12px;background:${i % 2 ? "#f5e9d4" : "#fdf6ec"};font-weight:700;color:#c8922a;font-size:12px;text-transform:uppercase;letter-spacing:0.5px;width:100px;">${label}</td>
+    <td style="padding:8px 12px;color:#3a2810;font-size:14px;">${value}</td>
+  </tr>`).join("")}
+</table>`;
+}
+
+const quoteBlock = (label, text) => `
+<div style="background:#fdf6ec;border-radius:14px;padding:18px;border:1px solid #ede0c8;margin-bottom:24px;">
+  ${label ? `<p style="color:#c8922a;font-size:11px;font-weight:700;text-transform:uppercase;letter-spacing:0.8px;margin:0 0 8px;">${label}</p>` : ""}
+  <p style="color:#3a2810;line-height:1.7;font-size:14px;margin:0;white-space:pre-wrap;">${text}</p>
+</div>`;
+
+const codeBlock = (code) =>
+  `<p style="font-family:Georgia,serif;font-size:24px;letter-spacing:2px;color:#5c3d1e;background:#fdf6ec;border:1px dashed #c8922a;border-radius:14px;padding:16px;text-align:center;margin:0 0 24px;" dir="ltr">${code}</p>`;
+
+function signoff(lang, { thanks = false } = {}) {
+  const chrome = CHROME[lang] || CHROME.en;
+  return `
+<hr style="border:none;border-top:1px solid #f0e4d0;margin:24px 0 18px;" />
+<p style="font-size:12px;color:#b09070;line-height:1.6;margin:0;">${chrome.questions}${thanks ? `<br/>${chrome.thanks}` : ""}</p>`;
+}
+
+// For emails a customer did not ask for
+function unsubscribeLine(lang, url) {
+  if (!url) return "";
+  const label = lang === "he" ? "לא לקבל עוד תזכורות" : "Stop these reminders";
+  return `<p style="font-size:11px;color:#c4a87a;margin:12px 0 0;">${link(label, url)}</p>`;
+}
+
+// Tracking number, linked when the carrier gave a URL
+function trackingLine(lang, { trackingNumber, trackingUrl, carrier }) {
+  if (!trackingNumber) return "";
+  const number = trackingUrl ? link(trackingNumber, trackingUrl) : trackingNumber;
+  const label  = lang === "he" ? "מספר מעקב" : "Tracking number";
+  return paragraph(`${label}${carrier ? ` (${carrier})` : ""}: <span dir="ltr">${number}</span>`);
+}
+
+// ─── Templates ────────────────────────────────────────────────────────────────
+const SAMPLE_BOOK = {
+  childName:    "Maya",
+  bookTitle:    "Maya and the Moon Garden",
+  bookSubtitle: "A bedtime adventure among the stars",
+  pageCount:    16
+};
+
+const SAMPLE_URL = "https://lifebooks.online/delivery.html?bookId=sample";
+
+const SAMPLE_TRACKING = { orderUrl: "https://lifebooks.online/order.html?bookId=sample", trackingNumber: "1Z999AA10123456784", trackingUrl: "https://www.ups.com/track?tracknum=1Z999AA10123456784", carrier: "UPS" };
+
+// Payment status and shipping emails share one short shape
+function notice(lang, d, { heading: title, body, button: label, url, details = "" }) {
+  return {
+    content: [
+      heading(title),
+      paragraph(body),
+      d.bookTitle ? bookBox({ title: d.bookTitle }) : "",
+      details,
+      url && label ? button(label, url) : "",
+      signoff(lang)
+    ].join("\n")
+  };
+}
+
+const TEMPLATES = {
+  paymentConfirmed: {
+    description: "Sent when a book is paid for",
+    sample:      { ...SAMPLE_BOOK, orderUrl: SAMPLE_URL },
+    en: (d) => ({
+      subject: `✅ Payment confirmed — ${d.childName}'s book is being created!`,
+      content: [
+        heading("Payment confirmed! ✅"),
+        paragraph(`We received your payment and <strong>${d.childName}'s</strong> personalized storybook is now being created. Our AI is writing the story and illustrating every page — this usually takes <strong>5–10 minutes</strong>.`),
+        bookBox({ title: d.bookTitle, subtitle: `A personalized story for ${d.childName}`, facts: [["Status", "Creating illustrations..."], ["Est. time", "5–10 minutes"]] }),
+        paragraph("You'll receive a second email as soon as your book is ready to read and download. No need to keep this page open — we'll come to you! 📬"),
+        d.orderUrl ? paragraph(`Your printed copy goes to print once every page is illustrated, and we'll email you when it ships. ${link("Track your order →", d.orderUrl)}`) : "",
+        signoff("en", { thanks: true })
+      ].join("\n")
+    }),
+    he: (d) => ({
+      subject: `✅ התשלום התקבל — הספר של ${d.childName} בהכנה!`,
+      content: [
+        heading("התשלום התקבל! ✅"),
+        paragraph(`קיבלנו את התשלום, והספר האישי של <strong>${d.childName}</strong> נוצר עכשיו. אנחנו כותבים את הסיפור ומאיירים כל עמוד — זה לוקח בדרך כלל <strong>5–10 דקות</strong>.`),
+        bookBox({ title: d.bookTitle, subtitle: `סיפור אישי עבור ${d.childName}`, facts: [["סטטוס", "יוצרים איורים..."], ["זמן משוער", "5–10 דקות"]] }),
+        paragraph("ברגע שהספר יהיה מוכן לקריאה ולהורדה נשלח לכם מייל נוסף. אין צורך להשאיר את הדף פתוח — אנחנו נגיע אליכם! 📬"),
+        d.orderUrl ? paragraph(`העותק המודפס יישלח לדפוס ברגע שכל העמודים יאוירו, ונעדכן אתכם במייל כשהוא יוצא לדרך. ${link("למעקב אחר ההזמנה ←", d.orderUrl)}`) : "",
+        signoff("he", { thanks: true })
+      ].join("\n")
+    })
+  },
+
+  bookReady: {
+    description: "Sent when the last page of a paid book is illustrated",
+    icon:        "📖",
+    sample:      { ...SAMPLE_BOOK, readUrl: SAMPLE_URL, coverUrl: null, downloads: true },
+    en: (d) => ({
+      subject: `✨ ${d.childName}'s book is ready! "${d.bookTitle}"`,
+      content: [
+        heading(`🎉 ${d.childName}'s book is ready!`),
+        paragraph("Your personalized storybook has been beautifully crafted and is waiting for you."),
+        d.coverUrl ? image(d.coverUrl, d.bookTitle) : "",
+        bookBox({ title: d.bookTitle, subtitle: `<em>${d.bookSubtitle}</em>`, facts: [["Pages", `${d.pageCount} illustrated pages`], ["Hero", d.childName]] }),
+        button(d.downloads ? "Read &amp; Download My Book →" : "Read My Book →", d.readUrl),
+        copyLink("en", d.readUrl),
+        signoff("en", { thanks: true })
+      ].join("\n")
+    }),
+    he: (d) => ({
+      subject: `✨ הספר של ${d.childName} מוכן! "${d.bookTitle}"`,
+      content: [
+        heading(`🎉 הספר של ${d.childName} מוכן!`),
+        paragraph("הספר האישי שלכם נוצר באהבה ומחכה לכם."),
+        d.coverUrl ? image(d.coverUrl, d.bookTitle) : "",
+        bookBox({ title: d.bookTitle, subtitle: `<em>${d.bookSubtitle}</em>`, facts: [["עמודים", `${d.pageCount} עמודים מאוירים`], ["הגיבור", d.childName]] }),
+        button(d.downloads ? "לקריאה ולהורדה ←" : "לקריאת הספר ←", d.readUrl),
+        copyLink("he", d.readUrl),
+        signoff("he", { thanks: true })
+      ].join("\n")
+    })
+  },
+
+  paymentFailed: {
+    description: "Sent when a payment attempt is declined",
+    sample:      { ...SAMPLE_BOOK, checkoutUrl: SAMPLE_URL },
+    en: (d) => ({
+      subject: `Your payment for ${d.childName}'s book didn't go through`,
+      ...notice("en", d, {
+        heading: "Your payment didn't go through",
+        body:    `Your card was not charged, and <strong>${d.childName}'s</strong> storybook is saved just as you left it. You can try again with the same or another card whenever you're ready.`,
+        button:  "Try again",
+        url:     d.checkoutUrl
+      })
+    }),
+    he: (d) => ({
+      subject: `התשלום על הספר של ${d.childName} לא עבר`,
+      ...notice("he", d, {
+        heading: "התשלום לא עבר",
+        body:    `לא חויבתם, והספר של <strong>${d.childName}</strong> שמור בדיוק כפי שהשארתם אותו. אפשר לנסות שוב עם אותו כרטיס או עם כרטיס אחר מתי שתרצו.`,
+        button:  "לנסות שוב",
+        url:     d.checkoutUrl
+      })
+    })
+  },
+
+  checkoutExpired: {
+    description: "Sent when a Stripe checkout times out unpaid",
+    sample:      { ...SAMPLE_BOOK, checkoutUrl: SAMPLE_URL },
+    en: (d) => ({
+      subject: `${d.childName}'s book is still waiting for you`,
+      ...notice("en", d, {
+        heading: "Your checkout timed out",
+        body:    `No payment was taken. <strong>${d.childName}'s</strong> storybook is saved, and you can pick up right where you left off.`,
+        button:  "Finish my order",
+        url:     d.checkoutUrl
+      })
+    }),
+    he: (d) => ({
+      subject: `הספר של ${d.childName} עדיין מחכה לכם`,
+      ...notice("he", d, {
+        heading: "זמן התשלום הסתיים",
+        body:    `לא נגבה תשלום. הספר של <strong>${d.childName}</strong> שמור, ואפשר להמשיך בדיוק מהמקום שבו עצרתם.`,
+        button:  "להשלמת ההזמנה",
+        url:     d.checkoutUrl
+      })
+    })
+  },
+
+  previewReminder: {
+    description: "Sent when a previewed book is left unpaid (see lib/previewReminders.js)",
+    icon:        "📖",
+    sample:      { ...SAMPLE_BOOK, coverUrl: null, checkoutUrl: SAMPLE_URL, unsubscribeUrl: "https://lifebooks.online/unsubscribe.html?bookId=sample", reminder: 1 },
+    en: (d) => ({
+      subject: d.reminder > 1 ? `Last chance to finish ${d.childName}'s book` : `${d.childName}'s storybook is waiting for you`,
+      content: [
+        heading(`${d.childName}'s story is ready to finish ✨`),
+        paragraph(`You started a one-of-a-kind storybook starring <strong>${d.childName}</strong>. Everything is saved just as you left it — the cover, the story and the first pages you previewed.`),
+        d.coverUrl ? image(d.coverUrl, d.bookTitle) : "",
+        bookBox({ title: d.bookTitle, subtitle: `A personalized story for ${d.childName}` }),
+        button("Finish my book →", d.checkoutUrl),
+        signoff("en"),
+        unsubscribeLine("en", d.unsubscribeUrl)
+      ].join("\n")
+    }),
+    he: (d) => ({
+      subject: d.reminder > 1 ? `הזדמנות אחרונה להשלים את הספר של ${d.childName}` : `הספר של ${d.childName} מחכה לכם`,
+      content: [
+        heading(`הסיפור של ${d.childName} מחכה להשלמה ✨`),
+        paragraph(`התחלתם ליצור ספר מיוחד שבו <strong>${d.childName}</strong> הוא הגיבור. הכול שמור בדיוק כפי שהשארתם — הכריכה, הסיפור והעמודים הראשונים שראיתם.`),
+        d.coverUrl ? image(d.coverUrl, d.bookTitle) : "",
+        bookBox({ title: d.bookTitle, subtitle: `סיפור אישי עבור ${d.childName}` }),
+        button("להשלמת הספר ←", d.checkoutUrl),
+        signoff("he"),
+        unsubscribeLine("he", d.unsubscribeUrl)
+      ].join("\n")
+    })
+  },
+
+  paymentRefunded: {
+    description: "Sent when a payment is refunded in full",
+    sample:      { ...SAMPLE_BOOK },
+    en: (d) => ({
+      subject: `Your refund for ${d.childName}'s book`,
+      ...notice("en", d, {
+        heading: "Your refund is on its way",
+        body:    `We've refunded your payment for <strong>${d.childName}'s</strong> storybook. It usually reaches your account within 5–10 business days. The book's reader and downloads are no longer available.`
+      })
+    }),
+    he: (d) => ({
+      subject: `ההחזר על הספר של ${d.childName}`,
+      ...notice("he", d, {
+        heading: "ההחזר בדרך אליכם",
+        body:    `החזרנו את התשלום על הספר של <strong>${d.childName}</strong>. בדרך כלל הוא מגיע לחשבון תוך 5–10 ימי עסקים. הקורא וההורדות של הספר כבר אינם זמינים.`
+      })
+    })
+  },
+
+  printSubmitted: {
+    description: "Sent when a printed order goes to the printer",
+    sample:      { ...SAMPLE_BOOK, ...SAMPLE_TRACKING, trackingNumber: null },
+    en: (d) => ({
+      subject: `${d.childName}'s book has gone to print`,
+      ...notice("en", d, {
+        heading: "Your book is at the printer 🖨️",
+        body:    `Every page of <strong>${d.childName}'s</strong> storybook is illustrated, and the printed copy is now being made. We'll email you again as soon as it ships.`,
+        button:  "Track my order",
+        url:     d.orderUrl
+      })
+    }),
+    he: (d) => ({
+      subject: `הספר של ${d.childName} נשלח לדפוס`,
+      ...notice("he", d, {
+        heading: "הספר שלכם בבית הדפוס 🖨️",
+        body:    `כל העמודים בספר של <strong>${d.childName}</strong> מאוירים, והעותק המודפס נמצא עכשיו בהכנה. נשלח לכם מייל נוסף ברגע שהוא יוצא לדרך.`,
+        button:  "למעקב אחר ההזמנה",
+        url:     d.orderUrl
+      })
+    })
+  },
+
+  printShipped: {
+    description: "Sent when a printed order ships",
+    sample:      { ...SAMPLE_BOOK, ...SAMPLE_TRACKING },
+    en: (d) => ({
+      subject: `${d.childName}'s book is on its way! 📦`,
+      ...notice("en", d, {
+        heading: "Your book has shipped 📦",
+        body:    `<strong>${d.childName}'s</strong> printed storybook has left the printer and is on its way to you.`,
+        details: trackingLine("en", d),
+        button:  "Track my order",
+        url:     d.orderUrl
+      })
+    }),
+    he: (d) => ({
+      subject: `הספר של ${d.childName} בדרך אליכם! 📦`,
+      ...notice("he", d, {
+        heading: "הספר שלכם נשלח 📦",
+        body:    `הספר המודפס של <strong>${d.childName}</strong> יצא מבית הדפוס ונמצא בדרך אליכם.`,
+        details: trackingLine("he", d),
+        button:  "למעקב אחר ההזמנה",
+        url:     d.orderUrl
+      })
+    })
+  },
+
+  printDelivered: {
+    description: "Sent when the carrier reports a printed order delivered",
+    sample:      { ...SAMPLE_BOOK, ...SAMPLE_TRACKING },
+    en: (d) => ({
+      subject: `${d.childName}'s book has arrived`,
+      ...notice("en", d, {
+        heading: "Your book has been delivered 🎉",
+        body:    `The carrier reports that <strong>${d.childName}'s</strong> printed storybook has been delivered. We hope it becomes a bedtime favourite!`,
+        details: trackingLine("en", d),
+        button:  "Track my order",
+        url:     d.orderUrl
+      })
+    }),
+    he: (d) => ({
+      subject: `הספר של ${d.childName} הגיע`,
+      ...notice("he", d, {
+        heading: "הספר שלכם נמסר 🎉",
+        body:    `חברת השילוח מדווחת שהספר המודפס של <strong>${d.childName}</strong> נמסר. מקווים שהוא יהפוך לסיפור האהוב לפני השינה!`,
+        details: trackingLine("he", d),
+        button:  "למעקב אחר ההזמנה",
+        url:     d.orderUrl
+      })
+    })
+  },
+
+  giftCard: {
+    description: "The gift card code, to the recipient or the buyer",
+    sample:      { amount: "$49", code: "ABCD-EFGH-JKLM-NPQR", from: "grandma@example.com", recipientName: "Noa", message: "Happy birthday! Make a story about your next adventure.", createUrl: "https://lifebooks.online/wizard.html" },
+    en: (d) => ({
+      subject: d.from ? `🎁 A ${d.amount} Lifebook gift card for you` : `🎁 Your ${d.amount} Lifebook gift card`,
+      ...notice("en", {}, {
+        heading: d.recipientName ? `A gift for ${d.recipientName} 🎁` : "Your Lifebook gift card 🎁",
+        body:    `${d.from ? `${d.from} sent you` : "Here is"} a <strong>${d.amount}</strong> gift card for a personalized storybook. Create a book, and enter this code at checkout:`,
+        details: codeBlock(d.code) + (d.message ? quoteBlock("", `“${d.message}”`) : ""),
+        button:  "Create a storybook",
+        url:     d.createUrl
+      })
+    }),
+    he: (d) => ({
+      subject: d.from ? `🎁 כרטיס מתנה של Lifebook בסך ${d.amount} בשבילכם` : `🎁 כרטיס המתנה שלכם מ-Lifebook בסך ${d.amount}`,
+      ...notice("he", {}, {
+        heading: d.recipientName ? `מתנה בשביל ${d.recipientName} 🎁` : "כרטיס המתנה שלכם מ-Lifebook 🎁",
+        body:    `${d.from ? `${d.from} שלח/ה לכם` : "הנה"} כרטיס מתנה בסך <strong>${d.amount}</strong> לספר סיפור אישי. צרו ספר והזינו את הקוד הזה בתשלום:`,
+        details: codeBlock(d.code) + (d.message ? quoteBlock("", `“${d.message}”`) : ""),
+        button:  "ליצירת ספר",
+        url:     d.createUrl
+      })
+    })
+  },
+
+  giftCardReceipt: {
+    description: "To a buyer whose gift card was emailed to someone else",
+    sample:      { amount: "$49", last4: "NPQR", to: "noa@example.com" },
+    en: (d) => ({
+      subject: `Your ${d.amount} Lifebook gift card is on its way`,
+      ...notice("en", {}, {
+        heading: "Your gift is on its way 🎁",
+        body:    `We've emailed your <strong>${d.amount}</strong> gift card (ending ${d.last4}) to ${d.to}. Thank you!`
+      })
+    }),
+    he: (d) => ({
+      subject: `כרטיס המתנה בסך ${d.amount} בדרך`,
+      ...notice("he", {}, {
+        heading: "המתנה שלכם בדרך 🎁",
+        body:    `שלחנו את כרטיס המתנה בסך <strong>${d.amount}</strong> (מסתיים ב-${d.last4}) אל ${d.to}. תודה!`
+      })
+    })
+  },
+
+  contactNotification: {
+    description: "A contact form message, to the team",
+    icon:        "📖",
+    sample:      { name: "Dana", email: "dana@example.com", topic: "PDF download problem", message: "The download stops halfway.\nCould you help?" },
+    en: (d) => ({
+      subject: `[Contact] ${d.topic} — from ${d.name}`,
+      content: [
+        heading("New contact message"),
+        factRows([["Name", d.name], ["Email", link(d.email, `mailto:${d.email}`)], ["Topic", d.topic]]),
+        quoteBlock("Message", d.message)
+      ].join("\n")
+    })
+  },
+
+  contactReply: {
+    description: "The automatic reply to a contact form message",
+    icon:        "📖",
+    sample:      { name: "Dana", message: "The download stops halfway.\nCould you help?" },
+    en: (d) => ({
+      subject: "We got your message! 📖",
+      content: [
+        heading(`Thanks, ${d.name}! 🎉`),
+        paragraph("We've received your message and will get back to you within <strong>24 hours</strong>."),
+        quoteBlock("Your message", d.message),
+        signoff("en", { thanks: true })
+      ].join("\n")
+    }),
+    he: (d) => ({
+      subject: "קיבלנו את ההודעה שלכם! 📖",
+      content: [
+        heading(`תודה, ${d.name}! 🎉`),
+        paragraph("קיבלנו את ההודעה ונחזור אליכם תוך <strong>24 שעות</strong>."),
+        quoteBlock("ההודעה שלכם", d.message),
+        signoff("he", { thanks: true })
+      ].join("\n")
+    })
+  }
+};
+
+export const EMAIL_TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+// [{ name, description, languages }] — for the admin preview list
+export function listEmailTemplates() {
+  return EMAIL_TEMPLATE_NAMES.map(name => ({
+    name,
+    description: TEMPLATES[name].description,
+    languages:   EMAIL_LANGUAGES.filter(lang => TEMPLATES[name][lang])
+  }));
+}
+
+export function sampleEmailData(name) {
+  return TEMPLATES[name]?.sample || null;
+}
+
+// { subject, html, text }. A template without the language falls back to
+// English; an unknown name throws.
+export function renderEmail(name, data = {}, { lang = "en", appUrl = "https://lifebooks.online" } = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  const language = template[lang] ? lang : "en";
+
+  const { subject, content } = template[language](escapeData(data));
+  const html = layout({ lang: language, appUrl: escapeHtml(appUrl), icon: template.icon, content });
+  return { subject: decodeEntities(subject), html, text: htmlToText(html) };
+}
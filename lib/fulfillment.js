@@ -0,0 +1,192 @@
+// ─── Print fulfillment worker ─────────────────────────────────────────────────
+// Printed orders live in `print_orders`. The worker does two things each poll:
+//   • submits pending orders whose book is fully illustrated — the PDFs come
+//     from loadPrintFiles(order), which returns null while the book is not
+//     ready yet — and records the provider's order id;
+//   • asks the provider about every open order and records status and
+//     tracking changes, calling onStatusChange for each one.
+// A submission is claimed by setting locked_until, so two processes never
+// submit the same order; a lock left by a dead worker simply runs out.
+//
+//   pending → submitted → in_production → shipped → delivered
+//   pending → failed (after maxAttempts)     any open status → cancelled
+
+export const PRINT_ORDER_STATUSES = ["pending", "submitted", "in_production", "shipped", "delivered", "cancelled", "failed"];
+export const OPEN_PRINT_ORDER_STATUSES = ["submitted", "in_production", "shipped"];
+
+export function createFulfillmentWorker({
+  supabase,
+  provider,
+  loadPrintFiles,
+  onStatusChange = async () => {},
+  pollIntervalMs = 60 * 1000,
+  trackEveryMs   = 30 * 60 * 1000,
+  lockMs         = 10 * 60 * 1000,
+  maxAttempts    = 5,
+  retryDelayMs   = 10 * 60 * 1000
+}) {
+  let timer   = null;
+  let polling = false;
+
+  async function updateOrder(id, patch) {
+    const { data, error } = await supabase
+      .from("print_orders")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function findSubmittable(limit = 5) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("print_orders")
+      .select("*")
+      .eq("status", "pending")
+      .lte("run_after", now)
+      .or(`locked_until.is.null,locked_until.lt."${now}"`)
+      .order("created_at", { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function claim(order) {
+    const { data, error } = await supabase
+      .from("print_orders")
+      .update({ locked_until: new Date(Date.now() + lockMs).toISOString(), updated_at: new Date().toISOString() })
+      .eq("id", order.id)
+      .eq("status", "pending")
+      .eq("updated_at", order.updated_at)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function submit(order) {
+    try {
+      const files = await loadPrintFiles(order);
+      if (!files) {
+        // Book still being illustrated — look again next poll
+        await updateOrder(order.id, { locked_until: null });
+        return;
+      }
+
+      const { providerOrderId } = await provider.submit({ order, files });
+      const submitted = await updateOrder(order.id, {
+        status:            "submitted",
+        provider:          provider.name,
+        provider_order_id: providerOrderId,
+        submitted_at:      new Date().toISOString(),
+        last_error:        null,
+        locked_until:      null,
+        events:            [...(order.events || []), { at: new Date().toISOString(), status: "submitted", message: `Sent to ${provider.name}` }]
+      });
+      console.log(`fulfillment [${order.book_id}]: order ${order.id} submitted as ${providerOrderId}`);
+      await onStatusChange(submitted, order.status).catch(err => console.error(`fulfillment [${order.book_id}]: onStatusChange failed:`, err.message));
+    } catch (err) {
+      const attempts = (order.attempts || 0) + 1;
+      const failed   = attempts >= maxAttempts;
+      console.error(`fulfillment [${order.book_id}]: submit attempt ${attempts} failed — ${err.message}`);
+      const updated = await updateOrder(order.id, {
+        status:       failed ? "failed" : "pending",
+        attempts,
+        last_error:   String(err?.message || err).slice(0, 2000),
+        locked_until: null,
+        run_after:    new Date(Date.now() + retryDelayMs * 2 ** (attempts - 1)).toISOString()
+      }).catch(e => console.error(`fulfillment [${order.book_id}]: could not record failure:`, e.message));
+      if (failed && updated) await onStatusChange(updated, order.status).catch(() => {});
+    }
+  }
+
+  // Provider events are merged in by time + status, so re-reading the same
+  // status file does not repeat them
+  function mergeEvents(existing = [], incoming = []) {
+    const seen   = new Set(existing.map(e => `${e.at}|${e.status}`));
+    const merged = [...existing];
+    for (const event of incoming) {
+      if (!event?.status || seen.has(`${event.at}|${event.status}`)) continue;
+      seen.add(`${event.at}|${event.status}`);
+      merged.push({ at: event.at || new Date().toISOString(), status: event.status, message: event.message || "" });
+    }
+    return merged.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  }
+
+  async function track(order) {
+    try {
+      const update = await provider.getStatus(order.provider_order_id);
+      if (!update) return;
+
+      const changed = update.status !== order.status ||
+        (update.trackingNumber || null) !== (order.tracking_number || null);
+      const now   = new Date().toISOString();
+      const patch = {
+        tracking_checked_at: now,
+        events:              mergeEvents(order.events, update.events)
+      };
+      if (changed) {
+        patch.status          = update.status;
+        patch.carrier         = update.carrier;
+        patch.tracking_number = update.trackingNumber;
+        patch.tracking_url    = update.trackingUrl;
+        if (update.status === "shipped"   && !order.shipped_at)   patch.shipped_at   = now;
+        if (update.status === "delivered" && !order.delivered_at) patch.delivered_at = now;
+      }
+
+      const tracked = await updateOrder(order.id, patch);
+      if (changed) {
+        console.log(`fulfillment [${order.book_id}]: order ${order.id} ${order.status} → ${update.status}`);
+        await onStatusChange(tracked, order.status).catch(err => console.error(`fulfillment [${order.book_id}]: onStatusChange failed:`, err.message));
+      }
+    } catch (err) {
+      console.error(`fulfillment [${order.book_id}]: tracking failed — ${err.message}`);
+      await updateOrder(order.id, { tracking_checked_at: new Date().toISOString() }).catch(() => {});
+    }
+  }
+
+  async function findTrackable(limit = 20) {
+    const checkedBefore = new Date(Date.now() - trackEveryMs).toISOString();
+    const { data, error } = await supabase
+      .from("print_orders")
+      .select("*")
+      .in("status", OPEN_PRINT_ORDER_STATUSES)
+      .or(`tracking_checked_at.is.null,tracking_checked_at.lt."${checkedBefore}"`)
+      .order("tracking_checked_at", { ascending: true, nullsFirst: true })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      for (const candidate of await findSubmittable()) {
+        const order = await claim(candidate);
+        if (order) await submit(order);
+      }
+      for (const order of await findTrackable()) await track(order);
+    } catch (err) {
+      console.error("fulfillment: poll failed:", err.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(poll, pollIntervalMs);
+    poll();
+    console.log(`fulfillment: worker started (provider ${provider.name})`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { poll, start, stop };
+}
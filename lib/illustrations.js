@@ -0,0 +1,64 @@
+import { toFile } from "openai";
+
+// ─── Illustrations ────────────────────────────────────────────────────────────
+// Draws one image from a prompt. Given reference images — the child's photo
+// and the character sheet drawn from it — the model gets them as image inputs
+// (images.edit), so the child is drawn from how they actually look rather
+// than from the text description alone. With no usable references, or when
+// the reference call fails, it falls back to the text-only images.generate
+// call the pipeline has always made.
+//
+//   draw(prompt, { references: [{ body, contentType, label }] }) → { base64, referenced }
+//
+// { textFallback: false } returns { base64: null } instead of falling back —
+// for images that are only worth having when drawn from the references.
+
+// Image types the reference call accepts, with the file extension it expects
+const REFERENCE_TYPES = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp" };
+
+export async function normalizeImageToBase64(imageItem) {
+  if (!imageItem) return null;
+  if (imageItem?.b64_json) return imageItem.b64_json;
+  if (imageItem?.url) {
+    const r   = await fetch(imageItem.url);
+    const arr = await r.arrayBuffer();
+    return Buffer.from(arr).toString("base64");
+  }
+  return null;
+}
+
+export function createIllustrator({ openai, model = "gpt-image-1", size = "1024x1024", useReferences = true }) {
+  async function drawFromText(prompt) {
+    const resp = await openai.images.generate({ model, prompt, size });
+    return normalizeImageToBase64(resp?.data?.[0]);
+  }
+
+  async function drawFromReferences(prompt, references) {
+    const images = await Promise.all(references.map((ref, i) =>
+      toFile(ref.body, `reference-${i + 1}.${REFERENCE_TYPES[ref.contentType]}`, { type: ref.contentType })));
+    const listed = references.map((ref, i) => `${i + 1}. ${ref.label}`).join("\n");
+    const resp   = await openai.images.edit({
+      model,
+      size,
+      image:  images,
+      prompt: `Reference images, in order:\n${listed}\n\nThe child in this illustration must be the same child as in the references — same face, hair, skin tone and age — drawn in the illustration style below. Take only the child from the references, not their background, pose or framing.\n\n${prompt}`
+    });
+    return normalizeImageToBase64(resp?.data?.[0]);
+  }
+
+  async function draw(prompt, { references = [], textFallback = true } = {}) {
+    const usable = useReferences ? references.filter(ref => ref?.body?.length && REFERENCE_TYPES[ref.contentType]) : [];
+    if (usable.length) {
+      try {
+        const base64 = await drawFromReferences(prompt, usable);
+        if (base64) return { base64, referenced: true };
+      } catch (err) {
+        console.warn(`illustrations: drawing from reference images failed${textFallback ? ", using the text description" : ""} — ${err.message}`);
+      }
+    }
+    if (!textFallback) return { base64: null, referenced: false };
+    return { base64: await drawFromText(prompt), referenced: false };
+  }
+
+  return { draw, usesReferences: useReferences };
+}
@@ -0,0 +1,222 @@
+import crypto from "crypto";
+
+// ─── Generation job queue ─────────────────────────────────────────────────────
+// Jobs live in the `generation_jobs` table so a restart never loses track of a
+// book. Each job walks the pipeline steps in order and records the step it is
+// on; a job whose worker stopped heart-beating is picked up again by any
+// worker. A partial unique index on (book_id) for active jobs guarantees one
+// running job per book, even across processes.
+//
+// Steps listed in `onDemand` are left out of the pipeline: a job runs one only
+// when it was enqueued at that step, e.g. enqueue(bookId, { step: "narration" }).
+
+export const JOB_STEPS = ["character", "story", "cover", "pages", "narration"];
+
+const ACTIVE_STATUSES = ["queued", "running"];
+
+export function createJobQueue({
+  supabase,
+  steps,
+  onComplete     = async () => {},
+  onFailed       = async () => {},
+  onDemand       = [],
+  concurrency    = 2,
+  pollIntervalMs = 5000,
+  staleAfterMs   = 2 * 60 * 1000,
+  maxAttempts    = 3,
+  retryDelayMs   = 30 * 1000
+}) {
+  const workerId = `${process.pid}-${crypto.randomUUID().slice(0, 8)}`;
+  const running  = new Set(); // job ids being processed by this worker
+  let   timer    = null;
+  let   polling  = false;
+
+  async function getActiveJob(bookId) {
+    const { data, error } = await supabase
+      .from("generation_jobs")
+      .select("*")
+      .eq("book_id", bookId)
+      .in("status", ACTIVE_STATUSES)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function getLatestJob(bookId) {
+    const { data, error } = await supabase
+      .from("generation_jobs")
+      .select("*")
+      .eq("book_id", bookId)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // Returns { job, created } — an already active job for the book is reused
+  async function enqueue(bookId, { step = JOB_STEPS[0] } = {}) {
+    const existing = await getActiveJob(bookId);
+    if (existing) return { job: existing, created: false };
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("generation_jobs")
+      .insert({
+        book_id:    bookId,
+        status:     "queued",
+        step,
+        attempts:   0,
+        run_after:  now,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      // Lost the race against another request for the same book
+      if (error.code === "23505") {
+        const job = await getActiveJob(bookId);
+        if (job) return { job, created: false };
+      }
+      throw error;
+    }
+
+    setImmediate(poll);
+    return { job: data, created: true };
+  }
+
+  async function updateJob(id, patch) {
+    const { error } = await supabase
+      .from("generation_jobs")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  // Atomically move a job to "running" — fails if another worker got there first
+  async function claim(job) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("generation_jobs")
+      .update({
+        status:       "running",
+        locked_by:    workerId,
+        heartbeat_at: now,
+        started_at:   job.started_at || now,
+        updated_at:   now
+      })
+      .eq("id", job.id)
+      .eq("updated_at", job.updated_at)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function findClaimable(limit) {
+    const now        = new Date().toISOString();
+    const staleSince = new Date(Date.now() - staleAfterMs).toISOString();
+    const { data, error } = await supabase
+      .from("generation_jobs")
+      .select("*")
+      .or(`status.eq.queued,and(status.eq.running,heartbeat_at.lt.${staleSince})`)
+      .lte("run_after", now)
+      .order("created_at", { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  // The hooks may be sync or async, and may throw — neither stops the worker
+  function callHook(name, hook, job) {
+    return Promise.resolve()
+      .then(() => hook(job))
+      .catch(err => console.error(`jobs [${job.book_id}]: ${name} failed:`, err?.message || err));
+  }
+
+  async function runJob(job) {
+    const heartbeat = () => updateJob(job.id, { heartbeat_at: new Date().toISOString() })
+      .catch(err => console.warn(`jobs [${job.book_id}]: heartbeat failed:`, err.message));
+    const beat = setInterval(heartbeat, Math.max(5000, Math.floor(staleAfterMs / 4)));
+
+    try {
+      const startAt = Math.max(0, JOB_STEPS.indexOf(job.step));
+      for (const step of JOB_STEPS.slice(startAt)) {
+        if (!steps[step]) continue;
+        if (onDemand.includes(step) && step !== job.step) continue;
+        await updateJob(job.id, { step, heartbeat_at: new Date().toISOString() });
+        console.log(`jobs [${job.book_id}]: step ${step} (attempt ${job.attempts + 1})`);
+        await steps[step](job.book_id, { job, heartbeat });
+      }
+
+      await updateJob(job.id, {
+        status:       "completed",
+        last_error:   null,
+        locked_by:    null,
+        completed_at: new Date().toISOString()
+      });
+      console.log(`jobs [${job.book_id}]: completed`);
+      await callHook("onComplete", onComplete, job);
+    } catch (err) {
+      const attempts = (job.attempts || 0) + 1;
+      const failed   = attempts >= maxAttempts;
+      console.error(`jobs [${job.book_id}]: attempt ${attempts} failed — ${err.message}`);
+
+      await updateJob(job.id, {
+        status:     failed ? "failed" : "queued",
+        attempts,
+        last_error: String(err?.message || err).slice(0, 2000),
+        locked_by:  null,
+        run_after:  new Date(Date.now() + retryDelayMs * 2 ** (attempts - 1)).toISOString()
+      }).catch(e => console.error(`jobs [${job.book_id}]: could not record failure:`, e.message));
+
+      if (failed) await callHook("onFailed", onFailed, { ...job, attempts, last_error: err.message });
+    } finally {
+      clearInterval(beat);
+    }
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const free = concurrency - running.size;
+      if (free <= 0) return;
+
+      const candidates = await findClaimable(free);
+      for (const candidate of candidates) {
+        if (running.has(candidate.id)) continue;
+        const job = await claim(candidate);
+        if (!job) continue;
+
+        running.add(job.id);
+        runJob(job)
+          .catch(err => console.error(`jobs [${job.book_id}]: run failed:`, err?.message || err))
+          .finally(() => {
+            running.delete(job.id);
+            setImmediate(poll);
+          });
+      }
+    } catch (err) {
+      console.error("jobs: poll failed:", err.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(poll, pollIntervalMs);
+    poll();
+    console.log(`jobs: worker ${workerId} started`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, getActiveJob, getLatestJob, start, stop };
+}
@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import { toFile } from "openai";
+
+// ─── Read-aloud narration ─────────────────────────────────────────────────────
+// A TTS provider turns one page of text into audio plus word timings:
+//   synthesize(text, { language }) → { audio: Buffer, contentType, duration, timedWords: [{ word, start, end }] }
+// The timings are then lined up with the words of the page text itself, so the
+// reader can highlight exactly what is on the page. Pick a provider with
+// TTS_PROVIDER=openai|stub|none.
+
+const STUB_SECONDS_PER_WORD = 0.35;
+const STUB_SAMPLE_RATE      = 8000;
+
+export function narrationTextHash(text = "") {
+  return crypto.createHash("sha1").update(String(text)).digest("hex").slice(0, 12);
+}
+
+// Words of the page with their character offsets — what the reader wraps in spans
+export function tokenizeWords(text = "") {
+  return [...String(text).matchAll(/\S+/g)].map(m => ({
+    text:      m[0],
+    charStart: m.index,
+    charEnd:   m.index + m[0].length
+  }));
+}
+
+// Lower-case, no punctuation, no Hebrew vowel marks — "Max," and "max" match
+function normalizeWord(word = "") {
+  return String(word).toLowerCase().replace(/[\u0591-\u05C7]/g, "").replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// Pairs each page word with a transcribed word, looking a few words ahead so a
+// word the transcriber dropped or split does not derail the rest. Words left
+// without a match share the gap between their neighbours by length.
+export function alignWords(text, timedWords = [], duration = 0) {
+  const words     = tokenizeWords(text).map(w => ({ ...w, start: null, end: null }));
+  const LOOKAHEAD = 4;
+  let next = 0;
+
+  for (const word of words) {
+    const target = normalizeWord(word.text);
+    for (let k = next; k < Math.min(timedWords.length, next + LOOKAHEAD); k++) {
+      if (target && normalizeWord(timedWords[k].word) === target) {
+        word.start = timedWords[k].start;
+        word.end   = timedWords[k].end;
+        next = k + 1;
+        break;
+      }
+    }
+  }
+
+  for (let i = 0; i < words.length; i++) {
+    if (words[i].start !== null) continue;
+    let j = i;
+    while (j < words.length && words[j].start === null) j++;
+
+    const from  = i > 0 ? words[i - 1].end : 0;
+    const to    = j < words.length ? words[j].start : Math.max(duration, from);
+    const total = words.slice(i, j).reduce((sum, w) => sum + w.text.length, 0) || 1;
+    let cursor  = from;
+    for (let k = i; k < j; k++) {
+      const span = (to - from) * (words[k].text.length / total);
+      words[k].start = cursor;
+      words[k].end   = cursor + span;
+      cursor += span;
+    }
+    i = j - 1;
+  }
+
+  return words.map(w => ({
+    text:      w.text,
+    charStart: w.charStart,
+    charEnd:   w.charEnd,
+    start:     Math.round(w.start * 1000) / 1000,
+    end:       Math.round(w.end * 1000) / 1000
+  }));
+}
+
+// ── OpenAI: speech, then word timestamps from a transcription of that speech ──
+function createOpenAiTts({ openai, voice, model }) {
+  return {
+    name: "openai",
+    voice,
+
+    async synthesize(text, { language } = {}) {
+      const speech = await openai.audio.speech.create({ model, voice, input: text, response_format: "mp3" });
+      const audio  = Buffer.from(await speech.arrayBuffer());
+
+      const transcript = await openai.audio.transcriptions.create({
+        file:                    await toFile(audio, "page.mp3", { type: "audio/mpeg" }),
+        model:                   "whisper-1",
+        language,
+        response_format:         "verbose_json",
+        timestamp_granularities: ["word"]
+      });
+
+      return {
+        audio,
+        contentType: "audio/mpeg",
+        duration:    Number(transcript.duration) || 0,
+        timedWords:  transcript.words || []
+      };
+    }
+  };
+}
+
+// ── Stub: silent WAV with evenly paced words — for local runs and tests ──────
+function silentWav(seconds) {
+  const samples = Math.ceil(seconds * STUB_SAMPLE_RATE);
+  const wav = Buffer.alloc(44 + samples, 0x80); // 8-bit PCM silence is 0x80
+  wav.write("RIFF", 0);
+  wav.writeUInt32LE(36 + samples, 4);
+  wav.write("WAVEfmt ", 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);                 // PCM
+  wav.writeUInt16LE(1, 22);                 // mono
+  wav.writeUInt32LE(STUB_SAMPLE_RATE, 24);
+  wav.writeUInt32LE(STUB_SAMPLE_RATE, 28);  // byte rate
+  wav.writeUInt16LE(1, 32);                 // block align
+  wav.writeUInt16LE(8, 34);                 // bits per sample
+  wav.write("data", 36);
+  wav.writeUInt32LE(samples, 40);
+  return wav;
+}
+
+function createStubTts() {
+  return {
+    name:  "stub",
+    voice: "silent",
+
+    async synthesize(text) {
+      const words    = tokenizeWords(text);
+      const duration = words.length * STUB_SECONDS_PER_WORD + 0.5;
+      return {
+        audio:       silentWav(duration),
+        contentType: "audio/wav",
+        duration,
+        timedWords:  words.map((w, i) => ({
+          word:  w.text,
+          start: 0.25 + i * STUB_SECONDS_PER_WORD,
+          end:   0.25 + (i + 1) * STUB_SECONDS_PER_WORD
+        }))
+      };
+    }
+  };
+}
+
+export function createTtsProvider({ provider, openai, voice = "nova", model = "gpt-4o-mini-tts" }) {
+  if (provider === "openai") return createOpenAiTts({ openai, voice, model });
+  if (provider === "stub")   return createStubTts();
+  throw new Error(`Unknown TTS_PROVIDER: ${provider}`);
+}
+
+// Narrates one page: audio plus timings for every word of `text`
+export async function narratePage(tts, text, { language } = {}) {
+  const { audio, contentType, duration, timedWords } = await tts.synthesize(text, { language });
+  return { audio, contentType, duration, words: alignWords(text, timedWords, duration) };
+}
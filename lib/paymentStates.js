@@ -0,0 +1,27 @@
+// ─── Payment states ───────────────────────────────────────────────────────────
+//   pending → paid | failed | expired      paid → refunded
+// and a new checkout can still pay for a failed, expired or refunded book. Each
+// state stamps its own timestamp. server.js makes a transition a conditional
+// update on the current state, so when the webhook and the success page race
+// only one call moves the book — and only that call sends the customer email.
+
+export const PAYMENT_TRANSITIONS = {
+  paid:     { from: ["pending", "failed", "expired", "refunded"], unlocked: true,  stamp: "paidAt" },
+  refunded: { from: ["paid"],                                     unlocked: false, stamp: "refundedAt" },
+  failed:   { from: ["pending", "expired"],                       unlocked: false, stamp: "paymentFailedAt" },
+  expired:  { from: ["pending", "failed"],                        unlocked: false, stamp: "checkoutExpiredAt" }
+};
+
+export function canTransition(from, to) {
+  return Boolean(PAYMENT_TRANSITIONS[to]?.from.includes(from));
+}
+
+// Stripe keeps reporting a refunded Checkout session as paid. This is the
+// payment the book was refunded for coming back — its old success URL, or
+// the webhook resent — and it must not unlock the book again.
+export function isRefundedCheckout(book, session) {
+  if (book?.paymentStatus !== "refunded" || !session) return false;
+  if (session.id && session.id === book.stripeSessionId) return true;
+  const intentId = typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id;
+  return Boolean(intentId && intentId === book.stripePaymentIntentId);
+}
@@ -0,0 +1,138 @@
+import { createRequire } from "module";
+import path from "path";
+import bidiFactory from "bidi-js";
+
+// ─── Bidirectional text for pdfkit ────────────────────────────────────────────
+// pdfkit hands each string to fontkit, which picks one direction per string
+// from the first letter it sees — a Hebrew sentence with an English name in it
+// comes out scrambled. Here paragraphs are wrapped in logical order, then each
+// line is split into bidi runs (Unicode Bidirectional Algorithm, via bidi-js)
+// that are drawn one by one in visual order.
+
+const require  = createRequire(import.meta.url);
+const FONT_DIR = path.join(path.dirname(require.resolve("dejavu-fonts-ttf/package.json")), "ttf");
+const bidi     = bidiFactory();
+
+// DejaVu Sans covers Latin and Hebrew (with niqqud) in every weight we use
+export const BOOK_FONTS = {
+  regular: path.join(FONT_DIR, "DejaVuSans.ttf"),
+  bold:    path.join(FONT_DIR, "DejaVuSans-Bold.ttf"),
+  italic:  path.join(FONT_DIR, "DejaVuSans-Oblique.ttf")
+};
+
+const RTL_LETTER    = /[\u0590-\u05FF\u0600-\u06FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const STRONG_LETTER = /[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF\u0590-\u05FF\u0600-\u06FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+export function registerBookFonts(doc) {
+  for (const [name, file] of Object.entries(BOOK_FONTS)) doc.registerFont(name, file);
+  doc.font("regular");
+}
+
+// Paragraph direction follows the first strong letter, like the browser's dir="auto"
+export function textDirection(text = "") {
+  const first = String(text).match(STRONG_LETTER);
+  return first && RTL_LETTER.test(first[0]) ? "rtl" : "ltr";
+}
+
+// Greedy word wrap in logical order. Returns [{ start, end }] offsets into text.
+function wrapOffsets(doc, text, width) {
+  const lines = [];
+  const words = [...text.matchAll(/\S+/g)];
+  let lineStart = null;
+  let lineEnd   = 0;
+
+  for (const word of words) {
+    const start = word.index;
+    const end   = start + word[0].length;
+    if (lineStart === null) {
+      lineStart = start;
+      lineEnd   = end;
+      continue;
+    }
+    if (doc.widthOfString(text.slice(lineStart, end)) <= width) {
+      lineEnd = end;
+    } else {
+      lines.push({ start: lineStart, end: lineEnd });
+      lineStart = start;
+      lineEnd   = end;
+    }
+  }
+  if (lineStart !== null) lines.push({ start: lineStart, end: lineEnd });
+  return lines;
+}
+
+// Splits one wrapped line into same-level runs and puts them in visual order
+function visualRuns(text, levels, start, end) {
+  const runs = [];
+  for (let i = start; i < end; i++) {
+    const level = levels[i];
+    const last  = runs[runs.length - 1];
+    if (last && last.level === level) last.end = i + 1;
+    else runs.push({ start: i, end: i + 1, level });
+  }
+
+  // UBA rule L2: from the highest level down to the lowest odd one, reverse
+  // every sequence of runs at that level or above
+  const highest   = Math.max(...runs.map(r => r.level));
+  const lowestOdd = Math.min(...runs.map(r => r.level).filter(l => l % 2 === 1), highest + 1);
+  for (let level = highest; level >= lowestOdd; level--) {
+    for (let i = 0; i < runs.length; i++) {
+      if (runs[i].level < level) continue;
+      let j = i;
+      while (j + 1 < runs.length && runs[j + 1].level >= level) j++;
+      runs.splice(i, j - i + 1, ...runs.slice(i, j + 1).reverse());
+      i = j;
+    }
+  }
+  return runs;
+}
+
+// fontkit reverses a string itself when its first letter is right-to-left, so
+// only RTL runs without such a letter (punctuation, spaces) are reversed here.
+// Brackets in RTL runs are always swapped for their mirror image.
+function runText(text, run, mirrored) {
+  const chars = [...text.slice(run.start, run.end)].map((ch, k) => mirrored.get(run.start + k) || ch);
+  if (run.level % 2 === 1 && !RTL_LETTER.test(chars.join(""))) chars.reverse();
+  return chars.join("");
+}
+
+export function layoutParagraph(doc, text, width) {
+  const clean     = String(text || "").replace(/\s+/g, " ").trim();
+  const direction = textDirection(clean);
+  if (!clean) return { direction, lines: [] };
+
+  const embedding = bidi.getEmbeddingLevels(clean, direction);
+  const mirrored  = bidi.getMirroredCharactersMap(clean, embedding.levels);
+
+  const lines = wrapOffsets(doc, clean, width).map(({ start, end }) => {
+    const runs = visualRuns(clean, embedding.levels, start, end).map(run => runText(clean, run, mirrored));
+    return { runs, width: runs.reduce((sum, r) => sum + doc.widthOfString(r), 0) };
+  });
+  return { direction, lines };
+}
+
+// Height the paragraph will take with the doc's current font and size
+export function measureParagraph(doc, text, { width, lineGap = 0 } = {}) {
+  const { lines } = layoutParagraph(doc, text, width);
+  return lines.length * (doc.currentLineHeight(true) + lineGap);
+}
+
+// Draws a paragraph inside [x, x + width]. align is "center", "start" or
+// "end" — start is the left edge for English and the right edge for Hebrew.
+// Returns the height used.
+export function drawParagraph(doc, text, { x, y, width, align = "start", lineGap = 0 } = {}) {
+  const { direction, lines } = layoutParagraph(doc, text, width);
+  const lineHeight = doc.currentLineHeight(true) + lineGap;
+  const flushRight = (align === "start" && direction === "rtl") || (align === "end" && direction === "ltr");
+
+  lines.forEach((line, i) => {
+    let cursor = align === "center" ? x + (width - line.width) / 2
+      : flushRight ? x + width - line.width
+      : x;
+    for (const run of line.runs) {
+      doc.text(run, cursor, y + i * lineHeight, { lineBreak: false });
+      cursor += doc.widthOfString(run);
+    }
+  });
+  return lines.length * lineHeight;
+}
@@ -0,0 +1,157 @@
+// ─── Preview reminders ────────────────────────────────────────────────────────
+// Parents who see the preview and leave without paying get up to maxReminders
+// emails with the cover and a link back to checkout. A book is due when it is
+// still `pending`, has a cover and an email address, was created within
+// maxAgeMs, and nothing has happened to it — no edit, no earlier reminder — for
+// delayMs. Addresses in `email_unsubscribes` are skipped.
+//
+// A reminder is claimed by moving reminders_sent from n to n + 1, so two
+// processes never send the same one, and remind(bookId, number) then queues
+// the email. If that fails the claim is given back, and the next poll tries
+// the same reminder again. Its checkout link carries the reminder number; a book paid
+// through it keeps that number as converted_by_reminder.
+
+export function createPreviewReminders({
+  supabase,
+  remind,
+  delayMs        = 24 * 60 * 60 * 1000,
+  maxReminders   = 2,
+  maxAgeMs       = 14 * 24 * 60 * 60 * 1000,
+  pollIntervalMs = 15 * 60 * 1000
+}) {
+  let timer   = null;
+  let polling = false;
+
+  function normalizeEmail(email) {
+    return String(email || "").trim().toLowerCase();
+  }
+
+  async function findDue(limit = 20) {
+    const now        = Date.now();
+    const quietSince = new Date(now - delayMs).toISOString();
+    const { data, error } = await supabase
+      .from("books")
+      .select("book_id, customer_email, reminders_sent, last_reminder_at")
+      .eq("payment_status", "pending")
+      .eq("purchase_unlocked", false)
+      .neq("customer_email", "")
+      .not("cover_image", "is", null)
+      .lt("reminders_sent", maxReminders)
+      .lte("updated_at", quietSince)
+      .gte("created_at", new Date(now - maxAgeMs).toISOString())
+      .or(`last_reminder_at.is.null,last_reminder_at.lte."${quietSince}"`)
+      .order("updated_at", { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  // The lower-case addresses among `emails` that asked for no more reminders
+  async function unsubscribedAmong(emails) {
+    if (!emails.length) return new Set();
+    const { data, error } = await supabase
+      .from("email_unsubscribes")
+      .select("email")
+      .in("email", emails.map(normalizeEmail));
+    if (error) throw error;
+    return new Set((data || []).map(row => row.email));
+  }
+
+  // Returns the reminder's number, or null when another process got there first
+  // or the book was paid in the meantime. Leaves updated_at alone: it is the
+  // book's last activity.
+  async function claim(row) {
+    const { data, error } = await supabase
+      .from("books")
+      .update({ reminders_sent: row.reminders_sent + 1, last_reminder_at: new Date().toISOString() })
+      .eq("book_id", row.book_id)
+      .eq("reminders_sent", row.reminders_sent)
+      .eq("payment_status", "pending")
+      .select("reminders_sent")
+      .maybeSingle();
+    if (error) throw error;
+    return data ? data.reminders_sent : null;
+  }
+
+  // Undoes claim(row) for a reminder that was never queued — unless the book
+  // has moved on since
+  async function release(row, number) {
+    const { error } = await supabase
+      .from("books")
+      .update({ reminders_sent: row.reminders_sent, last_reminder_at: row.last_reminder_at })
+      .eq("book_id", row.book_id)
+      .eq("reminders_sent", number);
+    if (error) throw error;
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const due          = await findDue();
+      const unsubscribed = await unsubscribedAmong(due.map(row => row.customer_email));
+      for (const row of due) {
+        if (unsubscribed.has(normalizeEmail(row.customer_email))) continue;
+        const number = await claim(row);
+        if (!number) continue;
+        try {
+          await remind(row.book_id, number);
+          console.log(`reminders: reminder ${number} queued for ${row.book_id}`);
+        } catch (err) {
+          console.error(`reminders: reminder ${number} for ${row.book_id} failed — ${err.message}`);
+          await release(row, number).catch(releaseError => {
+            console.error(`reminders: could not give back reminder ${number} for ${row.book_id} — ${releaseError.message}`);
+          });
+        }
+      }
+    } catch (err) {
+      console.error("reminders: poll failed:", err.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  async function unsubscribe(email, { bookId = null } = {}) {
+    const address = normalizeEmail(email);
+    if (!address) return;
+    const { error } = await supabase
+      .from("email_unsubscribes")
+      .upsert({ email: address, book_id: bookId }, { onConflict: "email", ignoreDuplicates: true });
+    if (error) throw error;
+  }
+
+  async function isUnsubscribed(email) {
+    const address = normalizeEmail(email);
+    return address ? (await unsubscribedAmong([address])).has(address) : false;
+  }
+
+  // Books reminded since `since`, and how many of those were paid through a
+  // reminder's link
+  async function stats(since) {
+    const reminded = () => supabase
+      .from("books")
+      .select("book_id", { count: "exact", head: true })
+      .gte("last_reminder_at", since.toISOString());
+    const [all, converted] = await Promise.all([
+      reminded(),
+      reminded().not("converted_by_reminder", "is", null)
+    ]);
+    if (all.error) throw all.error;
+    if (converted.error) throw converted.error;
+    return { reminded: all.count || 0, converted: converted.count || 0 };
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(poll, pollIntervalMs);
+    poll();
+    console.log(`reminders: worker started (after ${Math.round(delayMs / 3600000)}h, at most ${maxReminders})`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { poll, start, stop, unsubscribe, isUnsubscribed, stats, maxReminders };
+}
@@ -0,0 +1,346 @@
+import PDFDocument from "pdfkit";
+import { registerBookFonts, drawParagraph, measureParagraph } from "./pdfText.js";
+import { storyLanguageDirection } from "./storyLanguage.js";
+import {
+  mm, GOLD, CREAM, PARCHMENT, INK, BROWN, MUTED, FAINT, NIGHT,
+  bookStrings, goldRule, diamond, bookSymbol, fillImage, collectPdf
+} from "./bookPdf.js";
+
+// ─── Print-production PDFs (printed format) ───────────────────────────────────
+// Three files per book, all with 3mm bleed, crop marks and TrimBox/BleedBox set:
+//   interior — reader-order pages, padded to a multiple of 4 for saddle stitch
+//   cover    — one wrap: back + spine + front (front on the left for Hebrew)
+//   imposed  — interior pages laid out two-up in printer's-spread order
+// Text is kept inside a safe zone; anything that cannot fit, and illustrations
+// below the minimum resolution, are reported as preflight warnings.
+
+export const PRINT_PDF_VERSION = 1;
+
+// Trim sizes in millimetres
+export const TRIM_SIZES = {
+  "8x8":     { width: 203.2, height: 203.2 },
+  "8.5x8.5": { width: 215.9, height: 215.9 },
+  "8x10":    { width: 203.2, height: 254   },
+  "a4":      { width: 210,   height: 297   },
+  "a5":      { width: 148,   height: 210   }
+};
+
+export const BLEED_MM = 3;
+const SAFE_MM         = 6;   // text stays this far inside the trim
+const SLUG_MM         = 9;   // room outside the bleed for crop marks
+const MARK_MM         = 5;
+const MARK_COLOR      = [0, 0, 0, 100]; // CMYK registration black
+
+// The pipeline draws 1024px illustrations, which print at about 124 ppi
+// across an 8x8 page with its bleed — sharp enough for a picture book. Below
+// this an illustration is smaller than the pipeline makes, and is reported.
+export const DEFAULT_MIN_PPI = 120;
+
+// spine width = leaves × caliper, plus the cover board wrap
+export function printSpec({ trim = "8x8", pageCount, leafCaliperMm = 0.1, coverWrapMm = 0.5, minPpi = DEFAULT_MIN_PPI } = {}) {
+  const size = TRIM_SIZES[trim];
+  if (!size) throw new Error(`Unknown trim size: ${trim}`);
+  const spineMm = Math.round(((pageCount / 2) * leafCaliperMm + coverWrapMm) * 100) / 100;
+  return {
+    trim,
+    trimWidthMm:  size.width,
+    trimHeightMm: size.height,
+    bleedMm:      BLEED_MM,
+    safeMm:       SAFE_MM,
+    pageCount,
+    spineMm,
+    coverWidthMm:  size.width * 2 + spineMm + BLEED_MM * 2,
+    coverHeightMm: size.height + BLEED_MM * 2,
+    minPpi
+  };
+}
+
+// Reader-order pages: title, story, blanks to reach a multiple of 4, closing last
+export function interiorPages(book) {
+  const story = book.generatedBook?.pages || [];
+  const list  = [{ kind: "title" }, ...story.map((_, index) => ({ kind: "story", index })), { kind: "closing" }];
+  while (list.length % 4) list.splice(list.length - 1, 0, { kind: "blank" });
+  return list;
+}
+
+// Saddle-stitch printer's spreads: (n,1), (2,n-1), (n-2,3), (4,n-3)… 1-based.
+// Hebrew books bind on the right, so each pair is mirrored.
+export function printerSpreads(pageCount, direction = "ltr") {
+  const spreads = [];
+  for (let i = 0; i < pageCount / 2; i++) {
+    const pair = i % 2 === 0 ? [pageCount - i, i + 1] : [i + 1, pageCount - i];
+    spreads.push(direction === "rtl" ? pair.reverse() : pair);
+  }
+  return spreads;
+}
+
+// ── Page furniture ────────────────────────────────────────────────────────────
+function newDocument(book, widthPt, heightPt) {
+  const doc = new PDFDocument({
+    size:          [widthPt, heightPt],
+    margin:        0,
+    autoFirstPage: false,
+    info: {
+      Title:   book.generatedBook?.title || "Lifebook",
+      Author:  "Lifebook",
+      Creator: "Lifebook"
+    }
+  });
+  registerBookFonts(doc);
+  return doc;
+}
+
+// PDF boxes count from the bottom-left corner; our layout from the top-left
+function setPageBoxes(doc, trim) {
+  const pageHeight = doc.page.height;
+  const bleed      = mm(BLEED_MM);
+  const box = (x, y, w, h) => [x, pageHeight - y - h, x + w, pageHeight - y];
+  doc.page.dictionary.data.TrimBox  = box(trim.x, trim.y, trim.w, trim.h);
+  doc.page.dictionary.data.BleedBox = box(trim.x - bleed, trim.y - bleed, trim.w + bleed * 2, trim.h + bleed * 2);
+}
+
+function cropMarks(doc, { x, y, w, h }, { foldsAt = [] } = {}) {
+  const gap = mm(BLEED_MM);
+  const len = mm(MARK_MM);
+  doc.save().lineWidth(0.25).strokeColor(MARK_COLOR);
+  for (const cx of [x, x + w]) {
+    for (const cy of [y, y + h]) {
+      const dx = cx === x ? -1 : 1;
+      const dy = cy === y ? -1 : 1;
+      doc.moveTo(cx + dx * gap, cy).lineTo(cx + dx * (gap + len), cy).stroke();
+      doc.moveTo(cx, cy + dy * gap).lineTo(cx, cy + dy * (gap + len)).stroke();
+    }
+  }
+  // Folds (spine edges, centre of a spread) get a mark top and bottom
+  for (const fx of foldsAt) {
+    doc.moveTo(fx, y - gap).lineTo(fx, y - gap - len).stroke();
+    doc.moveTo(fx, y + h + gap).lineTo(fx, y + h + gap + len).stroke();
+  }
+  doc.restore();
+}
+
+function checkImage(doc, ctx, image, boxW, boxH, where) {
+  if (!image) {
+    ctx.warnings.push({ page: where, type: "missing-image", message: "Illustration is missing" });
+    return;
+  }
+  const opened = doc.openImage(image);
+  const ppi    = Math.round(Math.min(opened.width / (boxW / 72), opened.height / (boxH / 72)));
+  if (ppi < ctx.spec.minPpi) {
+    ctx.warnings.push({ page: where, type: "low-resolution", message: `Illustration prints at ${ppi} ppi (minimum ${ctx.spec.minPpi})` });
+  }
+}
+
+// Draws text inside a safe-zone box, shrinking it down to minSize; reports an
+// overflow when even the smallest size does not fit
+function fitParagraph(doc, ctx, text, box, { size, minSize, lineGapRatio = 0.5, align = "center", where }) {
+  doc.fontSize(size);
+  while (size > minSize && measureParagraph(doc, text, { width: box.w, lineGap: size * lineGapRatio }) > box.h) {
+    doc.fontSize(--size);
+  }
+  const height = measureParagraph(doc, text, { width: box.w, lineGap: size * lineGapRatio });
+  if (height > box.h) {
+    ctx.warnings.push({ page: where, type: "text-overflow", message: "Text does not fit inside the safe zone" });
+  }
+  drawParagraph(doc, text, { x: box.x, y: box.y, width: box.w, align, lineGap: size * lineGapRatio });
+  return height;
+}
+
+// ── Interior pages ────────────────────────────────────────────────────────────
+// `trim` is where the page sits on the sheet; `bleed` says which edges bleed
+// (on an imposed sheet the gutter edges do not).
+function drawInteriorPage(doc, ctx, page, pageNumber, trim, bleed) {
+  const b    = mm(BLEED_MM);
+  const safe = mm(SAFE_MM);
+  const area = {
+    x: trim.x - (bleed.left ? b : 0),
+    y: trim.y - b,
+    w: trim.w + (bleed.left ? b : 0) + (bleed.right ? b : 0),
+    h: trim.h + b * 2
+  };
+  const safeBox = { x: trim.x + safe, y: trim.y + safe, w: trim.w - safe * 2, h: trim.h - safe * 2 };
+
+  doc.save().rect(area.x, area.y, area.w, area.h).clip();
+
+  if (page.kind === "title") {
+    const { book, strings } = ctx;
+    doc.rect(area.x, area.y, area.w, area.h).fill(CREAM);
+    goldRule(doc, safeBox.x + safeBox.w * 0.2, trim.y + trim.h * 0.3, safeBox.w * 0.6);
+    doc.font("bold").fillColor(BROWN);
+    const box = { x: safeBox.x, y: trim.y + trim.h * 0.34, w: safeBox.w, h: trim.h * 0.22 };
+    fitParagraph(doc, ctx, book.generatedBook?.title || "", box, { size: 24, minSize: 14, lineGapRatio: 0.2, where: pageNumber });
+    doc.font("italic").fillColor([122, 96, 72]);
+    fitParagraph(doc, ctx, book.generatedBook?.subtitle || "", { ...box, y: trim.y + trim.h * 0.58, h: trim.h * 0.1 },
+      { size: 12, minSize: 9, where: pageNumber });
+    doc.font("regular").fillColor(MUTED);
+    fitParagraph(doc, ctx, strings.madeFor(book.childName || "your child"), { ...box, y: trim.y + trim.h * 0.7, h: trim.h * 0.08 },
+      { size: 10, minSize: 8, where: pageNumber });
+  }
+
+  if (page.kind === "story") {
+    const image = ctx.pageImages[page.index] || null;
+    const imgH  = trim.h * 0.6;
+    doc.rect(area.x, area.y, area.w, area.h).fill(CREAM);
+
+    // Full-bleed illustration across the top of the page
+    const imgBox = { x: area.x, y: area.y, w: area.w, h: imgH + b };
+    checkImage(doc, ctx, image, imgBox.w, imgBox.h, pageNumber);
+    if (image) {
+      fillImage(doc, image, imgBox.x, imgBox.y, imgBox.w, imgBox.h);
+    } else {
+      doc.rect(imgBox.x, imgBox.y, imgBox.w, imgBox.h).fill(PARCHMENT);
+      diamond(doc, trim.x + trim.w / 2, trim.y + imgH / 2, mm(4));
+    }
+
+    const folio = mm(7);
+    const textBox = {
+      x: safeBox.x,
+      y: trim.y + imgH + mm(5),
+      w: safeBox.w,
+      h: safeBox.y + safeBox.h - folio - (trim.y + imgH + mm(5))
+    };
+    doc.font("regular").fillColor(INK);
+    fitParagraph(doc, ctx, ctx.book.generatedBook.pages[page.index].text || "", textBox,
+      { size: 12, minSize: 8, lineGapRatio: 0.55, where: pageNumber });
+
+    doc.fontSize(7.5).fillColor(FAINT);
+    drawParagraph(doc, String(pageNumber), { x: safeBox.x, y: safeBox.y + safeBox.h - mm(3), width: safeBox.w, align: "center" });
+  }
+
+  if (page.kind === "closing") {
+    const { book, strings } = ctx;
+    doc.rect(area.x, area.y, area.w, area.h).fill(NIGHT);
+    const cy = trim.y + trim.h / 2;
+    bookSymbol(doc, trim.x + trim.w / 2, cy - mm(24), mm(16));
+    doc.font("bold").fillColor([245, 217, 138]);
+    fitParagraph(doc, ctx, "lifebook", { x: safeBox.x, y: cy - mm(8), w: safeBox.w, h: mm(12) }, { size: 24, minSize: 18, where: pageNumber });
+    goldRule(doc, safeBox.x + safeBox.w * 0.25, cy + mm(7), safeBox.w * 0.5);
+    doc.font("regular").fillColor(MUTED);
+    fitParagraph(doc, ctx, strings.closing(book.childName || "your child"), { x: safeBox.x, y: cy + mm(11), w: safeBox.w, h: mm(14) },
+      { size: 10, minSize: 8, where: pageNumber });
+  }
+
+  // "blank" pages are left unprinted
+  doc.restore();
+}
+
+function renderContext({ book, pageImages, spec }) {
+  return { book, pageImages, spec, strings: bookStrings(book), warnings: [] };
+}
+
+function sheetTrim(widthMm, heightMm) {
+  const offset = mm(BLEED_MM + SLUG_MM);
+  return { x: offset, y: offset, w: mm(widthMm), h: mm(heightMm) };
+}
+
+export async function renderPrintInterior({ book, pageImages = [], trim, ...options }) {
+  const pages = interiorPages(book);
+  const spec  = printSpec({ trim, pageCount: pages.length, ...options });
+  const ctx   = renderContext({ book, pageImages, spec });
+  const box   = sheetTrim(spec.trimWidthMm, spec.trimHeightMm);
+  const doc   = newDocument(book, box.w + box.x * 2, box.h + box.y * 2);
+  const done  = collectPdf(doc);
+
+  pages.forEach((page, i) => {
+    doc.addPage();
+    setPageBoxes(doc, box);
+    drawInteriorPage(doc, ctx, page, i + 1, box, { left: true, right: true });
+    cropMarks(doc, box);
+  });
+
+  doc.end();
+  return { pdf: await done, warnings: ctx.warnings, spec };
+}
+
+export async function renderPrintImposed({ book, pageImages = [], trim, ...options }) {
+  const pages     = interiorPages(book);
+  const spec      = printSpec({ trim, pageCount: pages.length, ...options });
+  const ctx       = renderContext({ book, pageImages, spec });
+  const direction = storyLanguageDirection(book.storyLanguage);
+  const box       = sheetTrim(spec.trimWidthMm * 2, spec.trimHeightMm);
+  const half      = box.w / 2;
+  const doc       = newDocument(book, box.w + box.x * 2, box.h + box.y * 2);
+  const done      = collectPdf(doc);
+
+  for (const [left, right] of printerSpreads(pages.length, direction)) {
+    doc.addPage();
+    setPageBoxes(doc, box);
+    drawInteriorPage(doc, ctx, pages[left - 1], left, { ...box, w: half }, { left: true, right: false });
+    drawInteriorPage(doc, ctx, pages[right - 1], right, { ...box, x: box.x + half, w: half }, { left: false, right: true });
+    cropMarks(doc, box, { foldsAt: [box.x + half] });
+  }
+
+  doc.end();
+  return { pdf: await done, warnings: ctx.warnings, spec };
+}
+
+// ── Cover wrap ────────────────────────────────────────────────────────────────
+export async function renderPrintCover({ book, cover = null, trim, pageCount, ...options }) {
+  const spec      = printSpec({ trim, pageCount: pageCount || interiorPages(book).length, ...options });
+  const ctx       = renderContext({ book, pageImages: [], spec });
+  const direction = storyLanguageDirection(book.storyLanguage);
+  const b         = mm(BLEED_MM);
+  const safe      = mm(SAFE_MM);
+  const panelW    = mm(spec.trimWidthMm);
+  const spineW    = mm(spec.spineMm);
+  const box       = sheetTrim(spec.trimWidthMm * 2 + spec.spineMm, spec.trimHeightMm);
+  const doc       = newDocument(book, box.w + box.x * 2, box.h + box.y * 2);
+  const done      = collectPdf(doc);
+
+  // Left-bound books read back | spine | front; right-bound the other way round
+  const frontX = direction === "rtl" ? box.x : box.x + panelW + spineW;
+  const backX  = direction === "rtl" ? box.x + panelW + spineW : box.x;
+  const spineX = box.x + panelW;
+  const top    = box.y - b;
+  const height = box.h + b * 2;
+  const title  = book.generatedBook?.title    || "";
+  const sub    = book.generatedBook?.subtitle || "";
+
+  doc.addPage();
+  setPageBoxes(doc, box);
+
+  // Front panel — illustration over the top, title block below
+  const frontBleedX = frontX === box.x ? frontX - b : frontX;
+  const frontW      = panelW + b;
+  doc.rect(frontBleedX, top, frontW, height).fill(CREAM);
+  const imageH = b + box.h * 0.64;
+  checkImage(doc, ctx, cover, frontW, imageH, "cover");
+  if (cover) fillImage(doc, cover, frontBleedX, top, frontW, imageH);
+  else doc.rect(frontBleedX, top, frontW, imageH).fill([50, 28, 10]);
+
+  goldRule(doc, frontX + safe, box.y + box.h * 0.68, panelW - safe * 2);
+  doc.font("bold").fillColor(BROWN);
+  const titleBox = { x: frontX + safe, y: box.y + box.h * 0.7, w: panelW - safe * 2, h: box.h * 0.15 };
+  fitParagraph(doc, ctx, title, titleBox, { size: 22, minSize: 12, lineGapRatio: 0.2, where: "cover" });
+  doc.font("italic").fillColor([122, 96, 72]);
+  fitParagraph(doc, ctx, sub, { ...titleBox, y: box.y + box.h * 0.86, h: box.y + box.h - safe - (box.y + box.h * 0.86) },
+    { size: 11, minSize: 8, where: "cover" });
+
+  // Back panel
+  const backBleedX = backX === box.x ? backX - b : backX;
+  doc.rect(backBleedX, top, panelW + b, height).fill(NIGHT);
+  bookSymbol(doc, backX + panelW / 2, box.y + box.h * 0.42, mm(16));
+  doc.font("bold").fillColor([245, 217, 138]);
+  fitParagraph(doc, ctx, "lifebook", { x: backX + safe, y: box.y + box.h * 0.5, w: panelW - safe * 2, h: mm(12) },
+    { size: 22, minSize: 16, where: "back cover" });
+  doc.font("italic").fillColor([180, 150, 110]);
+  fitParagraph(doc, ctx, ctx.strings.tagline, { x: backX + safe, y: box.y + box.h * 0.5 + mm(13), w: panelW - safe * 2, h: mm(10) },
+    { size: 10, minSize: 8, where: "back cover" });
+
+  // Spine — the title only goes on when there is room for legible type
+  doc.rect(spineX, top, spineW, height).fill(BROWN);
+  if (spec.spineMm >= 6) {
+    const size = Math.min(10, (spec.spineMm - 2) * 72 / 25.4 * 0.7);
+    doc.save().rotate(90, { origin: [spineX + spineW / 2, box.y + box.h / 2] });
+    doc.font("bold").fontSize(size).fillColor(CREAM);
+    drawParagraph(doc, title, { x: spineX + spineW / 2 - (box.h - safe * 2) / 2, y: box.y + box.h / 2 - size * 0.6, width: box.h - safe * 2, align: "center" });
+    doc.restore();
+  } else {
+    ctx.warnings.push({ page: "spine", type: "spine-too-narrow", message: `Spine is ${spec.spineMm}mm — no spine text printed` });
+  }
+
+  cropMarks(doc, box, { foldsAt: [spineX, spineX + spineW] });
+
+  doc.end();
+  return { pdf: await done, warnings: ctx.warnings, spec };
+}
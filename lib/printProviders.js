@@ -0,0 +1,74 @@
+import fs from "fs/promises";
+import path from "path";
+
+// ─── Print providers ──────────────────────────────────────────────────────────
+// A print provider takes a printed order with its production PDFs and later
+// reports how the order is getting on. Every provider has the same shape:
+//   submit({ order, files })   → { providerOrderId }
+//       order: the print_orders row, files: { interior: Buffer, cover: Buffer }
+//   getStatus(providerOrderId) → { status, carrier, trackingNumber, trackingUrl, events } | null
+//       status is one of PROVIDER_STATUSES, events [{ at, status, message }]
+// submit must be safe to call twice for the same order — a worker that died
+// after submitting will submit again. Pick one with PRINT_PROVIDER=filedrop.
+
+export const PROVIDER_STATUSES = ["submitted", "in_production", "shipped", "delivered", "cancelled"];
+
+// ── File drop: writes each order to a folder, reads status back from JSON ─────
+// <dir>/outbox/<providerOrderId>/order.json, interior.pdf, cover.pdf
+// <dir>/status/<providerOrderId>.json — written by whoever picks the order up
+//   (a person, a sync script, a test): { status, carrier, trackingNumber, trackingUrl, events }
+function createFileDropProvider({ dir }) {
+  const root = path.resolve(dir);
+
+  function providerOrderId(order) {
+    return `drop-${order.id}`;
+  }
+
+  return {
+    name: "filedrop",
+
+    async submit({ order, files }) {
+      const id     = providerOrderId(order);
+      const folder = path.join(root, "outbox", id);
+      await fs.mkdir(folder, { recursive: true });
+      await fs.writeFile(path.join(folder, "interior.pdf"), files.interior);
+      await fs.writeFile(path.join(folder, "cover.pdf"), files.cover);
+      await fs.writeFile(path.join(folder, "order.json"), JSON.stringify({
+        providerOrderId: id,
+        orderId:         order.id,
+        bookId:          order.book_id,
+        format:          order.format,
+        binding:         order.binding,
+        trim:            order.trim_size,
+        quantity:        order.quantity,
+        shipping:        { name: order.shipping_name, phone: order.phone, address: order.shipping_address },
+        submittedAt:     new Date().toISOString()
+      }, null, 2));
+      return { providerOrderId: id };
+    },
+
+    async getStatus(id) {
+      let raw;
+      try {
+        raw = await fs.readFile(path.join(root, "status", `${path.basename(id)}.json`), "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return { status: "submitted", events: [] };
+        throw err;
+      }
+      const update = JSON.parse(raw);
+      if (!PROVIDER_STATUSES.includes(update.status)) throw new Error(`filedrop: unknown status "${update.status}" for ${id}`);
+      return {
+        status:         update.status,
+        carrier:        update.carrier        || null,
+        trackingNumber: update.trackingNumber || null,
+        trackingUrl:    update.trackingUrl    || null,
+        events:         Array.isArray(update.events) ? update.events : []
+      };
+    }
+  };
+}
+
+export function createPrintProvider({ provider, dir }) {
+  if (provider === "filedrop") return createFileDropProvider({ dir });
+  throw new Error(`Unknown PRINT_PROVIDER: ${provider}`);
+}
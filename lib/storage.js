@@ -0,0 +1,137 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// ─── Object storage ───────────────────────────────────────────────────────────
+// Illustrations (and later PDFs, audio…) are stored as objects addressed by a
+// key such as "books/<bookId>/page-3-1a2b3c4d.jpg". The books row only keeps
+// the key. Two drivers share one interface:
+//   put(key, body, contentType) → key
+//   get(key)                    → { body: Buffer, contentType } | null
+//   remove(key)                 → void
+// Pick one with STORAGE_DRIVER=local|supabase.
+
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9/_.-]*$/;
+
+const CONTENT_TYPES = {
+  ".jpg":  "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png":  "image/png",
+  ".webp": "image/webp",
+  ".pdf":  "application/pdf",
+  ".epub": "application/epub+zip",
+  ".mp3":  "audio/mpeg",
+  ".wav":  "audio/wav",
+  ".json": "application/json"
+};
+
+const EXTENSIONS = Object.fromEntries(
+  Object.entries(CONTENT_TYPES).filter(([ext]) => ext !== ".jpeg").map(([ext, type]) => [type, ext])
+);
+
+function assertValidKey(key) {
+  if (typeof key !== "string" || !KEY_PATTERN.test(key) || key.includes("..")) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+export function contentTypeForKey(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+}
+
+// A fresh key per write, so a changed image never reuses a cached URL
+export function bookObjectKey(bookId, slot, contentType = "image/jpeg") {
+  const ext = EXTENSIONS[contentType] || "";
+  return `books/${bookId}/${slot}-${crypto.randomBytes(4).toString("hex")}${ext}`;
+}
+
+export function isDataUrl(value) {
+  return typeof value === "string" && value.startsWith("data:");
+}
+
+// "data:image/png;base64,AAAA" → { body, contentType }
+export function decodeDataUrl(value) {
+  const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(value || "");
+  if (!match) return null;
+  const body = match[2] ? Buffer.from(match[3], "base64") : Buffer.from(decodeURIComponent(match[3]));
+  return { body, contentType: match[1] || "application/octet-stream" };
+}
+
+// ── Local filesystem driver ───────────────────────────────────────────────────
+export function createLocalStorageDriver(rootDir) {
+  const root = path.resolve(rootDir);
+
+  function filePath(key) {
+    assertValidKey(key);
+    return path.join(root, key);
+  }
+
+  return {
+    name: "local",
+
+    async put(key, body, contentType) {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+      return key;
+    },
+
+    async get(key) {
+      try {
+        const body = await fs.readFile(filePath(key));
+        return { body, contentType: contentTypeForKey(key) };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(filePath(key), { force: true });
+    }
+  };
+}
+
+// ── Supabase Storage driver ───────────────────────────────────────────────────
+export function createSupabaseStorageDriver(supabase, bucket) {
+  const objects = () => supabase.storage.from(bucket);
+
+  return {
+    name: "supabase",
+
+    async put(key, body, contentType) {
+      assertValidKey(key);
+      const { error } = await objects().upload(key, body, {
+        contentType: contentType || contentTypeForKey(key),
+        upsert:      true
+      });
+      if (error) throw error;
+      return key;
+    },
+
+    async get(key) {
+      assertValidKey(key);
+      const { data, error } = await objects().download(key);
+      if (error) {
+        if (error.statusCode === "404" || error.status === 404 || /not found/i.test(error.message || "")) return null;
+        throw error;
+      }
+      return {
+        body:        Buffer.from(await data.arrayBuffer()),
+        contentType: data.type || contentTypeForKey(key)
+      };
+    },
+
+    async remove(key) {
+      assertValidKey(key);
+      const { error } = await objects().remove([key]);
+      if (error) throw error;
+    }
+  };
+}
+
+export function createStorage({ driver, supabase, localDir, bucket }) {
+  if (driver === "supabase") return createSupabaseStorageDriver(supabase, bucket);
+  if (driver === "local")    return createLocalStorageDriver(localDir);
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
@@ -0,0 +1,29 @@
+// ─── Story language ───────────────────────────────────────────────────────────
+// The language a book is written in is chosen in the wizard and stored on the
+// book. It decides the language of the story prompt, the text direction of
+// every viewer and export, and the narration voice's language.
+
+export const STORY_LANGUAGES = {
+  en: { name: "English", dir: "ltr" },
+  he: { name: "Hebrew",  dir: "rtl" },
+  es: { name: "Spanish", dir: "ltr" },
+  fr: { name: "French",  dir: "ltr" }
+};
+
+export const DEFAULT_STORY_LANGUAGE = "en";
+
+// Unknown or missing codes fall back to English
+export function normalizeStoryLanguage(value) {
+  const code = String(value || "").trim().toLowerCase();
+  return STORY_LANGUAGES[code] ? code : DEFAULT_STORY_LANGUAGE;
+}
+
+export function storyLanguageDirection(code) {
+  return STORY_LANGUAGES[normalizeStoryLanguage(code)].dir;
+}
+
+// The rule added to story prompts
+export function storyLanguageRule(code) {
+  const { name } = STORY_LANGUAGES[normalizeStoryLanguage(code)];
+  return `- Write the ENTIRE story in ${name} (title, subtitle and all page text). Keep imagePrompt always in English for image generation.`;
+}
@@ -0,0 +1,97 @@
+// ─── Stripe event log ─────────────────────────────────────────────────────────
+// Every verified webhook event is stored in `stripe_events` under its Stripe id
+// before anything is done with it. Processing is claimed with a conditional
+// update, so a redelivered event that was already handled — or is being handled
+// right now — is acknowledged without running its side effects again. Failed
+// events keep their error and can be claimed again: by a later redelivery, or
+// by an admin replay. A claim whose worker died is taken over once stale.
+
+export const STRIPE_EVENT_STATUSES = ["received", "processing", "processed", "failed"];
+
+const CLAIMABLE = ["received", "failed"];
+
+export function createStripeEventLog({ supabase, staleAfterMs = 5 * 60 * 1000 }) {
+  // Returns { event, created } — created is false for a redelivery
+  async function record(event, { bookId = null } = {}) {
+    const { data, error } = await supabase
+      .from("stripe_events")
+      .upsert({
+        id:      event.id,
+        type:    event.type,
+        book_id: bookId,
+        payload: event
+      }, { onConflict: "id", ignoreDuplicates: true })
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return { event: data, created: true };
+    return { event: await get(event.id), created: false };
+  }
+
+  async function get(eventId) {
+    const { data, error } = await supabase
+      .from("stripe_events")
+      .select("*")
+      .eq("id", eventId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // Marks the event as processing and returns it, or null when it is already
+  // processed or another worker holds a fresh claim. { force: true } also
+  // re-claims a processed event (admin replay).
+  async function claim(eventId, { force = false } = {}) {
+    const now      = new Date();
+    const staleAt  = new Date(now.getTime() - staleAfterMs).toISOString();
+    const statuses = force ? [...CLAIMABLE, "processed"] : CLAIMABLE;
+    const current  = await get(eventId);
+    if (!current) return null;
+
+    const { data, error } = await supabase
+      .from("stripe_events")
+      .update({ status: "processing", attempts: current.attempts + 1, updated_at: now.toISOString() })
+      .eq("id", eventId)
+      .eq("attempts", current.attempts)
+      .or(`status.in.(${statuses.join(",")}),and(status.eq.processing,updated_at.lt."${staleAt}")`)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // bookId is what the handler acted on — for refunds it is only known then
+  async function complete(eventId, { bookId } = {}) {
+    const now   = new Date().toISOString();
+    const patch = { status: "processed", last_error: null, processed_at: now, updated_at: now };
+    if (bookId) patch.book_id = bookId;
+    const { error } = await supabase
+      .from("stripe_events")
+      .update(patch)
+      .eq("id", eventId);
+    if (error) throw error;
+  }
+
+  async function fail(eventId, err) {
+    const { error } = await supabase
+      .from("stripe_events")
+      .update({ status: "failed", last_error: String(err?.message || err).slice(0, 2000), updated_at: new Date().toISOString() })
+      .eq("id", eventId);
+    if (error) throw error;
+  }
+
+  async function list({ status, bookId, limit = 50 } = {}) {
+    let query = supabase
+      .from("stripe_events")
+      .select("id, type, book_id, status, attempts, last_error, received_at, processed_at, updated_at")
+      .order("received_at", { ascending: false })
+      .limit(limit);
+    if (status) query = query.eq("status", status);
+    if (bookId) query = query.eq("book_id", bookId);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  return { record, get, claim, complete, fail, list };
+}
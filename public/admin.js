@@ -0,0 +1,454 @@
+const API_BASE = window.location.origin;
+
+// ─── Admin dashboard ──────────────────────────────────────────────────────────
+// Everything here goes through /api/admin (see server.js). The session is an
+// HttpOnly cookie set by /api/admin/login, so this page never holds a token.
+
+const ROLES     = ["support", "operator", "admin"];
+const PAGE_SIZE = 25;
+
+// ─── DOM refs ─────────────────────────────────────────────────────────────────
+const loginPanel    = document.getElementById("loginPanel");
+const loginForm     = document.getElementById("loginForm");
+const loginMessage  = document.getElementById("loginMessage");
+const dashboard     = document.getElementById("dashboard");
+const navUser       = document.getElementById("navUser");
+const adminIdentity = document.getElementById("adminIdentity");
+const logoutBtn     = document.getElementById("logoutBtn");
+const filterForm    = document.getElementById("filterForm");
+const listMessage   = document.getElementById("listMessage");
+const bookRows      = document.getElementById("bookRows");
+const pageInfo      = document.getElementById("pageInfo");
+const prevPageBtn   = document.getElementById("prevPageBtn");
+const nextPageBtn   = document.getElementById("nextPageBtn");
+const detailPanel   = document.getElementById("detailPanel");
+const reminderStats = document.getElementById("reminderStats");
+const emailForm     = document.getElementById("emailPreviewForm");
+const emailTemplate = document.getElementById("emailTemplate");
+const emailLang     = document.getElementById("emailLang");
+const emailFormat   = document.getElementById("emailFormat");
+const emailDesc     = document.getElementById("emailDescription");
+const emailPreview  = document.getElementById("emailPreview");
+
+let admin      = null;
+let offset     = 0;
+let total      = 0;
+let books      = [];
+let selectedId = null;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function can(role) {
+  return !!admin && ROLES.indexOf(admin.role) >= ROLES.indexOf(role);
+}
+
+async function api(path, { method = "GET", body } = {}) {
+  const res = await fetch(`${API_BASE}/api/admin${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body:    body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401 && path !== "/login") showLogin();
+  if (!res.ok) throw new Error(data.message || `Request failed (${res.status})`);
+  return data;
+}
+
+function setMessage(el, text, isError = false) {
+  el.textContent = text || "";
+  el.classList.toggle("error", isError);
+}
+
+// ─── Sign in / out ────────────────────────────────────────────────────────────
+function showLogin() {
+  admin = null;
+  loginPanel.hidden = false;
+  dashboard.hidden  = true;
+  navUser.hidden    = true;
+}
+
+function showDashboard() {
+  loginPanel.hidden = true;
+  dashboard.hidden  = false;
+  navUser.hidden    = false;
+  adminIdentity.textContent = `${admin.email} · ${admin.role}`;
+  loadBooks();
+  loadEmailTemplates();
+  loadReminderStats();
+}
+
+loginForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  setMessage(loginMessage, "Signing in...");
+  try {
+    const data = await api("/login", {
+      method: "POST",
+      body:   { email: document.getElementById("loginEmail").value, password: document.getElementById("loginPassword").value }
+    });
+    admin = data.admin;
+    document.getElementById("loginPassword").value = "";
+    setMessage(loginMessage, "");
+    showDashboard();
+  } catch (err) {
+    setMessage(loginMessage, err.message, true);
+  }
+});
+
+logoutBtn.addEventListener("click", async () => {
+  await api("/logout", { method: "POST" }).catch(() => {});
+  showLogin();
+});
+
+// ─── Book list ────────────────────────────────────────────────────────────────
+function listQuery() {
+  const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+  const fields = { email: "filterEmail", paymentStatus: "filterPayment", from: "filterFrom", to: "filterTo" };
+  for (const [name, id] of Object.entries(fields)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(name, value);
+  }
+  return params.toString();
+}
+
+function renderRow(book) {
+  const images   = book.images;
+  const progress = images.total ? `${images.ready} / ${images.total}` : "no story";
+  return `
+    <tr class="book-row${book.bookId === selectedId ? " selected" : ""}" data-book-id="${escapeHtml(book.bookId)}">
+      <td>${book.coverImage ? `<img class="thumb" src="${escapeHtml(book.coverImage)}" alt="" loading="lazy"/>` : '<div class="thumb"></div>'}</td>
+      <td>
+        <strong>${escapeHtml(book.title || `${book.childName}'s book`)}</strong>
+        <div class="muted">${escapeHtml(book.childName)}, ${escapeHtml(book.childAge)} · ${escapeHtml(book.storyLanguage)} · ${formatDate(book.createdAt)}</div>
+      </td>
+      <td>${escapeHtml(book.customerEmail || "—")}</td>
+      <td><span class="badge ${escapeHtml(book.paymentStatus)}">${escapeHtml(book.paymentStatus)}</span></td>
+      <td class="progress${images.done ? "" : " incomplete"}">${progress}</td>
+      <td class="mono hide-narrow">${escapeHtml(book.stripeSessionId || "—")}</td>
+      <td class="hide-narrow">${book.contactCount || "—"}</td>
+      <td>
+        <div class="actions">
+          ${can("operator") ? `<button class="btn" data-action="regenerate" ${images.total && images.done ? "disabled" : ""}>Regenerate missing</button>` : ""}
+          <button class="btn" data-action="resend" ${book.purchaseUnlocked && book.customerEmail ? "" : "disabled"}>Resend email</button>
+          <button class="btn" data-action="view">View as customer</button>
+        </div>
+      </td>
+    </tr>`;
+}
+
+async function loadBooks() {
+  setMessage(listMessage, "Loading...");
+  try {
+    const data = await api(`/books?${listQuery()}`);
+    books = data.books;
+    total = data.total;
+    bookRows.innerHTML = books.map(renderRow).join("") ||
+      '<tr><td colspan="8" class="muted">No books match these filters.</td></tr>';
+    pageInfo.textContent = total ? `${offset + 1}–${offset + books.length} of ${total}` : "";
+    prevPageBtn.disabled = offset === 0;
+    nextPageBtn.disabled = offset + books.length >= total;
+    setMessage(listMessage, "");
+  } catch (err) {
+    setMessage(listMessage, err.message, true);
+  }
+}
+
+filterForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  offset = 0;
+  loadBooks();
+});
+
+prevPageBtn.addEventListener("click", () => { offset = Math.max(0, offset - PAGE_SIZE); loadBooks(); });
+nextPageBtn.addEventListener("click", () => { offset += PAGE_SIZE; loadBooks(); });
+
+// ─── Quick actions ────────────────────────────────────────────────────────────
+const ACTIONS = {
+  // The cover step onward fills in the cover and any page without an image
+  async regenerate(bookId) {
+    const data = await api(`/books/${encodeURIComponent(bookId)}/regenerate`, { method: "POST", body: { step: "cover" } });
+    return `Generation queued (job ${data.job.jobId})`;
+  },
+  async resend(bookId) {
+    const data = await api(`/books/${encodeURIComponent(bookId)}/resend-email`, { method: "POST", body: { email: "ready" } });
+    return `Book ready email queued for ${data.sentTo}`;
+  },
+  async view(bookId) {
+    const data = await api(`/books/${encodeURIComponent(bookId)}/customer-link`, { method: "POST" });
+    window.open(data.url, "_blank", "noopener");
+    return "";
+  }
+};
+
+async function runAction(action, bookId, button) {
+  if (action === "resend" && !confirm("Send the book ready email to the customer again?")) return;
+  button.disabled = true;
+  try {
+    const message = await ACTIONS[action](bookId);
+    if (message) setMessage(listMessage, message);
+    if (selectedId === bookId) loadDetail(bookId);
+  } catch (err) {
+    setMessage(listMessage, err.message, true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+bookRows.addEventListener("click", (e) => {
+  const row = e.target.closest(".book-row");
+  if (!row) return;
+  const button = e.target.closest("button[data-action]");
+  if (button) return runAction(button.dataset.action, row.dataset.bookId, button);
+
+  selectedId = row.dataset.bookId;
+  bookRows.querySelectorAll(".book-row").forEach(r => r.classList.toggle("selected", r === row));
+  loadDetail(selectedId);
+});
+
+// ─── Book detail ──────────────────────────────────────────────────────────────
+function renderHistory(items, render, empty) {
+  return items.length ? `<ul class="history">${items.map(render).join("")}</ul>` : `<p class="muted">${empty}</p>`;
+}
+
+const PAYMENT_TIMES = { paidAt: "paid", paymentFailedAt: "failed", checkoutExpiredAt: "expired", refundedAt: "refunded" };
+
+function formatCents(cents, currency = "usd") {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: currency.toUpperCase() }).format(cents / 100);
+}
+
+// What Stripe actually charged, and what discounts took off the list price
+function renderAmountPaid(book) {
+  if (book.amountPaidCents == null) return `list $${escapeHtml(book.selectedPrice)}`;
+  const paid = `paid ${formatCents(book.amountPaidCents, book.paymentCurrency || "usd")}`;
+  if (!book.discountCents) return paid;
+  return `${paid} <span class="muted">(${formatCents(book.discountCents, book.paymentCurrency || "usd")} off${book.promoCode ? `, code ${escapeHtml(book.promoCode)}` : ""})</span>`;
+}
+
+function renderPaymentTimes(book) {
+  const times = Object.entries(PAYMENT_TIMES).filter(([field]) => book[field]);
+  return times.map(([field, label]) => `${label} ${formatDate(book[field])}`).join(" · ") || "—";
+}
+
+function renderShipping(order) {
+  const a = order.shipping_address || {};
+  return [order.shipping_name, a.line1, a.line2, [a.postal_code, a.city].filter(Boolean).join(" "), a.state, a.country]
+    .filter(Boolean).map(escapeHtml).join(", ");
+}
+
+function renderPrintOrder(order) {
+  const badge = ["failed", "cancelled"].includes(order.status) ? "failed" : order.status === "delivered" ? "paid" : "";
+  const tracking = order.tracking_number
+    ? `${escapeHtml(order.carrier || "")} ${order.tracking_url ? `<a href="${escapeHtml(order.tracking_url)}" target="_blank" rel="noopener">${escapeHtml(order.tracking_number)}</a>` : escapeHtml(order.tracking_number)}`
+    : "";
+  return `
+    <li><strong>${escapeHtml(order.trim_size)} × ${order.quantity}</strong> <span class="badge ${badge}">${escapeHtml(order.status.replace("_", " "))}</span>
+    <span class="muted">— ${formatDate(order.created_at)}${order.provider_order_id ? ` · ${escapeHtml(order.provider)} <span class="mono">${escapeHtml(order.provider_order_id)}</span>` : ""}</span>
+    <p>${renderShipping(order)}${tracking ? `<br/>Tracking: ${tracking}` : ""}</p>
+    ${order.last_error ? `<p class="muted">${escapeHtml(order.last_error)}</p>` : ""}
+    <div class="actions">
+      ${can("operator") && order.status === "failed" ? `<button class="btn" data-order-action="retry" data-order="${escapeHtml(order.id)}">Retry</button>` : ""}
+      ${can("operator") && ["pending", "failed"].includes(order.status) ? `<button class="btn btn-danger" data-order-action="cancel" data-order="${escapeHtml(order.id)}">Cancel</button>` : ""}
+    </div></li>`;
+}
+
+function renderEmail(email) {
+  const badge = ["failed", "bounced"].includes(email.status) ? "failed" : email.status === "sent" ? "paid" : "";
+  const when  = email.bounced_at ? `bounced ${formatDate(email.bounced_at)}` : email.sent_at ? `sent ${formatDate(email.sent_at)}` : `queued ${formatDate(email.created_at)}`;
+  return `
+    <li><strong>${escapeHtml(email.template)}</strong> <span class="badge ${badge}">${escapeHtml(email.status)}</span>
+    <span class="muted">— to ${escapeHtml(email.to_email)} · ${escapeHtml(email.lang)} · ${when} · ${email.attempts} attempt(s)</span>
+    ${email.last_error ? `<p class="muted">${escapeHtml(email.last_error)}</p>` : ""}
+    ${can("operator") && email.status === "failed" ? `<button class="btn" data-retry-email="${escapeHtml(email.id)}">Retry</button>` : ""}</li>`;
+}
+
+// Reminder emails for an unpaid preview, and whether one led to the sale
+function renderReminders(book, unsubscribed) {
+  const parts = [];
+  if (book.remindersSent) parts.push(`${book.remindersSent} sent, last ${formatDate(book.lastReminderAt)}`);
+  if (book.convertedByReminder) parts.push(`paid through reminder ${book.convertedByReminder}`);
+  if (unsubscribed) parts.push("unsubscribed");
+  return parts.join(" · ") || "—";
+}
+
+function renderDetail({ book, images, job, auditLog, contacts, paymentEvents, printOrders, emails, unsubscribed }) {
+  const title = book.generatedBook?.title || `${book.childName}'s book`;
+  detailPanel.innerHTML = `
+    <h2>${escapeHtml(title)}</h2>
+    <div class="detail-grid">
+      <div>
+        ${book.coverImage ? `<img src="${escapeHtml(book.coverImage)}" alt="Cover"/>` : ""}
+        ${book.characterSheet ? `<img src="${escapeHtml(book.characterSheet)}" alt="Character sheet"/>` : ""}
+      </div>
+      <div>
+        <dl>
+          <dt>Book id</dt><dd class="mono">${escapeHtml(book.bookId)}</dd>
+          <dt>Child</dt><dd>${escapeHtml(book.childName)}, ${escapeHtml(book.childAge)} ${escapeHtml(book.childGender)}</dd>
+          <dt>Customer</dt><dd>${escapeHtml(book.customerEmail || "—")}</dd>
+          <dt>Payment</dt><dd><span class="badge ${escapeHtml(book.paymentStatus)}">${escapeHtml(book.paymentStatus)}</span> · ${escapeHtml(book.product?.name || book.selectedFormat)} · ${renderAmountPaid(book)}</dd>
+          <dt>Payment history</dt><dd>${renderPaymentTimes(book)}</dd>
+          <dt>Reminders</dt><dd>${renderReminders(book, unsubscribed)}</dd>
+          <dt>Stripe session</dt><dd class="mono">${escapeHtml(book.stripeSessionId || "—")}</dd>
+          <dt>Images</dt><dd>${images.ready} of ${images.total} pages${book.coverImage ? ", cover ready" : ", no cover"}</dd>
+          <dt>Last job</dt><dd>${job ? `${escapeHtml(job.status)} at ${escapeHtml(job.step)} · ${job.attempts} attempt(s) · ${formatDate(job.updatedAt)}${job.lastError ? `<div class="muted">${escapeHtml(job.lastError)}</div>` : ""}` : "—"}</dd>
+          <dt>Created</dt><dd>${formatDate(book.createdAt)}</dd>
+        </dl>
+
+        ${can("admin") && !book.purchaseUnlocked ? `
+          <h3>Force unlock</h3>
+          <form class="unlock-form" id="unlockForm">
+            <textarea id="unlockNote" placeholder="Why is this book being unlocked without payment?" required></textarea>
+            <button class="btn btn-danger" type="submit">Unlock</button>
+          </form>` : ""}
+
+        <h3>Stripe events</h3>
+        ${renderHistory(paymentEvents, ev => `
+          <li><strong>${escapeHtml(ev.type)}</strong> <span class="badge ${ev.status === "failed" ? "failed" : ""}">${escapeHtml(ev.status)}</span>
+          <span class="muted">— ${formatDate(ev.received_at)} · ${ev.attempts} attempt(s)</span>
+          ${ev.last_error ? `<p class="muted">${escapeHtml(ev.last_error)}</p>` : ""}
+          ${can("admin") && ev.status === "failed" ? `<button class="btn" data-replay="${escapeHtml(ev.id)}">Replay</button>` : ""}</li>`, "No Stripe events for this book.")}
+
+        ${book.product?.print || printOrders.length ? `
+          <h3>Print orders</h3>
+          ${renderHistory(printOrders, renderPrintOrder, "No print order yet.")}` : ""}
+
+        <h3>Emails</h3>
+        ${renderHistory(emails, renderEmail, "No emails for this book.")}
+
+        <h3>Contact history</h3>
+        ${renderHistory(contacts, c => `
+          <li><strong>${escapeHtml(c.subject || "Message")}</strong> <span class="muted">— ${escapeHtml(c.name)}, ${formatDate(c.created_at)}</span>
+          <p>${escapeHtml(c.message)}</p></li>`, "No messages from this email.")}
+
+        <h3>Admin activity</h3>
+        ${renderHistory(auditLog, a => `
+          <li><strong>${escapeHtml(a.action)}</strong> <span class="muted">— ${escapeHtml(a.admin_email)}, ${formatDate(a.created_at)}</span>
+          ${a.note ? `<p>${escapeHtml(a.note)}</p>` : ""}</li>`, "Nothing yet.")}
+      </div>
+    </div>`;
+
+  detailPanel.querySelectorAll("button[data-replay]").forEach(button => {
+    button.addEventListener("click", async () => {
+      button.disabled = true;
+      try {
+        const data = await api(`/stripe-events/${encodeURIComponent(button.dataset.replay)}/replay`, { method: "POST", body: {} });
+        setMessage(listMessage, `Event replayed — ${data.result}`, data.result === "failed");
+        loadBooks();
+        loadDetail(book.bookId);
+      } catch (err) {
+        setMessage(listMessage, err.message, true);
+        button.disabled = false;
+      }
+    });
+  });
+
+  detailPanel.querySelectorAll("button[data-order-action]").forEach(button => {
+    button.addEventListener("click", async () => {
+      const action = button.dataset.orderAction;
+      const note   = action === "cancel" ? prompt("Why is this order being cancelled?") : "";
+      if (action === "cancel" && !note) return;
+      button.disabled = true;
+      try {
+        await api(`/orders/${encodeURIComponent(button.dataset.order)}/${action}`, { method: "POST", body: { note } });
+        setMessage(listMessage, action === "retry" ? "Order queued for another attempt" : "Order cancelled");
+        loadDetail(book.bookId);
+      } catch (err) {
+        setMessage(listMessage, err.message, true);
+        button.disabled = false;
+      }
+    });
+  });
+
+  detailPanel.querySelectorAll("button[data-retry-email]").forEach(button => {
+    button.addEventListener("click", async () => {
+      button.disabled = true;
+      try {
+        await api(`/emails/${encodeURIComponent(button.dataset.retryEmail)}/retry`, { method: "POST", body: {} });
+        setMessage(listMessage, "Email queued for another attempt");
+        loadDetail(book.bookId);
+      } catch (err) {
+        setMessage(listMessage, err.message, true);
+        button.disabled = false;
+      }
+    });
+  });
+
+  const unlockForm = document.getElementById("unlockForm");
+  if (unlockForm) {
+    unlockForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const note = document.getElementById("unlockNote").value.trim();
+      if (!note || !confirm("Unlock this book without a payment?")) return;
+      try {
+        await api(`/books/${encodeURIComponent(book.bookId)}/unlock`, { method: "POST", body: { note } });
+        setMessage(listMessage, "Book unlocked");
+        loadBooks();
+        loadDetail(book.bookId);
+      } catch (err) {
+        setMessage(listMessage, err.message, true);
+      }
+    });
+  }
+}
+
+async function loadDetail(bookId) {
+  detailPanel.hidden = false;
+  detailPanel.innerHTML = '<p class="muted">Loading...</p>';
+  try {
+    renderDetail(await api(`/books/${encodeURIComponent(bookId)}`));
+  } catch (err) {
+    detailPanel.innerHTML = `<p class="message error">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+// ─── Email previews ───────────────────────────────────────────────────────────
+// Each template rendered with sample data; nothing is sent
+let emailTemplates = [];
+
+function showEmailPreview() {
+  const template = emailTemplates.find(t => t.name === emailTemplate.value);
+  if (!template) return;
+  emailDesc.textContent = template.languages.includes(emailLang.value)
+    ? template.description
+    : `${template.description} — English only`;
+  const query = new URLSearchParams({ lang: emailLang.value, format: emailFormat.value });
+  emailPreview.src = `${API_BASE}/api/admin/emails/${encodeURIComponent(template.name)}/preview?${query}`;
+}
+
+async function loadEmailTemplates() {
+  try {
+    const data = await api("/emails");
+    emailTemplates = data.templates;
+    emailTemplate.innerHTML = emailTemplates.map(t => `<option value="${escapeHtml(t.name)}">${escapeHtml(t.name)}</option>`).join("");
+    emailLang.innerHTML     = data.languages.map(lang => `<option value="${escapeHtml(lang)}">${escapeHtml(lang)}</option>`).join("");
+    showEmailPreview();
+  } catch (err) {
+    emailDesc.textContent = err.message;
+  }
+}
+
+emailForm.addEventListener("change", showEmailPreview);
+
+// ─── Preview reminders ────────────────────────────────────────────────────────
+async function loadReminderStats() {
+  try {
+    const data = await api("/reminders");
+    reminderStats.textContent = `Last ${data.days} days: ${data.reminded} unpaid previews reminded, ${data.converted} paid through a reminder.`;
+  } catch (err) {
+    reminderStats.textContent = err.message;
+  }
+}
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+api("/me")
+  .then(data => { admin = data.admin; showDashboard(); })
+  .catch(() => showLogin());
@@ -4,6 +4,11 @@ function getBookId() {
   return new URLSearchParams(window.location.search).get("bookId");
 }
 
+// Set when the page was opened from a reminder email, so the sale is credited to it
+function getReminder() {
+  return new URLSearchParams(window.location.search).get("reminder");
+}
+
 document.addEventListener("DOMContentLoaded", async function() {
   var bookId = getBookId();
 
@@ -18,16 +23,105 @@ document.addEventListener("DOMContentLoaded", async function() {
   var backToPreviewBtn = document.getElementById("backToPreviewBtn");
   var backToCoverBtn   = document.getElementById("backToCoverBtn");
   var checkoutStatus   = document.getElementById("checkoutStatus");
+  var priceTitle       = document.getElementById("priceTitle");
+  var priceSubtitle    = document.getElementById("priceSubtitle");
+  var priceAmount      = document.getElementById("priceAmount");
+  var priceWas         = document.getElementById("priceWas");
+  var discountForm     = document.getElementById("discountForm");
+  var promoCodeInput   = document.getElementById("promoCodeInput");
+  var giftCardInput    = document.getElementById("giftCardInput");
+  var discountLines    = document.getElementById("discountLines");
+  var formatHead       = document.getElementById("formatHead");
+  var formatOptions    = document.getElementById("formatOptions");
+  var currencySelect   = document.getElementById("currencySelect");
 
   if (!bookId) {
     window.location.href = "wizard.html";
     return;
   }
 
-  var book = null;
+  var book     = null;
+  var quote    = null;
+  // The catalog from /api/products, and what the customer picked from it
+  var products = [];
+  var format   = "digital";
+  var currency = "usd";
+  // Codes the current quote was made with — sent again when paying
+  var codes = { promoCode: "", giftCardCode: "" };
+
+  function formatMoney(cents, currency) {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: (currency || "usd").toUpperCase(), minimumFractionDigits: cents % 100 ? 2 : 0 }).format(cents / 100);
+  }
+
+  function payLabel() {
+    if (quote && quote.total === 0) return "🎁 Complete my order — free";
+    return "🔒 Pay Securely" + (quote ? " — " + formatMoney(quote.total, quote.currency) : "");
+  }
+
+  async function loadProducts(code) {
+    var res  = await fetch(API_BASE + "/api/products?currency=" + encodeURIComponent(code));
+    var data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Failed to load prices");
+    return data;
+  }
+
+  function selectedProduct() {
+    return products.filter(function(p) { return p.format === format; })[0] || products[0];
+  }
+
+  function renderProducts(catalog) {
+    products = catalog.products;
+    currency = catalog.currency;
+    if (!selectedProduct()) return;
+    format = selectedProduct().format;
+
+    if (currencySelect) {
+      currencySelect.innerHTML = catalog.currencies.map(function(c) {
+        return "<option value=\"" + c.code + "\"" + (c.code === currency ? " selected" : "") + ">" + c.symbol + " " + c.code.toUpperCase() + "</option>";
+      }).join("");
+    }
+    if (formatOptions) {
+      formatOptions.innerHTML = products.map(function(p) {
+        return "<label><input type=\"radio\" name=\"format\" value=\"" + p.format + "\"" + (p.format === format ? " checked" : "") + "/>"
+          + "<span><strong>" + p.name + "</strong>" + formatMoney(p.price, currency) + "</span></label>";
+      }).join("");
+    }
+    if (formatHead) formatHead.hidden = false;
+
+    var product = selectedProduct();
+    if (priceTitle)    priceTitle.textContent    = product.name;
+    if (priceSubtitle) priceSubtitle.textContent = product.description;
+  }
+
+  async function fetchQuote(promoCode, giftCardCode) {
+    var res  = await fetch(API_BASE + "/api/checkout/quote", {
+      method:  "POST",
+      headers: bookAccess.headers(bookId, { "Content-Type": "application/json" }),
+      body:    JSON.stringify({ bookId: bookId, format: format, currency: currency, promoCode: promoCode, giftCardCode: giftCardCode })
+    });
+    var data = await res.json();
+    if (!res.ok) throw new Error(data.message || "That code could not be applied.");
+    return data.quote;
+  }
+
+  function renderQuote(q) {
+    quote = q;
+    if (priceAmount) priceAmount.textContent = formatMoney(q.total, q.currency);
+    if (priceWas) {
+      priceWas.hidden      = q.total === q.subtotal;
+      priceWas.textContent = formatMoney(q.subtotal, q.currency);
+    }
+    if (discountLines) {
+      var lines = [];
+      if (q.promo)    lines.push("<div><span>Promotion " + q.promo.code + "</span><span>−" + formatMoney(q.promo.off, q.currency) + "</span></div>");
+      if (q.giftCard) lines.push("<div><span>Gift card ending " + q.giftCard.last4 + " (" + formatMoney(q.giftCard.remaining, q.currency) + " left after this order)</span><span>−" + formatMoney(q.giftCard.off, q.currency) + "</span></div>");
+      discountLines.innerHTML = lines.join("");
+    }
+    if (proceedBtn && !proceedBtn.disabled) proceedBtn.textContent = payLabel();
+  }
 
   async function loadBook() {
-    var res  = await fetch(API_BASE + "/api/books/" + bookId);
+    var res  = await fetch(API_BASE + "/api/books/" + bookId, { headers: bookAccess.headers(bookId) });
     var data = await res.json();
     if (!res.ok) throw new Error(data.message || "Failed to load book");
     return data.book;
@@ -42,12 +136,26 @@ document.addEventListener("DOMContentLoaded", async function() {
     }
     if (bookTitleValue)    bookTitleValue.textContent    = b.generatedBook && b.generatedBook.title    ? b.generatedBook.title    : "-";
     if (bookSubtitleValue) bookSubtitleValue.textContent = b.generatedBook && b.generatedBook.subtitle ? b.generatedBook.subtitle : "";
+    [bookTitleValue, bookSubtitleValue].forEach(function(el) { if (el) el.dir = b.storyDirection || "ltr"; });
     if (nameEl)  nameEl.textContent  = b.childName         || "-";
     if (ageEl)   ageEl.textContent   = b.childAge          || "-";
     if (styleEl) styleEl.textContent = b.illustrationStyle || "-";
     if (pagesEl) pagesEl.textContent = String((b.generatedBook && b.generatedBook.pages ? b.generatedBook.pages.length : 0)) + " pages";
   }
 
+  // A new format or currency is a new price — codes are applied again to it,
+  // and dropped if they no longer fit
+  async function requote() {
+    renderProducts(await loadProducts(currency));
+    try {
+      renderQuote(await fetchQuote(codes.promoCode, codes.giftCardCode));
+    } catch(error) {
+      codes = { promoCode: "", giftCardCode: "" };
+      if (discountLines) discountLines.textContent = "";
+      renderQuote(await fetchQuote("", ""));
+    }
+  }
+
   async function redirectToStripe() {
     if (!book) throw new Error("Book details are still loading.");
 
@@ -61,8 +169,8 @@ document.addEventListener("DOMContentLoaded", async function() {
 
     var res  = await fetch(API_BASE + "/api/create-checkout-session", {
       method:  "POST",
-      headers: { "Content-Type": "application/json" },
-      body:    JSON.stringify({ bookId: bookId })
+      headers: bookAccess.headers(bookId, { "Content-Type": "application/json" }),
+      body:    JSON.stringify({ bookId: bookId, format: format, currency: currency, promoCode: codes.promoCode, giftCardCode: codes.giftCardCode, reminder: getReminder() })
     });
 
     var data = await res.json();
@@ -90,13 +198,45 @@ document.addEventListener("DOMContentLoaded", async function() {
         checkoutStatus.className = "status-note error";
       }
       proceedBtn.disabled    = false;
-      proceedBtn.textContent = "Pay Securely - $39";
+      proceedBtn.textContent = payLabel();
+    }
+  });
+
+  formatOptions && formatOptions.addEventListener("change", function(e) {
+    format = e.target.value;
+    requote().catch(function(error) { console.error("requote failed:", error); });
+  });
+
+  currencySelect && currencySelect.addEventListener("change", function() {
+    currency = currencySelect.value;
+    requote().catch(function(error) { console.error("requote failed:", error); });
+  });
+
+  discountForm && discountForm.addEventListener("submit", async function(e) {
+    e.preventDefault();
+    var promoCode    = promoCodeInput ? promoCodeInput.value.trim() : "";
+    var giftCardCode = giftCardInput  ? giftCardInput.value.trim()  : "";
+    try {
+      renderQuote(await fetchQuote(promoCode, giftCardCode));
+      codes = { promoCode: promoCode, giftCardCode: giftCardCode };
+    } catch(error) {
+      if (discountLines) {
+        discountLines.innerHTML = "";
+        var line = document.createElement("div");
+        line.className   = "error";
+        line.textContent = error.message;
+        discountLines.appendChild(line);
+      }
     }
   });
 
   try {
     book = await loadBook();
     renderBook(book);
+    if (book.product) format = book.product.format;
+    if (book.paymentCurrency) currency = book.paymentCurrency;
+    renderProducts(await loadProducts(currency));
+    renderQuote(await fetchQuote("", ""));
   } catch(error) {
     console.error("loadBook failed:", error);
     if (checkoutStatus) {
@@ -45,6 +45,11 @@ if (coverSubtitle) {
   coverSubtitle.textContent = generatedBook.subtitle || "A story where you are the hero";
 }
 
+// Hebrew is the only right-to-left story language
+const storyDir = data.storyLanguage === "he" ? "rtl" : "ltr";
+if (coverTitle)    coverTitle.dir    = storyDir;
+if (coverSubtitle) coverSubtitle.dir = storyDir;
+
 if (coverFillImage) {
   if (coverImage) {
     coverFillImage.src = coverImage;
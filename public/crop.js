@@ -86,6 +86,7 @@ continueBtn.addEventListener("click", async function() {
         childName:          data.childName          || "",
         childAge:           data.childAge           || "",
         childGender:        data.childGender        || "",
+        storyLanguage:      data.storyLanguage      || "en",
         storyIdea:          data.storyIdea          || "",
         illustrationStyle:  data.illustrationStyle  || "Soft Storybook",
         croppedPhoto:       croppedPhoto,
@@ -96,6 +97,7 @@ continueBtn.addEventListener("click", async function() {
     var createData = await createRes.json();
     var bookId = createData.bookId || "";
     updateBookData({ bookId });
+    bookAccess.remember(bookId, createData.ownerToken);
 
     if (!bookId) {
       throw new Error("Failed to create book — server returned no bookId. Details: " + JSON.stringify(createData));
@@ -104,7 +106,7 @@ continueBtn.addEventListener("click", async function() {
     if (bookId) {
       fetch(window.location.origin + "/api/books/" + bookId + "/generate-full", {
         method: "POST",
-        headers: { "Content-Type": "application/json" }
+        headers: bookAccess.headers(bookId, { "Content-Type": "application/json" })
       }).catch(function(e) { console.warn("generate-full kick:", e.message); });
     }
 
@@ -96,6 +96,7 @@ async function createBookRecord() {
       childName:         wizardData.childName         || "",
       childAge:          wizardData.childAge          || "",
       childGender:       wizardData.childGender       || "",
+      storyLanguage:     wizardData.storyLanguage     || "en",
       storyIdea:         wizardData.storyIdea         || "",
       illustrationStyle: wizardData.illustrationStyle || "Soft Storybook",
       croppedPhoto:      wizardData.croppedPhoto      || "",
@@ -104,113 +105,58 @@ async function createBookRecord() {
     })
   }, 10000);
   updateBookData({ bookId: result.bookId });
+  bookAccess.remember(result.bookId, result.ownerToken);
   return result.bookId;
 }
 
-async function patchBook(bookId, patch) {
-  if (!bookId) return;
-  await apiJson(API_BASE + "/api/books/" + bookId, {
-    method: "PATCH",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(patch)
-  }, 10000);
-}
-
-// ── Step 1: Analyze photo ─────────────────────────────────────────
-async function analyzePhoto() {
-  setStep("stepAnalyze");
-  setProgress(8, "Analyzing your child's photo...");
-  setStatus("Analyzing photo...");
-  // Analysis happens server-side during generate-full; just a brief pause here
-  await new Promise(r => setTimeout(r, 1200));
-  setProgress(15, "Photo analyzed ✓");
+// ── Server-side generation job ────────────────────────────────────
+// The whole pipeline runs as one job on the server; this page only starts it
+// (or re-attaches to the one crop/setup already started) and follows progress.
+async function startGeneration(bookId) {
+  const result = await apiJson(API_BASE + "/api/books/" + bookId + "/generate-full", {
+    method: "POST",
+    headers: bookAccess.headers(bookId, { "Content-Type": "application/json" })
+  }, 15000);
+  return result.job;
 }
 
-// ── Step 2: Generate story text ───────────────────────────────────
-async function generateStory(bookId) {
-  setStep("stepStory");
-  setProgress(18, "Writing the story...");
-  setStatus("Writing your child's story...");
-
-  const result = await withRetry(() =>
-    apiJson(API_BASE + "/create-book", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        child_name:         wizardData.childName         || "",
-        age:                wizardData.childAge          || "",
-        gender:             wizardData.childGender       || "",
-        story_type:         wizardData.storyIdea         || "A magical adventure",
-        illustration_style: wizardData.illustrationStyle || "Soft Storybook",
-        character_reference: {
-          characterPromptCore: "A child named " + wizardData.childName + ", age " + wizardData.childAge,
-          characterSummary:    wizardData.childName + " is a " + wizardData.childAge + " year old " + (wizardData.childGender || "child")
-        }
-      })
-    }, 30000)
-  );
-
-  const generatedBook = {
-    title:    result.title    || "",
-    subtitle: result.subtitle || "",
-    pages:    result.pages    || []
-  };
-  updateBookData({ generatedBook });
-  await patchBook(bookId, { generatedBook });
-  setProgress(38, "Story written ✓");
-  return result;
+async function fetchJob(bookId) {
+  const result = await apiJson(API_BASE + "/api/books/" + bookId + "/job", { headers: bookAccess.headers(bookId) }, 10000);
+  return result.job;
 }
 
-// ── Step 3: Cover ─────────────────────────────────────────────────
-async function generateCover(bookId, storyResult) {
-  setStep("stepCover");
-  setProgress(42, "Illustrating the cover...");
-  setStatus("Creating the book cover...");
+const JOB_STEP_UI = {
+  character: { step: "stepAnalyze", pct: 12, msg: "Analyzing your child's photo..." },
+  story:     { step: "stepStory",   pct: 30, msg: "Writing the story..." },
+  cover:     { step: "stepCover",   pct: 55, msg: "Illustrating the cover..." },
+  pages:     { step: "stepImages",  pct: 85, msg: "Illustrations generating in background..." }
+};
 
-  const result = await withRetry(() =>
-    apiJson(API_BASE + "/generate-cover-image", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        title:               storyResult.title    || "",
-        subtitle:            storyResult.subtitle || "",
-        story_type:          wizardData.storyIdea || "",
-        illustration_style:  wizardData.illustrationStyle || "Soft Storybook",
-        characterPromptCore: "A child named " + wizardData.childName,
-        characterSummary:    wizardData.childName + " the hero"
-      })
-    }, 60000)
-  );
+// Resolves once the cover is done — the preview page follows the remaining pages
+async function followJob(bookId) {
+  for (;;) {
+    const job = await fetchJob(bookId).catch(() => null);
 
-  if (result.coverImageBase64) {
-    const coverSrc = "data:image/png;base64," + result.coverImageBase64;
-    sessionStorage.setItem("coverImage", coverSrc);
-    await patchBook(bookId, { coverImage: coverSrc });
-  }
-  setProgress(62, "Cover ready ✓");
-}
+    if (job && job.status === "failed") {
+      throw new Error("Generation failed: " + (job.lastError || "unknown error"));
+    }
+    if (job && (job.status === "completed" || job.step === "pages" || job.step === "narration")) {
+      const ui = JOB_STEP_UI.pages;
+      setStep(ui.step);
+      setProgress(ui.pct, ui.msg);
+      return;
+    }
 
-// ── Step 4: Page images (fire & forget) ──────────────────────────
-async function startPageImages(bookId) {
-  setStep("stepImages");
-  setProgress(65, "Starting page illustrations...");
-  setStatus("Generating 16 illustrations...");
+    const ui = JOB_STEP_UI[job?.step] || JOB_STEP_UI.character;
+    setStep(ui.step);
+    setProgress(ui.pct, ui.msg);
+    setStatus(job && job.attempts > 0 ? ui.msg + " (retrying)" : ui.msg);
 
-  // Server responds immediately and generates in background
-  try {
-    await apiJson(API_BASE + "/api/books/" + bookId + "/generate-images", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" }
-    }, 15000); // short timeout — server replies instantly
-  } catch(e) {
-    console.warn("generate-images kick-off:", e.message);
-    // Non-fatal — generation may still be running on server
+    await new Promise(r => setTimeout(r, 3000));
   }
-
-  setProgress(88, "Illustrations generating in background...");
 }
 
-// ── Step 5: Wrap up ───────────────────────────────────────────────
+// ── Wrap up ───────────────────────────────────────────────────────
 async function finishUp() {
   setStep("stepDone");
   setProgress(95, "Wrapping up...");
@@ -230,10 +176,8 @@ if (generateBookBtn) {
       if (window.startGenTimer) window.startGenTimer();
 
       const bookId = await createBookRecord();
-      await analyzePhoto();
-      const storyResult = await generateStory(bookId);
-      await generateCover(bookId, storyResult);
-      await startPageImages(bookId);
+      await withRetry(() => startGeneration(bookId));
+      await followJob(bookId);
       await finishUp();
 
       updateBookData({ purchaseUnlocked: false });
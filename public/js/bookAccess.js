@@ -0,0 +1,54 @@
+// ─── Book access tokens ───────────────────────────────────────────────────────
+// Every /api/books/:bookId call needs the book's token (see lib/bookAccess.js
+// on the server). The owner token arrives once, from /api/books/create; links
+// from emails and Stripe carry a signed token as ?token=. Both are kept in
+// localStorage by bookId, so the book opens again in any tab of this browser.
+//
+// Loaded as a plain script before each page's own script:
+//   fetch(url, { headers: bookAccess.headers(bookId) })
+//   new EventSource(bookAccess.withToken(url, bookId))
+(function() {
+  var STORAGE_KEY = "bookTokens";
+
+  function readTokens() {
+    try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}; }
+    catch (e) { return {}; }
+  }
+
+  function remember(bookId, token) {
+    if (!bookId || !token) return;
+    var tokens = readTokens();
+    tokens[bookId] = token;
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(tokens)); } catch (e) {}
+  }
+
+  function token(bookId) {
+    return (bookId && readTokens()[bookId]) || "";
+  }
+
+  function headers(bookId, extra) {
+    var result = Object.assign({}, extra || {});
+    var value  = token(bookId);
+    if (value) result["x-book-token"] = value;
+    return result;
+  }
+
+  // For requests that cannot send headers (EventSource, links)
+  function withToken(url, bookId) {
+    var value = token(bookId);
+    if (!value) return url;
+    return url + (url.indexOf("?") === -1 ? "?" : "&") + "token=" + encodeURIComponent(value);
+  }
+
+  // Take the token off the address bar once it is stored, so it is not shared
+  // along with a copied link or sent on as a Referer
+  var params = new URLSearchParams(window.location.search);
+  if (params.get("bookId") && params.get("token")) {
+    remember(params.get("bookId"), params.get("token"));
+    params.delete("token");
+    var query = params.toString();
+    history.replaceState(null, "", window.location.pathname + (query ? "?" + query : "") + window.location.hash);
+  }
+
+  window.bookAccess = { remember: remember, token: token, headers: headers, withToken: withToken };
+})();
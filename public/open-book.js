@@ -6,7 +6,7 @@ function getQueryParam(name) {
 }
 
 const bookId = getQueryParam("bookId");
-const orderId = getQueryParam("order_id");
+const orderId = getQueryParam("order_id") || getQueryParam("orderId") || getQueryParam("session_id");
 
 const statusEl = document.getElementById("openBookStatus");
 const retryBtn = document.getElementById("retryBtn");
@@ -19,7 +19,7 @@ function setStatus(message, isError = false) {
 }
 
 async function loadBookById(id) {
-  const res = await fetch(`${API_BASE}/api/books/${id}`);
+  const res = await fetch(`${API_BASE}/api/books/${id}`, { headers: bookAccess.headers(id) });
   const data = await res.json();
 
   if (!res.ok) {
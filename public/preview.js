@@ -1,211 +1,321 @@
 var API_BASE = window.location.origin;
+var bookId = new URLSearchParams(window.location.search).get("bookId");
+if (!bookId) { window.location.href = "wizard.html"; }
 
-function getBookId() {
-  return new URLSearchParams(window.location.search).get("bookId");
-}
-
-var bookId = getBookId();
-
-if (!bookId) {
-  window.location.href = "wizard.html";
-}
-
-// DOM refs
-var loadingScreen    = document.getElementById("loadingScreen");
-var mainLayout       = document.getElementById("mainLayout");
-var loadingStatus    = document.getElementById("loadingStatus");
-var loadingBar       = document.getElementById("loadingProgressBar");
+var loadingScreen = document.getElementById("loadingScreen");
+var mainLayout    = document.getElementById("mainLayout");
 var loadingChildName = document.getElementById("loadingChildName");
-var coverImage       = document.getElementById("coverImage");
+var coverImage    = document.getElementById("coverImage");
 var coverPlaceholder = document.getElementById("coverPlaceholder");
-var bookTitleEl      = document.getElementById("bookTitle");
-var bookSubtitleEl   = document.getElementById("bookSubtitle");
-var pagesWrap        = document.getElementById("pagesWrap");
-var payBtn           = document.getElementById("payBtn");
-var stillGenerating  = document.getElementById("stillGenerating");
-
-var lstep1 = document.getElementById("lstep1");
-var lstep2 = document.getElementById("lstep2");
-var lstep3 = document.getElementById("lstep3");
-var lstep4 = document.getElementById("lstep4");
-
-// Show child name in loading if available
-var bgTitle = sessionStorage.getItem("bg_title");
-var storedName = (sessionStorage.getItem("bg_childName") || "");
-if (loadingChildName && storedName) loadingChildName.textContent = storedName;
-
-function setLoadingStep(stepNum, statusText, progress) {
-  var steps = [lstep1, lstep2, lstep3, lstep4];
+var bookTitleEl   = document.getElementById("bookTitle");
+var bookSubtitleEl= document.getElementById("bookSubtitle");
+var pagesWrap     = document.getElementById("pagesWrap");
+var payBtn        = document.getElementById("payBtn");
+var stillGen      = document.getElementById("stillGen");
+
+var steps = [
+  document.getElementById("lstep1"),
+  document.getElementById("lstep2"),
+  document.getElementById("lstep3"),
+  document.getElementById("lstep4")
+];
+
+// Live timer
+var lbTimerEl = document.getElementById("lbTimer");
+var lbBarEl   = document.getElementById("lbBar");
+var lbStart   = Date.now();
+var lbTimerInterval = setInterval(function() {
+  var elapsed = Math.floor((Date.now() - lbStart) / 1000);
+  var m = Math.floor(elapsed / 60);
+  var s = elapsed % 60;
+  if (lbTimerEl) lbTimerEl.textContent = m + ':' + (s < 10 ? '0' : '') + s;
+}, 1000);
+
+var stepIcons  = ['📷','✍️','🎨','📖'];
+var doneIcons  = ['✅','✅','✅','🎉'];
+var stepTimes  = ['28s','44s','58s',''];
+var barPcts    = [15, 40, 75, 100];
+
+function setStep(n, text, pct) {
   steps.forEach(function(s, i) {
     if (!s) return;
     s.classList.remove("active", "done");
-    if (i + 1 < stepNum) s.classList.add("done");
-    else if (i + 1 === stepNum) s.classList.add("active");
+    if (i + 1 < n) {
+      s.classList.add("done");
+      var ic = document.getElementById("lbIcon" + (i+1));
+      if (ic) ic.textContent = doneIcons[i];
+      var tm = document.getElementById("lbTime" + (i+1));
+      if (tm && stepTimes[i]) tm.textContent = stepTimes[i];
+    } else if (i + 1 === n) {
+      s.classList.add("active");
+    }
   });
-  if (loadingStatus) loadingStatus.textContent = statusText;
-  if (loadingBar) loadingBar.style.width = progress + "%";
+  if (lbBarEl) lbBarEl.style.width = (barPcts[n-1] || pct) + "%";
 }
 
 function showPreview() {
-  if (loadingScreen) loadingScreen.style.display = "none";
-  if (mainLayout) { mainLayout.style.display = "grid"; mainLayout.classList.add("visible"); }
+  clearInterval(lbTimerInterval);
+  loadingScreen.style.display = "none";
+  mainLayout.style.display = "grid";
+  mainLayout.classList.add("visible");
 }
 
-function createPageCard(page, index, imageSrc) {
+function escapeHtml(text) {
+  return String(text)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function createPageCard(page, i, imgSrc) {
   var card = document.createElement("div");
   card.className = "page-card";
-  card.id = "page-card-" + index;
+  var imgHtml = imgSrc
+    ? '<img src="' + imgSrc + '" alt="Page ' + (i+1) + '"/>'
+    : '<div class="page-img-loading"><div class="mini-spinner"></div><span>Illustrating...</span></div>';
+  card.innerHTML =
+    '<div class="page-num">Page ' + (i+1) + '</div>' +
+    '<div class="page-img-wrap" id="pimg-' + i + '">' + imgHtml + '</div>' +
+    '<div class="page-text" id="ptext-' + i + '">' + escapeHtml(page.text || "") + '</div>' +
+    '<div class="page-edit-bar"><button class="edit-text-btn" data-edit="' + i + '">✎ Edit text</button></div>';
+  return card;
+}
 
-  var imgHtml = imageSrc
-    ? '<img src="' + imageSrc + '" alt="Page ' + (index+1) + '"/>'
-    : '<div class="page-img-loading"><div class="page-img-spinner"></div><span>Illustrating page ' + (index+1) + '...</span></div>';
+// ── Edit mode — parents can fix a name or a line before buying ─────────────
+var MAX_PAGE_TEXT = 600;
+
+function startEditPage(i) {
+  var textEl = document.getElementById("ptext-" + i);
+  var page   = book.generatedBook && book.generatedBook.pages[i];
+  if (!textEl || !page || textEl.querySelector("textarea")) return;
+
+  textEl.innerHTML =
+    '<textarea class="edit-text-area" maxlength="' + MAX_PAGE_TEXT + '" rows="5">' + escapeHtml(page.text || "") + '</textarea>' +
+    '<div class="edit-text-actions">' +
+      '<span class="edit-text-status"></span>' +
+      '<button class="edit-text-btn" data-cancel="' + i + '">Cancel</button>' +
+      '<button class="edit-text-btn save" data-save="' + i + '">Save</button>' +
+    '</div>';
+  textEl.querySelector("textarea").focus();
+}
 
-  card.innerHTML =
-    '<div class="page-num">Page ' + (index+1) + '</div>' +
-    '<div class="page-img-wrap" id="page-img-' + index + '">' + imgHtml + '</div>' +
-    '<div class="page-text">' + (page.text || "") + '</div>';
+function stopEditPage(i) {
+  var textEl = document.getElementById("ptext-" + i);
+  var page   = book.generatedBook && book.generatedBook.pages[i];
+  if (textEl && page) textEl.textContent = page.text || "";
+}
 
-  return card;
+async function savePageText(i) {
+  var textEl = document.getElementById("ptext-" + i);
+  if (!textEl) return;
+  var area   = textEl.querySelector("textarea");
+  var status = textEl.querySelector(".edit-text-status");
+  var saveBtn = textEl.querySelector("[data-save]");
+  saveBtn.disabled = true;
+  status.textContent = "Saving...";
+  try {
+    var res  = await fetch(API_BASE + "/api/books/" + encodeURIComponent(bookId) + "/pages/" + i + "/text", {
+      method: "PUT",
+      headers: bookAccess.headers(bookId, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ text: area.value })
+    });
+    var data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Could not save");
+    book.generatedBook.pages[i].text = data.text;
+    stopEditPage(i);
+  } catch (e) {
+    status.textContent = "⚠️ " + e.message;
+    saveBtn.disabled = false;
+  }
 }
 
-function updatePageImage(index, src) {
-  var wrap = document.getElementById("page-img-" + index);
-  if (!wrap) return;
-  wrap.innerHTML = '<img src="' + src + '" alt="Page ' + (index+1) + '"/>';
+pagesWrap && pagesWrap.addEventListener("click", function(e) {
+  var t = e.target;
+  if (t.dataset.edit   !== undefined) startEditPage(Number(t.dataset.edit));
+  if (t.dataset.cancel !== undefined) stopEditPage(Number(t.dataset.cancel));
+  if (t.dataset.save   !== undefined) savePageText(Number(t.dataset.save));
+});
+
+function updatePageImg(i, src) {
+  var w = document.getElementById("pimg-" + i);
+  if (w && !w.querySelector("img")) {
+    w.innerHTML = '<img src="' + src + '" alt="Page ' + (i+1) + '"/>';
+  }
 }
 
-// Pay button
 payBtn && payBtn.addEventListener("click", function() {
   window.location.href = "checkout.html?bookId=" + encodeURIComponent(bookId);
 });
 
-// --- Main polling loop ---------------------------------------------------------
-async function pollForBook() {
-  var maxWait    = 180;  // 3 minutes max
-  var pollEvery  = 3;    // seconds
-  var elapsed    = 0;
-  var previewShown = false;
+var previewShown = false;
+
+// Everything below works off one local book shape, fed either by the event
+// stream or by polling GET /api/books/:bookId
+var book = { childName: "", characterReference: null, generatedBook: null, coverImage: null, fullImages: [] };
+
+function applyBookState(b) {
+  // Update child name
+  if (b.childName && loadingChildName) loadingChildName.textContent = b.childName;
+
+  // Update steps
+  var hasChar   = !!(b.characterReference && b.characterReference.characterPromptCore);
+  var hasStory  = !!(b.generatedBook && b.generatedBook.pages && b.generatedBook.pages.length > 0);
+  var hasImgs   = !!(b.fullImages && b.fullImages.filter(Boolean).length >= 1);
+  var hasCover  = !!b.coverImage;
+  var has2Imgs  = !!(b.fullImages && b.fullImages.filter(Boolean).length >= 2);
+
+  if      (!hasChar && !hasStory) setStep(1, "Analyzing photo...", 15);
+  else if (!hasStory) setStep(2, "Writing " + (b.childName||"your child") + "'s story...", 35);
+  else if (!hasImgs)  setStep(3, "Illustrating the first pages...", 55);
+  else if (!hasCover) setStep(4, "Creating the cover...", 78);
+  else                setStep(4, "Almost ready...", 92);
+
+  // Show preview AS SOON AS story is ready — no need to wait for images
+  if (!previewShown && hasStory) {
+    previewShown = true;
+    renderPreview(b);
+    showPreview();
+  }
+
+  if (previewShown) updateLiveImages(b);
+
+  // Update progress counter
+  var totalPages = (b.generatedBook && b.generatedBook.pages) ? b.generatedBook.pages.length : 16;
+  var readyCount = b.fullImages ? b.fullImages.filter(Boolean).length : 0;
+  var progressEl = document.getElementById('imgProgress');
+  var progressText = document.getElementById('imgProgressText');
+  var progressBar = document.getElementById('imgProgressBar');
+  if (progressEl && readyCount > 0) {
+    progressEl.style.display = 'block';
+    progressText.textContent = '✨ ' + readyCount + '/' + totalPages + ' pages illustrated';
+    progressBar.style.width = Math.round((readyCount / totalPages) * 100) + '%';
+  }
+
+  // Unlock button — enable as soon as cover + 2 images ready
+  if (hasCover && has2Imgs && payBtn) {
+    payBtn.disabled = false;
+    payBtn.style.opacity = '1';
+    payBtn.style.cursor = 'pointer';
+    payBtn.textContent = 'Unlock Full Book — $39';
+  }
+
+  if (hasCover && has2Imgs) {
+    setStep(4, "Ready!", 100);
+    if (stillGen) stillGen.style.display = readyCount < totalPages ? "flex" : "none";
+    return true;
+  }
+  return false;
+}
+
+function showGenerationFailed() {
+  var msg = "Something went wrong while illustrating your book. Please refresh, or contact us and we'll fix it.";
+  if (previewShown && stillGen) {
+    stillGen.style.display = "flex";
+    stillGen.textContent = "⚠️ " + msg;
+  } else {
+    var title = loadingScreen && loadingScreen.querySelector(".loading-title");
+    if (title) title.textContent = msg;
+  }
+}
+
+// ── Live updates over Server-Sent Events ────────────────────────────────────
+function subscribeToEvents() {
+  var es = new EventSource(bookAccess.withToken(API_BASE + "/api/books/" + encodeURIComponent(bookId) + "/events", bookId));
+  var opened = false;
+
+  function on(type, handler) {
+    es.addEventListener(type, function(e) {
+      opened = true;
+      var data = {};
+      try { data = JSON.parse(e.data); } catch (err) {}
+      handler(data);
+      applyBookState(book);
+    });
+  }
+
+  es.onopen = function() { opened = true; };
+
+  on("character-ready", function(d) {
+    if (d.childName) book.childName = d.childName;
+    book.characterReference = { characterPromptCore: true };
+  });
+  on("story-ready", function(d) {
+    if (d.childName) book.childName = d.childName;
+    book.generatedBook = { title: d.title, subtitle: d.subtitle, pages: d.pages || [] };
+    while (book.fullImages.length < book.generatedBook.pages.length) book.fullImages.push(null);
+  });
+  on("cover-ready", function(d) { book.coverImage = d.src; });
+  on("page-ready",  function(d) { book.fullImages[d.index] = d.src; });
+  on("complete",    function() { es.close(); });
+  on("failed",      function() { es.close(); showGenerationFailed(); });
+
+  es.onerror = function() {
+    // Never connected (proxy strips SSE, old browser…) — poll instead
+    if (!opened) {
+      es.close();
+      pollBook();
+    }
+  };
+}
 
-  setLoadingStep(1, "Analyzing photo and building character...", 10);
+// ── Polling fallback ─────────────────────────────────────────────────────────
+async function pollBook() {
+  var maxWait = 180, every = 3, elapsed = 0;
+  setStep(1, "Analyzing photo and building character...", 10);
 
   while (elapsed < maxWait) {
-    await new Promise(function(r) { setTimeout(r, pollEvery * 1000); });
-    elapsed += pollEvery;
+    await new Promise(function(r){ setTimeout(r, every * 1000); });
+    elapsed += every;
 
     try {
-      var res  = await fetch(API_BASE + "/api/books/" + bookId);
+      var res  = await fetch(API_BASE + "/api/books/" + bookId, { headers: bookAccess.headers(bookId) });
       var data = await res.json();
-
       if (!res.ok || !data.book) continue;
-      var book = data.book;
-
-      // Update loading steps based on what's ready
-      var hasCharRef     = !!(book.characterReference && book.characterReference.characterPromptCore);
-      var hasStory       = !!(book.generatedBook && book.generatedBook.pages && book.generatedBook.pages.length > 0);
-      var hasImages      = !!(book.fullImages && book.fullImages.filter(Boolean).length >= 1);
-      var hasCover       = !!book.coverImage;
-      var hasTwoImages   = !!(book.fullImages && book.fullImages.filter(Boolean).length >= 2);
-
-      if (!hasCharRef) {
-        setLoadingStep(1, "Analyzing photo and building character...", 15);
-      } else if (!hasStory) {
-        setLoadingStep(2, "Writing " + (book.childName || "your child") + "'s story...", 35);
-        if (loadingChildName && book.childName) loadingChildName.textContent = book.childName;
-      } else if (!hasImages) {
-        setLoadingStep(3, "Illustrating the first pages...", 55);
-      } else if (!hasCover) {
-        setLoadingStep(4, "Creating the cover...", 75);
-      } else {
-        setLoadingStep(4, "Almost ready...", 90);
-      }
-
-      // Show preview as soon as we have story + at least 1 image (cover or page)
-      if (!previewShown && hasStory && (hasImages || hasCover)) {
-        previewShown = true;
-        renderPreview(book);
-        showPreview();
-      }
-
-      // If preview is shown, update images as they arrive
-      if (previewShown) {
-        updateLiveImages(book);
-      }
-
-      // If cover + 2 page images ready, we're done polling
-      if (hasCover && hasTwoImages) {
-        setLoadingStep(4, "Ready!", 100);
-
-        // Check if full book still being generated
-        var totalPages = book.generatedBook && book.generatedBook.pages ? book.generatedBook.pages.length : 0;
-        var readyImages = book.fullImages ? book.fullImages.filter(Boolean).length : 0;
-        if (readyImages < totalPages && stillGenerating) {
-          stillGenerating.style.display = "flex";
-        }
-        break;
-      }
-
-    } catch(err) {
-      console.warn("Poll error:", err.message);
-    }
+      book = data.book;
+      if (applyBookState(book)) break;
+    } catch(e) { console.warn("poll:", e.message); }
   }
 
-  // Fallback: if we never showed preview, try to show whatever we have
+  // Fallback
   if (!previewShown) {
     try {
-      var res  = await fetch(API_BASE + "/api/books/" + bookId);
-      var data = await res.json();
-      if (data.book) { renderPreview(data.book); showPreview(); }
-    } catch(e) {
-      // Show error state
-      if (loadingStatus) loadingStatus.textContent = "Taking longer than expected. Please refresh.";
-    }
+      var r2 = await fetch(API_BASE + "/api/books/" + bookId, { headers: bookAccess.headers(bookId) });
+      var d2 = await r2.json();
+      if (d2.book) { book = d2.book; renderPreview(book); showPreview(); }
+    } catch(e) {}
   }
 }
 
-function renderPreview(book) {
-  // Title + subtitle
-  var title = (book.generatedBook && book.generatedBook.title) || "Your Magical Adventure";
-  var sub   = (book.generatedBook && book.generatedBook.subtitle) || "";
-  if (bookTitleEl)   bookTitleEl.textContent   = title;
+function renderPreview(b) {
+  var title = (b.generatedBook && b.generatedBook.title) || "Your Magical Adventure";
+  var sub   = (b.generatedBook && b.generatedBook.subtitle) || "";
+  if (bookTitleEl)    bookTitleEl.textContent    = title;
+  [bookTitleEl, bookSubtitleEl, pagesWrap].forEach(function(el) {
+    if (!el) return;
+    el.dir  = b.storyDirection || "ltr";
+    el.lang = b.storyLanguage  || "en";
+  });
   if (bookSubtitleEl) bookSubtitleEl.textContent = sub;
 
-  // Cover
-  if (book.coverImage && coverImage) {
-    coverImage.src = book.coverImage;
-  }
-
-  // First 2 pages
-  var pages      = (book.generatedBook && book.generatedBook.pages) || [];
-  var fullImages = book.fullImages || [];
-  var previewPages = pages.slice(0, 2);
-
-  if (pagesWrap) pagesWrap.innerHTML = "";
+  if (b.coverImage && coverImage) coverImage.src = b.coverImage;
 
-  previewPages.forEach(function(page, i) {
-    var imgSrc = fullImages[i] || null;
-    var card = createPageCard(page, i, imgSrc);
-    if (pagesWrap) pagesWrap.appendChild(card);
+  var pages  = (b.generatedBook && b.generatedBook.pages) || [];
+  var imgs   = b.fullImages || [];
+  pagesWrap.innerHTML = "";
+  pages.slice(0,2).forEach(function(page, i) {
+    pagesWrap.appendChild(createPageCard(page, i, imgs[i] || null));
   });
 }
 
-function updateLiveImages(book) {
-  var fullImages = book.fullImages || [];
-
-  // Update cover
-  if (book.coverImage && coverImage && !coverImage.src) {
-    coverImage.src = book.coverImage;
-  }
-
-  // Update page images 0 and 1
+function updateLiveImages(b) {
+  var imgs = b.fullImages || [];
+  if (b.coverImage && coverImage && !coverImage.src) coverImage.src = b.coverImage;
   for (var i = 0; i < 2; i++) {
-    if (fullImages[i]) {
-      var wrap = document.getElementById("page-img-" + i);
-      if (wrap && !wrap.querySelector("img")) {
-        updatePageImage(i, fullImages[i]);
-      }
-    }
+    if (imgs[i]) updatePageImg(i, imgs[i]);
   }
 }
 
-// Start polling
-pollForBook();
+setStep(1, "Analyzing photo and building character...", 10);
+if (window.EventSource) subscribeToEvents();
+else pollBook();
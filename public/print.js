@@ -28,7 +28,7 @@ const generatedImageCache = new Map();
 // ─── Load book from API ───────────────────────────────────────────────────────
 async function loadBook() {
   if (!bookId) throw new Error("Missing bookId in URL");
-  const res  = await fetch(`${API_BASE}/api/books/${encodeURIComponent(bookId)}`);
+  const res  = await fetch(`${API_BASE}/api/books/${encodeURIComponent(bookId)}`, { headers: bookAccess.headers(bookId) });
   const data = await res.json();
   if (!res.ok) throw new Error(data.message || "Failed to load book");
   return data.book;
@@ -38,7 +38,7 @@ async function loadBook() {
 async function getPageImage(index) {
   if (Array.isArray(fullImages) && fullImages[index]) {
     const stored = fullImages[index];
-    return stored.startsWith("data:") ? stored : `data:image/png;base64,${stored}`;
+    return /^(data:|\/|https?:)/.test(stored) ? stored : `data:image/png;base64,${stored}`;
   }
 
   const previewImages = book.previewImages || [];
@@ -80,6 +80,10 @@ function escapeHtml(text) {
     .replaceAll("'", "&#039;");
 }
 
+function storyDirection() {
+  return book?.storyDirection || "ltr";
+}
+
 function createSpreadCard(leftPage, leftIndex, rightPage, rightIndex) {
   const section = document.createElement("section");
   section.className = "spread-card";
@@ -90,7 +94,7 @@ function createSpreadCard(leftPage, leftIndex, rightPage, rightIndex) {
         <div class="print-page-image-wrap" data-image-slot="${rightIndex}">
           <div class="print-page-loading">Loading page ${rightIndex + 1}…</div>
         </div>
-        <div class="print-page-text">${escapeHtml(rightPage.text || "")}</div>
+        <div class="print-page-text" dir="${storyDirection()}">${escapeHtml(rightPage.text || "")}</div>
       </article>
     `
     : `
@@ -112,7 +116,7 @@ function createSpreadCard(leftPage, leftIndex, rightPage, rightIndex) {
         <div class="print-page-image-wrap" data-image-slot="${leftIndex}">
           <div class="print-page-loading">Loading page ${leftIndex + 1}…</div>
         </div>
-        <div class="print-page-text">${escapeHtml(leftPage.text || "")}</div>
+        <div class="print-page-text" dir="${storyDirection()}">${escapeHtml(leftPage.text || "")}</div>
       </article>
       ${rightPageHtml}
     </div>
@@ -197,6 +201,7 @@ goToCheckoutBtn?.addEventListener("click", () => {
 
     if (printTitle) {
       printTitle.textContent = book.generatedBook?.title || "Print-ready preview";
+      if (book.generatedBook?.title) printTitle.dir = storyDirection();
     }
 
     await renderSpreads();
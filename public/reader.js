@@ -6,196 +6,372 @@ function getUrlParam(name) {
 }
 
 const bookId = getUrlParam("bookId");
+if (!bookId) { window.location.href = "wizard.html"; }
 
 // ─── DOM refs ─────────────────────────────────────────────────────────────────
-const readerTitle      = document.getElementById("readerTitle");
-const readerSubtitle   = document.getElementById("readerSubtitle");
-const readerPageBadge  = document.getElementById("readerPageBadge");
-const readerImageWrap  = document.getElementById("readerImageWrap");
-const readerPageText   = document.getElementById("readerPageText");
-const readerPageCounter = document.getElementById("readerPageCounter");
-const prevPageBtn      = document.getElementById("prevPageBtn");
-const nextPageBtn      = document.getElementById("nextPageBtn");
-const backToPreviewBtn = document.getElementById("backToPreviewBtn");
-const readerBrandLogo  = document.getElementById("readerBrandLogo");
-
-if (readerBrandLogo) {
-  readerBrandLogo.addEventListener("error", () => { readerBrandLogo.style.display = "none"; });
-}
+const readerTitle    = document.getElementById("readerTitle");
+const readerSubtitle = document.getElementById("readerSubtitle");
+const pagesGrid      = document.getElementById("pagesGrid");
+const gridView       = document.getElementById("gridView");
+const singleView     = document.getElementById("singleView");
+const toggleGrid     = document.getElementById("toggleGrid");
+const toggleSingle   = document.getElementById("toggleSingle");
+const downloadBanner = document.getElementById("downloadBanner");
+const bannerTitle    = document.getElementById("bannerTitle");
+const downloadPdfBtn = document.getElementById("downloadPdfBtn");
+const backBtn        = document.getElementById("backToPreviewBtn");
+
+// Single view
+const singleImageWrap = document.getElementById("singleImageWrap");
+const singlePageText  = document.getElementById("singlePageText");
+const singlePageBadge = document.getElementById("singlePageBadge");
+const singleCounter   = document.getElementById("singleCounter");
+const prevBtn         = document.getElementById("prevPageBtn");
+const nextBtn         = document.getElementById("nextPageBtn");
+
+// Narration
+const readAloudBtn     = document.getElementById("readAloudBtn");
+const autoAdvanceInput = document.getElementById("autoAdvanceInput");
+const narrationStatus  = document.getElementById("narrationStatus");
 
 let book = null;
 let pages = [];
-let fullImages = [];
-let currentPageIndex = 0;
+let images = [];
+let currentIndex = 0;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-// In-session cache so we never re-generate the same image twice
-const generatedImageCache = new Map();
+// ─── View toggle ──────────────────────────────────────────────────────────────
+function showGrid() {
+  stopNarration();
+  toggleGrid.classList.add("active");
+  toggleSingle.classList.remove("active");
+  gridView.classList.remove("hidden");
+  singleView.classList.remove("active");
+}
 
-// ─── Load book from API ───────────────────────────────────────────────────────
-async function loadBook() {
-  if (!bookId) {
-    throw new Error("Missing bookId in URL");
-  }
+function showSingle() {
+  toggleSingle.classList.add("active");
+  toggleGrid.classList.remove("active");
+  gridView.classList.add("hidden");
+  singleView.classList.add("active");
+  renderSinglePage(currentIndex);
+}
 
-  const res = await fetch(`${API_BASE}/api/books/${encodeURIComponent(bookId)}`);
-  const data = await res.json();
+toggleGrid.addEventListener("click", showGrid);
+toggleSingle.addEventListener("click", showSingle);
 
-  if (!res.ok) throw new Error(data.message || "Failed to load book");
-  return data.book;
+backBtn?.addEventListener("click", () => {
+  window.location.href = `preview.html?bookId=${encodeURIComponent(bookId)}`;
+});
+
+// ─── Single page view ─────────────────────────────────────────────────────────
+prevBtn?.addEventListener("click", () => {
+  if (currentIndex > 0) goToPage(currentIndex - 1);
+});
+
+nextBtn?.addEventListener("click", () => {
+  if (currentIndex < pages.length - 1) goToPage(currentIndex + 1);
+  else window.location.href = `delivery.html?bookId=${encodeURIComponent(bookId)}`;
+});
+
+// Turning the page while narration plays carries on reading the new page
+function goToPage(i) {
+  const keepReading = isNarrating();
+  stopNarration();
+  currentIndex = i;
+  renderSinglePage(i);
+  if (keepReading) playNarration();
 }
 
-// ─── Generate a page image on demand (fallback if not pre-generated) ──────────
-async function generatePageImage(page, index) {
-  const cacheKey = `gen-${index}`;
-  if (generatedImageCache.has(cacheKey)) {
-    return generatedImageCache.get(cacheKey);
-  }
+function renderSinglePage(i) {
+  const page = pages[i];
+  if (!page) return;
+  singlePageBadge.textContent = `Page ${i + 1}`;
+  singleCounter.textContent   = `Page ${i + 1} of ${pages.length}`;
+  singlePageText.innerHTML    = pageTextHtml(page.text || "", narration.pages[i]?.words);
+  prevBtn.disabled = i === 0;
+  prevBtn.style.opacity = i === 0 ? "0.5" : "1";
+  nextBtn.textContent = i === pages.length - 1 ? "Finish" : "Next";
+
+  const src = images[i];
+  singleImageWrap.innerHTML = src
+    ? `<img src="${escapeHtml(src)}" alt="Page ${i + 1}"/>`
+    : '<div class="page-img-loading"><div class="spinner"></div><span>Loading...</span></div>';
+  updateNarrationControls();
+}
 
-  const characterReference = book.characterReference || {};
-
-  const res = await fetch(`${API_BASE}/generate-image`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      prompt: page.imagePrompt || "",
-      illustration_style: book.illustrationStyle || "Soft Storybook",
-      characterPromptCore: characterReference.characterPromptCore || "",
-      characterSummary: characterReference.characterSummary || ""
-    })
+// ─── Grid view ────────────────────────────────────────────────────────────────
+function buildGrid() {
+  pagesGrid.innerHTML = "";
+  pages.forEach((page, i) => {
+    const card = document.createElement("div");
+    card.className = "page-card";
+    card.id = `grid-page-${i}`;
+
+    const src = images[i];
+    const imgHtml = src
+      ? `<img src="${escapeHtml(src)}" alt="Page ${i + 1}"/>`
+      : '<div class="page-img-loading"><div class="spinner"></div><span>Illustrating...</span></div>';
+
+    card.innerHTML =
+      `<div class="page-num-badge">Page ${i + 1}</div>` +
+      `<div class="page-img-wrap" id="gimg-${i}">${imgHtml}</div>` +
+      `<div class="page-body"><p class="page-text">${escapeHtml(page.text || "")}</p></div>`;
+
+    pagesGrid.appendChild(card);
   });
+}
 
-  const result = await res.json();
-  if (!res.ok) throw new Error(result?.message || `Failed to generate image for page ${index + 1}`);
-
-  const src = `data:image/png;base64,${result.imageBase64}`;
-  generatedImageCache.set(cacheKey, src);
-  return src;
+function updateGridImage(i, src) {
+  const wrap = document.getElementById(`gimg-${i}`);
+  if (wrap && src) wrap.innerHTML = `<img src="${escapeHtml(src)}" alt="Page ${i + 1}"/>`;
 }
 
-// ─── Get image for a page — prefer stored, fallback to generate ───────────────
-async function getPageImage(index) {
-  // 1. Use fullImages stored in Supabase if available
-  if (Array.isArray(fullImages) && fullImages[index]) {
-    const stored = fullImages[index];
-    // Handle both base64 strings and data URLs
-    if (stored.startsWith("data:")) return stored;
-    return `data:image/png;base64,${stored}`;
-  }
+// ─── Read-aloud narration ─────────────────────────────────────────────────────
+// Each page has its own audio file plus the start/end time of every word, so
+// the word being spoken can be highlighted. With auto-advance on, the reader
+// turns the page when a page's audio ends.
+const audio = new Audio();
+audio.preload = "auto";
+
+let narration     = { available: false, pages: [] };
+let narrationPoll = null;
+let highlightLoop = null;
+
+// Words become spans; the text between them (spaces) stays as it was
+function pageTextHtml(text, words) {
+  if (!words?.length) return escapeHtml(text);
+  let html   = "";
+  let cursor = 0;
+  words.forEach((w, k) => {
+    html  += escapeHtml(text.slice(cursor, w.charStart));
+    html  += `<span class="word" data-word="${k}">${escapeHtml(text.slice(w.charStart, w.charEnd))}</span>`;
+    cursor = w.charEnd;
+  });
+  return html + escapeHtml(text.slice(cursor));
+}
 
-  // 2. Check previewImages as fallback (may be lower quality but works)
-  const previewImages = book.previewImages || [];
-  if (Array.isArray(previewImages) && previewImages[index]) {
-    const preview = previewImages[index];
-    if (preview.startsWith("data:")) return preview;
-    return `data:image/png;base64,${preview}`;
-  }
+function isNarrating() {
+  return !audio.paused && !audio.ended;
+}
 
-  // 3. Last resort: generate fresh (costs API call)
-  const page = pages[index];
-  if (!page) throw new Error(`No page data at index ${index}`);
-  return await generatePageImage(page, index);
+function setNarrationStatus(message) {
+  if (narrationStatus) narrationStatus.textContent = message || "";
 }
 
-// ─── Render the current page ──────────────────────────────────────────────────
-async function renderCurrentPage() {
-  const page = pages[currentPageIndex];
-  const pageNumber = currentPageIndex + 1;
+function updateNarrationControls() {
+  if (!readAloudBtn) return;
+  readAloudBtn.style.display = narration.available || narration.pages.some(Boolean) ? "" : "none";
+  readAloudBtn.textContent   = isNarrating() ? "Pause" : "Read to me";
+  readAloudBtn.classList.toggle("playing", isNarrating());
+}
 
-  if (readerPageBadge)   readerPageBadge.textContent = `Page ${pageNumber}`;
-  if (readerPageCounter) readerPageCounter.textContent = `Page ${pageNumber} of ${pages.length}`;
-  if (readerPageText)    readerPageText.textContent = page?.text || "";
+function highlightWord(index) {
+  singlePageText.querySelectorAll(".word.speaking").forEach(el => {
+    if (Number(el.dataset.word) !== index) el.classList.remove("speaking");
+  });
+  if (index >= 0) singlePageText.querySelector(`.word[data-word="${index}"]`)?.classList.add("speaking");
+}
 
-  if (prevPageBtn) {
-    prevPageBtn.disabled = currentPageIndex === 0;
-    prevPageBtn.style.opacity = currentPageIndex === 0 ? "0.55" : "1";
+function currentWordIndex(words, time) {
+  for (let k = 0; k < words.length; k++) {
+    if (time < words[k].start) return k - 1;
+    if (time < words[k].end)   return k;
   }
+  return -1;
+}
 
-  if (nextPageBtn) {
-    nextPageBtn.textContent = currentPageIndex === pages.length - 1 ? "Finish" : "Next →";
-  }
+// timeupdate only fires a few times a second — too coarse for single words
+function startHighlighting() {
+  cancelAnimationFrame(highlightLoop);
+  const words = narration.pages[currentIndex]?.words || [];
+  const tick = () => {
+    highlightWord(currentWordIndex(words, audio.currentTime));
+    if (isNarrating()) highlightLoop = requestAnimationFrame(tick);
+  };
+  tick();
+}
 
-  if (readerImageWrap) {
-    readerImageWrap.innerHTML = `<div class="reader-image-loading">Loading illustration for page ${pageNumber}…</div>`;
-  }
+function stopNarration() {
+  audio.pause();
+  cancelAnimationFrame(highlightLoop);
+  highlightWord(-1);
+  updateNarrationControls();
+}
 
+async function playNarration() {
+  const entry = narration.pages[currentIndex];
+  if (!entry) {
+    await requestNarration();
+    return;
+  }
+  setNarrationStatus("");
+  const src = new URL(entry.src, API_BASE).href;
+  if (audio.src !== src) audio.src = src;
   try {
-    const imageSrc = await getPageImage(currentPageIndex);
-
-    if (readerImageWrap) {
-      readerImageWrap.innerHTML = `
-        <img class="reader-image" src="${imageSrc}" alt="Illustration for page ${pageNumber}" />
-      `;
-    }
+    await audio.play();
   } catch (err) {
-    console.error(`Page ${pageNumber} image error:`, err);
-    if (readerImageWrap) {
-      readerImageWrap.innerHTML = `
-        <div class="reader-image-error">
-          Could not load illustration for page ${pageNumber}.
-        </div>
-      `;
-    }
+    setNarrationStatus("Tap “Read to me” to start the narration.");
   }
 }
 
-// ─── Navigation ───────────────────────────────────────────────────────────────
-prevPageBtn?.addEventListener("click", async () => {
-  if (currentPageIndex === 0) return;
-  currentPageIndex -= 1;
-  await renderCurrentPage();
-});
-
-nextPageBtn?.addEventListener("click", async () => {
-  if (currentPageIndex < pages.length - 1) {
-    currentPageIndex += 1;
-    await renderCurrentPage();
-    return;
+audio.addEventListener("play", () => { startHighlighting(); updateNarrationControls(); });
+audio.addEventListener("pause", updateNarrationControls);
+
+audio.addEventListener("ended", () => {
+  cancelAnimationFrame(highlightLoop);
+  highlightWord(-1);
+  if (autoAdvanceInput?.checked && currentIndex < pages.length - 1) {
+    currentIndex++;
+    renderSinglePage(currentIndex);
+    playNarration();
+  } else {
+    updateNarrationControls();
   }
-  // Last page done
-  window.location.href = `delivery.html?bookId=${encodeURIComponent(bookId)}`;
 });
 
-backToPreviewBtn?.addEventListener("click", () => {
-  window.location.href = bookId
-    ? `preview.html?bookId=${encodeURIComponent(bookId)}`
-    : "preview.html";
+readAloudBtn?.addEventListener("click", () => {
+  if (!singleView.classList.contains("active")) showSingle();
+  if (isNarrating()) stopNarration();
+  else playNarration();
 });
 
-// ─── Main ─────────────────────────────────────────────────────────────────────
-(async () => {
+async function loadNarration() {
+  const res  = await fetch(`${API_BASE}/api/books/${encodeURIComponent(bookId)}/narration`, { headers: bookAccess.headers(bookId) });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || "Failed to load narration");
+  return data;
+}
+
+// Asks the server to narrate the missing pages, then waits for this one
+async function requestNarration() {
+  if (!narration.available) {
+    setNarrationStatus("Narration isn't available for this book.");
+    return;
+  }
+  setNarrationStatus("Preparing the narration...");
+  if (narrationPoll) return;
+
   try {
-    if (!bookId) {
-      alert("Missing bookId. Please return to checkout.");
-      window.location.href = "wizard.html";
+    const res  = await fetch(`${API_BASE}/api/books/${encodeURIComponent(bookId)}/narration`, { method: "POST", headers: bookAccess.headers(bookId) });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Failed to start narration");
+  } catch (err) {
+    setNarrationStatus(err.message);
+    return;
+  }
+
+  let pollCount = 0;
+  const waitingFor = currentIndex;
+  narrationPoll = setInterval(async () => {
+    pollCount++;
+    if (pollCount > 60) {
+      clearInterval(narrationPoll);
+      narrationPoll = null;
+      setNarrationStatus("The narration is taking longer than expected. Please try again later.");
       return;
     }
+    try {
+      narration = await loadNarration();
+      if (!narration.pages[waitingFor]) return;
+      clearInterval(narrationPoll);
+      narrationPoll = null;
+      if (currentIndex === waitingFor) {
+        renderSinglePage(currentIndex);
+        playNarration();
+      }
+    } catch (e) {}
+  }, 5000);
+}
 
+// ─── Load book from API ───────────────────────────────────────────────────────
+async function loadBook() {
+  const res  = await fetch(`${API_BASE}/api/books/${encodeURIComponent(bookId)}`, { headers: bookAccess.headers(bookId) });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || "Failed to load book");
+  return data.book;
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  try {
     book = await loadBook();
 
-    // Verify purchase is unlocked
+    // Check purchase — a refunded book is no longer readable
     if (!book.purchaseUnlocked) {
-      alert("This book has not been purchased yet. Please complete checkout first.");
       window.location.href = `checkout.html?bookId=${encodeURIComponent(bookId)}`;
       return;
     }
 
-    pages = book.generatedBook?.pages || [];
-    fullImages = book.fullImages || [];
-
-    if (pages.length === 0) {
-      alert("This book has no pages. Please go back and try again.");
-      window.location.href = `preview.html?bookId=${encodeURIComponent(bookId)}`;
-      return;
+    pages  = book.generatedBook?.pages || [];
+    images = book.fullImages || [];
+
+    const title = book.generatedBook?.title    || "Your Magical Adventure";
+    const sub   = book.generatedBook?.subtitle || "";
+    if (readerTitle)    readerTitle.textContent    = title;
+    if (readerSubtitle) readerSubtitle.textContent = sub;
+    if (bannerTitle)    bannerTitle.textContent    = title;
+
+    // Story text runs in the book's language, whatever the page around it
+    [readerTitle, readerSubtitle, bannerTitle, pagesGrid, singlePageText].forEach(el => {
+      if (!el) return;
+      el.dir  = book.storyDirection || "ltr";
+      el.lang = book.storyLanguage  || "en";
+    });
+
+    if (downloadBanner) downloadBanner.style.display = "flex";
+
+    // Build grid immediately with whatever images we have
+    buildGrid();
+
+    // Narration is optional — the book reads fine without it
+    loadNarration()
+      .then(data => {
+        narration = data;
+        if (singleView.classList.contains("active")) renderSinglePage(currentIndex);
+        else updateNarrationControls();
+      })
+      .catch(err => console.warn("Narration unavailable:", err.message));
+
+    // Poll for missing images
+    const totalPages = pages.length;
+    if (images.filter(Boolean).length < totalPages) {
+      let pollCount = 0;
+      const interval = setInterval(async () => {
+        pollCount++;
+        if (pollCount > 60) { clearInterval(interval); return; }
+        try {
+          const r = await fetch(`${API_BASE}/api/books/${encodeURIComponent(bookId)}`, { headers: bookAccess.headers(bookId) });
+          const d = await r.json();
+          if (!r.ok || !d.book) return;
+          const newImages = d.book.fullImages || [];
+          newImages.forEach((src, i) => {
+            if (src && !images[i]) {
+              images[i] = src;
+              updateGridImage(i, src);
+              // Update single view if showing this page
+              if (singleView.classList.contains("active") && currentIndex === i) {
+                singleImageWrap.innerHTML = `<img src="${escapeHtml(src)}" alt="Page ${i + 1}"/>`;
+              }
+            }
+          });
+          if (newImages.filter(Boolean).length >= totalPages) clearInterval(interval);
+        } catch (e) {}
+      }, 4000);
     }
 
-    if (readerTitle)    readerTitle.textContent    = book.generatedBook?.title    || "Your Magical Adventure";
-    if (readerSubtitle) readerSubtitle.textContent = book.generatedBook?.subtitle || "A story where you are the hero";
+    downloadPdfBtn?.addEventListener("click", () => {
+      window.location.href = `delivery.html?bookId=${encodeURIComponent(bookId)}`;
+    });
 
-    await renderCurrentPage();
   } catch (err) {
-    console.error("Reader init error:", err);
-    if (readerImageWrap) {
-      readerImageWrap.innerHTML = `<div class="reader-image-error">${err.message || "Failed to load book."}</div>`;
-    }
+    pagesGrid.innerHTML = `<div class="loading-state"><p style="color:#a03020">${escapeHtml(err.message || "Failed to load book.")}</p></div>`;
   }
 })();
@@ -14,6 +14,7 @@ if (summary) {
     ["Child name", data.childName || "-"],
     ["Age",        data.childAge  || "-"],
     ["Gender",     data.childGender || "-"],
+    ["Story language", { en: "English", he: "עברית", es: "Español", fr: "Français" }[data.storyLanguage] || "English"],
     ["Illustration style", data.illustrationStyle || "-"],
     ["Story direction",    data.storyIdea || "-"]
   ];
@@ -40,6 +41,7 @@ continueBtn && continueBtn.addEventListener("click", async function() {
         childName:         data.childName         || "",
         childAge:          data.childAge          || "",
         childGender:       data.childGender       || "",
+        storyLanguage:     data.storyLanguage     || "en",
         storyIdea:         data.storyIdea         || "",
         illustrationStyle: data.illustrationStyle || "Soft Storybook",
         croppedPhoto:      data.croppedPhoto      || "",
@@ -52,11 +54,12 @@ continueBtn && continueBtn.addEventListener("click", async function() {
     var bookId = createData.bookId || "";
     if (!bookId) throw new Error("Failed to create book record");
     updateBookData({ bookId });
+    bookAccess.remember(bookId, createData.ownerToken);
 
     // Kick off full generation in background (server responds immediately)
     fetch(window.location.origin + "/api/books/" + bookId + "/generate-full", {
       method: "POST",
-      headers: { "Content-Type": "application/json" }
+      headers: bookAccess.headers(bookId, { "Content-Type": "application/json" })
     }).catch(function(e) { console.warn("generate-full kick:", e.message); });
 
     // Go to preview immediately
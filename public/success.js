@@ -7,9 +7,10 @@ function getUrlParam(name) {
   return new URLSearchParams(window.location.search).get(name);
 }
 
-// Support both ?bookId=... (direct) and ?orderId=... (from Shopify redirect)
+// Support both ?bookId=... (direct) and an order reference — ?session_id=...
+// from Stripe, or ?orderId=... from a print order link
 let bookId = getUrlParam("bookId");
-const orderId = getUrlParam("orderId") || getUrlParam("order_id");
+const orderId = getUrlParam("orderId") || getUrlParam("order_id") || getUrlParam("session_id");
 
 // ─── DOM refs ────────────────────────────────────────────────────────────────
 const successCoverFill     = document.getElementById("successCoverFill");
@@ -36,7 +37,7 @@ async function resolveBookId() {
   // If we already have bookId, nothing to do
   if (bookId) return bookId;
 
-  // Try to get bookId from Shopify orderId via our API
+  // Look the order up — only its bookId and payment state come back
   if (orderId) {
     try {
       const res = await fetch(`${API_BASE}/api/order/${encodeURIComponent(orderId)}`);
@@ -54,12 +55,31 @@ async function resolveBookId() {
 
 // ─── Fetch book from API ─────────────────────────────────────────────────────
 async function loadBook(id) {
-  const res = await fetch(`${API_BASE}/api/books/${encodeURIComponent(id)}`);
+  const res = await fetch(`${API_BASE}/api/books/${encodeURIComponent(id)}`, { headers: bookAccess.headers(id) });
   const data = await res.json();
   if (!res.ok) throw new Error(data.message || "Failed to load book");
   return data.book;
 }
 
+// ─── Product the book was bought as, from the catalog ───────────────────────
+async function loadProduct(book) {
+  try {
+    const currency = book.paymentCurrency || "usd";
+    const res  = await fetch(`${API_BASE}/api/products?currency=${encodeURIComponent(currency)}`);
+    const data = await res.json();
+    if (!res.ok) return null;
+    const product = data.products.find(p => p.format === book.product?.format);
+    return product ? { ...product, currency: data.currency } : null;
+  } catch (err) {
+    console.error("loadProduct failed:", err);
+    return null;
+  }
+}
+
+function formatMoney(cents, currency) {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: (currency || "usd").toUpperCase() }).format(cents / 100);
+}
+
 // ─── Poll until purchaseUnlocked = true (max ~30 sec) ───────────────────────
 async function waitForUnlock(id, maxAttempts = 12, intervalMs = 2500) {
   for (let i = 0; i < maxAttempts; i++) {
@@ -78,7 +98,7 @@ async function waitForUnlock(id, maxAttempts = 12, intervalMs = 2500) {
 }
 
 // ─── Render book data into the page ─────────────────────────────────────────
-function renderBook(book) {
+function renderBook(book, product) {
   if (!book) return;
 
   if (successCoverFill) {
@@ -91,10 +111,12 @@ function renderBook(book) {
   }
 
   if (successChildName) successChildName.textContent = book.childName || "-";
-  if (successFormat)    successFormat.textContent    = book.selectedFormat === "printed" ? "Printed Book" : "Digital Book";
+  if (successFormat)    successFormat.textContent    = product?.name || book.product?.name || "-";
   if (successPrice) {
-    const price = book.selectedPrice || (book.selectedFormat === "printed" ? 49 : 39);
-    successPrice.textContent = `$${price}`;
+    // What was actually charged; the list price only until payment is confirmed
+    successPrice.textContent = book.amountPaidCents != null
+      ? formatMoney(book.amountPaidCents, book.paymentCurrency)
+      : product ? formatMoney(product.price, product.currency) : "-";
   }
   if (successPages) successPages.textContent = String(book.generatedBook?.pages?.length || 0);
 
@@ -119,6 +141,7 @@ function renderBook(book) {
     childName: book.childName || "",
     childAge: book.childAge || "",
     childGender: book.childGender || "",
+    storyLanguage: book.storyLanguage || "en",
     storyIdea: book.storyIdea || "",
     illustrationStyle: book.illustrationStyle || "",
     croppedPhoto: book.croppedPhoto || "",
@@ -127,7 +150,7 @@ function renderBook(book) {
     characterReference: book.characterReference || null,
     purchaseUnlocked: book.purchaseUnlocked === true,
     selectedFormat: book.selectedFormat || "digital",
-    selectedPrice: book.selectedPrice || 39
+    selectedPrice: book.selectedPrice || null
   });
 }
 
@@ -154,7 +177,7 @@ createAnotherBtn?.addEventListener("click", () => {
   try {
     if (statusMsg) statusMsg.textContent = "Loading your order…";
 
-    // Step 1: resolve bookId (might come from orderId via Shopify redirect)
+    // Step 1: resolve bookId (might come from an order reference)
     bookId = await resolveBookId();
 
     if (!bookId) {
@@ -167,7 +190,7 @@ createAnotherBtn?.addEventListener("click", () => {
 
     // Step 2: poll until payment is confirmed in our DB (webhook may take a moment)
     const book = await waitForUnlock(bookId);
-    renderBook(book);
+    renderBook(book, await loadProduct(book));
   } catch (err) {
     console.error("success page error:", err);
     if (statusMsg) {
@@ -10,6 +10,7 @@ const galleryInput     = document.getElementById("galleryInput");
 const childNameInput     = document.getElementById("childName");
 const childAgeInput      = document.getElementById("childAge");
 const childGenderInput   = document.getElementById("childGender");
+const storyLanguageInput = document.getElementById("storyLanguage");
 const storyIdeaInput     = document.getElementById("storyIdea");
 const customerEmailInput = document.getElementById("customerEmail");
 
@@ -26,6 +27,7 @@ function saveSetupData() {
     childName:         (childNameInput     && childNameInput.value.trim())   || "",
     childAge:          (childAgeInput      && childAgeInput.value)           || "",
     childGender:       (childGenderInput   && childGenderInput.value)        || "",
+    storyLanguage:     (storyLanguageInput && storyLanguageInput.value)      || "en",
     storyIdea:         (storyIdeaInput     && storyIdeaInput.value.trim())   || "",
     illustrationStyle: getSelectedStyle(),
     customerEmail:     (customerEmailInput && customerEmailInput.value.trim()) || ""
@@ -59,6 +61,10 @@ function restoreSetupData() {
   if (data.childAge      && childAgeInput)      childAgeInput.value      = data.childAge;
   if (data.childGender   && childGenderInput)   childGenderInput.value   = data.childGender;
   if (data.storyIdea     && storyIdeaInput)     storyIdeaInput.value     = data.storyIdea;
+  if (data.storyLanguage && storyLanguageInput) {
+    storyLanguageInput.value          = data.storyLanguage;
+    storyLanguageInput.dataset.chosen = "1";
+  }
   if (data.customerEmail && customerEmailInput) customerEmailInput.value = data.customerEmail;
 
   var selectedStyle = data.illustrationStyle || "Soft Storybook";
@@ -77,6 +83,14 @@ function bindStyleSelection() {
   });
 }
 
+// Once picked, the story language no longer follows the page's language toggle
+if (storyLanguageInput) {
+  storyLanguageInput.addEventListener("change", function() {
+    storyLanguageInput.dataset.chosen = "1";
+    saveSetupData();
+  });
+}
+
 function openModal() {
   if (photoModal) photoModal.classList.remove("hidden");
 }
@@ -0,0 +1,50 @@
+import readline from "readline/promises";
+import { createClient } from "@supabase/supabase-js";
+import { ADMIN_ROLES, hashPassword } from "../lib/adminAuth.js";
+
+// ─── Create or update an admin account ────────────────────────────────────────
+//   npm run admin:create -- <email> [role]
+// The password is read from ADMIN_PASSWORD, or asked for. Running it again for
+// the same email resets the password and role and re-enables the account.
+
+const [emailArg, role = "support"] = process.argv.slice(2);
+const email = String(emailArg || "").trim().toLowerCase();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function readPassword() {
+  if (process.env.ADMIN_PASSWORD) return process.env.ADMIN_PASSWORD;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await rl.question("Password: ");
+  } finally {
+    rl.close();
+  }
+}
+
+async function main() {
+  if (!email.includes("@")) throw new Error("Usage: npm run admin:create -- <email> [role]");
+  if (!ADMIN_ROLES.includes(role)) throw new Error(`role must be one of: ${ADMIN_ROLES.join(", ")}`);
+
+  const password = await readPassword();
+  if (password.length < 12) throw new Error("Use a password of at least 12 characters");
+
+  const { error } = await supabase
+    .from("admin_users")
+    .upsert({ email, role, password_hash: hashPassword(password), disabled: false }, { onConflict: "email" });
+  if (error) throw error;
+
+  // A new password signs out every existing session
+  const { data: user } = await supabase.from("admin_users").select("id").eq("email", email).single();
+  await supabase.from("admin_sessions").delete().eq("admin_id", user.id);
+
+  console.log(`Admin ${email} saved with role ${role}`);
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
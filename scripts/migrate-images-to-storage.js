@@ -0,0 +1,79 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createClient } from "@supabase/supabase-js";
+import { createStorage, bookObjectKey, isDataUrl, decodeDataUrl } from "../lib/storage.js";
+
+// ─── One-off: move inline data-URL illustrations into storage ─────────────────
+// Books created before the storage backend keep base64 images in cover_image
+// and full_images. This uploads each one and rewrites the row with the keys.
+// Safe to re-run — rows that only hold keys are skipped.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const storage = createStorage({
+  driver:   process.env.STORAGE_DRIVER    || "local",
+  supabase,
+  localDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "data", "storage"),
+  bucket:   process.env.STORAGE_BUCKET    || "book-images"
+});
+
+async function toKey(bookId, slot, value) {
+  if (!isDataUrl(value)) return value;
+  const decoded = decodeDataUrl(value);
+  if (!decoded) return null;
+  const key = bookObjectKey(bookId, slot, decoded.contentType);
+  await storage.put(key, decoded.body, decoded.contentType);
+  return key;
+}
+
+async function migrateBook(bookId) {
+  const { data: row, error } = await supabase
+    .from("books")
+    .select("book_id, cover_image, full_images")
+    .eq("book_id", bookId)
+    .maybeSingle();
+  if (error) throw error;
+
+  const images = row.full_images || [];
+  if (!isDataUrl(row.cover_image) && !images.some(isDataUrl)) return false;
+
+  const coverImage = await toKey(bookId, "cover", row.cover_image);
+  const fullImages = [];
+  for (let i = 0; i < images.length; i++) fullImages.push(await toKey(bookId, `page-${i}`, images[i]));
+
+  const { error: updateError } = await supabase
+    .from("books")
+    .update({ cover_image: coverImage, full_images: fullImages })
+    .eq("book_id", bookId);
+  if (updateError) throw updateError;
+  return true;
+}
+
+async function main() {
+  // Ids only — the rows themselves are loaded one at a time, they are large
+  const { data, error } = await supabase.from("books").select("book_id");
+  if (error) throw error;
+
+  let migrated = 0;
+  for (const { book_id: bookId } of data || []) {
+    try {
+      if (await migrateBook(bookId)) {
+        migrated++;
+        console.log(`migrated ${bookId}`);
+      }
+    } catch (err) {
+      console.error(`failed ${bookId}:`, err.message);
+    }
+  }
+  console.log(`Done — ${migrated} of ${(data || []).length} books moved to ${process.env.STORAGE_DRIVER || "local"} storage`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
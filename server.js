@@ -7,12 +7,47 @@ import crypto from "crypto";
 import { fileURLToPath } from "url";
 import { createClient } from "@supabase/supabase-js";
 import { Resend } from "resend";
+import { createJobQueue, JOB_STEPS } from "./lib/jobQueue.js";
+import { createBookEvents, writeSseEvent } from "./lib/bookEvents.js";
+import { createStorage, bookObjectKey, isDataUrl, decodeDataUrl } from "./lib/storage.js";
+import { createBookImageHandler, imageVersionTag } from "./lib/bookImages.js";
+import { renderBookPdf, bookPdfFingerprint } from "./lib/bookPdf.js";
+import { renderBookEpub, BOOK_EPUB_VERSION } from "./lib/bookEpub.js";
+import { createTtsProvider, narratePage, narrationTextHash } from "./lib/narration.js";
+import { createIllustrator, normalizeImageToBase64 } from "./lib/illustrations.js";
+import { createOwnerToken, ownerTokenMatches, bookTokenFromRequest, createBookLinkSigner } from "./lib/bookAccess.js";
+import { validateBookPatch, validateBookCreate, BOOK_FIELDS } from "./lib/bookSchema.js";
+import { createStripeEventLog, STRIPE_EVENT_STATUSES } from "./lib/stripeEvents.js";
+import { PAYMENT_TRANSITIONS, isRefundedCheckout } from "./lib/paymentStates.js";
+import { isPreviewOnly, pageInPreview, previewOfBook } from "./lib/bookPreview.js";
+import { renderEmail, emailLanguage, listEmailTemplates, sampleEmailData, EMAIL_TEMPLATE_NAMES, EMAIL_LANGUAGES } from "./lib/emailTemplates.js";
+import { createEmailOutbox } from "./lib/emailOutbox.js";
+import { createPreviewReminders } from "./lib/previewReminders.js";
+import { createDiscounts, normalizeCode, PROMO_KINDS } from "./lib/discounts.js";
+import { createAttemptLimiter } from "./lib/attemptLimiter.js";
+import { catalogPrice, catalogForClient, productFor, purchasedFormat, resolveFormat, normalizeCurrency, PRODUCT_FORMATS, CURRENCIES, DEFAULT_CURRENCY, GIFT_CARD_AMOUNTS } from "./lib/catalog.js";
+import { createPrintProvider } from "./lib/printProviders.js";
+import { createFulfillmentWorker, PRINT_ORDER_STATUSES } from "./lib/fulfillment.js";
+import { createAdminAuth, adminTokenFromRequest, roleAtLeast, ADMIN_SESSION_COOKIE } from "./lib/adminAuth.js";
+import { normalizeStoryLanguage, storyLanguageDirection, storyLanguageRule } from "./lib/storyLanguage.js";
+import { renderPrintInterior, renderPrintImposed, renderPrintCover, printSpec, interiorPages, TRIM_SIZES, PRINT_PDF_VERSION, DEFAULT_MIN_PPI } from "./lib/printPdf.js";
 
 const app = express();
 app.use(cors());
 
-// ─── Stripe webhook needs the RAW body for signature verification ─────────────
+// Behind the hosting proxy every request comes from the proxy's address, so
+// req.ip — which the lockouts count by — is taken from X-Forwarded-For.
+// TRUST_PROXY is how many proxies sit in front (default 1), or anything
+// Express's "trust proxy" setting accepts; 0 when the app is reached directly.
+function trustProxySetting(value = "1") {
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
+
+// ─── Stripe and Resend webhooks need the RAW body for signature verification ──
 app.use("/webhooks/stripe", express.raw({ type: "*/*", limit: "25mb" }));
+app.use("/webhooks/resend", express.raw({ type: "*/*", limit: "1mb" }));
 app.use(express.json({ limit: "25mb" }));
 
 const __filename = fileURLToPath(import.meta.url);
@@ -34,6 +69,52 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
+const bookEvents = createBookEvents();
+
+const storage = createStorage({
+  driver:   process.env.STORAGE_DRIVER    || "local",
+  supabase,
+  localDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "data", "storage"),
+  bucket:   process.env.STORAGE_BUCKET    || "book-images"
+});
+
+// Signs the book links put in emails, redirects and image URLs. Without
+// BOOK_LINK_SECRET a key is derived from the Supabase service key.
+if (!process.env.BOOK_LINK_SECRET) console.warn("BOOK_LINK_SECRET is not set — deriving book link key from the Supabase service key");
+const bookLinks = createBookLinkSigner(process.env.BOOK_LINK_SECRET ||
+  crypto.createHmac("sha256", String(process.env.SUPABASE_SERVICE_ROLE_KEY || "")).update("lifebook-book-links").digest("hex"));
+
+const stripeEvents = createStripeEventLog({ supabase });
+
+const discounts = createDiscounts({ supabase });
+
+const emailOutbox = createEmailOutbox({ supabase, deliver: deliverOutboxEmail });
+
+// Where printed orders go; PRINT_PROVIDER=filedrop writes them to a folder
+const printProvider = createPrintProvider({
+  provider: process.env.PRINT_PROVIDER  || "filedrop",
+  dir:      process.env.PRINT_DROP_DIR  || path.join(__dirname, "data", "print-drop")
+});
+
+const adminAuth = createAdminAuth({
+  supabase,
+  sessionTtlMs: Number(process.env.ADMIN_SESSION_HOURS || 12) * 60 * 60 * 1000
+});
+
+// Read-aloud voice; TTS_PROVIDER=none turns narration off
+const tts = process.env.TTS_PROVIDER === "none" ? null : createTtsProvider({
+  provider: process.env.TTS_PROVIDER || "openai",
+  openai,
+  voice:    process.env.TTS_VOICE    || "nova"
+});
+
+// Illustrations use the child's photo and character sheet as reference images;
+// CHARACTER_REFERENCE_IMAGES=off draws from the text description only
+const illustrator = createIllustrator({
+  openai,
+  useReferences: process.env.CHARACTER_REFERENCE_IMAGES !== "off"
+});
+
 // ─── Utilities ────────────────────────────────────────────────────────────────
 function safeJsonParse(raw, fallback = {}) {
   try {
@@ -100,17 +181,6 @@ Illustration style must be: ${style}.
 `.trim();
 }
 
-async function normalizeImageToBase64(imageItem) {
-  if (!imageItem) return null;
-  if (imageItem?.b64_json) return imageItem.b64_json;
-  if (imageItem?.url) {
-    const r   = await fetch(imageItem.url);
-    const arr = await r.arrayBuffer();
-    return Buffer.from(arr).toString("base64");
-  }
-  return null;
-}
-
 // ─── DB helpers ───────────────────────────────────────────────────────────────
 function dbRowToBook(row) {
   if (!row) return null;
@@ -121,19 +191,38 @@ function dbRowToBook(row) {
     childGender:      row.child_gender      || "",
     storyIdea:        row.story_idea        || "",
     illustrationStyle:row.illustration_style|| "",
+    storyLanguage:    row.story_language    || "en",
     croppedPhoto:     row.cropped_photo     || "",
     originalPhoto:    row.original_photo    || "",
     customerEmail:    row.customer_email    || "",
     characterReference: row.character_reference || null,
+    characterSheet:   row.character_sheet   || null,
     generatedBook:    row.generated_book    || null,
     coverImage:       row.cover_image       || null,
     previewImages:    row.preview_images    || [],
     fullImages:       row.full_images       || [],
+    imageVersions:    row.image_versions    || {},
+    regenerationsUsed:row.regenerations_used|| 0,
+    textRevisions:    row.text_revisions    || [],
+    narration:        row.narration         || {},
     selectedFormat:   row.selected_format   || "digital",
     selectedPrice:    row.selected_price    || 39,
+    paidFormat:       row.paid_format       || null,
     paymentStatus:    row.payment_status    || "pending",
     purchaseUnlocked: row.purchase_unlocked === true,
     stripeSessionId:  row.stripe_session_id || null,
+    stripePaymentIntentId: row.stripe_payment_intent_id || null,
+    paidAt:           row.paid_at           || null,
+    refundedAt:       row.refunded_at       || null,
+    paymentFailedAt:  row.payment_failed_at || null,
+    checkoutExpiredAt:row.checkout_expired_at || null,
+    amountPaidCents:  row.amount_paid_cents ?? null,
+    paymentCurrency:  row.payment_currency  || null,
+    promoCode:        row.promo_code        || null,
+    discountCents:    row.discount_cents    || 0,
+    remindersSent:    row.reminders_sent    || 0,
+    lastReminderAt:   row.last_reminder_at  || null,
+    convertedByReminder: row.converted_by_reminder ?? null,
     createdAt:        row.created_at        || null,
     updatedAt:        row.updated_at        || null
   };
@@ -146,19 +235,36 @@ function patchToDbFields(patch = {}) {
   if ("childGender"        in patch) dbPatch.child_gender        = patch.childGender;
   if ("storyIdea"          in patch) dbPatch.story_idea          = patch.storyIdea;
   if ("illustrationStyle"  in patch) dbPatch.illustration_style  = patch.illustrationStyle;
+  if ("storyLanguage"      in patch) dbPatch.story_language      = normalizeStoryLanguage(patch.storyLanguage);
   if ("croppedPhoto"       in patch) dbPatch.cropped_photo       = patch.croppedPhoto;
   if ("originalPhoto"      in patch) dbPatch.original_photo      = patch.originalPhoto;
   if ("customerEmail"      in patch) dbPatch.customer_email      = patch.customerEmail;
   if ("characterReference" in patch) dbPatch.character_reference = patch.characterReference;
+  if ("characterSheet"     in patch) dbPatch.character_sheet     = patch.characterSheet;
   if ("generatedBook"      in patch) dbPatch.generated_book      = patch.generatedBook;
   if ("coverImage"         in patch) dbPatch.cover_image         = patch.coverImage;
   if ("previewImages"      in patch) dbPatch.preview_images      = patch.previewImages;
   if ("fullImages"         in patch) dbPatch.full_images         = patch.fullImages;
+  if ("imageVersions"      in patch) dbPatch.image_versions      = patch.imageVersions;
+  if ("regenerationsUsed"  in patch) dbPatch.regenerations_used  = patch.regenerationsUsed;
+  if ("textRevisions"      in patch) dbPatch.text_revisions      = patch.textRevisions;
+  if ("narration"          in patch) dbPatch.narration           = patch.narration;
   if ("selectedFormat"     in patch) dbPatch.selected_format     = patch.selectedFormat;
   if ("selectedPrice"      in patch) dbPatch.selected_price      = patch.selectedPrice;
+  if ("paidFormat"         in patch) dbPatch.paid_format         = patch.paidFormat;
   if ("paymentStatus"      in patch) dbPatch.payment_status      = patch.paymentStatus;
   if ("purchaseUnlocked"   in patch) dbPatch.purchase_unlocked   = patch.purchaseUnlocked;
   if ("stripeSessionId"    in patch) dbPatch.stripe_session_id   = patch.stripeSessionId;
+  if ("stripePaymentIntentId" in patch) dbPatch.stripe_payment_intent_id = patch.stripePaymentIntentId;
+  if ("paidAt"             in patch) dbPatch.paid_at             = patch.paidAt;
+  if ("refundedAt"         in patch) dbPatch.refunded_at         = patch.refundedAt;
+  if ("paymentFailedAt"    in patch) dbPatch.payment_failed_at   = patch.paymentFailedAt;
+  if ("checkoutExpiredAt"  in patch) dbPatch.checkout_expired_at = patch.checkoutExpiredAt;
+  if ("amountPaidCents"    in patch) dbPatch.amount_paid_cents   = patch.amountPaidCents;
+  if ("paymentCurrency"    in patch) dbPatch.payment_currency    = patch.paymentCurrency;
+  if ("promoCode"          in patch) dbPatch.promo_code          = patch.promoCode;
+  if ("discountCents"      in patch) dbPatch.discount_cents      = patch.discountCents;
+  if ("convertedByReminder" in patch) dbPatch.converted_by_reminder = patch.convertedByReminder;
   dbPatch.updated_at = new Date().toISOString();
   return dbPatch;
 }
@@ -168,11 +274,13 @@ async function insertBook(book) {
     .from("books")
     .insert({
       book_id:            book.bookId,
+      owner_token_hash:   book.ownerTokenHash,
       child_name:         book.childName,
       child_age:          book.childAge,
       child_gender:       book.childGender,
       story_idea:         book.storyIdea,
       illustration_style: book.illustrationStyle,
+      story_language:     book.storyLanguage,
       cropped_photo:      book.croppedPhoto,
       original_photo:     book.originalPhoto,
       customer_email:     book.customerEmail || "",
@@ -223,788 +331,2968 @@ async function updateBookField(bookId, patch) {
   if (error) throw error;
 }
 
+// ─── Illustration storage ─────────────────────────────────────────────────────
+// coverImage, fullImages and characterSheet hold storage keys. Rows written
+// before the move may still hold data URLs; both are served through the same
+// image route.
+async function saveBookImage(bookId, slot, base64) {
+  const key = bookObjectKey(bookId, slot, "image/jpeg");
+  await storage.put(key, Buffer.from(base64, "base64"), "image/jpeg");
+  return key;
+}
+
+async function loadBookImage(ref) {
+  if (!ref) return null;
+  if (isDataUrl(ref)) return decodeDataUrl(ref);
+  return storage.get(ref);
+}
+
+// ─── Page changes ─────────────────────────────────────────────────────────────
+// fullImages, imageVersions, generatedBook and textRevisions are stored whole,
+// but the pipeline, redraws, reverts and text edits each change one page —
+// often at the same time. A change is made to the book as it is now and saved
+// only if nothing else wrote in between (compared on updated_at, which each
+// save moves forward), else tried again, so one page's change never undoes
+// another's.
+const PAGE_CHANGE_ATTEMPTS = 8;
+
+function fieldColumn(field) {
+  return field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+// change(current) gets a copy of the book's `fields` and returns the patch to
+// save, or null to leave the book alone. Returns those fields as saved, or
+// null.
+async function changeBook(bookId, fields, change) {
+  for (let attempt = 1; attempt <= PAGE_CHANGE_ATTEMPTS; attempt++) {
+    const { data: row, error } = await supabase
+      .from("books")
+      .select([...fields.map(fieldColumn), "updated_at"].join(", "))
+      .eq("book_id", bookId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!row) throw new Error("Book not found");
+
+    const book    = dbRowToBook(row);
+    const current = structuredClone(Object.fromEntries(fields.map(field => [field, book[field]])));
+    const patch   = change(current);
+    if (!patch) return null;
+
+    const dbPatch = patchToDbFields(patch);
+    dbPatch.updated_at = new Date(Math.max(Date.now(), Date.parse(row.updated_at) + 1 || 0)).toISOString();
+    const query = supabase.from("books").update(dbPatch).eq("book_id", bookId);
+    const { data: saved, error: saveError } = await (row.updated_at ? query.eq("updated_at", row.updated_at) : query.is("updated_at", null))
+      .select("book_id")
+      .maybeSingle();
+    if (saveError) throw saveError;
+    if (saved) return { ...current, ...patch };
+  }
+  throw new Error("The book kept changing while it was being saved");
+}
+
+// change({ fullImages, imageVersions, regenerationsUsed }) — see changeBook
+function changeBookImages(bookId, change) {
+  return changeBook(bookId, ["fullImages", "imageVersions", "regenerationsUsed"], change);
+}
+
+// The pipeline fills a page that has no picture yet; one that got a picture
+// meanwhile keeps it
+function savePipelinePage(bookId, index, key, pageCount) {
+  return changeBookImages(bookId, ({ fullImages }) => {
+    if (fullImages[index]) return null;
+    while (fullImages.length < pageCount) fullImages.push(null);
+    fullImages[index] = key;
+    return { fullImages };
+  });
+}
+
+function bookImageUrl(bookId, slot, ref, { expiresAt } = {}) {
+  if (!ref) return null;
+  return `/api/books/${bookId}/images/${slot}?v=${imageVersionTag(ref)}&token=${mediaToken(bookId, expiresAt)}`;
+}
+
+// What the book's format includes, for pages deciding what to offer
+function productSummary(format) {
+  const { format: key, name, downloads, print } = productFor(format);
+  return { format: key, name, downloads, print };
+}
+
+// The book as sent to browsers — image keys become URLs, and previous image
+// versions are reduced to their metadata. A refunded book is cut back to its
+// preview (lib/bookPreview.js).
+function toClientBook(book) {
+  if (!book) return book;
+  if (isPreviewOnly(book)) book = previewOfBook(book);
+  const imageVersions = {};
+  for (const [index, list] of Object.entries(book.imageVersions || {})) {
+    imageVersions[index] = list.map(({ src, ...version }) => version);
+  }
+  const { narration, ...rest } = book;
+  return {
+    ...rest,
+    storyDirection: storyLanguageDirection(book.storyLanguage),
+    product:        productSummary(purchasedFormat(book)),
+    coverImage: bookImageUrl(book.bookId, "cover", book.coverImage),
+    characterSheet: bookImageUrl(book.bookId, "character-sheet", book.characterSheet),
+    fullImages: (book.fullImages || []).map((ref, i) => bookImageUrl(book.bookId, `page-${i}`, ref)),
+    imageVersions
+  };
+}
+
+// ─── Book access ──────────────────────────────────────────────────────────────
+// See lib/bookAccess.js. Media tokens expire at the end of the next 30-day
+// window, so an image URL stays the same (and cached) for weeks at a time.
+const MEDIA_LINK_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const BOOK_LINK_TTL_MS     = Number(process.env.BOOK_LINK_TTL_DAYS || 365) * 24 * 60 * 60 * 1000;
+
+function mediaToken(bookId, expiresAt) {
+  const windowEnd = Math.ceil(Date.now() / MEDIA_LINK_WINDOW_MS) * MEDIA_LINK_WINDOW_MS + MEDIA_LINK_WINDOW_MS;
+  return bookLinks.sign(bookId, { scope: "media", expiresAt: expiresAt || windowEnd });
+}
+
+// Full access for a year — for links that leave the site (emails, Stripe)
+function bookLinkToken(bookId) {
+  return bookLinks.sign(bookId, { scope: "book", expiresAt: Date.now() + BOOK_LINK_TTL_MS });
+}
+
+function bookPageUrl(page, bookId, params = "") {
+  const appUrl = process.env.APP_URL || "https://lifebooks.online";
+  return `${appUrl}/${page}?bookId=${bookId}${params}&token=${bookLinkToken(bookId)}`;
+}
+
+async function getOwnerTokenHash(bookId) {
+  const { data, error } = await supabase
+    .from("books")
+    .select("owner_token_hash")
+    .eq("book_id", bookId)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? data.owner_token_hash || null : undefined;
+}
+
+// Route guard. { media: true } also accepts the media-only links carried by
+// image and audio URLs. The bookId comes from the path, or the JSON body.
+function requireBookAccess({ media = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const bookId = req.params.bookId || req.body?.bookId;
+      const token  = bookTokenFromRequest(req);
+      if (!bookId) return res.status(400).json({ status: "error", message: "Missing bookId" });
+      if (!token) {
+        return res.status(401).json({ status: "error", message: "This book link is missing its access key. Open the link from your email." });
+      }
+
+      const scope = bookLinks.verify(bookId, token);
+      if (scope === "book" || (scope === "media" && media)) return next();
+
+      const hash = await getOwnerTokenHash(bookId);
+      if (hash === undefined) return res.status(404).json({ status: "error", message: "Book not found" });
+      if (ownerTokenMatches(token, hash)) return next();
+
+      return res.status(403).json({ status: "error", message: "This book link is not valid or has expired" });
+    } catch (err) {
+      return res.status(500).json({ status: "error", message: err?.message || "Failed to check book access" });
+    }
+  };
+}
+
+// ─── Field validation ─────────────────────────────────────────────────────────
+// See lib/bookSchema.js — one 400 listing every rejected field
+function invalidFields(res, errors) {
+  return res.status(400).json({
+    status:  "error",
+    message: errors.map(e => e.message).join("; "),
+    errors
+  });
+}
+
 // ─── Routes ───────────────────────────────────────────────────────────────────
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-app.get("/api/books/:bookId", async (req, res) => {
+app.get("/api/books/:bookId", requireBookAccess(), async (req, res) => {
   try {
     const book = await getBook(req.params.bookId);
     if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
-    return res.json({ status: "ok", book });
+    return res.json({ status: "ok", book: toClientBook(book) });
   } catch (err) {
     return res.status(500).json({ status: "error", message: err?.message || "Failed to fetch book" });
   }
 });
 
+// ─── Serve a stored illustration ──────────────────────────────────────────────
+// See lib/bookImages.js
+app.get("/api/books/:bookId/images/:slot", requireBookAccess({ media: true }), createBookImageHandler({
+  getBook,
+  loadImage: loadBookImage
+}));
+
+// ─── Email ────────────────────────────────────────────────────────────────────
+// Messages are rendered from lib/emailTemplates.js, in the book's language
+// where the template has it, with a plain-text part alongside the HTML. They
+// go through the outbox (lib/emailOutbox.js), which retries failed sends and
+// keeps each book's email history; only gift card codes, which are never
+// stored, are sent directly.
+const EMAIL_FROM = "Lifebook <books@lifebooks.online>";
+
+// Returns Resend's message id. The Resend client reports errors in its
+// result instead of throwing.
+async function sendEmailNow(template, data, { to, lang = "en", from = EMAIL_FROM, replyTo, idempotencyKey } = {}) {
+  const appUrl = process.env.APP_URL || "https://lifebooks.online";
+  const { subject, html, text } = renderEmail(template, data, { lang, appUrl });
+  const { data: sent, error } = await resend.emails.send(
+    { from, to, subject, html, text, ...(replyTo ? { replyTo } : {}) },
+    idempotencyKey ? { idempotencyKey } : {}
+  );
+  if (error) throw new Error(error.message || "Resend rejected the email");
+  return sent?.id || null;
+}
+
+// The outbox worker's delivery step
+function deliverOutboxEmail(row) {
+  return sendEmailNow(row.template, row.data, {
+    to:             row.to_email.split(", "),
+    lang:           row.lang,
+    from:           row.from_email || EMAIL_FROM,
+    replyTo:        row.reply_to,
+    idempotencyKey: `outbox-${row.id}`
+  });
+}
+
+function queueEmail(template, data, options) {
+  return emailOutbox.enqueue(template, data, options);
+}
+
+// The cover for an email, on a media link that lasts as long as the book link
+function emailCoverUrl(book) {
+  if (!book.coverImage) return null;
+  const appUrl = process.env.APP_URL || "https://lifebooks.online";
+  return `${appUrl}${bookImageUrl(book.bookId, "cover", book.coverImage, { expiresAt: Date.now() + BOOK_LINK_TTL_MS })}`;
+}
+
+function bookEmailData(book) {
+  const childName = book.childName || "your child";
+  return {
+    childName,
+    bookTitle: book.generatedBook?.title || `${childName}'s Magical Adventure`
+  };
+}
+
 // ─── Email: Payment confirmation (sent immediately after payment) ─────────────
 async function sendPaymentConfirmationEmail(book) {
   if (!book.customerEmail) return;
 
-  const appUrl    = process.env.APP_URL || "https://lifebooks.online";
-  const childName = book.childName || "your child";
-  const bookTitle = book.generatedBook?.title || `${childName}'s Magical Adventure`;
-
-  try {
-    await resend.emails.send({
-      from:    "Lifebook <books@lifebooks.online>",
-      to:      book.customerEmail,
-      subject: `✅ Payment confirmed — ${childName}'s book is being created!`,
-      html: `
-<!DOCTYPE html>
-<html>
-<head><meta charset="UTF-8"/></head>
-<body style="margin:0;padding:0;background:#fdf6ec;font-family:Georgia,serif;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="background:#fdf6ec;padding:40px 0;">
-    <tr><td align="center">
-      <table width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:24px;overflow:hidden;box-shadow:0 8px 40px rgba(100,60,20,0.12);border:1px solid #ede0c8;">
-
-        <!-- Header -->
-        <tr>
-          <td style="background:linear-gradient(135deg,#1a1008,#5c3d1e);padding:36px;text-align:center;">
-            <div style="font-family:Georgia,serif;font-size:28px;color:#f5d98a;letter-spacing:0.5px;">lifebook</div>
-            <div style="font-size:11px;color:#c4a87a;margin-top:5px;letter-spacing:2px;text-transform:uppercase;">AI Children's Storybooks</div>
-          </td>
-        </tr>
-
-        <!-- Body -->
-        <tr>
-          <td style="padding:36px 40px;">
-            <p style="font-family:Georgia,serif;font-size:26px;color:#3a2810;margin:0 0 12px;line-height:1.2;">
-              Payment confirmed! ✅
-            </p>
-            <p style="font-size:15px;color:#7a6048;line-height:1.7;margin:0 0 24px;">
-              We received your payment and <strong>${childName}'s</strong> personalized storybook is now being created.
-              Our AI is writing the story and illustrating every page — this usually takes <strong>5–10 minutes</strong>.
-            </p>
-
-            <!-- Status box -->
-            <table cellpadding="0" cellspacing="0" width="100%" style="background:#fdf6ec;border-radius:14px;border:1px solid #ede0c8;margin-bottom:24px;">
-              <tr>
-                <td style="padding:18px 22px;">
-                  <p style="font-family:Georgia,serif;font-size:17px;color:#5c3d1e;margin:0 0 6px;">"${bookTitle}"</p>
-                  <p style="font-size:13px;color:#8a6240;margin:0 0 14px;">A personalized story for ${childName}</p>
-                  <table cellpadding="0" cellspacing="0">
-                    <tr>
-                      <td style="padding-right:28px;">
-                        <span style="font-size:10px;color:#c8922a;font-weight:700;letter-spacing:0.8px;text-transform:uppercase;">Status</span><br/>
-                        <span style="font-size:14px;color:#3a2810;">Creating illustrations...</span>
-                      </td>
-                      <td>
-                        <span style="font-size:10px;color:#c8922a;font-weight:700;letter-spacing:0.8px;text-transform:uppercase;">Est. time</span><br/>
-                        <span style="font-size:14px;color:#3a2810;">5–10 minutes</span>
-                      </td>
-                    </tr>
-                  </table>
-                </td>
-              </tr>
-            </table>
-
-            <p style="font-size:14px;color:#7a6048;line-height:1.7;margin:0;">
-              You'll receive a second email as soon as your book is ready to read and download.
-              No need to keep this page open — we'll come to you! 📬
-            </p>
-
-            <hr style="border:none;border-top:1px solid #f0e4d0;margin:24px 0 18px;" />
-
-            <p style="font-size:12px;color:#b09070;line-height:1.6;margin:0;">
-              Questions? Just reply to this email and we'll help right away.<br/>
-              Thank you for creating with Lifebook 💛
-            </p>
-          </td>
-        </tr>
-
-        <!-- Footer -->
-        <tr>
-          <td style="background:#fdf6ec;border-top:1px solid #ede0c8;padding:16px 40px;text-align:center;">
-            <p style="font-size:11px;color:#c4a87a;margin:0;">
-              © 2026 Lifebook · <a href="${appUrl}/contact.html" style="color:#c8922a;text-decoration:none;">Contact Us</a>
-            </p>
-          </td>
-        </tr>
-
-      </table>
-    </td></tr>
-  </table>
-</body>
-</html>
-      `.trim()
-    });
-    console.log("Payment confirmation email sent to:", book.customerEmail);
+  try {
+    await queueEmail("paymentConfirmed", {
+      ...bookEmailData(book),
+      orderUrl: productFor(purchasedFormat(book)).print ? bookPageUrl("order.html", book.bookId) : null
+    }, { to: book.customerEmail, lang: emailLanguage(book.storyLanguage), bookId: book.bookId });
+    console.log("Payment confirmation email queued for:", book.customerEmail);
   } catch(err) {
-    console.error("Failed to send payment confirmation email:", err.message);
+    console.error("Failed to queue payment confirmation email:", err.message);
   }
 }
 
 // ─── Email: Book ready (sent only after ALL images are generated) ─────────────
+function queueBookReadyEmail(book) {
+  return queueEmail("bookReady", {
+    ...bookEmailData(book),
+    bookTitle:    book.generatedBook?.title    || "Your Magical Storybook",
+    bookSubtitle: book.generatedBook?.subtitle || "A personalized adventure",
+    pageCount:    book.generatedBook?.pages?.length || 16,
+    readUrl:      bookPageUrl("delivery.html", book.bookId),
+    downloads:    productFor(purchasedFormat(book)).downloads,
+    coverUrl:     emailCoverUrl(book)
+  }, { to: book.customerEmail, lang: emailLanguage(book.storyLanguage), bookId: book.bookId });
+}
+
 async function sendBookReadyEmail(book) {
   if (!book.customerEmail) return;
 
-  const appUrl    = process.env.APP_URL || "https://lifebooks.online";
-  const bookTitle = book.generatedBook?.title    || "Your Magical Storybook";
-  const bookSub   = book.generatedBook?.subtitle || "A personalized adventure";
-  const childName = book.childName || "your child";
-  const pageCount = book.generatedBook?.pages?.length || 16;
-  const downloadUrl = `${appUrl}/delivery.html?bookId=${book.bookId}`;
-
-  try {
-    await resend.emails.send({
-      from: "Lifebook <books@lifebooks.online>",
-      to:   book.customerEmail,
-      subject: `✨ ${childName}'s book is ready! "${bookTitle}"`,
-      html: `
-<!DOCTYPE html>
-<html>
-<head><meta charset="UTF-8"/></head>
-<body style="margin:0;padding:0;background:#fdf6ec;font-family:Georgia,serif;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="background:#fdf6ec;padding:40px 0;">
-    <tr><td align="center">
-      <table width="580" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:24px;overflow:hidden;box-shadow:0 8px 40px rgba(100,60,20,0.12);border:1px solid #ede0c8;">
-
-        <!-- Header -->
-        <tr>
-          <td style="background:linear-gradient(135deg,#1a1008,#5c3d1e);padding:40px;text-align:center;">
-            <div style="font-size:36px;margin-bottom:10px;">📖</div>
-            <div style="font-family:Georgia,serif;font-size:30px;color:#f5d98a;letter-spacing:0.5px;">lifebook</div>
-            <div style="font-size:12px;color:#c4a87a;margin-top:5px;letter-spacing:2px;text-transform:uppercase;">AI Children's Storybooks</div>
-          </td>
-        </tr>
-
-        <!-- Hero message -->
-        <tr>
-          <td style="padding:40px 44px 28px;">
-            <p style="font-family:Georgia,serif;font-size:28px;color:#3a2810;margin:0 0 14px;line-height:1.2;">
-              🎉 ${childName}'s book is ready!
-            </p>
-            <p style="font-size:16px;color:#7a6048;line-height:1.7;margin:0 0 28px;">
-              Your personalized storybook has been beautifully crafted and is waiting for you.
-            </p>
-
-            <!-- Book info box -->
-            <table cellpadding="0" cellspacing="0" width="100%" style="background:#fdf6ec;border-radius:16px;border:1px solid #ede0c8;margin-bottom:28px;">
-              <tr>
-                <td style="padding:20px 24px;">
-                  <p style="font-family:Georgia,serif;font-size:20px;color:#5c3d1e;margin:0 0 4px;">"${bookTitle}"</p>
-                  <p style="font-size:14px;color:#8a6240;margin:0 0 14px;font-style:italic;">${bookSub}</p>
-                  <table cellpadding="0" cellspacing="0">
-                    <tr>
-                      <td style="padding-right:24px;">
-                        <span style="font-size:11px;color:#c8922a;font-weight:700;letter-spacing:0.8px;text-transform:uppercase;">Pages</span><br/>
-                        <span style="font-size:15px;color:#3a2810;">${pageCount} illustrated pages</span>
-                      </td>
-                      <td>
-                        <span style="font-size:11px;color:#c8922a;font-weight:700;letter-spacing:0.8px;text-transform:uppercase;">Hero</span><br/>
-                        <span style="font-size:15px;color:#3a2810;">${childName}</span>
-                      </td>
-                    </tr>
-                  </table>
-                </td>
-              </tr>
-            </table>
-
-            <!-- CTA Button -->
-            <table cellpadding="0" cellspacing="0" style="margin:0 0 32px;">
-              <tr>
-                <td style="background:linear-gradient(135deg,#e8b84b,#c8922a);border-radius:50px;padding:16px 40px;box-shadow:0 6px 24px rgba(200,146,42,0.35);">
-                  <a href="${downloadUrl}"
-                     style="font-family:Arial,sans-serif;font-size:17px;font-weight:700;color:#ffffff;text-decoration:none;display:block;white-space:nowrap;">
-                    Read &amp; Download My Book →
-                  </a>
-                </td>
-              </tr>
-            </table>
-
-            <p style="font-size:13px;color:#b09070;line-height:1.6;margin:0 0 8px;">Or copy this link:</p>
-            <p style="font-size:12px;color:#c8922a;word-break:break-all;margin:0 0 32px;background:#fdf6ec;padding:10px 14px;border-radius:10px;border:1px solid #ede0c8;">
-              ${downloadUrl}
-            </p>
-
-            <hr style="border:none;border-top:1px solid #f0e4d0;margin:0 0 20px;" />
-
-            <p style="font-size:13px;color:#b09070;line-height:1.7;margin:0;">
-              Questions or issues? Just reply to this email and we'll help right away.<br/>
-              Thank you for creating with Lifebook 💛
-            </p>
-          </td>
-        </tr>
-
-        <!-- Footer -->
-        <tr>
-          <td style="background:#fdf6ec;border-top:1px solid #ede0c8;padding:18px 44px;text-align:center;">
-            <p style="font-size:12px;color:#c4a87a;margin:0;">
-              © 2026 Lifebook · AI Children's Storybooks · <a href="${appUrl}/contact.html" style="color:#c8922a;text-decoration:none;">Contact Us</a>
-            </p>
-          </td>
-        </tr>
-
-      </table>
-    </td></tr>
-  </table>
-</body>
-</html>
-      `.trim()
-    });
-    console.log("Book ready email sent to:", book.customerEmail);
+  try {
+    await queueBookReadyEmail(book);
+    console.log("Book ready email queued for:", book.customerEmail);
   } catch(err) {
-    console.error("Failed to send book ready email:", err.message);
+    console.error("Failed to queue book ready email:", err.message);
     // Don't throw — email failure should not break the book generation
   }
 }
 
+// ─── Email: Payment status changes (failed, expired, refunded) ────────────────
+const PAYMENT_STATUS_EMAILS = {
+  failed:   "paymentFailed",
+  expired:  "checkoutExpired",
+  refunded: "paymentRefunded"
+};
+
+async function sendPaymentStatusEmail(book, status) {
+  if (!book?.customerEmail || !PAYMENT_STATUS_EMAILS[status]) return;
+
+  try {
+    await queueEmail(PAYMENT_STATUS_EMAILS[status], {
+      ...bookEmailData(book),
+      checkoutUrl: status === "refunded" ? null : bookPageUrl("checkout.html", book.bookId)
+    }, { to: book.customerEmail, lang: emailLanguage(book.storyLanguage), bookId: book.bookId });
+    console.log(`Payment ${status} email queued for:`, book.customerEmail);
+  } catch(err) {
+    console.error(`Failed to queue payment ${status} email:`, err.message);
+  }
+}
+
+// ─── Email: Preview reminders (books left unpaid after the preview) ──────────
+// See lib/previewReminders.js. PREVIEW_REMINDER_DELAY_HOURS is how long a book
+// sits untouched before each reminder; PREVIEW_REMINDER_MAX=0 turns them off.
+async function queuePreviewReminder(bookId, number) {
+  const book = await getBook(bookId);
+  if (!book?.customerEmail || book.purchaseUnlocked) return;
+
+  const appUrl      = process.env.APP_URL || "https://lifebooks.online";
+  const unsubscribe = bookLinks.sign(bookId, { scope: "unsubscribe", expiresAt: Date.now() + BOOK_LINK_TTL_MS });
+  await queueEmail("previewReminder", {
+    ...bookEmailData(book),
+    reminder:       number,
+    coverUrl:       emailCoverUrl(book),
+    checkoutUrl:    bookPageUrl("checkout.html", bookId, `&reminder=${number}`),
+    unsubscribeUrl: `${appUrl}/unsubscribe.html?bookId=${bookId}&token=${unsubscribe}`
+  }, { to: book.customerEmail, lang: emailLanguage(book.storyLanguage), bookId });
+}
+
+const previewReminders = createPreviewReminders({
+  supabase,
+  remind:       queuePreviewReminder,
+  delayMs:      Number(process.env.PREVIEW_REMINDER_DELAY_HOURS || 24) * 60 * 60 * 1000,
+  maxReminders: Number(process.env.PREVIEW_REMINDER_MAX ?? 2)
+});
+
+// The reminder a checkout came from — its link carries ?reminder=<number>
+function reminderNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 && number < 100 ? number : null;
+}
+
+// Takes the unsubscribe link from a reminder email, or the book's own link
+app.post("/api/books/:bookId/unsubscribe", async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    const scope  = bookLinks.verify(bookId, bookTokenFromRequest(req));
+    if (scope !== "unsubscribe" && scope !== "book") {
+      return res.status(403).json({ status: "error", message: "This unsubscribe link is not valid or has expired" });
+    }
+
+    const book = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+    await previewReminders.unsubscribe(book.customerEmail, { bookId });
+    console.log(`reminders: ${book.customerEmail || bookId} unsubscribed`);
+    return res.json({ status: "ok" });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to unsubscribe" });
+  }
+});
+
 app.post("/api/books/create", async (req, res) => {
   try {
-    const cleanInput = sanitizeStoryPayload(req.body || {});
-    const rawInput   = req.body || {};
+    const { errors, value: rawInput } = validateBookCreate(req.body);
+    if (errors.length) return invalidFields(res, errors);
+
+    const cleanInput = sanitizeStoryPayload(rawInput);
     const bookId     = crypto.randomUUID();
+    const owner      = createOwnerToken();
+
+    const book = {
+      bookId,
+      ownerTokenHash:    owner.hash,
+      childName:         cleanInput.childName        || "",
+      childAge:          rawInput.childAge            || "",
+      childGender:       rawInput.childGender         || "",
+      storyIdea:         cleanInput.storyIdea         || "",
+      illustrationStyle: cleanInput.illustrationStyle || "Soft Storybook",
+      storyLanguage:     normalizeStoryLanguage(rawInput.storyLanguage),
+      croppedPhoto:      cleanInput.croppedPhoto      || "",
+      originalPhoto:     cleanInput.originalPhoto     || "",
+      customerEmail:     rawInput.customerEmail       || "",
+      characterReference:null,
+      generatedBook:     null,
+      coverImage:        null,
+      previewImages:     [],
+      fullImages:        [],
+      selectedFormat:    "digital",
+      selectedPrice:     39,
+      paymentStatus:     "pending",
+      purchaseUnlocked:  false,
+      stripeSessionId:   null
+    };
+
+    await insertBook(book);
+    // The only time the owner token leaves the server
+    return res.json({ status: "ok", bookId, ownerToken: owner.token });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to create book" });
+  }
+});
+
+app.patch("/api/books/:bookId", requireBookAccess(), async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    // The format is fixed once paid for, so that is checked against the book
+    const book   = req.body && "selectedFormat" in req.body ? await getBook(bookId) : null;
+    const { errors, value: patch } = validateBookPatch(req.body, "customer", book);
+    if (errors.length) return invalidFields(res, errors);
+    if (!Object.keys(patch).length) return res.status(400).json({ status: "error", message: "Nothing to update" });
+
+    const updated = await updateBook(bookId, patch);
+    if (!updated) return res.status(404).json({ status: "error", message: "Book not found" });
+    return res.json({ status: "ok", book: toClientBook(updated) });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to update book" });
+  }
+});
+
+// ─── Stripe: Create Checkout Session ─────────────────────────────────────────
+const PRINT_SHIPPING_COUNTRIES = (process.env.PRINT_SHIPPING_COUNTRIES || "US,CA,GB,IE,IL,AU,NZ,DE,FR,NL")
+  .split(",").map(c => c.trim().toUpperCase()).filter(Boolean);
+
+// The list price of a book from the catalog (lib/catalog.js), or { error }.
+// Only the format and currency come from the request.
+function checkoutPrice(book, { format, currency } = {}) {
+  if (format && !PRODUCT_FORMATS.includes(format)) return { error: `format must be one of: ${PRODUCT_FORMATS.join(", ")}` };
+  const code  = currency ? normalizeCurrency(currency) : DEFAULT_CURRENCY;
+  const price = code && catalogPrice(format || book.selectedFormat, code);
+  if (!price) return { error: `currency must be one of: ${Object.keys(CURRENCIES).join(", ")}` };
+  return { ...price, productName: `Lifebook — ${price.name} (${book.childName})` };
+}
+
+function quoteForClient(q) {
+  return {
+    subtotal: q.subtotal,
+    currency: q.currency,
+    promo:    q.promo    ? { code: q.promo.code, off: q.promo.off } : null,
+    giftCard: q.giftCard ? { last4: q.giftCard.last4, off: q.giftCard.off, remaining: q.giftCard.balance - q.giftCard.off } : null,
+    total:    q.total
+  };
+}
+
+// Checkout page: what the codes entered would take off, before paying
+app.post("/api/checkout/quote", requireBookAccess(), async (req, res) => {
+  try {
+    const { bookId, format, currency, promoCode, giftCardCode } = req.body;
+    const book = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    const price = checkoutPrice(book, { format, currency });
+    if (price.error) return res.status(400).json({ status: "error", message: price.error });
+    const quote = await discounts.quote({ ...price, promoCode, giftCardCode, ip: req.ip });
+    if (quote.error) return res.status(quote.status).json({ status: "error", message: quote.error });
+    return res.json({ status: "ok", format: price.format, quote: quoteForClient(quote) });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to price checkout" });
+  }
+});
+
+app.post("/api/create-checkout-session", requireBookAccess(), async (req, res) => {
+  try {
+    const { bookId, format, currency, promoCode, giftCardCode } = req.body;
+    const reminder = reminderNumber(req.body.reminder);
+
+    if (!bookId) {
+      return res.status(400).json({ status: "error", message: "Missing bookId" });
+    }
+
+    const book = await getBook(bookId);
+    if (!book) {
+      return res.status(404).json({ status: "error", message: "Book not found" });
+    }
+    if (book.purchaseUnlocked) {
+      return res.status(409).json({ status: "error", message: "This book is already paid for" });
+    }
+
+    const price = checkoutPrice(book, { format, currency });
+    if (price.error) return res.status(400).json({ status: "error", message: price.error });
+    const quote = await discounts.quote({ ...price, promoCode, giftCardCode, ip: req.ip });
+    if (quote.error) return res.status(quote.status).json({ status: "error", message: quote.error });
+
+    const checkoutRef = crypto.randomUUID();
+    const held        = await discounts.hold(checkoutRef, { bookId, quote });
+    if (held.error) return res.status(held.status).json({ status: "error", message: held.error });
+
+    const discountCents = quote.subtotal - quote.total;
+    const formatPatch   = { selectedFormat: price.format, selectedPrice: price.amount / 100 };
+
+    // Covered in full by a promotion or gift card — nothing for Stripe to take
+    if (quote.total === 0) {
+      const paidBook = await markBookPaid(bookId, {
+        amountPaidCents: 0,
+        paymentCurrency: price.currency,
+        promoCode:       quote.promo?.code || null,
+        discountCents,
+        convertedByReminder: reminder,
+        paidFormat:      price.format,
+        ...formatPatch
+      });
+      if (!paidBook) {
+        await discounts.release({ checkoutRef });
+        return res.status(409).json({ status: "error", message: "This book is already paid for" });
+      }
+      await discounts.settle(checkoutRef);
+      console.log(`Book ${bookId} unlocked — paid in full by discounts`);
+      sendPostPaymentEmails(paidBook).catch(err => console.error("Post-payment emails failed:", err.message));
+      return res.json({ status: "ok", url: bookPageUrl("success.html", bookId) });
+    }
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        payment_method_types: ["card"],
+        line_items: [
+          {
+            price_data: {
+              currency: price.currency,
+              product_data: {
+                name: price.productName,
+                description: `Personalized storybook: "${book.generatedBook?.title || "Your Magical Adventure"}"`,
+                images: book.coverImage ? [] : [] // Stripe requires hosted URLs, not base64
+              },
+              unit_amount: quote.total
+            },
+            quantity: 1
+          }
+        ],
+        mode: "payment",
+        metadata: {
+          bookId,
+          format:        price.format,
+          checkoutRef,
+          promoCode:     quote.promo?.code || "",
+          discountCents: String(discountCents),
+          reminder:      reminder ? String(reminder) : ""
+        },
+        // Refund and failed-payment events only carry the payment intent
+        payment_intent_data: {
+          metadata: { bookId }
+        },
+        // A printed book needs somewhere to go — see createPrintOrder
+        ...(!price.print ? {} : {
+          shipping_address_collection: { allowed_countries: PRINT_SHIPPING_COUNTRIES },
+          phone_number_collection:     { enabled: true }
+        }),
+        // Held gift card balance and promotion uses come back sooner if the
+        // checkout is abandoned
+        ...(held.recorded ? { expires_at: Math.floor(Date.now() / 1000) + 60 * 60 } : {}),
+        success_url: bookPageUrl("success.html", bookId, "&session_id={CHECKOUT_SESSION_ID}"),
+        cancel_url:  bookPageUrl("checkout.html", bookId)
+      });
+    } catch (err) {
+      await discounts.release({ checkoutRef });
+      throw err;
+    }
+    if (held.recorded) await discounts.attachSession(checkoutRef, session.id);
+
+    // Save session ID to book so we can link it on webhook; the format is
+    // what the success page and emails go by
+    await updateBook(bookId, { stripeSessionId: session.id, ...formatPatch });
+
+    return res.json({ status: "ok", url: session.url });
+  } catch (err) {
+    console.error("Stripe session error:", err);
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to create checkout session" });
+  }
+});
+
+// ─── Product catalog ──────────────────────────────────────────────────────────
+// The formats and their prices, as checkout and success pages render them.
+// Prices live in lib/catalog.js; checkout never takes an amount from here.
+app.get("/api/products", (req, res) => {
+  const currency = req.query.currency ? normalizeCurrency(req.query.currency) : DEFAULT_CURRENCY;
+  if (!currency) {
+    return res.status(400).json({ status: "error", message: `currency must be one of: ${Object.keys(CURRENCIES).join(", ")}` });
+  }
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json({
+    status:     "ok",
+    currency,
+    currencies: Object.entries(CURRENCIES).map(([code, { symbol }]) => ({ code, symbol })),
+    products:   catalogForClient(currency),
+    giftCards:  GIFT_CARD_AMOUNTS[currency] || []
+  });
+});
+
+// ─── Gift cards ───────────────────────────────────────────────────────────────
+// Bought through their own Checkout session (metadata.kind "gift_card"). The
+// code is made when the payment completes and only ever sent by email.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+app.get("/api/gift-cards/amounts", (req, res) => {
+  res.json({ status: "ok", currency: "usd", amounts: GIFT_CARD_AMOUNTS.usd });
+});
+
+app.post("/api/gift-cards/checkout", async (req, res) => {
+  try {
+    const amount         = Number(req.body?.amount);
+    const purchaserEmail = String(req.body?.purchaserEmail || "").trim().toLowerCase();
+    const recipientEmail = String(req.body?.recipientEmail || "").trim().toLowerCase();
+    const recipientName  = String(req.body?.recipientName  || "").trim().slice(0, 80);
+    const message        = String(req.body?.message        || "").trim().slice(0, 500);
+
+    if (!GIFT_CARD_AMOUNTS.usd.includes(amount)) {
+      return res.status(400).json({ status: "error", message: `amount must be one of: ${GIFT_CARD_AMOUNTS.usd.join(", ")}` });
+    }
+    if (!EMAIL_PATTERN.test(purchaserEmail)) return res.status(400).json({ status: "error", message: "Enter your email address" });
+    if (recipientEmail && !EMAIL_PATTERN.test(recipientEmail)) {
+      return res.status(400).json({ status: "error", message: "The recipient's email address is not valid" });
+    }
+
+    const giftCard = await discounts.createGiftCard({
+      amount:   amount * 100,
+      currency: "usd",
+      purchaserEmail,
+      recipientEmail,
+      recipientName,
+      message
+    });
+
+    const appUrl  = process.env.APP_URL || "https://lifebooks.online";
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ["card"],
+      line_items: [{
+        price_data: {
+          currency:     "usd",
+          product_data: { name: `Lifebook gift card — $${amount}`, description: "A personalized storybook gift, redeemable at checkout" },
+          unit_amount:  amount * 100
+        },
+        quantity: 1
+      }],
+      mode:           "payment",
+      customer_email: purchaserEmail,
+      metadata:       { kind: "gift_card", giftCardId: giftCard.id },
+      // Also on the payment, so a refund of its charge finds the card
+      payment_intent_data: {
+        metadata: { kind: "gift_card", giftCardId: giftCard.id }
+      },
+      success_url:    `${appUrl}/gift.html?purchased=1`,
+      cancel_url:     `${appUrl}/gift.html`
+    });
+
+    return res.json({ status: "ok", url: session.url });
+  } catch (err) {
+    console.error("Gift card checkout error:", err.message);
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to start gift card checkout" });
+  }
+});
+
+// An email failure fails the event; replaying it sends a fresh code
+async function onGiftCardPaid(session) {
+  if (session.payment_status !== "paid") return null;
+  const giftCardId = session.metadata.giftCardId;
+  const activated  = await discounts.activateGiftCard(giftCardId, { stripeSessionId: session.id })
+    || await discounts.reissueGiftCardCode(giftCardId);
+  if (!activated) {
+    console.log(`Gift card ${giftCardId} was already sent — Stripe webhook ignored`);
+    return null;
+  }
+  console.log(`Gift card ${giftCardId} activated (…${activated.giftCard.code_last4})`);
+  await sendGiftCardEmails(activated.giftCard, activated.code);
+  await discounts.markGiftCardSent(giftCardId);
+  return null;
+}
+
+// The code goes to the recipient when there is one, otherwise to the buyer;
+// a buyer who sent it on gets a receipt without the code
+async function sendGiftCardEmails(giftCard, code) {
+  const appUrl = process.env.APP_URL || "https://lifebooks.online";
+  const amount = `$${(giftCard.initial_cents / 100).toFixed(0)}`;
+  const to     = giftCard.recipient_email || giftCard.purchaser_email;
+  const from   = giftCard.recipient_email ? giftCard.purchaser_email : null;
+
+  try {
+    await sendEmailNow("giftCard", {
+      amount,
+      code,
+      from,
+      recipientName: giftCard.recipient_name,
+      message:       giftCard.message,
+      createUrl:     `${appUrl}/wizard.html`
+    }, { to });
+    console.log("Gift card email sent to:", to);
+  } catch(err) {
+    console.error(`Failed to send gift card email for ${giftCard.id}:`, err.message);
+    throw err;
+  }
+
+  if (!from) return;
+  try {
+    await sendEmailNow("giftCardReceipt", { amount, last4: giftCard.code_last4, to }, { to: from });
+  } catch(err) {
+    console.error(`Failed to send gift card receipt for ${giftCard.id}:`, err.message);
+  }
+}
+
+// ─── Payment states ───────────────────────────────────────────────────────────
+// See lib/paymentStates.js for the states and the moves between them.
+
+// Returns the book in its new state, or null when it was not in a state that
+// can move to `to`
+async function transitionPayment(bookId, to, patch = {}) {
+  const { from, unlocked, stamp } = PAYMENT_TRANSITIONS[to];
+  const { data, error } = await supabase
+    .from("books")
+    .update(patchToDbFields({
+      ...patch,
+      paymentStatus:    to,
+      purchaseUnlocked: unlocked,
+      [stamp]:          new Date().toISOString()
+    }))
+    .eq("book_id", bookId)
+    .in("payment_status", from)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return dbRowToBook(data);
+}
+
+// Any of the payment fields given are saved along with the new state
+function markBookPaid(bookId, payment = {}) {
+  const patch = Object.fromEntries(Object.entries(payment).filter(([, value]) => value !== undefined && value !== null));
+  return transitionPayment(bookId, "paid", patch);
+}
+
+// What a paid Checkout session tells us about the payment — the amount is
+// what Stripe actually charged, after any promotion or gift card. A checkout
+// opened from a reminder email credits that reminder.
+function paymentFromSession(session) {
+  return {
+    stripeSessionId:       session.id,
+    stripePaymentIntentId: session.payment_intent,
+    amountPaidCents:       session.amount_total,
+    paymentCurrency:       session.currency,
+    promoCode:             session.metadata?.promoCode || null,
+    discountCents:         Number(session.metadata?.discountCents) || 0,
+    convertedByReminder:   reminderNumber(session.metadata?.reminder),
+    paidFormat:            session.metadata?.format ? resolveFormat(session.metadata.format) : null
+  };
+}
+
+// Whether a paid Checkout session is one the book was refunded for. A
+// session older than the one recorded on the book is checked with Stripe,
+// through its charge — only ever for refunded books.
+async function wasRefunded(book, session) {
+  if (isRefundedCheckout(book, session)) return true;
+  if (book?.paymentStatus !== "refunded" || !session.payment_intent) return false;
+  const intent = await stripe.paymentIntents.retrieve(session.payment_intent, { expand: ["latest_charge"] });
+  return intent.latest_charge?.refunded === true;
+}
+
+// Payment confirmation now; the book ready email is sent by the generation job
+// when the last image is done — or now, if the book was finished before payment
+async function sendPostPaymentEmails(book) {
+  await sendPaymentConfirmationEmail(book);
+
+  const pages   = book?.generatedBook?.pages || [];
+  const images  = book?.fullImages || [];
+  const allDone = pages.length > 0 && images.filter(Boolean).length >= pages.length;
+  if (allDone) {
+    console.log(`Book ${book.bookId} was already complete at payment time — sending book ready email`);
+    await sendBookReadyEmail(book);
+    await queueNarration(book);
+  }
+}
+
+// Refunds and failed payments arrive as charge / payment intent events. The
+// checkout session copies the bookId into the payment intent's metadata; books
+// paid before that are found by the payment intent id saved at payment.
+async function bookIdForPaymentIntent(paymentIntentId, metadata = {}) {
+  if (metadata.bookId) return metadata.bookId;
+  if (!paymentIntentId) return null;
+
+  const { data, error } = await supabase
+    .from("books")
+    .select("book_id")
+    .eq("stripe_payment_intent_id", paymentIntentId)
+    .maybeSingle();
+  if (error) throw error;
+  if (data) return data.book_id;
+
+  const intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  return intent.metadata?.bookId || null;
+}
+
+// Gift cards bought before their payment carried the card's id are found
+// through their Checkout session
+async function giftCardIdForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const { data: sessions } = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+  const metadata = sessions[0]?.metadata;
+  return metadata?.kind === "gift_card" ? metadata.giftCardId || null : null;
+}
+
+// ─── Stripe event handlers ────────────────────────────────────────────────────
+// Each returns the bookId it acted on, which is saved with the event.
+async function onCheckoutCompleted(session) {
+  if (session.metadata?.kind === "gift_card") return onGiftCardPaid(session);
+
+  const bookId = session.metadata?.bookId;
+  if (!bookId) {
+    console.warn("Stripe webhook: no bookId in metadata");
+    return null;
+  }
+  if (session.payment_status !== "paid") {
+    console.log(`Stripe webhook: session ${session.id} completed but not paid (${session.payment_status})`);
+    return bookId;
+  }
+  if (await wasRefunded(await getBook(bookId), session)) {
+    console.log(`Stripe webhook: session ${session.id} was refunded — not unlocking ${bookId} again`);
+    return bookId;
+  }
+
+  const paidBook = await markBookPaid(bookId, paymentFromSession(session));
+  await discounts.settle(session.metadata.checkoutRef);
+  await createPrintOrder(session);
+  if (!paidBook) {
+    console.log(`Book ${bookId} was already unlocked — Stripe webhook ignored`);
+    return bookId;
+  }
+  console.log(`Book ${bookId} unlocked via Stripe`);
+  await sendPostPaymentEmails(paidBook);
+  return bookId;
+}
+
+async function onCheckoutExpired(session) {
+  // Gives back any gift card balance the checkout was holding
+  await discounts.release({ checkoutRef: session.metadata?.checkoutRef });
+  if (session.metadata?.kind === "gift_card") return null;
+
+  const bookId = session.metadata?.bookId;
+  if (!bookId) return null;
+
+  // Only the book's latest checkout counts — an older tab timing out does not
+  const book = await getBook(bookId);
+  if (!book) return null;
+  if (book.stripeSessionId && book.stripeSessionId !== session.id) {
+    console.log(`Stripe webhook: ignoring expiry of an older session for ${bookId}`);
+    return bookId;
+  }
+
+  const expiredBook = await transitionPayment(bookId, "expired");
+  if (expiredBook) {
+    console.log(`Book ${bookId}: checkout expired`);
+    await sendPaymentStatusEmail(expiredBook, "expired");
+  }
+  return bookId;
+}
+
+async function onPaymentFailed(intent) {
+  const bookId = await bookIdForPaymentIntent(intent.id, intent.metadata);
+  if (!bookId) {
+    console.warn(`Stripe webhook: no book for failed payment ${intent.id}`);
+    return null;
+  }
+
+  const failedBook = await transitionPayment(bookId, "failed", { stripePaymentIntentId: intent.id });
+  if (failedBook) {
+    console.log(`Book ${bookId}: payment failed — ${intent.last_payment_error?.message || "no reason given"}`);
+    await sendPaymentStatusEmail(failedBook, "failed");
+  }
+  return bookId;
+}
+
+// Partial refunds keep the book; a full refund takes reader access away
+async function onChargeRefunded(charge) {
+  if (charge.metadata?.kind === "gift_card") return onGiftCardRefunded(charge, charge.metadata.giftCardId);
+
+  const bookId = await bookIdForPaymentIntent(charge.payment_intent, charge.metadata);
+  if (!bookId) {
+    const giftCardId = await giftCardIdForPaymentIntent(charge.payment_intent);
+    if (giftCardId) return onGiftCardRefunded(charge, giftCardId);
+    console.warn(`Stripe webhook: no book for refunded charge ${charge.id}`);
+    return null;
+  }
+  if (!charge.refunded) {
+    console.log(`Book ${bookId}: partial refund of ${charge.amount_refunded} — access kept`);
+    return bookId;
+  }
+
+  const refundedBook = await transitionPayment(bookId, "refunded");
+  if (refundedBook) {
+    console.log(`Book ${bookId}: refunded — reader access removed`);
+    await cancelPendingPrintOrders(bookId, "Payment refunded");
+    await discounts.release({ stripeSessionId: refundedBook.stripeSessionId });
+    await sendPaymentStatusEmail(refundedBook, "refunded");
+  }
+  return bookId;
+}
+
+// A refunded gift card purchase takes the card out of use, with what is left
+// on it. Whatever was already spent on books stays spent.
+async function onGiftCardRefunded(charge, giftCardId) {
+  if (!charge.refunded) {
+    console.log(`Gift card ${giftCardId}: partial refund of ${charge.amount_refunded} — card kept`);
+    return null;
+  }
+  const voided = await discounts.voidGiftCard(giftCardId);
+  if (voided) console.log(`Gift card ${giftCardId}: refunded — disabled with ${voided.balance_cents} left on it`);
+  return null;
+}
+
+const STRIPE_EVENT_HANDLERS = {
+  "checkout.session.completed":    onCheckoutCompleted,
+  "checkout.session.expired":      onCheckoutExpired,
+  "payment_intent.payment_failed": onPaymentFailed,
+  "charge.refunded":               onChargeRefunded
+};
+
+// Runs a stored event's handler if this call can claim it (see
+// lib/stripeEvents.js). Returns "processed", "failed", or "skipped" when it was
+// already handled or is being handled elsewhere.
+async function processStripeEvent(event, { force = false } = {}) {
+  const claimed = await stripeEvents.claim(event.id, { force });
+  if (!claimed) return "skipped";
+
+  try {
+    const bookId = await STRIPE_EVENT_HANDLERS[event.type](event.data.object);
+    await stripeEvents.complete(event.id, { bookId });
+    return "processed";
+  } catch (err) {
+    console.error(`Stripe ${event.type} ${event.id} failed:`, err.message);
+    await stripeEvents.fail(event.id, err);
+    return "failed";
+  }
+}
+
+// ─── Stripe Webhook ───────────────────────────────────────────────────────────
+app.post("/webhooks/stripe", async (req, res) => {
+  const sig           = req.headers["stripe-signature"];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+  } catch (err) {
+    console.error("Stripe webhook signature failed:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  if (!STRIPE_EVENT_HANDLERS[event.type]) return res.status(200).send("ok");
+
+  // ── Store the event first — if that fails Stripe gets a 500 and retries ──
+  let recorded;
+  try {
+    recorded = await stripeEvents.record(event, { bookId: event.data.object?.metadata?.bookId || null });
+  } catch (err) {
+    console.error("Stripe webhook: failed to record event:", err.message);
+    return res.status(500).send("Failed to record event");
+  }
+
+  // ── Respond to Stripe IMMEDIATELY (must be within 30s) ──
+  res.status(200).send("ok");
+
+  if (!recorded.created && recorded.event.status === "processed") {
+    console.log(`Stripe webhook: ${event.type} ${event.id} already processed — duplicate ignored`);
+    return;
+  }
+
+  // ── Do the heavy work in background (non-blocking) ──
+  processStripeEvent(event).catch(err => {
+    console.error(`Stripe ${event.type} ${event.id} processing failed:`, err.message);
+  });
+});
+
+// ─── Resend webhook: bounces ──────────────────────────────────────────────────
+// Marks sent outbox emails that bounced. RESEND_WEBHOOK_SECRET is the signing
+// secret of the webhook in the Resend dashboard.
+app.post("/webhooks/resend", async (req, res) => {
+  const webhookSecret = process.env.RESEND_WEBHOOK_SECRET;
+  if (!webhookSecret) return res.status(503).send("Resend webhook is not configured");
+
+  let event;
+  try {
+    event = resend.webhooks.verify({
+      payload: req.body.toString("utf8"),
+      headers: { id: req.get("svix-id"), timestamp: req.get("svix-timestamp"), signature: req.get("svix-signature") },
+      webhookSecret
+    });
+  } catch (err) {
+    console.error("Resend webhook signature failed:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  if (event.type !== "email.bounced") return res.status(200).send("ok");
+  try {
+    const bounced = await emailOutbox.markBounced(event.data.email_id, event.data.bounce?.message);
+    if (bounced) console.warn(`outbox: ${bounced.template} to ${bounced.to_email} bounced${bounced.book_id ? ` [${bounced.book_id}]` : ""}`);
+    return res.status(200).send("ok");
+  } catch (err) {
+    console.error("Resend webhook: failed to record bounce:", err.message);
+    return res.status(500).send("Failed to record bounce");
+  }
+});
+
+// ─── Confirm payment from the Stripe success page ────────────────────────────
+// success.html calls this in case the webhook has not arrived yet. The book is
+// only unlocked when Stripe itself reports the checkout session as paid for
+// this book; admins can force-unlock through /api/admin.
+app.post("/api/books/:bookId/confirm-payment", requireBookAccess(), async (req, res) => {
+  try {
+    const bookId    = req.params.bookId;
+    const sessionId = typeof req.body?.sessionId === "string" ? req.body.sessionId : "";
+    if (!sessionId) return res.status(400).json({ status: "error", message: "Missing sessionId" });
+
+    const book = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+    if (book.purchaseUnlocked) return res.json({ status: "ok", purchaseUnlocked: true });
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.retrieve(sessionId);
+    } catch (err) {
+      return res.status(400).json({ status: "error", message: "Unknown checkout session" });
+    }
+    if (session.metadata?.bookId !== bookId) {
+      return res.status(400).json({ status: "error", message: "This checkout session is for a different book" });
+    }
+    if (session.payment_status !== "paid") return res.json({ status: "ok", purchaseUnlocked: false });
+    if (await wasRefunded(book, session)) {
+      return res.status(409).json({ status: "error", message: "This payment was refunded. Start a new checkout to unlock the book again." });
+    }
+
+    const paidBook = await markBookPaid(bookId, paymentFromSession(session));
+    await discounts.settle(session.metadata.checkoutRef);
+    await createPrintOrder(session);
+    if (paidBook) {
+      console.log(`Book ${bookId} unlocked from the success page`);
+      sendPostPaymentEmails(paidBook).catch(err => console.error("Post-payment emails failed:", err.message));
+    }
+    return res.json({ status: "ok", purchaseUnlocked: true });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to confirm payment" });
+  }
+});
+
+// ─── Order lookup ─────────────────────────────────────────────────────────────
+// The success and open-book pages may arrive with only an order reference —
+// a Stripe Checkout session id (?session_id=) or a print order id — and no
+// bookId. This says which book it is and whether it is paid; nothing else.
+// The book itself still needs its token. Against guessing: only ids shaped
+// like ours are looked up, every miss is the same 404, and an IP with too
+// many misses is locked out for a while.
+const STRIPE_SESSION_ID_PATTERN = /^cs_(test|live)_[A-Za-z0-9]{20,200}$/;
+const ORDER_ID_PATTERN          = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ORDER_LOOKUP_MAX_MISSES   = 20;
+const ORDER_LOOKUP_LOCKOUT_MS   = 15 * 60 * 1000;
+
+// Lookups that found nothing, per IP
+const orderLookupMisses = createAttemptLimiter({ max: ORDER_LOOKUP_MAX_MISSES, windowMs: ORDER_LOOKUP_LOCKOUT_MS });
+
+async function findBookIdByColumn(table, column, value) {
+  const { data, error } = await supabase
+    .from(table)
+    .select("book_id")
+    .eq(column, value)
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.book_id || null;
+}
+
+// The book an order reference belongs to, or null. A session id the books
+// table no longer points at (the customer started checkout again) is asked
+// of Stripe; gift card sessions have no book.
+async function bookIdForOrder(orderId) {
+  if (ORDER_ID_PATTERN.test(orderId)) return findBookIdByColumn("print_orders", "id", orderId);
+  if (!STRIPE_SESSION_ID_PATTERN.test(orderId)) return null;
+
+  const bookId = await findBookIdByColumn("books", "stripe_session_id", orderId) ||
+                 await findBookIdByColumn("print_orders", "stripe_session_id", orderId);
+  if (bookId) return bookId;
+
+  try {
+    const session = await stripe.checkout.sessions.retrieve(orderId);
+    return session.metadata?.kind === "gift_card" ? null : session.metadata?.bookId || null;
+  } catch (err) {
+    if (err?.statusCode === 404 || err?.code === "resource_missing") return null;
+    throw err;
+  }
+}
+
+app.get("/api/order/:orderId", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    if (orderLookupMisses.isLockedOut(req.ip)) {
+      return res.status(429).json({ status: "error", message: "Too many order lookups. Try again later." });
+    }
+
+    const orderId = String(req.params.orderId || "").trim();
+    const bookId  = await bookIdForOrder(orderId);
+    const book    = bookId && await getBook(bookId);
+    if (!book) {
+      orderLookupMisses.recordFailure(req.ip);
+      return res.status(404).json({ status: "error", message: "Order not found" });
+    }
+
+    return res.json({
+      status:           "ok",
+      bookId:           book.bookId,
+      paymentStatus:    book.paymentStatus,
+      purchaseUnlocked: book.purchaseUnlocked === true
+    });
+  } catch (err) {
+    console.error("Order lookup failed:", err.message);
+    return res.status(500).json({ status: "error", message: "Failed to look up the order" });
+  }
+});
+
+// ─── Progress event payloads ──────────────────────────────────────────────────
+function storyReadyEvent(book, generatedBook) {
+  return {
+    childName: book.childName || "",
+    title:     generatedBook?.title    || "",
+    subtitle:  generatedBook?.subtitle || "",
+    pages:     (generatedBook?.pages || []).map(p => ({ text: p.text || "" }))
+  };
+}
+
+function pageReadyEvent(bookId, index, fullImages) {
+  return {
+    index,
+    src:   bookImageUrl(bookId, `page-${index}`, fullImages[index]),
+    ready: fullImages.filter(Boolean).length,
+    total: fullImages.length
+  };
+}
+
+function completeEvent(book) {
+  const pages = book?.generatedBook?.pages || [];
+  return { total: pages.length, ready: (book?.fullImages || []).filter(Boolean).length };
+}
+
+// Replays what is already saved on the book, in pipeline order. A refunded
+// book replays only its preview, but still reports itself complete.
+function bookSnapshotEvents(book, job) {
+  const events = [];
+  const shown  = isPreviewOnly(book) ? previewOfBook(book) : book;
+  const pages  = book.generatedBook?.pages || [];
+  const images = [...(shown.fullImages || [])];
+  while (images.length < pages.length) images.push(null);
+
+  if (book.characterReference) events.push(["character-ready", { childName: book.childName || "" }]);
+  if (pages.length)            events.push(["story-ready", storyReadyEvent(book, shown.generatedBook)]);
+  if (book.coverImage)         events.push(["cover-ready", { src: bookImageUrl(book.bookId, "cover", book.coverImage) }]);
+  images.forEach((src, index) => {
+    if (src) events.push(["page-ready", pageReadyEvent(book.bookId, index, images)]);
+  });
+
+  const allImages = pages.length && (book.fullImages || []).filter(Boolean).length >= pages.length;
+  if (job?.status === "failed") {
+    events.push(["failed", { message: "Generation failed", attempts: job.attempts }]);
+  } else if (allImages && book.coverImage) {
+    events.push(["complete", completeEvent(book)]);
+  }
+  return events;
+}
+
+// ─── Generation pipeline steps (run by the job queue) ─────────────────────────
+// Every step skips work already saved on the book, so a job resumed after a
+// restart or a failed attempt only fills in what is still missing.
+async function loadPipelineBook(bookId) {
+  const book = await getBook(bookId);
+  if (!book) throw new Error(`Book ${bookId} not found`);
+  return book;
+}
+
+function pipelineContext(book) {
+  const childAge           = book.childAge || "5";
+  const characterReference = book.characterReference || null;
+  return {
+    childName:        book.childName         || "The Child",
+    childAge,
+    childGender:      book.childGender       || "not specified",
+    storyIdea:        book.storyIdea         || "a magical adventure",
+    croppedPhoto:     book.croppedPhoto      || book.originalPhoto || "",
+    safeStyle:        sanitizeBrandTerms(book.illustrationStyle || "Soft Storybook"),
+    promptCore:       characterReference?.characterPromptCore || `A young child aged ${childAge}.`,
+    characterSummary: characterReference?.characterSummary    || `A ${childAge}-year-old child hero.`
+  };
+}
+
+// The child's photo and character sheet, as reference images for the
+// illustration model (lib/illustrations.js) — empty when the book has neither
+async function characterReferenceImages(book) {
+  const references = [];
+  const sheet = book.characterSheet ? await loadBookImage(book.characterSheet).catch(() => null) : null;
+  if (sheet) references.push({ ...sheet, label: "character sheet of the child, drawn in this book's illustration style" });
+  const photo = pipelineContext(book).croppedPhoto;
+  if (isDataUrl(photo)) references.push({ ...decodeDataUrl(photo), label: "photo of the real child" });
+  return references;
+}
+
+// pipelineContext plus the reference images, for steps that draw
+async function illustrationContext(book) {
+  return { ...pipelineContext(book), references: await characterReferenceImages(book) };
+}
+
+// A parent's correction (from "Redo this picture") is appended to the same
+// prompt the pipeline uses, so a redo only changes what was asked for
+function buildPageImagePrompt(ctx, page, correction = "") {
+  const correctionBlock = correction
+    ? `\n\nParent correction — this version MUST fix:\n${sanitizeImagePrompt(correction)}`
+    : "";
+  return `Create a premium children's storybook illustration.\n\nIllustration style: ${ctx.safeStyle}\n\nCharacter consistency:\n${sanitizeBrandTerms(ctx.promptCore)}\n\nScene:\n${sanitizeImagePrompt(page.imagePrompt || "")}${correctionBlock}\n\nRules:\n- same child identity\n- same face structure\n- same hair and skin tone\n- warm magical storybook aesthetic\n- no text\n- no watermark\n- elegant composition\n- no logos\n- no brand names\n- no copyrighted costume emblems`;
+}
+
+// פונקציה ליצירת תמונה אחת
+async function generatePageImage(ctx, page, correction = "") {
+  const imgPrompt = buildPageImagePrompt(ctx, page, correction);
+  const { base64 } = await illustrator.draw(imgPrompt, { references: ctx.references });
+  return base64;
+}
+
+// ── STEP 1: Character reference (photo → DNA + prompt core, character sheet) ─
+// The description and the sheet are made side by side; a book without a sheet
+// is illustrated from its photo and description alone.
+async function runCharacterStep(bookId) {
+  const book = await loadPipelineBook(bookId);
+  const needsSheet = !book.characterSheet && illustrator.usesReferences;
+  if (book.characterReference && !needsSheet) return;
+
+  const { croppedPhoto } = pipelineContext(book);
+  if (!croppedPhoto) return;
+
+  await Promise.all([
+    book.characterReference ? null : describeCharacter(book),
+    needsSheet ? drawCharacterSheet(book) : null
+  ]);
+  console.log(`generate-full [${bookId}]: STEP 1 done — character reference ready`);
+}
+
+async function describeCharacter(book) {
+  const bookId = book.bookId;
+  const { croppedPhoto, childAge, safeStyle } = pipelineContext(book);
+
+  let characterReference;
+  try {
+    const dnaCompletion = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      response_format: { type: "json_object" },
+      messages: [{
+        role: "user",
+        content: [
+          {
+            type: "text",
+            text: `Analyze the uploaded child photo and return ONLY JSON.\nReturn:\n{\n  "hair": "string",\n  "skin": "string",\n  "eyes": "string",\n  "face": "string",\n  "ageLook": "string",\n  "outfit": "string",\n  "vibe": "string",\n  "summary": "string"\n}\nRules:\n- Focus only on the child\n- Ignore any brand names, logos, copyrighted characters, or toy franchises\n- If clothing includes a recognizable character or logo, describe it generically`
+          },
+          { type: "image_url", image_url: { url: croppedPhoto } }
+        ]
+      }],
+      temperature: 0.2
+    });
+
+    const characterDNA = safeJsonParse(dnaCompletion.choices?.[0]?.message?.content || "{}", {
+      hair: "soft child hair", skin: "warm natural skin tone",
+      eyes: "bright child eyes", face: "soft rounded child face",
+      ageLook: "young child", outfit: "simple timeless child outfit",
+      vibe: "warm curious child", summary: "A warm curious child hero for a magical storybook."
+    });
+
+    characterReference = {
+      characterDNA,
+      characterPromptCore: buildCharacterPromptCore(characterDNA, safeStyle),
+      characterSummary:    characterDNA.summary || "A warm curious child hero."
+    };
+  } catch (err) {
+    console.warn("generate-full: character reference failed, continuing without it:", err.message);
+    characterReference = {
+      characterDNA: {},
+      characterPromptCore: `A young child aged ${childAge}, warm storybook style.`,
+      characterSummary: `A ${childAge}-year-old child hero.`
+    };
+  }
+
+  await updateBookField(bookId, { characterReference });
+  bookEvents.publish(bookId, "character-ready", { childName: book.childName || "" });
+}
+
+// The child drawn from the photo, front, side and full length, in the book's
+// style. Only kept when drawn from the photo — a sheet from the description
+// alone would add nothing the description does not already give.
+async function drawCharacterSheet(book) {
+  const { safeStyle } = pipelineContext(book);
+  const sheetPrompt = `Create a premium children's storybook character sheet of the child in the reference photo.\n\nStyle: ${safeStyle}\n\nCreate ONE clean composition showing the same child character in:\n- front view\n- slight side view\n- full body storybook pose\n\nRules:\n- keep the child's face, hair, skin tone and age as in the photo\n- clean soft storybook background\n- minimal and elegant\n- no text\n- no watermark\n- no logos\n- no branded costume details`;
+
+  try {
+    const { base64 } = await illustrator.draw(sheetPrompt, { references: await characterReferenceImages(book), textFallback: false });
+    if (!base64) return;
+    const characterSheet = await saveBookImage(book.bookId, "character-sheet", base64);
+    await updateBookField(book.bookId, { characterSheet });
+  } catch (err) {
+    console.warn("generate-full: character sheet failed, continuing without it:", err.message);
+  }
+}
+
+// ── STEP 2: Generate story text ───────────────────────────────────────────────
+async function runStoryStep(bookId) {
+  const book = await loadPipelineBook(bookId);
+  if (book.generatedBook?.pages?.length) return;
+
+  const { childName, childAge, childGender, storyIdea, safeStyle, promptCore, characterSummary } = pipelineContext(book);
+
+  const storyPrompt = `You are a premium personalized children's book writer.\n\nChild name: ${sanitizeBrandTerms(childName)}\nChild age: ${childAge}\nChild gender: ${childGender}\nStory direction: ${sanitizeBrandTerms(storyIdea)}\nIllustration style: ${safeStyle}\n\nCharacter summary:\n${sanitizeBrandTerms(characterSummary)}\n\nCharacter consistency instructions:\n${sanitizeBrandTerms(promptCore)}\n\nReturn ONLY JSON:\n{\n  "title": "string",\n  "subtitle": "string",\n  "pages": [\n    {\n      "text": "string",\n      "imagePrompt": "string"\n    }\n  ]\n}\n\nRules:\n- Exactly 16 story pages\n- Each page text must be 35-70 words\n- The child must clearly be the hero\n- imagePrompt must describe the same child consistently\n- No page numbers inside text\n- No brand names\n- Do not mention copyrighted characters or logos
+${storyLanguageRule(book.storyLanguage)}`;
+
+  const storyCompletion = await openai.chat.completions.create({
+    model: "gpt-4o-mini",
+    response_format: { type: "json_object" },
+    messages: [{ role: "user", content: storyPrompt }],
+    temperature: 0.8
+  });
+
+  const storyRaw  = storyCompletion.choices?.[0]?.message?.content || "{}";
+  const storyData = safeJsonParse(storyRaw, {});
+  const generatedBook = {
+    title:    sanitizeBrandTerms(storyData.title    || `The Magical Adventure of ${childName}`),
+    subtitle: sanitizeBrandTerms(storyData.subtitle || "A story where you are the hero"),
+    pages:    Array.isArray(storyData.pages)
+      ? storyData.pages.slice(0, 16).map(p => ({
+          text:        sanitizeBrandTerms(String(p.text        || "").trim()),
+          imagePrompt: sanitizeImagePrompt(String(p.imagePrompt || "").trim())
+        }))
+      : []
+  };
+  if (!generatedBook.pages.length) throw new Error("Story generation returned no pages");
+
+  await updateBookField(bookId, { generatedBook });
+  bookEvents.publish(bookId, "story-ready", storyReadyEvent(book, generatedBook));
+  console.log(`generate-full [${bookId}]: STEP 2 done — story written`);
+}
+
+// ── STEP 3: Cover + first 2 page images IN PARALLEL ──────────────────────────
+// Running them together cuts the wait from ~2min to ~60s
+async function runCoverStep(bookId) {
+  const book = await loadPipelineBook(bookId);
+  const ctx  = await illustrationContext(book);
+
+  const pages      = book.generatedBook?.pages || [];
+  const title      = book.generatedBook?.title    || `The Magical Adventure of ${ctx.childName}`;
+  const subtitle   = book.generatedBook?.subtitle || "A story where you are the hero";
+  const fullImages = [...(book.fullImages || [])];
+  while (fullImages.length < pages.length) fullImages.push(null);
+
+  const coverPrompt = `Create a premium children's storybook COVER illustration.\n\nIllustration style: ${ctx.safeStyle}\n\nLOCKED CHILD CHARACTER:\n${sanitizeBrandTerms(ctx.promptCore)}\n\nSHORT CHARACTER SUMMARY:\n${sanitizeBrandTerms(ctx.characterSummary)}\n\nBOOK TITLE:\n${sanitizeBrandTerms(title)}\n\nBOOK SUBTITLE:\n${sanitizeBrandTerms(subtitle)}\n\nSTORY DIRECTION:\n${sanitizeBrandTerms(ctx.storyIdea)}\n\nRules:\n- create ONE beautiful single cover illustration\n- show the child as the hero\n- magical, premium, warm\n- no character sheet\n- no multiple poses\n- no text rendered into the image\n- no watermark\n- no logos\n- no copyrighted costume emblems`;
+
+  // Run cover + pages 0 and 1 all at once in parallel
+  const [coverResult, page0Result, page1Result] = await Promise.allSettled([
+    book.coverImage ? Promise.resolve(null) : illustrator.draw(coverPrompt, { references: ctx.references }),
+    fullImages[0] || !pages[0] ? Promise.resolve(null) : generatePageImage(ctx, pages[0]),
+    fullImages[1] || !pages[1] ? Promise.resolve(null) : generatePageImage(ctx, pages[1]),
+  ]);
+
+  // Save priority pages — a failure here is retried by the pages step
+  for (const [index, result] of [page0Result, page1Result].entries()) {
+    if (result?.status !== "fulfilled" || !result.value) continue;
+    const key   = await saveBookImage(bookId, `page-${index}`, result.value);
+    const saved = await savePipelinePage(bookId, index, key, pages.length);
+    if (saved) bookEvents.publish(bookId, "page-ready", pageReadyEvent(bookId, index, saved.fullImages));
+  }
+
+  // Save cover
+  if (!book.coverImage) {
+    const coverBase64 = coverResult?.status === "fulfilled" ? coverResult.value?.base64 : null;
+    if (!coverBase64) {
+      throw new Error(`Cover generation failed: ${coverResult?.reason?.message || "empty image"}`);
+    }
+    const coverImage = await saveBookImage(bookId, "cover", coverBase64);
+    await updateBookField(bookId, { coverImage });
+    bookEvents.publish(bookId, "cover-ready", { src: bookImageUrl(bookId, "cover", coverImage) });
+  }
+
+  console.log(`generate-full [${bookId}]: STEP 3 done — cover + priority images saved`);
+}
+
+// ── STEP 4: Remaining page images — 5 in parallel, each saved as soon as ready ─
+async function runPagesStep(bookId, { heartbeat } = {}) {
+  const book  = await loadPipelineBook(bookId);
+  const ctx   = await illustrationContext(book);
+  const pages = book.generatedBook?.pages || [];
+
+  const fullImages = [...(book.fullImages || [])];
+  while (fullImages.length < pages.length) fullImages.push(null);
+
+  const remaining = [];
+  for (let i = 0; i < pages.length; i++) {
+    if (!fullImages[i]) remaining.push(i);
+  }
+
+  const BATCH_SIZE = 5;
+  for (let batchStart = 0; batchStart < remaining.length; batchStart += BATCH_SIZE) {
+    const batch = remaining.slice(batchStart, batchStart + BATCH_SIZE);
+
+    // כל תמונה שומרת מיד לDB ברגע שמוכנה — לא מחכה לסוף הbatch
+    await Promise.allSettled(batch.map(async (pageIndex) => {
+      try {
+        const base64 = await generatePageImage(ctx, pages[pageIndex]);
+        if (base64) {
+          const key   = await saveBookImage(bookId, `page-${pageIndex}`, base64);
+          const saved = await savePipelinePage(bookId, pageIndex, key, pages.length);
+          fullImages[pageIndex] = key; // or the picture the page got meanwhile
+          if (saved) bookEvents.publish(bookId, "page-ready", pageReadyEvent(bookId, pageIndex, saved.fullImages));
+          const doneCount = fullImages.filter(Boolean).length;
+          console.log(`generate-full [${bookId}]: image ${pageIndex} saved — ${doneCount}/${pages.length} total`);
+        }
+      } catch (err) {
+        console.error(`generate-full [${bookId}]: image ${pageIndex} failed:`, err.message);
+      }
+    }));
+    if (heartbeat) await heartbeat();
+  }
+
+  const missing = fullImages.filter(img => !img).length;
+  if (missing > 0) throw new Error(`${missing} of ${pages.length} page images failed`);
+  console.log(`generate-full [${bookId}]: STEP 4 done — all ${pages.length} images saved`);
+}
+
+// ── STEP 5: Read-aloud audio for each page ───────────────────────────────────
+// Not part of generation: it runs as a job of its own once a finished book is
+// paid for, or when the reader asks for it, so previews never spend on
+// text-to-speech and the book ready email does not wait for it. Never fails
+// the job — a book without narration is still a finished book. Pages whose
+// text changed since they were narrated are done again.
+function narrationIsCurrent(entry, text) {
+  return !!entry?.key && entry.textHash === narrationTextHash(text);
+}
+
+async function runNarrationStep(bookId, { heartbeat } = {}) {
+  if (!tts) return;
+  const book     = await loadPipelineBook(bookId);
+  if (!book.purchaseUnlocked) {
+    console.log(`narration [${bookId}]: not paid for — skipped`);
+    return;
+  }
+  const pages    = book.generatedBook?.pages || [];
+  const language = normalizeStoryLanguage(book.storyLanguage);
+  const narrated = { ...(book.narration?.pages || {}) };
+
+  const remaining = [];
+  for (let i = 0; i < pages.length; i++) {
+    if (pages[i]?.text && !narrationIsCurrent(narrated[i], pages[i].text)) remaining.push(i);
+  }
+
+  const BATCH_SIZE = 4;
+  for (let batchStart = 0; batchStart < remaining.length; batchStart += BATCH_SIZE) {
+    const batch = remaining.slice(batchStart, batchStart + BATCH_SIZE);
+    await Promise.allSettled(batch.map(async (pageIndex) => {
+      try {
+        const text = pages[pageIndex].text;
+        const { audio, contentType, duration, words } = await narratePage(tts, text, { language });
+        const key = bookObjectKey(bookId, `narration-${pageIndex}`, contentType);
+        await storage.put(key, audio, contentType);
+        narrated[pageIndex] = {
+          key, contentType, duration, words,
+          textHash:  narrationTextHash(text),
+          voice:     tts.voice,
+          provider:  tts.name,
+          createdAt: new Date().toISOString()
+        };
+      } catch (err) {
+        console.error(`narration [${bookId}]: page ${pageIndex} failed:`, err.message);
+      }
+    }));
+    await updateBookField(bookId, { narration: { ...book.narration, language, pages: narrated } });
+    if (heartbeat) await heartbeat();
+  }
+
+  console.log(`narration [${bookId}]: ${remaining.length ? `${remaining.length} page(s) narrated` : "up to date"}`);
+}
+
+// Starts narrating a paid book in the background; the reader asks again if
+// this did not happen
+async function queueNarration(book) {
+  if (!tts || !book?.purchaseUnlocked || !book.generatedBook?.pages?.length) return;
+  try {
+    await jobQueue.enqueue(book.bookId, { step: "narration" });
+  } catch (err) {
+    console.error(`narration [${book.bookId}]: could not queue:`, err.message);
+  }
+}
+
+// ── STEP 6: All done — send "book ready" email ───────────────────────────────
+async function onGenerationComplete(job) {
+  if (job.step === "narration") return;
+
+  const completedBook = await getBook(job.book_id);
+  bookEvents.publish(job.book_id, "complete", completeEvent(completedBook));
+  // Only send if book was paid (user might not have paid yet — that's ok,
+  // email will be triggered again by Stripe webhook when they do pay)
+  if (completedBook?.purchaseUnlocked && completedBook?.customerEmail) {
+    await sendBookReadyEmail(completedBook);
+    console.log("generate-full: book ready email sent to:", completedBook.customerEmail);
+  } else {
+    console.log("generate-full: book not yet paid, skipping book ready email for now");
+  }
+  await queueNarration(completedBook);
+}
+
+const jobQueue = createJobQueue({
+  supabase,
+  steps: {
+    character: runCharacterStep,
+    story:     runStoryStep,
+    cover:     runCoverStep,
+    pages:     runPagesStep,
+    narration: runNarrationStep
+  },
+  onDemand:   ["narration"],
+  onComplete: onGenerationComplete,
+  onFailed:   (job) => {
+    console.error(`generate-full [${job.book_id}]: gave up after ${job.attempts} attempts — ${job.last_error}`);
+    bookEvents.publish(job.book_id, "failed", { message: "Generation failed", attempts: job.attempts });
+  }
+});
+
+function jobToJson(job) {
+  if (!job) return null;
+  return {
+    jobId:       job.id,
+    status:      job.status,
+    step:        job.step,
+    attempts:    job.attempts,
+    lastError:   job.last_error   || null,
+    createdAt:   job.created_at   || null,
+    updatedAt:   job.updated_at   || null,
+    completedAt: job.completed_at || null
+  };
+}
+
+// ─── Generate Full Book (story + cover + images) — queued as a background job ─
+// crop.js, setup.js and generate.js may all kick the same book; the queue
+// hands back the job that is already active instead of starting a second one.
+app.post("/api/books/:bookId/generate-full", requireBookAccess(), async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    const book   = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    const { job, created } = await jobQueue.enqueue(bookId);
+    return res.json({
+      status:  "ok",
+      message: created ? "Generation started in background" : "Generation already in progress",
+      job:     jobToJson(job)
+    });
+  } catch (err) {
+    console.error("generate-full enqueue error:", err.message);
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to start generation" });
+  }
+});
+
+// ─── Generation job status ────────────────────────────────────────────────────
+app.get("/api/books/:bookId/job", requireBookAccess(), async (req, res) => {
+  try {
+    const job = await jobQueue.getLatestJob(req.params.bookId);
+    return res.json({ status: "ok", job: jobToJson(job) });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to fetch job" });
+  }
+});
+
+// ─── Live generation progress (Server-Sent Events) ───────────────────────────
+// Events come from the in-process bus, so a job running on another instance is
+// only seen through the snapshot; clients fall back to polling if SSE fails.
+app.get("/api/books/:bookId/events", requireBookAccess(), async (req, res) => {
+  const bookId = req.params.bookId;
+  let book, job;
+  try {
+    book = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+    job = await jobQueue.getLatestJob(bookId);
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to open event stream" });
+  }
+
+  res.set({
+    "Content-Type":      "text/event-stream",
+    "Cache-Control":     "no-cache, no-transform",
+    "Connection":        "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  // Subscribe before replaying the snapshot so nothing falls in between
+  const unsubscribe = bookEvents.subscribe(bookId, ({ type, data }) => writeSseEvent(res, type, data));
+  for (const [type, data] of bookSnapshotEvents(book, job)) writeSseEvent(res, type, data);
+
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// ─── Batch generate all page images — queued as a background job ─────────────
+app.post("/api/books/:bookId/generate-images", requireBookAccess(), async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    const book   = await getBook(bookId);
+
+    if (!book) {
+      return res.status(404).json({ status: "error", message: "Book not found" });
+    }
+
+    const pages = book.generatedBook?.pages || [];
+    if (pages.length === 0) {
+      return res.status(400).json({ status: "error", message: "No pages to generate" });
+    }
+
+    const alreadyDone = (book.fullImages || []).filter(Boolean).length;
+    if (alreadyDone >= pages.length) {
+      return res.json({ status: "ok", generated: 0, total: pages.length, message: "All images already exist" });
+    }
+
+    const { job } = await jobQueue.enqueue(bookId);
+    return res.json({ status: "ok", message: "Image generation started in background", total: pages.length, job: jobToJson(job) });
+  } catch (err) {
+    console.error("generate-images setup error:", err.message);
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to start image generation" });
+  }
+});
+
+// ─── Regenerate a single page illustration ────────────────────────────────────
+// The replaced image is kept in imageVersions[index] so the parent can revert.
+const PAGE_REGENERATION_QUOTA = Number(process.env.PAGE_REGENERATION_QUOTA || 5);
+const MAX_CORRECTION_LENGTH   = 300;
+const regeneratingPages       = new Set(); // "bookId:index" currently being redone
+
+function parsePageIndex(book, rawIndex) {
+  const index = Number(rawIndex);
+  const pages = book.generatedBook?.pages || [];
+  if (!Number.isInteger(index) || index < 0 || index >= pages.length) return null;
+  return index;
+}
+
+// A redraw is taken off the quota before the picture is drawn, so redraws of
+// several pages at once can never spend more than the book has left. Returns
+// the new count, or null when the quota is used up. A failed redraw gives
+// its turn back with -1.
+async function reserveRegeneration(bookId, delta = 1) {
+  const saved = await changeBookImages(bookId, ({ regenerationsUsed }) => {
+    const next = regenerationsUsed + delta;
+    if (next < 0 || next > PAGE_REGENERATION_QUOTA) return null;
+    return { regenerationsUsed: next };
+  });
+  return saved ? saved.regenerationsUsed : null;
+}
+
+app.post("/api/books/:bookId/pages/:index/regenerate", requireBookAccess(), async (req, res) => {
+  const bookId = req.params.bookId;
+  let lockKey  = null;
+  let reserved = false;
+  try {
+    const book = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    const index = parsePageIndex(book, req.params.index);
+    if (index === null) return res.status(400).json({ status: "error", message: "Invalid page index" });
+    if (isPreviewOnly(book) && !pageInPreview(index)) return res.status(403).json({ status: "error", message: "Book not purchased" });
+
+    const correction = req.body?.correction == null ? "" : req.body.correction;
+    if (typeof correction !== "string") {
+      return res.status(400).json({ status: "error", message: "correction must be a string" });
+    }
+    if (correction.length > MAX_CORRECTION_LENGTH) {
+      return res.status(400).json({ status: "error", message: `correction must be at most ${MAX_CORRECTION_LENGTH} characters` });
+    }
+
+    if (!book.fullImages?.[index]) {
+      return res.status(409).json({ status: "error", message: "This page is still being illustrated" });
+    }
+
+    lockKey = `${bookId}:${index}`;
+    if (regeneratingPages.has(lockKey)) {
+      lockKey = null;
+      return res.status(409).json({ status: "error", message: "This page is already being redrawn" });
+    }
+    regeneratingPages.add(lockKey);
+
+    const regenerationsUsed = await reserveRegeneration(bookId);
+    if (regenerationsUsed === null) {
+      return res.status(403).json({ status: "error", message: "Regeneration limit reached for this book", regenerationsRemaining: 0 });
+    }
+    reserved = true;
+
+    const ctx    = await illustrationContext(book);
+    const base64 = await generatePageImage(ctx, book.generatedBook.pages[index], correction.trim());
+    if (!base64) throw new Error("Image generation returned no image");
+    const key = await saveBookImage(bookId, `page-${index}`, base64);
+
+    const saved = await changeBookImages(bookId, ({ fullImages, imageVersions }) => {
+      imageVersions[index] = [
+        ...(imageVersions[index] || []),
+        { src: fullImages[index], replacedAt: new Date().toISOString(), correction: correction.trim() }
+      ];
+      fullImages[index] = key;
+      return { fullImages, imageVersions };
+    });
+    reserved = false;
+    bookEvents.publish(bookId, "page-ready", pageReadyEvent(bookId, index, saved.fullImages));
+    console.log(`regenerate [${bookId}]: page ${index} redrawn (${regenerationsUsed}/${PAGE_REGENERATION_QUOTA})`);
+
+    return res.json({
+      status:                 "ok",
+      index,
+      image:                  bookImageUrl(bookId, `page-${index}`, key),
+      versions:               saved.imageVersions[index].length,
+      regenerationsRemaining: Math.max(0, PAGE_REGENERATION_QUOTA - saved.regenerationsUsed)
+    });
+  } catch (err) {
+    console.error(`regenerate [${bookId}]: failed:`, err.message);
+    if (reserved) {
+      await reserveRegeneration(bookId, -1)
+        .catch(e => console.error(`regenerate [${bookId}]: could not give back the redraw:`, e.message));
+    }
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to regenerate page" });
+  } finally {
+    if (lockKey) regeneratingPages.delete(lockKey);
+  }
+});
+
+// ─── Revert a page illustration to a prior version ────────────────────────────
+// The current image is kept as a version too, so a revert can itself be undone.
+app.post("/api/books/:bookId/pages/:index/revert", requireBookAccess(), async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    const book   = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    const index = parsePageIndex(book, req.params.index);
+    if (index === null) return res.status(400).json({ status: "error", message: "Invalid page index" });
+    if (isPreviewOnly(book) && !pageInPreview(index)) return res.status(403).json({ status: "error", message: "Book not purchased" });
+
+    const versionCount = book.imageVersions?.[index]?.length || 0;
+    if (!versionCount) return res.status(400).json({ status: "error", message: "No previous version to revert to" });
+
+    const versionIndex = req.body?.version == null ? versionCount - 1 : Number(req.body.version);
+    if (!Number.isInteger(versionIndex) || versionIndex < 0 || versionIndex >= versionCount) {
+      return res.status(400).json({ status: "error", message: "Invalid version" });
+    }
+
+    // A redraw or revert landing meanwhile may shift the history; the version
+    // is picked by its place in the history as it is when saved
+    let restored = null;
+    const saved  = await changeBookImages(bookId, ({ fullImages, imageVersions }) => {
+      const history = [...(imageVersions[index] || [])];
+      if (versionIndex >= history.length) return null;
+      [restored] = history.splice(versionIndex, 1);
+      history.push({ src: fullImages[index], replacedAt: new Date().toISOString(), correction: "" });
+      fullImages[index]    = restored.src;
+      imageVersions[index] = history;
+      return { fullImages, imageVersions };
+    });
+    if (!saved) return res.status(409).json({ status: "error", message: "This page changed meanwhile — reload and try again" });
+    bookEvents.publish(bookId, "page-ready", pageReadyEvent(bookId, index, saved.fullImages));
+
+    return res.json({ status: "ok", index, image: bookImageUrl(bookId, `page-${index}`, restored.src), versions: saved.imageVersions[index].length });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to revert page" });
+  }
+});
+
+// ─── Edit page text ───────────────────────────────────────────────────────────
+// Every change is appended to textRevisions with the text it replaced, so the
+// first revision of a page always holds what the AI originally wrote.
+const MAX_PAGE_TEXT_LENGTH = 600;
+
+function validatePageText(text) {
+  if (typeof text !== "string") return { error: "text must be a string" };
+  const clean = text.replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, "").replace(/[ \t]+/g, " ").trim();
+  if (!clean) return { error: "text must not be empty" };
+  if (clean.length > MAX_PAGE_TEXT_LENGTH) return { error: `text must be at most ${MAX_PAGE_TEXT_LENGTH} characters` };
+  if (/<[^>]*>/.test(clean)) return { error: "text must not contain HTML" };
+  return { text: clean };
+}
+
+app.put("/api/books/:bookId/pages/:index/text", requireBookAccess(), async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    const book   = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    const index = parsePageIndex(book, req.params.index);
+    if (index === null) return res.status(400).json({ status: "error", message: "Invalid page index" });
+    if (isPreviewOnly(book) && !pageInPreview(index)) return res.status(403).json({ status: "error", message: "Book not purchased" });
+
+    const { text, error } = validatePageText(req.body?.text);
+    if (error) return res.status(400).json({ status: "error", message: error });
+
+    // Made to the story as it is when saved, so a page edited, regenerated or
+    // rewritten meanwhile is not undone (see changeBook)
+    let revisions = 0;
+    let missing   = false;
+    const saved   = await changeBook(bookId, ["generatedBook", "textRevisions"], ({ generatedBook, textRevisions }) => {
+      const page = generatedBook?.pages?.[index];
+      revisions  = textRevisions.length;
+      missing    = !page;
+      if (!page || (page.text || "") === text) return null;
+
+      textRevisions.push({ pageIndex: index, before: page.text || "", after: text, source: "customer", editedAt: new Date().toISOString() });
+      page.text = text;
+      return { generatedBook, textRevisions };
+    });
+    if (missing) return res.status(409).json({ status: "error", message: "The story is being rewritten — try again when it is ready" });
+    if (saved) {
+      revisions = saved.textRevisions.length;
+      console.log(`edit-text [${bookId}]: page ${index} updated (revision ${revisions})`);
+    }
+    return res.json({ status: "ok", index, text, revisions });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to update page text" });
+  }
+});
+
+app.get("/api/books/:bookId/revisions", requireBookAccess(), async (req, res) => {
+  try {
+    const book = await getBook(req.params.bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+    const shown = isPreviewOnly(book) ? previewOfBook(book) : book;
+    return res.json({ status: "ok", revisions: shown.textRevisions });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to fetch revisions" });
+  }
+});
+
+// ─── Update cropped photo (after early generation started) ───────────────────
+app.post("/api/books/:bookId/update-photo", requireBookAccess(), async (req, res) => {
+  try {
+    const { errors, value } = validateBookPatch({ croppedPhoto: req.body?.croppedPhoto }, "customer");
+    if (errors.length || !value.croppedPhoto) return res.status(400).json({ ok: false, error: errors[0]?.message || "croppedPhoto is required" });
+    // The sheet was drawn from the old photo; pages still to come use the new one
+    await updateBookField(req.params.bookId, { croppedPhoto: value.croppedPhoto, characterSheet: null });
+    return res.json({ ok: true });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ─── Resend book link email ───────────────────────────────────────────────────
+// Mails a fresh book link to the address on file. At most RESEND_EMAIL_LIMIT
+// book ready emails per book in an hour, counting the one sent when the book
+// was finished.
+const RESEND_EMAIL_LIMIT     = 3;
+const RESEND_EMAIL_WINDOW_MS = 60 * 60 * 1000;
+
+app.post("/api/books/:bookId/resend-email", requireBookAccess(), async (req, res) => {
+  try {
+    const book = await getBook(req.params.bookId);
+    if (!book) return res.status(404).json({ ok: false, error: "Book not found" });
+    if (!book.customerEmail) return res.status(400).json({ ok: false, error: "No email on file" });
+    if (!book.purchaseUnlocked) return res.status(403).json({ ok: false, error: "Book not purchased" });
+
+    const recent = await emailOutbox.countRecent(book.bookId, "bookReady", new Date(Date.now() - RESEND_EMAIL_WINDOW_MS));
+    if (recent >= RESEND_EMAIL_LIMIT) {
+      res.set("Retry-After", String(RESEND_EMAIL_WINDOW_MS / 1000));
+      return res.status(429).json({ ok: false, error: "We've sent this link several times in the last hour. Please check your spam folder, or try again later." });
+    }
+
+    await queueBookReadyEmail(book);
+    console.log(`Resend email: book link queued for ${book.customerEmail}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("Resend email error:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to send email" });
+  }
+});
+
+// ─── Image generation progress check ─────────────────────────────────────────
+// Illustrated pages so far — also shown per book in the admin dashboard
+function imageProgress({ pages = [], fullImages = [] }) {
+  const total = pages.length;
+  const ready = fullImages.filter(Boolean).length;
+  return { total, ready, done: ready >= total };
+}
+
+app.get("/api/books/:bookId/image-status", requireBookAccess(), async (req, res) => {
+  try {
+    const book = await getBook(req.params.bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    return res.json({
+      status: "ok",
+      ...imageProgress({ pages: book.generatedBook?.pages, fullImages: book.fullImages })
+    });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed" });
+  }
+});
+
+// ─── Downloads: PDF and EPUB (rendered on the server, cached in storage) ──────
+// Each file is keyed by a fingerprint of everything drawn in it, so an edited
+// page or a redrawn illustration produces a new file and the old one is unused.
+const exportRenders = new Map(); // storage key → in-flight render
+
+function downloadFileName(book, ext) {
+  const safe = (book.childName || "").replace(/[^a-z0-9]/gi, "_").toLowerCase() || "my";
+  return `${safe}_lifebook.${ext}`;
+}
+
+async function loadBookImages(book) {
+  const [cover, ...pageImages] = await Promise.all(
+    [book.coverImage, ...(book.fullImages || [])].map(ref => loadBookImage(ref).then(img => img?.body || null))
+  );
+  return { cover, pageImages };
+}
+
+// Returns the stored file, or renders it once however many requests ask at the same time
+async function getCachedExport(key, contentType, render) {
+  const cached = await storage.get(key);
+  if (cached) return cached.body;
+
+  if (!exportRenders.has(key)) {
+    const pending = (async () => {
+      const file = await render();
+      await storage.put(key, file, contentType);
+      console.log(`export: ${key} rendered (${Math.round(file.length / 1024)} KB)`);
+      return file;
+    })().finally(() => exportRenders.delete(key));
+    exportRenders.set(key, pending);
+  }
+  return exportRenders.get(key);
+}
+
+const BOOK_EXPORTS = {
+  pdf: {
+    contentType: "application/pdf",
+    fingerprint: book => bookPdfFingerprint(book),
+    render:      async book => renderBookPdf({ book, ...await loadBookImages(book) })
+  },
+  epub: {
+    contentType: "application/epub+zip",
+    fingerprint: book => bookPdfFingerprint(book, "epub", BOOK_EPUB_VERSION, book.generatedBook?.pages?.map(p => p.imagePrompt)),
+    render:      async book => {
+      const [cover, ...pageImages] = await Promise.all(
+        [book.coverImage, ...(book.fullImages || [])].map(ref => loadBookImage(ref))
+      );
+      return renderBookEpub({ book, cover, pageImages });
+    }
+  }
+};
+
+for (const [format, exporter] of Object.entries(BOOK_EXPORTS)) {
+  app.get(`/api/books/:bookId/${format}`, requireBookAccess(), async (req, res) => {
+    try {
+      const book = await getBook(req.params.bookId);
+      if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+      if (!book.purchaseUnlocked) return res.status(403).json({ status: "error", message: "Book not purchased" });
+      if (!productFor(purchasedFormat(book)).downloads) {
+        return res.status(403).json({ status: "error", message: "Downloads come with the digital edition and the bundle. Read your book online, or contact us to add them." });
+      }
+
+      const pages = book.generatedBook?.pages || [];
+      const ready = (book.fullImages || []).filter(Boolean).length;
+      if (!pages.length || ready < pages.length) {
+        return res.status(409).json({ status: "error", message: "The book is still being illustrated", ready, total: pages.length });
+      }
+
+      const fingerprint = exporter.fingerprint(book);
+      const etag = `"${fingerprint}"`;
+      res.set("ETag", etag);
+      res.set("Cache-Control", "private, no-cache");
+      if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+      const key  = `books/${book.bookId}/book-${fingerprint}.${format}`;
+      const file = await getCachedExport(key, exporter.contentType, () => exporter.render(book));
+      res.type(exporter.contentType);
+      res.attachment(downloadFileName(book, format));
+      return res.send(file);
+    } catch (err) {
+      console.error(`${format} [${req.params.bookId}]: failed:`, err.message);
+      return res.status(500).json({ status: "error", message: err?.message || `Failed to build ${format.toUpperCase()}` });
+    }
+  });
+}
+
+// ─── Read-aloud narration ─────────────────────────────────────────────────────
+// The reader fetches timings for every page, then streams each page's audio.
+// A page whose text was edited after it was narrated reports null until the
+// narration step has caught up. A refunded book has narration for its
+// preview pages only.
+function narrationPagesForClient(book) {
+  if (isPreviewOnly(book)) book = previewOfBook(book);
+  const narrated = book.narration?.pages || {};
+  return (book.generatedBook?.pages || []).map((page, index) => {
+    const entry = narrated[index];
+    if (!narrationIsCurrent(entry, page.text || "")) return null;
+    return {
+      index,
+      src:      `/api/books/${book.bookId}/narration/${index}/audio?v=${imageVersionTag(entry.key)}&token=${mediaToken(book.bookId)}`,
+      duration: entry.duration,
+      words:    entry.words
+    };
+  });
+}
+
+app.get("/api/books/:bookId/narration", requireBookAccess(), async (req, res) => {
+  try {
+    const book = await getBook(req.params.bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    const pages = narrationPagesForClient(book);
+    return res.json({
+      status:    "ok",
+      available: !!tts,
+      ready:     pages.length > 0 && pages.every(Boolean),
+      language:  normalizeStoryLanguage(book.storyLanguage),
+      pages
+    });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to load narration" });
+  }
+});
+
+// Narrates whatever is missing or out of date, as a background job
+app.post("/api/books/:bookId/narration", requireBookAccess(), async (req, res) => {
+  try {
+    if (!tts) return res.status(503).json({ status: "error", message: "Narration is not available" });
+
+    const bookId = req.params.bookId;
+    const book   = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+    if (!book.purchaseUnlocked) return res.status(403).json({ status: "error", message: "Book not purchased" });
+    if (!book.generatedBook?.pages?.length) return res.status(409).json({ status: "error", message: "The story is not written yet" });
+
+    const { job, created } = await jobQueue.enqueue(bookId, { step: "narration" });
+    return res.json({
+      status:  "ok",
+      message: created ? "Narration started in background" : "Generation already in progress",
+      job:     jobToJson(job)
+    });
+  } catch (err) {
+    console.error("narration enqueue error:", err.message);
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to start narration" });
+  }
+});
+
+// Supports Range requests — Safari will not play audio without them
+app.get("/api/books/:bookId/narration/:index/audio", requireBookAccess({ media: true }), async (req, res) => {
+  try {
+    const book = await getBook(req.params.bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    if (isPreviewOnly(book) && !pageInPreview(req.params.index)) {
+      return res.status(403).json({ status: "error", message: "Book not purchased" });
+    }
+    const entry = book.narration?.pages?.[Number(req.params.index)];
+    if (!entry?.key) return res.status(404).json({ status: "error", message: "Narration not ready" });
+
+    const tag  = imageVersionTag(entry.key);
+    const etag = `"${tag}"`;
+    res.set("ETag", etag);
+    res.set("Accept-Ranges", "bytes");
+    res.set("Cache-Control", req.query.v === tag ? "private, max-age=31536000, immutable" : "private, no-cache");
+    if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+    const audio = await storage.get(entry.key);
+    if (!audio) return res.status(404).json({ status: "error", message: "Narration not found" });
+    res.type(audio.contentType || entry.contentType);
+
+    const size  = audio.body.length;
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+    if (!range || (!range[1] && !range[2])) return res.send(audio.body);
+
+    const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+    const end   = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    if (start > end || start >= size) {
+      res.set("Content-Range", `bytes */${size}`);
+      return res.status(416).end();
+    }
+    res.set("Content-Range", `bytes ${start}-${end}/${size}`);
+    return res.status(206).send(audio.body.subarray(start, end + 1));
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to load narration" });
+  }
+});
+
+// ─── Admin access ─────────────────────────────────────────────────────────────
+// See lib/adminAuth.js. Signing in sets an HttpOnly cookie scoped to
+// /api/admin for the dashboard; scripts can send the same token as
+// "Authorization: Bearer …".
+const ADMIN_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: "strict",
+  secure:   (process.env.APP_URL || "https://").startsWith("https://"),
+  path:     "/api/admin"
+};
+
+function requireAdmin(role = "support") {
+  return async (req, res, next) => {
+    try {
+      const admin = await adminAuth.authenticate(adminTokenFromRequest(req));
+      if (!admin) return res.status(401).json({ status: "error", message: "Sign in to the admin area" });
+      if (!roleAtLeast(admin.role, role)) {
+        return res.status(403).json({ status: "error", message: `This needs the ${role} role` });
+      }
+      req.admin = admin;
+      return next();
+    } catch (err) {
+      return res.status(500).json({ status: "error", message: err?.message || "Failed to check admin access" });
+    }
+  };
+}
+
+app.post("/api/admin/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
+      return res.status(400).json({ status: "error", message: "Email and password are required" });
+    }
+
+    const result = await adminAuth.login(email, password, { ip: req.ip });
+    if (result.error) {
+      console.warn(`admin: failed sign-in for ${email.trim().toLowerCase()} from ${req.ip}`);
+      return res.status(result.status).json({ status: "error", message: result.error });
+    }
+
+    res.cookie(ADMIN_SESSION_COOKIE, result.token, {
+      ...ADMIN_COOKIE_OPTIONS,
+      maxAge: new Date(result.expiresAt).getTime() - Date.now()
+    });
+    console.log(`admin: ${result.admin.email} signed in`);
+    return res.json({ status: "ok", admin: result.admin, token: result.token, expiresAt: result.expiresAt });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to sign in" });
+  }
+});
+
+app.post("/api/admin/logout", async (req, res) => {
+  try {
+    await adminAuth.logout(adminTokenFromRequest(req));
+    res.clearCookie(ADMIN_SESSION_COOKIE, ADMIN_COOKIE_OPTIONS);
+    return res.json({ status: "ok" });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to sign out" });
+  }
+});
+
+app.get("/api/admin/me", requireAdmin(), (req, res) => {
+  return res.json({ status: "ok", admin: req.admin });
+});
+
+// ─── Admin: book search ───────────────────────────────────────────────────────
+// ?email= matches part of the customer email, ?paymentStatus= one status, and
+// ?from= / ?to= the creation date (YYYY-MM-DD, both inclusive). Newest first.
+const ADMIN_BOOK_COLUMNS = [
+  "book_id", "child_name", "child_age", "customer_email", "story_language",
+  "selected_format", "selected_price", "paid_format", "payment_status", "purchase_unlocked",
+  "stripe_session_id", "created_at", "updated_at", "cover_image", "full_images",
+  "title:generated_book->>title", "pages:generated_book->pages"
+].join(", ");
+
+function adminBookSummary(row, contactCounts = {}) {
+  const email = row.customer_email || "";
+  return {
+    bookId:           row.book_id,
+    childName:        row.child_name      || "",
+    childAge:         row.child_age       || "",
+    customerEmail:    email,
+    storyLanguage:    row.story_language  || "en",
+    title:            row.title           || null,
+    coverImage:       bookImageUrl(row.book_id, "cover", row.cover_image),
+    images:           imageProgress({ pages: row.pages || [], fullImages: row.full_images || [] }),
+    selectedFormat:   row.selected_format || "digital",
+    paidFormat:       row.paid_format     || null,
+    product:          productSummary((row.purchase_unlocked && row.paid_format) || row.selected_format),
+    selectedPrice:    row.selected_price,
+    paymentStatus:    row.payment_status  || "pending",
+    purchaseUnlocked: row.purchase_unlocked === true,
+    stripeSessionId:  row.stripe_session_id || null,
+    contactCount:     contactCounts[email.toLowerCase()] || 0,
+    createdAt:        row.created_at,
+    updatedAt:        row.updated_at
+  };
+}
+
+// ─── Contact history ──────────────────────────────────────────────────────────
+// Contact form messages are matched to books by the customer's email.
+async function recordContactMessage({ name, email, subject, message }) {
+  const { error } = await supabase
+    .from("contact_messages")
+    .insert({ name, email: email.trim().toLowerCase(), subject: subject || null, message });
+  if (error) throw error;
+}
+
+async function contactMessagesFor(email, { limit = 50 } = {}) {
+  if (!email) return [];
+  const { data, error } = await supabase
+    .from("contact_messages")
+    .select("id, name, subject, message, created_at")
+    .eq("email", email.trim().toLowerCase())
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+// email → number of messages, for a page of books
+async function contactCountsFor(emails) {
+  const wanted = [...new Set(emails.filter(Boolean).map(e => e.toLowerCase()))];
+  if (!wanted.length) return {};
+  const { data, error } = await supabase.from("contact_messages").select("email").in("email", wanted);
+  if (error) throw error;
+  const counts = {};
+  for (const { email } of data || []) counts[email] = (counts[email] || 0) + 1;
+  return counts;
+}
+
+// "2026-10-19" → start of that day (UTC); with endOfDay, the start of the next
+function parseDateParam(value, { endOfDay = false } = {}) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString();
+}
+
+app.get("/api/admin/books", requireAdmin(), async (req, res) => {
+  try {
+    const email         = String(req.query.email || "").trim();
+    const paymentStatus = String(req.query.paymentStatus || "");
+    const limit         = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const offset        = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    let query = supabase
+      .from("books")
+      .select(ADMIN_BOOK_COLUMNS, { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (email) query = query.ilike("customer_email", `%${email.replace(/[\\%_]/g, "\\$&")}%`);
+    if (paymentStatus) {
+      if (!BOOK_FIELDS.paymentStatus.values.includes(paymentStatus)) {
+        return res.status(400).json({ status: "error", message: `paymentStatus must be one of: ${BOOK_FIELDS.paymentStatus.values.join(", ")}` });
+      }
+      query = query.eq("payment_status", paymentStatus);
+    }
+    for (const [param, op, endOfDay] of [["from", "gte", false], ["to", "lt", true]]) {
+      if (!req.query[param]) continue;
+      const date = parseDateParam(String(req.query[param]), { endOfDay });
+      if (!date) return res.status(400).json({ status: "error", message: `${param} must be a date (YYYY-MM-DD)` });
+      query = query[op]("created_at", date);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    const contactCounts = await contactCountsFor((data || []).map(row => row.customer_email));
+    return res.json({
+      status: "ok",
+      books:  (data || []).map(row => adminBookSummary(row, contactCounts)),
+      total:  count || 0,
+      limit,
+      offset
+    });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to search books" });
+  }
+});
+
+app.get("/api/admin/books/:bookId", requireAdmin(), async (req, res) => {
+  try {
+    const book = await getBook(req.params.bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    const [job, auditLog, contacts, paymentEvents, printOrders, emails, unsubscribed] = await Promise.all([
+      jobQueue.getLatestJob(book.bookId),
+      adminAuth.auditLog(book.bookId),
+      contactMessagesFor(book.customerEmail),
+      stripeEvents.list({ bookId: book.bookId, limit: 20 }),
+      getPrintOrders(book.bookId),
+      emailOutbox.listForBook(book.bookId),
+      previewReminders.isUnsubscribed(book.customerEmail)
+    ]);
+    return res.json({
+      status:   "ok",
+      book:     toClientBook(book),
+      images:   imageProgress({ pages: book.generatedBook?.pages, fullImages: book.fullImages }),
+      job:      jobToJson(job),
+      auditLog,
+      contacts,
+      paymentEvents,
+      printOrders,
+      emails,
+      unsubscribed
+    });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to load book" });
+  }
+});
+
+// ─── Admin: book actions ──────────────────────────────────────────────────────
+// Each action is written to the audit log with the admin's note.
+function adminNote(req) {
+  return typeof req.body?.note === "string" ? req.body.note.trim().slice(0, 1000) : "";
+}
+
+// Force-unlock without a Stripe payment — e.g. a payment taken by hand, or a
+// goodwill copy. Needs a note saying why.
+app.post("/api/admin/books/:bookId/unlock", requireAdmin("admin"), async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    const note   = adminNote(req);
+    if (!note) return res.status(400).json({ status: "error", message: "A note explaining the unlock is required" });
+
+    const book = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+    if (book.purchaseUnlocked) return res.status(409).json({ status: "error", message: "Book is already unlocked" });
+
+    const paidBook = await markBookPaid(bookId, { paidFormat: resolveFormat(book.selectedFormat) });
+    if (!paidBook) return res.status(409).json({ status: "error", message: "Book is already unlocked" });
+
+    await adminAuth.audit(req.admin, "unlock", { bookId, note, details: { previousPaymentStatus: book.paymentStatus } });
+    console.log(`admin: ${req.admin.email} force-unlocked ${bookId}`);
+
+    if (req.body?.sendEmails !== false) {
+      sendPostPaymentEmails(paidBook).catch(err => console.error("Post-payment emails failed:", err.message));
+    }
+    return res.json({ status: "ok", book: toClientBook(paidBook) });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to unlock book" });
+  }
+});
+
+// What each pipeline step saves on the book — cleared by a fresh re-run
+const STEP_OUTPUTS = {
+  character: { characterReference: null },
+  story:     { generatedBook: null },
+  cover:     { coverImage: null },
+  pages:     { fullImages: [] },
+  narration: { narration: {} }
+};
+
+// Re-runs generation from `step` (default: the first). Steps skip work already
+// saved, so by default this only fills in what is missing; { fresh: true }
+// first clears the output of that step and every step after it.
+app.post("/api/admin/books/:bookId/regenerate", requireAdmin("operator"), async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    const step   = req.body?.step || JOB_STEPS[0];
+    const fresh  = req.body?.fresh === true;
+    if (!JOB_STEPS.includes(step)) {
+      return res.status(400).json({ status: "error", message: `step must be one of: ${JOB_STEPS.join(", ")}` });
+    }
+
+    const book = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+    if (await jobQueue.getActiveJob(bookId)) {
+      return res.status(409).json({ status: "error", message: "A generation job is already running for this book" });
+    }
 
-    const book = {
-      bookId,
-      childName:         cleanInput.childName        || "",
-      childAge:          rawInput.childAge            || "",
-      childGender:       rawInput.childGender         || "",
-      storyIdea:         cleanInput.storyIdea         || "",
-      illustrationStyle: cleanInput.illustrationStyle || "Soft Storybook",
-      croppedPhoto:      cleanInput.croppedPhoto      || "",
-      originalPhoto:     cleanInput.originalPhoto     || "",
-      customerEmail:     rawInput.customerEmail       || "",
-      characterReference:null,
-      generatedBook:     null,
-      coverImage:        null,
-      previewImages:     [],
-      fullImages:        [],
-      selectedFormat:    "digital",
-      selectedPrice:     39,
-      paymentStatus:     "pending",
-      purchaseUnlocked:  false,
-      stripeSessionId:   null
-    };
+    if (fresh) {
+      const cleared = Object.assign({}, ...JOB_STEPS.slice(JOB_STEPS.indexOf(step)).map(s => STEP_OUTPUTS[s]));
+      const { errors, value } = validateBookPatch(cleared, "admin");
+      if (errors.length) return invalidFields(res, errors);
+      await updateBookField(bookId, value);
+    }
 
-    await insertBook(book);
-    return res.json({ status: "ok", bookId });
+    const { job } = await jobQueue.enqueue(bookId, { step });
+    await adminAuth.audit(req.admin, "regenerate", { bookId, note: adminNote(req) || null, details: { step, fresh, jobId: job.id } });
+    console.log(`admin: ${req.admin.email} re-ran generation for ${bookId} from ${step}${fresh ? " (fresh)" : ""}`);
+    return res.json({ status: "ok", job: jobToJson(job) });
   } catch (err) {
-    return res.status(500).json({ status: "error", message: err?.message || "Failed to create book" });
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to start generation" });
   }
 });
 
-app.patch("/api/books/:bookId", async (req, res) => {
+// ─── Admin: Stripe events ─────────────────────────────────────────────────────
+// The webhook event log (lib/stripeEvents.js). Replaying runs the stored event
+// through its handler again; a processed event needs { force: true }.
+app.get("/api/admin/stripe-events", requireAdmin(), async (req, res) => {
   try {
-    const updated = await updateBook(req.params.bookId, req.body || {});
-    if (!updated) return res.status(404).json({ status: "error", message: "Book not found" });
-    return res.json({ status: "ok", book: updated });
+    const status = String(req.query.status || "");
+    if (status && !STRIPE_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ status: "error", message: `status must be one of: ${STRIPE_EVENT_STATUSES.join(", ")}` });
+    }
+    const limit  = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const events = await stripeEvents.list({ status: status || undefined, bookId: req.query.bookId || undefined, limit });
+    return res.json({ status: "ok", events });
   } catch (err) {
-    return res.status(500).json({ status: "error", message: err?.message || "Failed to update book" });
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to list events" });
   }
 });
 
-// ─── Stripe: Create Checkout Session ─────────────────────────────────────────
-app.post("/api/create-checkout-session", async (req, res) => {
+app.get("/api/admin/stripe-events/:eventId", requireAdmin(), async (req, res) => {
   try {
-    const { bookId, format } = req.body;
+    const event = await stripeEvents.get(req.params.eventId);
+    if (!event) return res.status(404).json({ status: "error", message: "Event not found" });
+    return res.json({ status: "ok", event });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to load event" });
+  }
+});
 
-    if (!bookId) {
-      return res.status(400).json({ status: "error", message: "Missing bookId" });
+app.post("/api/admin/stripe-events/:eventId/replay", requireAdmin("admin"), async (req, res) => {
+  try {
+    const stored = await stripeEvents.get(req.params.eventId);
+    if (!stored) return res.status(404).json({ status: "error", message: "Event not found" });
+    if (!STRIPE_EVENT_HANDLERS[stored.type]) {
+      return res.status(400).json({ status: "error", message: `No handler for ${stored.type}` });
     }
 
-    const book = await getBook(bookId);
-    if (!book) {
-      return res.status(404).json({ status: "error", message: "Book not found" });
+    const force  = req.body?.force === true;
+    const result = await processStripeEvent(stored.payload, { force });
+    if (result === "skipped") {
+      const message = stored.status === "processing"
+        ? "This event is being processed right now"
+        : "This event was already processed — replay with force to run it again";
+      return res.status(409).json({ status: "error", message });
     }
 
-    const isDigital    = (format || book.selectedFormat) !== "printed";
-    const priceInCents = isDigital ? 3900 : 4900; // $39 / $49
-    const productName  = isDigital
-      ? `Lifebook — Digital Edition (${book.childName})`
-      : `Lifebook — Printed Book (${book.childName})`;
-
-    const appUrl = process.env.APP_URL || "https://lifebooks.online";
-
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price_data: {
-            currency: "usd",
-            product_data: {
-              name: productName,
-              description: `Personalized storybook: "${book.generatedBook?.title || "Your Magical Adventure"}"`,
-              images: book.coverImage ? [] : [] // Stripe requires hosted URLs, not base64
-            },
-            unit_amount: priceInCents
-          },
-          quantity: 1
-        }
-      ],
-      mode: "payment",
-      metadata: {
-        bookId,
-        format: isDigital ? "digital" : "printed"
-      },
-      success_url: `${appUrl}/success.html?bookId=${bookId}&session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url:  `${appUrl}/checkout.html?bookId=${bookId}`
+    const event = await stripeEvents.get(stored.id);
+    await adminAuth.audit(req.admin, "replay-stripe-event", {
+      bookId:  event.book_id,
+      note:    adminNote(req) || null,
+      details: { eventId: event.id, type: event.type, force, result }
     });
+    console.log(`admin: ${req.admin.email} replayed ${event.type} ${event.id} — ${result}`);
+    return res.json({ status: "ok", result, event: { id: event.id, status: event.status, attempts: event.attempts, lastError: event.last_error } });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to replay event" });
+  }
+});
 
-    // Save session ID to book so we can link it on webhook
-    await updateBook(bookId, { stripeSessionId: session.id });
+// A short-lived link that opens the book exactly as the customer sees it
+const CUSTOMER_VIEW_TTL_MS = 60 * 60 * 1000;
 
-    return res.json({ status: "ok", url: session.url });
+app.post("/api/admin/books/:bookId/customer-link", requireAdmin(), async (req, res) => {
+  try {
+    const bookId = req.params.bookId;
+    const book   = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+
+    const page  = book.purchaseUnlocked ? "reader.html" : "preview.html";
+    const token = bookLinks.sign(bookId, { scope: "book", expiresAt: Date.now() + CUSTOMER_VIEW_TTL_MS });
+    await adminAuth.audit(req.admin, "view-as-customer", { bookId, note: adminNote(req) || null });
+    return res.json({ status: "ok", url: `/${page}?bookId=${encodeURIComponent(bookId)}&token=${token}` });
   } catch (err) {
-    console.error("Stripe session error:", err);
-    return res.status(500).json({ status: "error", message: err?.message || "Failed to create checkout session" });
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to create link" });
   }
 });
 
-// ─── Stripe Webhook ───────────────────────────────────────────────────────────
-app.post("/webhooks/stripe", async (req, res) => {
-  const sig           = req.headers["stripe-signature"];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-  let event;
+const ADMIN_EMAILS = {
+  payment: sendPaymentConfirmationEmail,
+  ready:   queueBookReadyEmail
+};
 
+// Queues the payment confirmation or book ready email again, to the address on
+// file — its delivery shows in the book's email history
+app.post("/api/admin/books/:bookId/resend-email", requireAdmin(), async (req, res) => {
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    const bookId = req.params.bookId;
+    const kind   = req.body?.email || "ready";
+    if (!ADMIN_EMAILS[kind]) return res.status(400).json({ status: "error", message: "email must be payment or ready" });
+
+    const book = await getBook(bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
+    if (!book.customerEmail) return res.status(400).json({ status: "error", message: "No email on file" });
+    if (!book.purchaseUnlocked) return res.status(409).json({ status: "error", message: "Book not purchased" });
+
+    await ADMIN_EMAILS[kind](book);
+    await adminAuth.audit(req.admin, "resend-email", { bookId, note: adminNote(req) || null, details: { email: kind, to: book.customerEmail } });
+    console.log(`admin: ${req.admin.email} resent the ${kind} email for ${bookId}`);
+    return res.json({ status: "ok", sentTo: book.customerEmail });
   } catch (err) {
-    console.error("Stripe webhook signature failed:", err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to send email" });
   }
+});
 
-  if (event.type === "checkout.session.completed") {
-    const session = event.data.object;
-    const bookId  = session.metadata?.bookId;
+// ─── Admin: email outbox ──────────────────────────────────────────────────────
+// A failed email goes back in the queue with fresh attempts
+app.post("/api/admin/emails/:emailId/retry", requireAdmin("operator"), async (req, res) => {
+  try {
+    const email = await emailOutbox.retry(req.params.emailId);
+    if (!email) return res.status(409).json({ status: "error", message: "Only failed emails can be retried" });
 
-    if (!bookId) {
-      console.warn("Stripe webhook: no bookId in metadata");
-      return res.status(200).send("ok");
-    }
+    await adminAuth.audit(req.admin, "retry-email", { bookId: email.book_id, note: adminNote(req) || null, details: { emailId: email.id, template: email.template } });
+    return res.json({ status: "ok", email });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to retry email" });
+  }
+});
 
-    // ── Respond to Stripe IMMEDIATELY (must be within 30s) ──
-    res.status(200).send("ok");
+// ─── Admin: preview reminders ─────────────────────────────────────────────────
+// Books reminded in the last ?days= (default 30) and how many were then paid
+// through a reminder's link
+app.get("/api/admin/reminders", requireAdmin(), async (req, res) => {
+  try {
+    const days  = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const stats = await previewReminders.stats(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+    return res.json({ status: "ok", days, ...stats });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to load reminder stats" });
+  }
+});
 
-    // ── Do the heavy work in background (non-blocking) ──
-    (async () => {
-      try {
-        await updateBook(bookId, {
-          paymentStatus:    "paid",
-          purchaseUnlocked: true,
-          stripeSessionId:  session.id
-        });
-        console.log(`Book ${bookId} unlocked via Stripe`);
-
-        // Send payment confirmation email immediately
-        // Book ready email will be sent later by generate-full when all images are done
-        const paidBook = await getBook(bookId);
-        await sendPaymentConfirmationEmail(paidBook);
-        console.log(`Payment confirmation email sent to: ${paidBook?.customerEmail}`);
-
-        // Edge case: if book was already fully generated before payment
-        // (e.g. user paid after generation completed), send book ready email now too
-        const pages      = paidBook?.generatedBook?.pages || [];
-        const images     = paidBook?.fullImages || [];
-        const allDone    = pages.length > 0 && images.filter(Boolean).length >= pages.length;
-        if (allDone) {
-          console.log(`Book ${bookId} was already complete at payment time — sending book ready email`);
-          await sendBookReadyEmail(paidBook);
-        }
-      } catch (err) {
-        console.error("Stripe post-payment processing failed:", err.message);
-      }
-    })();
+// ─── Admin: email previews ────────────────────────────────────────────────────
+// Renders a template with its sample data — nothing is sent. ?format=text
+// shows the plain-text part, ?format=json both parts and the subject.
+app.get("/api/admin/emails", requireAdmin(), (req, res) => {
+  res.json({ status: "ok", languages: EMAIL_LANGUAGES, templates: listEmailTemplates() });
+});
 
-    return; // already sent response above
+app.get("/api/admin/emails/:template/preview", requireAdmin(), (req, res) => {
+  const name   = req.params.template;
+  const lang   = req.query.lang   || "en";
+  const format = req.query.format || "html";
+  if (!EMAIL_TEMPLATE_NAMES.includes(name)) return res.status(404).json({ status: "error", message: "Unknown email template" });
+  if (!EMAIL_LANGUAGES.includes(lang)) {
+    return res.status(400).json({ status: "error", message: `lang must be one of: ${EMAIL_LANGUAGES.join(", ")}` });
+  }
+  if (!["html", "text", "json"].includes(format)) {
+    return res.status(400).json({ status: "error", message: "format must be html, text or json" });
   }
 
-  return res.status(200).send("ok");
+  const appUrl = process.env.APP_URL || "https://lifebooks.online";
+  const email  = renderEmail(name, sampleEmailData(name), { lang, appUrl });
+  res.set("Cache-Control", "no-store");
+  if (format === "json") return res.json({ status: "ok", template: name, lang, ...email });
+  if (format === "text") return res.type("text/plain").send(`Subject: ${email.subject}\n\n${email.text}`);
+  // Shown in an iframe on the dashboard: no scripts, no forms
+  res.set("Content-Security-Policy", "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'; frame-ancestors 'self'");
+  return res.type("html").send(email.html);
 });
 
-// ─── Unlock endpoint (manual / dev) ──────────────────────────────────────────
-app.post("/api/books/:bookId/unlock", async (req, res) => {
+// ─── Admin: promotion codes and gift cards ────────────────────────────────────
+app.get("/api/admin/promo-codes", requireAdmin(), async (req, res) => {
   try {
-    const updated = await updateBook(req.params.bookId, {
-      paymentStatus:    "paid",
-      purchaseUnlocked: true
-    });
-    if (!updated) return res.status(404).json({ status: "error", message: "Book not found" });
+    const { data, error } = await supabase
+      .from("promo_codes")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(200);
+    if (error) throw error;
+    return res.json({ status: "ok", promoCodes: data || [] });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to list promotion codes" });
+  }
+});
 
-    try {
-      const unlockedBook = await getBook(req.params.bookId);
-      // Send payment confirmation
-      await sendPaymentConfirmationEmail(unlockedBook);
-      // If book already fully generated, also send book ready email
-      const pages   = unlockedBook?.generatedBook?.pages || [];
-      const images  = unlockedBook?.fullImages || [];
-      const allDone = pages.length > 0 && images.filter(Boolean).length >= pages.length;
-      if (allDone) {
-        await sendBookReadyEmail(unlockedBook);
-        console.log(`Unlock: both emails sent to ${unlockedBook?.customerEmail}`);
-      } else {
-        console.log(`Unlock: payment confirmation sent, book ready will follow when generation completes`);
-      }
-    } catch (emailErr) {
-      console.error("Failed to send emails on unlock:", emailErr.message);
+app.post("/api/admin/promo-codes", requireAdmin("admin"), async (req, res) => {
+  try {
+    const body   = req.body || {};
+    const code   = normalizeCode(body.code);
+    const amount = Number(body.amount);
+    const errors = [];
+    if (code.length < 3 || code.length > 40) errors.push("code must be 3 to 40 letters or digits");
+    if (!PROMO_KINDS.includes(body.kind)) errors.push(`kind must be one of: ${PROMO_KINDS.join(", ")}`);
+    if (!Number.isInteger(amount) || amount < 1 || (body.kind === "percent" && amount > 100)) {
+      errors.push("amount must be a whole percent from 1 to 100, or a whole number of cents");
     }
-
-    return res.json({ status: "ok", book: updated });
+    const formats = body.formats == null ? null : [].concat(body.formats);
+    if (formats && formats.some(f => !PRODUCT_FORMATS.includes(f))) errors.push(`formats may only contain ${PRODUCT_FORMATS.join(", ")}`);
+    const startsAt  = body.startsAt  ? parseDateParam(body.startsAt) : null;
+    const expiresAt = body.expiresAt ? parseDateParam(body.expiresAt, { endOfDay: true }) : null;
+    if ((body.startsAt && !startsAt) || (body.expiresAt && !expiresAt)) errors.push("startsAt and expiresAt must be YYYY-MM-DD");
+    const maxRedemptions = body.maxRedemptions == null ? null : Number(body.maxRedemptions);
+    if (maxRedemptions !== null && (!Number.isInteger(maxRedemptions) || maxRedemptions < 1)) errors.push("maxRedemptions must be a positive whole number");
+    if (errors.length) return res.status(400).json({ status: "error", message: errors.join("; "), errors });
+
+    const { data, error } = await supabase
+      .from("promo_codes")
+      .insert({
+        code,
+        kind:            body.kind,
+        amount,
+        currency:        "usd",
+        formats,
+        starts_at:       startsAt,
+        expires_at:      expiresAt,
+        max_redemptions: maxRedemptions,
+        note:            adminNote(req) || null
+      })
+      .select()
+      .single();
+    if (error?.code === "23505") return res.status(409).json({ status: "error", message: "That code already exists" });
+    if (error) throw error;
+
+    await adminAuth.audit(req.admin, "create-promo-code", { note: adminNote(req) || null, details: { code, kind: body.kind, amount } });
+    return res.json({ status: "ok", promoCode: data });
   } catch (err) {
-    return res.status(500).json({ status: "error", message: err?.message || "Failed to unlock book" });
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to create promotion code" });
   }
 });
 
-// ─── Generate Full Book (story + cover + images) — fires in background ────────
-app.post("/api/books/:bookId/generate-full", async (req, res) => {
-  const bookId = req.params.bookId;
-
-  // Respond immediately so crop.js can redirect to preview
-  res.json({ status: "ok", message: "Generation started in background" });
-
-  // Run everything async — errors are caught and saved to DB
-  (async () => {
-    try {
-      const book = await getBook(bookId);
-      if (!book) { console.error("generate-full: book not found", bookId); return; }
-
-      console.log(`generate-full [${bookId}]: START — child: ${book.childName}, style: ${book.illustrationStyle}`);
-
-      const childName         = book.childName         || "The Child";
-      const childAge          = book.childAge          || "5";
-      const childGender       = book.childGender       || "not specified";
-      const storyIdea         = book.storyIdea         || "a magical adventure";
-      const illustrationStyle = book.illustrationStyle || "Soft Storybook";
-      const croppedPhoto      = book.croppedPhoto      || book.originalPhoto || "";
-      const safeStyle         = sanitizeBrandTerms(illustrationStyle);
-
-      // ── STEP 1: Character reference (photo → DNA + prompt core) ──────────────
-      let characterReference = book.characterReference || null;
-
-      if (!characterReference && croppedPhoto) {
-        try {
-          const dnaCompletion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            response_format: { type: "json_object" },
-            messages: [{
-              role: "user",
-              content: [
-                {
-                  type: "text",
-                  text: `Analyze the uploaded child photo and return ONLY JSON.\nReturn:\n{\n  "hair": "string",\n  "skin": "string",\n  "eyes": "string",\n  "face": "string",\n  "ageLook": "string",\n  "outfit": "string",\n  "vibe": "string",\n  "summary": "string"\n}\nRules:\n- Focus only on the child\n- Ignore any brand names, logos, copyrighted characters, or toy franchises\n- If clothing includes a recognizable character or logo, describe it generically`
-                },
-                { type: "image_url", image_url: { url: croppedPhoto } }
-              ]
-            }],
-            temperature: 0.2
-          });
-
-          const characterDNA = safeJsonParse(dnaCompletion.choices?.[0]?.message?.content || "{}", {
-            hair: "soft child hair", skin: "warm natural skin tone",
-            eyes: "bright child eyes", face: "soft rounded child face",
-            ageLook: "young child", outfit: "simple timeless child outfit",
-            vibe: "warm curious child", summary: "A warm curious child hero for a magical storybook."
-          });
-
-          const promptCore = buildCharacterPromptCore(characterDNA, safeStyle);
-          characterReference = {
-            characterDNA,
-            characterPromptCore: promptCore,
-            characterSummary: characterDNA.summary || "A warm curious child hero."
-          };
-          await updateBookField(bookId, { characterReference });
-        } catch (err) {
-          console.warn("generate-full: character reference failed, continuing without it:", err.message);
-          characterReference = {
-            characterDNA: {},
-            characterPromptCore: `A young child aged ${childAge}, warm storybook style.`,
-            characterSummary: `A ${childAge}-year-old child hero.`
-          };
-          await updateBookField(bookId, { characterReference });
-        }
-      }
-
-      const promptCore       = characterReference?.characterPromptCore || `A young child aged ${childAge}.`;
-      const characterSummary = characterReference?.characterSummary    || `A ${childAge}-year-old child hero.`;
-      console.log(`generate-full [${bookId}]: STEP 1 done — character reference ready`);
-
-      // ── STEP 2: Generate story text ───────────────────────────────────────────
-      if (!book.generatedBook?.pages?.length) {
-        const storyPrompt = `You are a premium personalized children's book writer.\n\nChild name: ${sanitizeBrandTerms(childName)}\nChild age: ${childAge}\nChild gender: ${childGender}\nStory direction: ${sanitizeBrandTerms(storyIdea)}\nIllustration style: ${safeStyle}\n\nCharacter summary:\n${sanitizeBrandTerms(characterSummary)}\n\nCharacter consistency instructions:\n${sanitizeBrandTerms(promptCore)}\n\nReturn ONLY JSON:\n{\n  "title": "string",\n  "subtitle": "string",\n  "pages": [\n    {\n      "text": "string",\n      "imagePrompt": "string"\n    }\n  ]\n}\n\nRules:\n- Exactly 16 story pages\n- Each page text must be 35-70 words\n- The child must clearly be the hero\n- imagePrompt must describe the same child consistently\n- No page numbers inside text\n- No brand names\n- Do not mention copyrighted characters or logos
-- If the child's name contains Hebrew characters, write the ENTIRE story in Hebrew (including title, subtitle, and all page text). Keep imagePrompt always in English for image generation.
-- If the name is in English or Latin characters, write in English`;
-
-        const storyCompletion = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          response_format: { type: "json_object" },
-          messages: [{ role: "user", content: storyPrompt }],
-          temperature: 0.8
-        });
-
-        const storyRaw  = storyCompletion.choices?.[0]?.message?.content || "{}";
-        const storyData = safeJsonParse(storyRaw, {});
-        const generatedBook = {
-          title:    sanitizeBrandTerms(storyData.title    || `The Magical Adventure of ${childName}`),
-          subtitle: sanitizeBrandTerms(storyData.subtitle || "A story where you are the hero"),
-          pages:    Array.isArray(storyData.pages)
-            ? storyData.pages.slice(0, 16).map(p => ({
-                text:        sanitizeBrandTerms(String(p.text        || "").trim()),
-                imagePrompt: sanitizeImagePrompt(String(p.imagePrompt || "").trim())
-              }))
-            : []
-        };
-        await updateBookField(bookId, { generatedBook });
-      }
+// { active: false } ends a campaign early; checkouts already started still pay the quoted price
+app.post("/api/admin/promo-codes/:code/active", requireAdmin("admin"), async (req, res) => {
+  try {
+    if (typeof req.body?.active !== "boolean") return res.status(400).json({ status: "error", message: "active must be true or false" });
+    const { data, error } = await supabase
+      .from("promo_codes")
+      .update({ active: req.body.active, updated_at: new Date().toISOString() })
+      .eq("code", normalizeCode(req.params.code))
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ status: "error", message: "Promotion code not found" });
+
+    await adminAuth.audit(req.admin, req.body.active ? "activate-promo-code" : "deactivate-promo-code", { note: adminNote(req) || null, details: { code: data.code } });
+    return res.json({ status: "ok", promoCode: data });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to update promotion code" });
+  }
+});
 
-      // ── STEP 3+4a: Cover + first 2 page images IN PARALLEL ──────────────────
-      // Running them together cuts the wait from ~2min to ~60s
-      console.log(`generate-full [${bookId}]: STEP 2 done — story written, starting cover + priority images in parallel`);
-
-      const bookBeforeImgs = await getBook(bookId);
-      const pages          = bookBeforeImgs.generatedBook?.pages || [];
-      const title          = bookBeforeImgs.generatedBook?.title    || `The Magical Adventure of ${childName}`;
-      const subtitle       = bookBeforeImgs.generatedBook?.subtitle || "A story where you are the hero";
-      const existingImages = bookBeforeImgs.fullImages || [];
-      const fullImages     = [...existingImages];
-      while (fullImages.length < pages.length) fullImages.push(null);
-
-      // פונקציה ליצירת תמונה אחת
-      async function generatePageImage(pageIndex) {
-        const page = pages[pageIndex];
-        const imgPrompt = `Create a premium children's storybook illustration.\n\nIllustration style: ${safeStyle}\n\nCharacter consistency:\n${sanitizeBrandTerms(promptCore)}\n\nScene:\n${sanitizeImagePrompt(page.imagePrompt || "")}\n\nRules:\n- same child identity\n- same face structure\n- same hair and skin tone\n- warm magical storybook aesthetic\n- no text\n- no watermark\n- elegant composition\n- no logos\n- no brand names\n- no copyrighted costume emblems`;
-        const imgResp = await openai.images.generate({ model: "gpt-image-1", prompt: imgPrompt, size: "1024x1024" });
-        return await normalizeImageToBase64(imgResp?.data?.[0]);
-      }
+// Codes themselves are never stored — support finds a card by email or last 4
+// A value for a PostgREST filter string such as .or() — quoted, with quotes
+// and backslashes escaped, so commas or parentheses in it stay part of the
+// value instead of adding filter terms
+function filterValue(value) {
+  return `"${String(value).replace(/[\\"]/g, "\\$&")}"`;
+}
 
-      // Cover prompt
-      const coverPrompt = `Create a premium children's storybook COVER illustration.\n\nIllustration style: ${safeStyle}\n\nLOCKED CHILD CHARACTER:\n${sanitizeBrandTerms(promptCore)}\n\nSHORT CHARACTER SUMMARY:\n${sanitizeBrandTerms(characterSummary)}\n\nBOOK TITLE:\n${sanitizeBrandTerms(title)}\n\nBOOK SUBTITLE:\n${sanitizeBrandTerms(subtitle)}\n\nSTORY DIRECTION:\n${sanitizeBrandTerms(storyIdea)}\n\nRules:\n- create ONE beautiful single cover illustration\n- show the child as the hero\n- magical, premium, warm\n- no character sheet\n- no multiple poses\n- no text rendered into the image\n- no watermark\n- no logos\n- no copyrighted costume emblems`;
+app.get("/api/admin/gift-cards", requireAdmin(), async (req, res) => {
+  try {
+    const email = String(req.query.email || "").trim().toLowerCase();
+    const last4 = normalizeCode(req.query.last4);
+    let query = supabase
+      .from("gift_cards")
+      .select("id, status, code_last4, initial_cents, balance_cents, currency, purchaser_email, recipient_email, recipient_name, activated_at, created_at")
+      .order("created_at", { ascending: false })
+      .limit(100);
+    if (email) query = query.or(`purchaser_email.eq.${filterValue(email)},recipient_email.eq.${filterValue(email)}`);
+    if (last4) query = query.eq("code_last4", last4);
+    const { data, error } = await query;
+    if (error) throw error;
+    return res.json({ status: "ok", giftCards: data || [] });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to list gift cards" });
+  }
+});
 
-      // Run cover + pages 0 and 1 all at once in parallel
-      const [coverResult, page0Result, page1Result] = await Promise.allSettled([
-        bookBeforeImgs.coverImage ? Promise.resolve(null) : openai.images.generate({ model: "gpt-image-1", prompt: coverPrompt, size: "1024x1024" }),
-        fullImages[0] ? Promise.resolve(null) : generatePageImage(0),
-        fullImages[1] ? Promise.resolve(null) : generatePageImage(1),
-      ]);
+// ─── Print production files (printed format) ──────────────────────────────────
+// interior / cover / imposed PDFs with bleed and crop marks, cached in storage
+// like the digital PDF. ?trim= picks a size from TRIM_SIZES.
+const PRINT_PARTS = {
+  interior: renderPrintInterior,
+  imposed:  renderPrintImposed,
+  cover:    renderPrintCover
+};
 
-      // Save cover
-      if (coverResult?.status === "fulfilled" && coverResult.value) {
-        const coverBase64 = await normalizeImageToBase64(coverResult.value?.data?.[0]);
-        if (coverBase64) await updateBookField(bookId, { coverImage: `data:image/jpeg;base64,${coverBase64}` });
-      }
+function printOptions(trim) {
+  return {
+    trim:          String(trim || process.env.PRINT_TRIM_SIZE || "8x8"),
+    leafCaliperMm: Number(process.env.PRINT_LEAF_CALIPER_MM || 0.1),
+    minPpi:        Number(process.env.PRINT_MIN_PPI || DEFAULT_MIN_PPI)
+  };
+}
 
-      // Save priority pages
-      if (page0Result?.status === "fulfilled" && page0Result.value) {
-        fullImages[0] = `data:image/jpeg;base64,${page0Result.value}`;
-        await updateBookField(bookId, { fullImages: [...fullImages] });
-      }
-      if (page1Result?.status === "fulfilled" && page1Result.value) {
-        fullImages[1] = `data:image/jpeg;base64,${page1Result.value}`;
-        await updateBookField(bookId, { fullImages: [...fullImages] });
-      }
+// Why a book cannot be printed yet, or null when it can
+function printableBookProblem(book) {
+  if (!book) return { status: 404, message: "Book not found" };
+  if (!book.purchaseUnlocked) return { status: 403, message: "Book not purchased" };
+  const pages = book.generatedBook?.pages || [];
+  const ready = (book.fullImages || []).filter(Boolean).length;
+  if (!pages.length || ready < pages.length || !book.coverImage) {
+    return { status: 409, message: "The book is still being illustrated", ready, total: pages.length };
+  }
+  return null;
+}
 
-      console.log(`generate-full [${bookId}]: STEP 3+4a done — cover + priority images saved`);
+// Loads a purchased, fully illustrated book or answers with the error
+async function loadPrintableBook(req, res) {
+  const book    = await getBook(req.params.bookId);
+  const problem = printableBookProblem(book);
+  if (problem) {
+    const { status, ...body } = problem;
+    res.status(status).json({ status: "error", ...body });
+    return null;
+  }
+  return book;
+}
 
-      // שלב 4ב: שאר התמונות (3-16) בbatches של 3
-      // שלב 4ב: שאר התמונות — 5 במקביל, כל תמונה נשמרת מיד כשמוכנה
-      const remaining = [];
-      for (let i = 2; i < pages.length; i++) {
-        if (!fullImages[i]) remaining.push(i);
-      }
+async function buildPrintFile(book, part, options) {
+  const fingerprint = bookPdfFingerprint(book, "print", PRINT_PDF_VERSION, part, options);
+  const key = `books/${book.bookId}/print-${part}-${fingerprint}.pdf`;
+  return getCachedExport(key, "application/pdf", async () => {
+    const result = await PRINT_PARTS[part]({ book, ...await loadBookImages(book), ...options });
+    if (result.warnings.length) console.warn(`print [${book.bookId}]: ${part} has ${result.warnings.length} preflight warnings`);
+    return result.pdf;
+  });
+}
 
-      const BATCH_SIZE = 5;
-      for (let batchStart = 0; batchStart < remaining.length; batchStart += BATCH_SIZE) {
-        const batch = remaining.slice(batchStart, batchStart + BATCH_SIZE);
-
-        // כל תמונה שומרת מיד לDB ברגע שמוכנה — לא מחכה לסוף הbatch
-        await Promise.allSettled(batch.map(async (pageIndex) => {
-          try {
-            const base64 = await generatePageImage(pageIndex);
-            if (base64) {
-              fullImages[pageIndex] = `data:image/jpeg;base64,${base64}`;
-              await updateBookField(bookId, { fullImages: [...fullImages] });
-              const doneCount = fullImages.filter(Boolean).length;
-              console.log(`generate-full [${bookId}]: image ${pageIndex} saved — ${doneCount}/${pages.length} total`);
-            }
-          } catch (err) {
-            console.error(`generate-full [${bookId}]: image ${pageIndex} failed:`, err.message);
-          }
-        }));
-      }
+app.get("/api/admin/books/:bookId/print/preflight", requireAdmin("operator"), async (req, res) => {
+  try {
+    const options = printOptions(req.query.trim);
+    if (!TRIM_SIZES[options.trim]) return res.status(400).json({ status: "error", message: "Unknown trim size" });
 
-      // ── STEP 5: All done — send "book ready" email ───────────────────────────
-      console.log("generate-full: completed for bookId:", bookId);
-      try {
-        const completedBook = await getBook(bookId);
-        // Only send if book was paid (user might not have paid yet — that's ok,
-        // email will be triggered again by Stripe webhook when they do pay)
-        if (completedBook?.purchaseUnlocked && completedBook?.customerEmail) {
-          await sendBookReadyEmail(completedBook);
-          console.log("generate-full: book ready email sent to:", completedBook.customerEmail);
-        } else {
-          console.log("generate-full: book not yet paid, skipping book ready email for now");
-        }
-      } catch (emailErr) {
-        console.error("generate-full: failed to send book ready email:", emailErr.message);
-      }
+    const book = await loadPrintableBook(req, res);
+    if (!book) return;
 
-    } catch (err) {
-      console.error(`generate-full [${bookId}]: FATAL ERROR — ${err.message}`, err.stack?.split('\n')[1] || '');
-    }
-  })();
+    const { cover, pageImages } = await loadBookImages(book);
+    const interior = await renderPrintInterior({ book, pageImages, ...options });
+    const wrap     = await renderPrintCover({ book, cover, ...options });
+    return res.json({
+      status:   "ok",
+      spec:     printSpec({ ...options, pageCount: interiorPages(book).length }),
+      warnings: [...wrap.warnings, ...interior.warnings]
+    });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Preflight failed" });
+  }
 });
 
-// ─── Batch generate all page images — fires in background ────────────────────
-app.post("/api/books/:bookId/generate-images", async (req, res) => {
+app.get("/api/admin/books/:bookId/print/:part", requireAdmin("operator"), async (req, res) => {
   try {
-    const bookId = req.params.bookId;
-    const book   = await getBook(bookId);
+    const options = printOptions(req.query.trim);
+    if (!PRINT_PARTS[req.params.part]) return res.status(400).json({ status: "error", message: "part must be interior, cover or imposed" });
+    if (!TRIM_SIZES[options.trim]) return res.status(400).json({ status: "error", message: "Unknown trim size" });
 
-    if (!book) {
-      return res.status(404).json({ status: "error", message: "Book not found" });
-    }
+    const book = await loadPrintableBook(req, res);
+    if (!book) return;
 
-    const pages = book.generatedBook?.pages || [];
-    if (pages.length === 0) {
-      return res.status(400).json({ status: "error", message: "No pages to generate" });
-    }
+    const pdf = await buildPrintFile(book, req.params.part, options);
+    res.type("application/pdf");
+    res.attachment(downloadFileName(book, `${req.params.part}.${options.trim}.pdf`));
+    return res.send(pdf);
+  } catch (err) {
+    console.error(`print [${req.params.bookId}]: failed:`, err.message);
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to build print file" });
+  }
+});
 
-    const existingImages = book.fullImages || [];
-    const alreadyDone = existingImages.filter(Boolean).length;
+// ─── Print orders (printed format) ────────────────────────────────────────────
+// A paid Checkout session for the printed format becomes a row in
+// print_orders with the shipping details Stripe collected. The fulfillment
+// worker (lib/fulfillment.js) sends it to the print provider once the book is
+// fully illustrated.
+function shippingFromSession(session) {
+  const shipping = session.shipping_details || session.collected_information?.shipping_details || null;
+  if (!shipping?.address) return null;
+  return { name: shipping.name || session.customer_details?.name || "", address: shipping.address };
+}
 
-    if (alreadyDone >= pages.length) {
-      return res.json({ status: "ok", generated: 0, total: pages.length, message: "All images already exist" });
-    }
+// Safe to call more than once per session — the webhook and the success page both do
+async function createPrintOrder(session) {
+  const product  = productFor(session.metadata?.format);
+  if (!product.print) return null;
+  const bookId   = session.metadata.bookId;
+  const shipping = shippingFromSession(session);
+  if (!shipping) {
+    console.error(`print order [${bookId}]: session ${session.id} has no shipping address`);
+    return null;
+  }
 
-    // ── Respond immediately so client isn't waiting ──
-    res.json({ status: "ok", message: "Image generation started in background", total: pages.length });
+  const { data, error } = await supabase
+    .from("print_orders")
+    .upsert({
+      book_id:           bookId,
+      stripe_session_id: session.id,
+      format:            product.format,
+      binding:           product.binding,
+      trim_size:         printOptions().trim,
+      email:             session.customer_details?.email || null,
+      phone:             session.customer_details?.phone || null,
+      shipping_name:     shipping.name,
+      shipping_address:  shipping.address
+    }, { onConflict: "stripe_session_id", ignoreDuplicates: true })
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (data) console.log(`print order [${bookId}]: created ${data.id}`);
+  return data;
+}
 
-    // ── Generate in background ──────────────────────────────────────────────
-    (async () => {
-      try {
-        const characterReference = book.characterReference || {};
-        const style = book.illustrationStyle || "Soft Storybook";
+async function cancelPendingPrintOrders(bookId, reason) {
+  const { data, error } = await supabase
+    .from("print_orders")
+    .update({ status: "cancelled", last_error: reason, updated_at: new Date().toISOString() })
+    .eq("book_id", bookId)
+    .eq("status", "pending")
+    .select("id");
+  if (error) throw error;
+  for (const { id } of data || []) console.log(`print order [${bookId}]: ${id} cancelled — ${reason}`);
 
-        const fullImages = [...existingImages];
-        while (fullImages.length < pages.length) fullImages.push(null);
+  const { data: open } = await supabase.from("print_orders").select("id, status").eq("book_id", bookId).in("status", ["submitted", "in_production"]);
+  for (const order of open || []) {
+    console.warn(`print order [${bookId}]: ${order.id} is already ${order.status} at the printer — cancel it with the provider`);
+  }
+}
 
-        const toGenerate = [];
-        for (let i = 0; i < pages.length; i++) {
-          if (!fullImages[i]) toGenerate.push(i);
-        }
+async function getPrintOrders(bookId) {
+  const { data, error } = await supabase
+    .from("print_orders")
+    .select("*")
+    .eq("book_id", bookId)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
 
-        const BATCH_SIZE = 3; // 3 parallel — stable, not too aggressive
-        let savedCount = 0;
+// The interior and cover PDFs for an order, or null while the book is not ready
+async function loadOrderPrintFiles(order) {
+  const book = await getBook(order.book_id);
+  if (!book) throw new Error("Book not found");
+  if (printableBookProblem(book)) return null;
+
+  const options = printOptions(order.trim_size);
+  const [interior, cover] = await Promise.all([
+    buildPrintFile(book, "interior", options),
+    buildPrintFile(book, "cover", options)
+  ]);
+  return { interior, cover };
+}
 
-        for (let batchStart = 0; batchStart < toGenerate.length; batchStart += BATCH_SIZE) {
-          const batch = toGenerate.slice(batchStart, batchStart + BATCH_SIZE);
+// ─── Order tracking ───────────────────────────────────────────────────────────
+// Everything after "paid" comes from the print_orders row the fulfillment
+// worker keeps up to date — never from the book's paymentStatus.
+function orderTimeline(book, order) {
+  const illustrated = !printableBookProblem(book) || Boolean(order.submitted_at);
+  return [
+    { step: "paid",        done: Boolean(book.paidAt || book.purchaseUnlocked), at: book.paidAt || null },
+    { step: "illustrated", done: illustrated,                                    at: null },
+    { step: "printing",    done: Boolean(order.submitted_at),                    at: order.submitted_at },
+    { step: "shipped",     done: Boolean(order.shipped_at || order.delivered_at), at: order.shipped_at },
+    { step: "delivered",   done: Boolean(order.delivered_at),                    at: order.delivered_at }
+  ];
+}
 
-          const results = await Promise.allSettled(
-            batch.map(async (pageIndex) => {
-              const page = pages[pageIndex];
+function publicPrintOrder(book, order) {
+  return {
+    orderId:         order.id,
+    status:          order.status,
+    createdAt:       order.created_at,
+    shippingName:    order.shipping_name,
+    shippingCity:    order.shipping_address?.city || "",
+    shippingCountry: order.shipping_address?.country || "",
+    carrier:         order.carrier,
+    trackingNumber:  order.tracking_number,
+    trackingUrl:     order.tracking_url,
+    timeline:        orderTimeline(book, order),
+    events:          (order.events || []).map(({ at, status, message }) => ({ at, status, message }))
+  };
+}
 
-              const finalPrompt = `Create a premium children's storybook illustration.
+app.get("/api/books/:bookId/print-orders", requireBookAccess(), async (req, res) => {
+  try {
+    const book = await getBook(req.params.bookId);
+    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
 
-Illustration style: ${sanitizeBrandTerms(style)}
+    const orders = await getPrintOrders(book.bookId);
+    return res.json({
+      status: "ok",
+      book:   {
+        bookId:         book.bookId,
+        childName:      book.childName,
+        title:          book.generatedBook?.title || "",
+        coverImage:     bookImageUrl(book.bookId, "cover", book.coverImage),
+        selectedFormat: book.selectedFormat,
+        print:          productFor(purchasedFormat(book)).print
+      },
+      orders: orders.map(order => publicPrintOrder(book, order))
+    });
+  } catch (err) {
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to load orders" });
+  }
+});
 
-Character consistency:
-${sanitizeBrandTerms(characterReference.characterPromptCore || "Keep the same main child character consistent.")}
+// ─── Email: Shipping milestones (printed format) ──────────────────────────────
+const SHIPPING_EMAILS = {
+  submitted: "printSubmitted",
+  shipped:   "printShipped",
+  delivered: "printDelivered"
+};
 
-Scene:
-${sanitizeImagePrompt(page.imagePrompt || "")}
+async function sendShippingEmail(book, order) {
+  const to = order.email || book?.customerEmail;
+  if (!to || !SHIPPING_EMAILS[order.status]) return;
 
-Rules:
-- same child identity
-- same face structure
-- same hair and skin tone
-- warm magical storybook aesthetic
-- no text
-- no watermark
-- elegant composition
-- no logos
-- no brand names
-- no copyrighted costume emblems`.trim();
-
-              const imgResp = await openai.images.generate({
-                model:  "gpt-image-1",
-                prompt: finalPrompt,
-                size:   "1024x1024"
-              });
-
-              const base64 = await normalizeImageToBase64(imgResp?.data?.[0]);
-              return { pageIndex, base64 };
-            })
-          );
-
-          let batchHadNew = false;
-          for (const result of results) {
-            if (result.status === "fulfilled" && result.value?.base64) {
-              fullImages[result.value.pageIndex] = `data:image/png;base64,${result.value.base64}`;
-              savedCount++;
-              batchHadNew = true;
-            }
-          }
+  try {
+    await queueEmail(SHIPPING_EMAILS[order.status], {
+      ...bookEmailData(book),
+      orderUrl:       bookPageUrl("order.html", book.bookId),
+      trackingNumber: order.tracking_number,
+      trackingUrl:    order.tracking_url,
+      carrier:        order.carrier
+    }, { to, lang: emailLanguage(book.storyLanguage), bookId: book.bookId });
+    console.log(`Shipping ${order.status} email queued for:`, to);
+  } catch(err) {
+    console.error(`Failed to queue shipping ${order.status} email:`, err.message);
+  }
+}
 
-          // Save after every batch so polling clients see progress
-          if (batchHadNew) {
-            await updateBookField(bookId, { fullImages: [...fullImages] });
-            console.log(`generate-images: saved ${savedCount}/${toGenerate.length} images for book ${bookId}`);
-          }
-        }
+// notified_status records the last milestone emailed, so a status seen twice
+// (two workers, a re-read status file) sends one email
+async function notifyPrintOrderStatus(order) {
+  if (!SHIPPING_EMAILS[order.status]) return;
+  const { data, error } = await supabase
+    .from("print_orders")
+    .update({ notified_status: order.status })
+    .eq("id", order.id)
+    .or(`notified_status.is.null,notified_status.neq.${order.status}`)
+    .select("id")
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return;
 
-        console.log(`generate-images: completed ${savedCount} images for book ${bookId}`);
-      } catch (err) {
-        console.error("generate-images background error:", err.message);
-      }
-    })();
+  await sendShippingEmail(await getBook(order.book_id), order);
+}
 
-  } catch (err) {
-    console.error("generate-images setup error:", err.message);
-    if (!res.headersSent) {
-      res.status(500).json({ status: "error", message: err?.message || "Failed to start image generation" });
-    }
-  }
+const fulfillment = createFulfillmentWorker({
+  supabase,
+  provider:       printProvider,
+  loadPrintFiles: loadOrderPrintFiles,
+  onStatusChange: notifyPrintOrderStatus
 });
 
-// ─── Image generation progress check ─────────────────────────────────────────
-// ─── Update cropped photo (after early generation started) ───────────────────
-app.post("/api/books/:bookId/update-photo", async (req, res) => {
+app.get("/api/admin/orders", requireAdmin(), async (req, res) => {
   try {
-    const { croppedPhoto } = req.body;
-    if (!croppedPhoto) return res.status(400).json({ ok: false });
-    await updateBookField(req.params.bookId, { croppedPhoto });
-    return res.json({ ok: true });
+    const status = String(req.query.status || "");
+    if (status && !PRINT_ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ status: "error", message: `status must be one of: ${PRINT_ORDER_STATUSES.join(", ")}` });
+    }
+    let query = supabase.from("print_orders").select("*").order("created_at", { ascending: false }).limit(100);
+    if (status) query = query.eq("status", status);
+    const { data, error } = await query;
+    if (error) throw error;
+    return res.json({ status: "ok", orders: data || [] });
   } catch (err) {
-    return res.status(500).json({ ok: false, error: err.message });
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to list orders" });
   }
 });
 
-// ─── Resend book link email ───────────────────────────────────────────────────
-app.post("/api/books/:bookId/resend-email", async (req, res) => {
+// Sends a failed order round again, from the first attempt
+app.post("/api/admin/orders/:orderId/retry", requireAdmin("operator"), async (req, res) => {
   try {
-    const book = await getBook(req.params.bookId);
-    if (!book) return res.status(404).json({ ok: false, error: "Book not found" });
-    if (!book.customerEmail) return res.status(400).json({ ok: false, error: "No email on file" });
-    if (!book.purchaseUnlocked) return res.status(403).json({ ok: false, error: "Book not purchased" });
-    await sendBookReadyEmail(book);
-    console.log(`Resend email: book link sent to ${book.customerEmail}`);
-    return res.json({ ok: true });
+    const { data, error } = await supabase
+      .from("print_orders")
+      .update({ status: "pending", attempts: 0, last_error: null, run_after: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq("id", req.params.orderId)
+      .eq("status", "failed")
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(409).json({ status: "error", message: "Only failed orders can be retried" });
+
+    await adminAuth.audit(req.admin, "retry-print-order", { bookId: data.book_id, note: adminNote(req) || null, details: { orderId: data.id } });
+    setImmediate(() => fulfillment.poll());
+    return res.json({ status: "ok", order: data });
   } catch (err) {
-    console.error("Resend email error:", err.message);
-    return res.status(500).json({ ok: false, error: "Failed to send email" });
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to retry order" });
   }
 });
 
-app.get("/api/books/:bookId/image-status", async (req, res) => {
+// Only orders the printer has not started on can be cancelled here
+app.post("/api/admin/orders/:orderId/cancel", requireAdmin("operator"), async (req, res) => {
   try {
-    const book = await getBook(req.params.bookId);
-    if (!book) return res.status(404).json({ status: "error", message: "Book not found" });
-
-    const totalPages    = book.generatedBook?.pages?.length || 0;
-    const fullImages    = book.fullImages || [];
-    const readyCount    = fullImages.filter(Boolean).length;
-
-    return res.json({
-      status: "ok",
-      total:  totalPages,
-      ready:  readyCount,
-      done:   readyCount >= totalPages
-    });
+    const note = adminNote(req);
+    if (!note) return res.status(400).json({ status: "error", message: "A note explaining the cancellation is required" });
+
+    const { data, error } = await supabase
+      .from("print_orders")
+      .update({ status: "cancelled", last_error: note, updated_at: new Date().toISOString() })
+      .eq("id", req.params.orderId)
+      .in("status", ["pending", "failed"])
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(409).json({ status: "error", message: "Only pending or failed orders can be cancelled" });
+
+    await adminAuth.audit(req.admin, "cancel-print-order", { bookId: data.book_id, note, details: { orderId: data.id } });
+    return res.json({ status: "ok", order: data });
   } catch (err) {
-    return res.status(500).json({ status: "error", message: err?.message || "Failed" });
+    return res.status(500).json({ status: "error", message: err?.message || "Failed to cancel order" });
   }
 });
 
@@ -1095,14 +3383,12 @@ Background:
 - no branded costume details
 `.trim();
 
-    const imageResp = await openai.images.generate({
-      model:  "gpt-image-1",
-      prompt: characterSheetPrompt,
-      size:   "1024x1024"
+    // Drawn from the photo itself where the model accepts it, else from the text
+    const photo = isDataUrl(child_photo) ? decodeDataUrl(child_photo) : null;
+    const { base64: characterSheetBase64 } = await illustrator.draw(characterSheetPrompt, {
+      references: photo ? [{ ...photo, label: "photo of the real child" }] : []
     });
 
-    const characterSheetBase64 = await normalizeImageToBase64(imageResp?.data?.[0]);
-
     return res.json({
       status:              "ok",
       characterDNA,
@@ -1128,6 +3414,7 @@ app.post("/create-book", async (req, res) => {
       gender,
       story_type,
       illustration_style,
+      story_language,
       character_reference
     } = req.body;
 
@@ -1184,6 +3471,7 @@ Rules:
 - No brand names
 - Do not mention copyrighted characters or logos
 - Convert any branded clothing or toys into generic descriptions
+${storyLanguageRule(story_language)}
 `.trim();
 
     const completion = await openai.chat.completions.create({
@@ -1205,6 +3493,7 @@ Rules:
       title,
       subtitle,
       illustration_style: cleanStyle,
+      story_language:     normalizeStoryLanguage(story_language),
       pages: pages.map((p) => ({
         text:        sanitizeBrandTerms(String(p.text        || "").trim()),
         imagePrompt: sanitizeImagePrompt(String(p.imagePrompt || "").trim())
@@ -1353,85 +3642,24 @@ app.post("/api/contact", async (req, res) => {
       "other":        "Something else",
     };
     const subjectLine = subjectLabels[subject] || subject || "General inquiry";
-    const appUrl = process.env.APP_URL || "https://lifebooks.online";
     const adminEmail = process.env.ADMIN_EMAIL || "books@lifebooks.online";
 
+    // ── Keep it for the admin dashboard's contact history ─────────────────────
+    try {
+      await recordContactMessage({ name, email, subject: subjectLine, message });
+    } catch (err) {
+      console.error("Contact form: failed to store message:", err.message);
+    }
+
     // ── Notify admin ──────────────────────────────────────────────────────────
-    await resend.emails.send({
+    await queueEmail("contactNotification", { name, email, topic: subjectLine, message }, {
       from:    "Lifebook Contact <books@lifebooks.online>",
       to:      [adminEmail],
-      replyTo: email,
-      subject: `[Contact] ${subjectLine} — from ${name}`,
-      html: `
-        <div style="font-family:sans-serif;max-width:600px;margin:0 auto;padding:24px;background:#fdf6ec">
-          <table width="100%" cellpadding="0" cellspacing="0">
-            <tr>
-              <td style="background:linear-gradient(135deg,#1a1008,#5c3d1e);padding:24px 32px;border-radius:16px 16px 0 0;text-align:center">
-                <span style="font-size:28px">📖</span>
-                <div style="font-family:Georgia,serif;font-size:22px;color:#f5d98a;margin-top:6px">New contact message</div>
-              </td>
-            </tr>
-            <tr>
-              <td style="background:#fff;padding:24px 32px;border:1px solid #ede0c8;border-top:none;border-radius:0 0 16px 16px">
-                <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:16px">
-                  <tr>
-                    <td style="padding:8px 12px;background:#fdf6ec;font-weight:700;color:#c8922a;font-size:12px;text-transform:uppercase;letter-spacing:0.5px;width:100px;border-radius:6px 0 0 6px">Name</td>
-                    <td style="padding:8px 12px;color:#3a2810;font-size:14px">${name}</td>
-                  </tr>
-                  <tr>
-                    <td style="padding:8px 12px;background:#f5e9d4;font-weight:700;color:#c8922a;font-size:12px;text-transform:uppercase;letter-spacing:0.5px">Email</td>
-                    <td style="padding:8px 12px;font-size:14px"><a href="mailto:${email}" style="color:#c8922a">${email}</a></td>
-                  </tr>
-                  <tr>
-                    <td style="padding:8px 12px;background:#fdf6ec;font-weight:700;color:#c8922a;font-size:12px;text-transform:uppercase;letter-spacing:0.5px;border-radius:0 0 0 6px">Topic</td>
-                    <td style="padding:8px 12px;color:#3a2810;font-size:14px">${subjectLine}</td>
-                  </tr>
-                </table>
-                <div style="padding:16px;background:#fdf6ec;border-left:3px solid #c8922a;border-radius:4px;font-size:14px;line-height:1.7;color:#3a2810;white-space:pre-wrap">${message.replace(/</g,"&lt;")}</div>
-              </td>
-            </tr>
-          </table>
-        </div>
-      `,
+      replyTo: email
     });
 
     // ── Auto-reply to sender ──────────────────────────────────────────────────
-    await resend.emails.send({
-      from:    "Lifebook <books@lifebooks.online>",
-      to:      [email],
-      subject: "We got your message! 📖",
-      html: `
-        <div style="font-family:sans-serif;max-width:560px;margin:0 auto;padding:0;background:#fdf6ec">
-          <table width="100%" cellpadding="0" cellspacing="0">
-            <tr>
-              <td style="background:linear-gradient(135deg,#1a1008,#5c3d1e);padding:36px;text-align:center">
-                <div style="font-size:36px;margin-bottom:8px">📖</div>
-                <div style="font-family:Georgia,serif;font-size:26px;color:#f5d98a">lifebook</div>
-                <div style="font-size:11px;color:#c4a87a;margin-top:4px;letter-spacing:2px;text-transform:uppercase">AI Children's Storybooks</div>
-              </td>
-            </tr>
-            <tr>
-              <td style="background:#fff;padding:36px;border:1px solid #ede0c8;border-top:none">
-                <h2 style="font-family:Georgia,serif;color:#5c3d1e;margin:0 0 12px;font-size:24px">Thanks, ${name}! 🎉</h2>
-                <p style="color:#7a6048;line-height:1.7;margin:0 0 20px">We've received your message and will get back to you within <strong>24 hours</strong>.</p>
-                <div style="background:#fdf6ec;border-radius:14px;padding:18px;border:1px solid #ede0c8;margin-bottom:24px">
-                  <p style="color:#c8922a;font-size:11px;font-weight:700;text-transform:uppercase;letter-spacing:0.8px;margin:0 0 8px">Your message</p>
-                  <p style="color:#3a2810;line-height:1.7;font-size:14px;margin:0;white-space:pre-wrap">${message.replace(/</g,"&lt;")}</p>
-                </div>
-                <p style="color:#7a6048;font-size:13px;line-height:1.6;margin:0">
-                  While you wait, feel free to <a href="${appUrl}" style="color:#c8922a;text-decoration:none;font-weight:700">visit your book</a> any time.
-                </p>
-              </td>
-            </tr>
-            <tr>
-              <td style="background:#fdf6ec;padding:16px;text-align:center;border:1px solid #ede0c8;border-top:none;border-radius:0 0 16px 16px">
-                <p style="font-size:12px;color:#b09070;margin:0">© 2026 Lifebook · <a href="${appUrl}/contact.html" style="color:#c8922a;text-decoration:none">Contact Us</a></p>
-              </td>
-            </tr>
-          </table>
-        </div>
-      `,
-    });
+    await queueEmail("contactReply", { name, message }, { to: [email] });
 
     console.log(`Contact form submitted by ${name} <${email}> — topic: ${subjectLine}`);
     return res.json({ ok: true });
@@ -1455,4 +3683,9 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  // Picks up queued jobs and any job left running by a previous process
+  jobQueue.start();
+  fulfillment.start();
+  emailOutbox.start();
+  previewReminders.start();
 });
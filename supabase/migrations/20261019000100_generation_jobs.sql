@@ -0,0 +1,28 @@
+-- Persistent generation jobs for POST /api/books/:bookId/generate-full.
+-- A job walks the steps character → story → cover → pages and is resumed by
+-- any worker once its heartbeat goes stale (e.g. after a restart).
+create table if not exists generation_jobs (
+  id            uuid primary key default gen_random_uuid(),
+  book_id       text not null,
+  status        text not null default 'queued'
+                check (status in ('queued', 'running', 'completed', 'failed')),
+  step          text not null default 'character'
+                check (step in ('character', 'story', 'cover', 'pages')),
+  attempts      integer not null default 0,
+  last_error    text,
+  locked_by     text,
+  heartbeat_at  timestamptz,
+  run_after     timestamptz not null default now(),
+  started_at    timestamptz,
+  completed_at  timestamptz,
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now()
+);
+
+-- One active job per book
+create unique index if not exists generation_jobs_one_active_per_book
+  on generation_jobs (book_id)
+  where status in ('queued', 'running');
+
+create index if not exists generation_jobs_claimable
+  on generation_jobs (status, run_after);
@@ -0,0 +1,4 @@
+-- "Redo this picture": prior illustrations per page and the per-book quota.
+alter table books
+  add column if not exists image_versions     jsonb   not null default '{}'::jsonb,
+  add column if not exists regenerations_used integer not null default 0;
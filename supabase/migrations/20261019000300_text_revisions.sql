@@ -0,0 +1,3 @@
+-- Customer edits to generated page text: { pageIndex, before, after, source, editedAt }
+alter table books
+  add column if not exists text_revisions jsonb not null default '[]'::jsonb;
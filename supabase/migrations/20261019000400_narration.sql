@@ -0,0 +1,4 @@
+-- Read-aloud audio per page:
+-- { pages: { "<index>": { key, contentType, duration, words, textHash, voice, provider, createdAt } } }
+alter table books
+  add column if not exists narration jsonb not null default '{}'::jsonb;
@@ -0,0 +1,9 @@
+-- Language the story is written in: en | he | es | fr
+alter table books
+  add column if not exists story_language text not null default 'en';
+
+-- Books written before the field existed were Hebrew when the child's name was
+update books
+   set story_language = 'he'
+ where story_language = 'en'
+   and (child_name ~ '[א-ת]' or generated_book->>'title' ~ '[א-ת]');
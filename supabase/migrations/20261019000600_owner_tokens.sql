@@ -0,0 +1,5 @@
+-- SHA-256 of the book's owner token (the token itself is only ever held by the
+-- customer's browser). Books created before this have none and are reached
+-- through signed links only.
+alter table books
+  add column if not exists owner_token_hash text;
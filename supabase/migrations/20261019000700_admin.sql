@@ -0,0 +1,46 @@
+-- Staff accounts for the admin API (see lib/adminAuth.js). Create one with
+-- `npm run admin:create -- <email> <role>`.
+create table if not exists admin_users (
+  id             uuid primary key default gen_random_uuid(),
+  email          text not null unique,
+  password_hash  text not null,
+  role           text not null default 'support'
+                 check (role in ('support', 'operator', 'admin')),
+  disabled       boolean not null default false,
+  last_login_at  timestamptz,
+  created_at     timestamptz not null default now()
+);
+
+-- Signed-in sessions; the token itself only lives in the browser
+create table if not exists admin_sessions (
+  token_hash  text primary key,
+  admin_id    uuid not null references admin_users (id) on delete cascade,
+  ip          text,
+  expires_at  timestamptz not null,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists admin_sessions_expires_at
+  on admin_sessions (expires_at);
+
+-- Every change made through the admin API, with the note given for it
+create table if not exists admin_audit_log (
+  id           bigserial primary key,
+  admin_id     uuid references admin_users (id) on delete set null,
+  admin_email  text not null,
+  action       text not null,
+  book_id      text,
+  note         text,
+  details      jsonb not null default '{}'::jsonb,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_book
+  on admin_audit_log (book_id, created_at desc);
+
+-- Book search in the admin API
+create index if not exists books_created_at
+  on books (created_at desc);
+
+create index if not exists books_payment_status
+  on books (payment_status, created_at desc);
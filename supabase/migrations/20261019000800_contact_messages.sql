@@ -0,0 +1,13 @@
+-- Messages from the contact form, kept for the admin dashboard's contact
+-- history. Matched to books by customer email (stored lower-case).
+create table if not exists contact_messages (
+  id          bigserial primary key,
+  name        text not null,
+  email       text not null,
+  subject     text,
+  message     text not null,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists contact_messages_email
+  on contact_messages (email, created_at desc);
@@ -0,0 +1,18 @@
+-- Payment states driven by Stripe events (see PAYMENT_TRANSITIONS in
+-- server.js): pending, paid, failed, expired, refunded — each with the time the
+-- book last entered it. The payment intent id links refunds and failed
+-- payments back to the book.
+alter table books
+  add column if not exists stripe_payment_intent_id text,
+  add column if not exists paid_at                  timestamptz,
+  add column if not exists refunded_at              timestamptz,
+  add column if not exists payment_failed_at        timestamptz,
+  add column if not exists checkout_expired_at      timestamptz;
+
+-- Transitions match on the current state, so it must never be null
+update books set payment_status = 'pending' where payment_status is null;
+update books set paid_at = updated_at where payment_status = 'paid' and paid_at is null;
+
+create index if not exists books_stripe_payment_intent
+  on books (stripe_payment_intent_id)
+  where stripe_payment_intent_id is not null;
@@ -0,0 +1,22 @@
+-- Every verified Stripe webhook event, keyed by its Stripe id, so redeliveries
+-- are acknowledged without running again (see lib/stripeEvents.js). Failed
+-- events keep their error and can be replayed from the admin API.
+create table if not exists stripe_events (
+  id            text primary key,
+  type          text not null,
+  book_id       text,
+  status        text not null default 'received'
+                check (status in ('received', 'processing', 'processed', 'failed')),
+  attempts      integer not null default 0,
+  last_error    text,
+  payload       jsonb not null,
+  received_at   timestamptz not null default now(),
+  processed_at  timestamptz,
+  updated_at    timestamptz not null default now()
+);
+
+create index if not exists stripe_events_status
+  on stripe_events (status, received_at desc);
+
+create index if not exists stripe_events_book
+  on stripe_events (book_id, received_at desc);
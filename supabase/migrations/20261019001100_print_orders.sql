@@ -0,0 +1,38 @@
+-- Printed-book orders: one per paid Checkout session with format "printed".
+-- lib/fulfillment.js submits them to the print provider once the book is fully
+-- illustrated, then records the provider's status and tracking updates.
+create table if not exists print_orders (
+  id                   uuid primary key default gen_random_uuid(),
+  book_id              text not null,
+  stripe_session_id    text not null unique,
+  status               text not null default 'pending'
+                       check (status in ('pending', 'submitted', 'in_production', 'shipped', 'delivered', 'cancelled', 'failed')),
+  quantity             integer not null default 1,
+  trim_size            text not null,
+  email                text,
+  phone                text,
+  shipping_name        text,
+  shipping_address     jsonb not null,
+  provider             text,
+  provider_order_id    text,
+  carrier              text,
+  tracking_number      text,
+  tracking_url         text,
+  events               jsonb not null default '[]'::jsonb,
+  attempts             integer not null default 0,
+  last_error           text,
+  run_after            timestamptz not null default now(),
+  locked_until         timestamptz,
+  tracking_checked_at  timestamptz,
+  submitted_at         timestamptz,
+  shipped_at           timestamptz,
+  delivered_at         timestamptz,
+  created_at           timestamptz not null default now(),
+  updated_at           timestamptz not null default now()
+);
+
+create index if not exists print_orders_book
+  on print_orders (book_id, created_at desc);
+
+create index if not exists print_orders_status
+  on print_orders (status, run_after);
@@ -0,0 +1,4 @@
+-- The last shipping milestone emailed to the customer for each printed order,
+-- so a status change seen twice sends a single email.
+alter table print_orders
+  add column if not exists notified_status text;
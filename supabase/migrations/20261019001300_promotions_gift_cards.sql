@@ -0,0 +1,66 @@
+-- Promotion codes and gift cards (see lib/discounts.js). Codes are stored
+-- upper case without dashes; gift card codes only as a sha256 hash.
+create table if not exists promo_codes (
+  code             text primary key,
+  kind             text not null check (kind in ('percent', 'fixed')),
+  amount           integer not null check (amount > 0),   -- percent, or cents
+  currency         text not null default 'usd',
+  formats          text[],                                 -- null: any format
+  active           boolean not null default true,
+  starts_at        timestamptz,
+  expires_at       timestamptz,
+  max_redemptions  integer,
+  redemptions      integer not null default 0,
+  note             text,
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now()
+);
+
+create table if not exists gift_cards (
+  id                 uuid primary key default gen_random_uuid(),
+  status             text not null default 'pending'
+                     check (status in ('pending', 'active', 'disabled')),
+  code_hash          text unique,
+  code_last4         text,
+  initial_cents      integer not null check (initial_cents > 0),
+  balance_cents      integer not null default 0 check (balance_cents >= 0),
+  currency           text not null default 'usd',
+  purchaser_email    text not null,
+  recipient_email    text,
+  recipient_name     text,
+  message            text,
+  stripe_session_id  text unique,
+  activated_at       timestamptz,
+  code_sent_at       timestamptz,
+  created_at         timestamptz not null default now(),
+  updated_at         timestamptz not null default now()
+);
+
+-- What each discounted checkout used: held → captured | released
+create table if not exists checkout_discounts (
+  checkout_ref       text primary key,
+  book_id            text not null,
+  status             text not null default 'held'
+                     check (status in ('held', 'captured', 'released')),
+  currency           text not null,
+  subtotal_cents     integer not null,
+  promo_code         text references promo_codes (code),
+  promo_cents        integer not null default 0,
+  gift_card_id       uuid references gift_cards (id),
+  gift_card_cents    integer not null default 0,
+  total_cents        integer not null,
+  stripe_session_id  text,
+  created_at         timestamptz not null default now(),
+  updated_at         timestamptz not null default now()
+);
+
+create index if not exists checkout_discounts_session
+  on checkout_discounts (stripe_session_id)
+  where stripe_session_id is not null;
+
+-- What the customer actually paid, after discounts
+alter table books
+  add column if not exists amount_paid_cents  integer,
+  add column if not exists payment_currency   text,
+  add column if not exists promo_code         text,
+  add column if not exists discount_cents     integer;
@@ -0,0 +1,15 @@
+-- Formats now come from the product catalog (lib/catalog.js). The old
+-- "printed" format included the printed copy and the downloads, which is
+-- what the bundle is now.
+update books
+  set selected_format = 'bundle'
+  where selected_format = 'printed';
+
+update promo_codes
+  set formats = array_replace(formats, 'printed', 'bundle')
+  where 'printed' = any(formats);
+
+-- Which product a print order is for, so the printer gets the right binding
+alter table print_orders
+  add column if not exists format  text,
+  add column if not exists binding text;
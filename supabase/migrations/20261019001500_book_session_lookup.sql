@@ -0,0 +1,4 @@
+-- GET /api/order/:orderId finds a book by its Stripe Checkout session id
+create index if not exists books_stripe_session
+  on books (stripe_session_id)
+  where stripe_session_id is not null;
@@ -0,0 +1,34 @@
+-- Every outgoing email, queued by template and sent by lib/emailOutbox.js with
+-- retries. The row is the delivery log: a book's emails are its rows.
+create table if not exists email_outbox (
+  id                   uuid primary key default gen_random_uuid(),
+  template             text not null,
+  lang                 text not null default 'en',
+  to_email             text not null,
+  from_email           text,
+  reply_to             text,
+  book_id              text,
+  data                 jsonb not null default '{}'::jsonb,
+  status               text not null default 'queued'
+                       check (status in ('queued', 'sent', 'failed', 'bounced')),
+  attempts             integer not null default 0,
+  last_error           text,
+  run_after            timestamptz not null default now(),
+  locked_until         timestamptz,
+  provider_message_id  text,
+  sent_at              timestamptz,
+  bounced_at           timestamptz,
+  created_at           timestamptz not null default now(),
+  updated_at           timestamptz not null default now()
+);
+
+create index if not exists email_outbox_book
+  on email_outbox (book_id, created_at desc)
+  where book_id is not null;
+
+create index if not exists email_outbox_status
+  on email_outbox (status, run_after);
+
+create index if not exists email_outbox_provider_message
+  on email_outbox (provider_message_id)
+  where provider_message_id is not null;
@@ -0,0 +1,18 @@
+-- Reminder emails for books left unpaid after the preview, sent by
+-- lib/previewReminders.js. converted_by_reminder is the number of the reminder
+-- whose checkout link the book was paid through.
+alter table books
+  add column if not exists reminders_sent        integer not null default 0,
+  add column if not exists last_reminder_at      timestamptz,
+  add column if not exists converted_by_reminder integer;
+
+create index if not exists books_reminder_due
+  on books (updated_at)
+  where payment_status = 'pending';
+
+-- Addresses that asked for no more reminders (stored lower-case)
+create table if not exists email_unsubscribes (
+  email       text primary key,
+  book_id     text,
+  created_at  timestamptz not null default now()
+);
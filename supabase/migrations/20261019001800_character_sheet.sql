@@ -0,0 +1,5 @@
+-- The character sheet drawn from the child's photo by the character step — a
+-- storage key, like cover_image. It goes, with the photo, to every cover and
+-- page illustration as a reference image.
+alter table books
+  add column if not exists character_sheet text;
@@ -0,0 +1,8 @@
+-- JOB_STEPS in lib/jobQueue.js gained "narration" after the table was made;
+-- without it here every job failed when it reached that step.
+alter table generation_jobs
+  drop constraint if exists generation_jobs_step_check;
+
+alter table generation_jobs
+  add constraint generation_jobs_step_check
+  check (step in ('character', 'story', 'cover', 'pages', 'narration'));
@@ -0,0 +1,5 @@
+-- A promotion's redemption is now counted when its checkout is held, so
+-- parallel checkouts cannot go past max_redemptions (see lib/discounts.js).
+-- Rows held before this keep false and are counted when captured.
+alter table checkout_discounts
+  add column if not exists promo_reserved boolean not null default false;
@@ -0,0 +1,9 @@
+-- The format a book was paid for. Downloads and printing follow it, not
+-- selected_format, which the customer picks before checkout. Books already
+-- paid for were bought in the format they show now.
+alter table books
+  add column if not exists paid_format text;
+
+update books
+   set paid_format = selected_format
+ where purchase_unlocked and paid_format is null;
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createAdminAuth, hashPassword, verifyPassword, roleAtLeast, adminTokenFromRequest, ADMIN_SESSION_COOKIE
+} from "../lib/adminAuth.js";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const PASSWORD = "correct horse battery staple";
+
+// admin_sessions is read with its admin_users row embedded
+const SCHEMA = {
+  admin_sessions: { embeds: { admin_users: (row, db) => db.rows("admin_users").find(user => user.id === row.admin_id) } }
+};
+
+function setup(users = [{ id: "u1", email: "ops@lifebooks.online", role: "operator" }], options = {}) {
+  const supabase = createFakeSupabase(SCHEMA);
+  supabase.rows("admin_users").push(...users.map(user => ({ disabled: false, password_hash: hashPassword(PASSWORD), ...user })));
+  return { supabase, auth: createAdminAuth({ supabase, ...options }) };
+}
+
+function request(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { headers: lower, get: name => lower[name.toLowerCase()] };
+}
+
+test("passwords verify only against their own hash", () => {
+  const stored = hashPassword(PASSWORD);
+  assert.match(stored, /^scrypt\$[A-Za-z0-9_-]+\$[A-Za-z0-9_-]+$/);
+  assert.notEqual(hashPassword(PASSWORD), stored, "each hash has its own salt");
+  assert.ok(verifyPassword(PASSWORD, stored));
+  assert.ok(!verifyPassword("wrong", stored));
+  assert.ok(!verifyPassword(PASSWORD, "plain text"));
+  assert.ok(!verifyPassword(PASSWORD, null));
+});
+
+test("each role can do what the roles before it can", () => {
+  assert.ok(roleAtLeast("admin", "support"));
+  assert.ok(roleAtLeast("operator", "operator"));
+  assert.ok(!roleAtLeast("support", "operator"));
+  assert.ok(!roleAtLeast("operator", "admin"));
+  assert.ok(!roleAtLeast("owner", "support"), "unknown roles have no rights");
+});
+
+test("the session token comes from the bearer header or the admin cookie", () => {
+  assert.equal(adminTokenFromRequest(request({ Authorization: "Bearer abc " })), "abc");
+  assert.equal(adminTokenFromRequest(request({ Cookie: `theme=dark; ${ADMIN_SESSION_COOKIE}=a%2Fb=c` })), "a/b=c");
+  assert.equal(adminTokenFromRequest(request()), "");
+});
+
+test("signing in starts a session that authenticates until it expires", async () => {
+  const { supabase, auth } = setup();
+  const result = await auth.login(" OPS@lifebooks.online ", PASSWORD, { ip: "1.2.3.4" });
+  assert.deepEqual(result.admin, { id: "u1", email: "ops@lifebooks.online", role: "operator" });
+
+  const session = supabase.rows("admin_sessions")[0];
+  assert.notEqual(session.token_hash, result.token, "only the token's hash is stored");
+  assert.equal(session.ip, "1.2.3.4");
+  assert.ok(supabase.rows("admin_users")[0].last_login_at);
+
+  assert.deepEqual(await auth.authenticate(result.token), result.admin);
+  assert.equal(await auth.authenticate("not-a-token"), null);
+  assert.equal(await auth.authenticate(""), null);
+
+  session.expires_at = new Date(Date.now() - 1000).toISOString();
+  assert.equal(await auth.authenticate(result.token), null);
+});
+
+test("signing out ends the session", async () => {
+  const { auth } = setup();
+  const { token } = await auth.login("ops@lifebooks.online", PASSWORD);
+  await auth.logout(token);
+  assert.equal(await auth.authenticate(token), null);
+});
+
+test("a disabled admin is refused, and their sessions stop working", async () => {
+  const { supabase, auth } = setup();
+  const { token } = await auth.login("ops@lifebooks.online", PASSWORD);
+  supabase.rows("admin_users")[0].disabled = true;
+  assert.equal(await auth.authenticate(token), null);
+  assert.equal((await auth.login("ops@lifebooks.online", PASSWORD)).status, 401);
+});
+
+test("wrong passwords, unknown emails and unknown roles get the same answer", async () => {
+  const { auth } = setup([
+    { id: "u1", email: "ops@lifebooks.online", role: "operator" },
+    { id: "u2", email: "old@lifebooks.online", role: "owner" }
+  ]);
+  const refused = { status: 401, error: "Invalid email or password" };
+  assert.deepEqual(await auth.login("ops@lifebooks.online", "wrong"), refused);
+  assert.deepEqual(await auth.login("nobody@lifebooks.online", PASSWORD), refused);
+  assert.deepEqual(await auth.login("old@lifebooks.online", PASSWORD), refused);
+});
+
+test("repeated failures lock out that email from that address", async () => {
+  const { auth } = setup(undefined, { maxFailures: 2 });
+  for (let i = 0; i < 2; i++) await auth.login("ops@lifebooks.online", "wrong", { ip: "1.1.1.1" });
+
+  assert.equal((await auth.login("ops@lifebooks.online", PASSWORD, { ip: "1.1.1.1" })).status, 429);
+  assert.ok((await auth.login("ops@lifebooks.online", PASSWORD, { ip: "2.2.2.2" })).token, "another address can still sign in");
+});
+
+test("admin actions are audited and listed per book, newest first", async () => {
+  const { supabase, auth } = setup();
+  const admin = { id: "u1", email: "ops@lifebooks.online" };
+  await auth.audit(admin, "unlock", { bookId: "book-1", note: "Goodwill copy", details: { previousPaymentStatus: "refunded" } });
+  await auth.audit(admin, "regenerate", { bookId: "book-2" });
+  supabase.rows("admin_audit_log").forEach((row, i) => { row.created_at = `2026-10-19T0${i}:00:00Z`; });
+  await auth.audit(admin, "regenerate", { bookId: "book-1" });
+  supabase.rows("admin_audit_log")[2].created_at = "2026-10-19T05:00:00Z";
+
+  const log = await auth.auditLog("book-1");
+  assert.deepEqual(log.map(entry => entry.action), ["regenerate", "unlock"]);
+  assert.equal(log[1].note, "Goodwill copy");
+  assert.equal(log[1].admin_email, "ops@lifebooks.online");
+});
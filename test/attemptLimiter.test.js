@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAttemptLimiter } from "../lib/attemptLimiter.js";
+
+function clock(start = 1_000_000) {
+  const c = { at: start, now: () => c.at };
+  return c;
+}
+
+test("locks a key out after max failures, and not before", () => {
+  const limiter = createAttemptLimiter({ max: 3, windowMs: 1000 });
+  limiter.recordFailure("1.1.1.1");
+  limiter.recordFailure("1.1.1.1");
+  assert.equal(limiter.isLockedOut("1.1.1.1"), false);
+  limiter.recordFailure("1.1.1.1");
+  assert.equal(limiter.isLockedOut("1.1.1.1"), true);
+  assert.equal(limiter.isLockedOut("2.2.2.2"), false, "other clients are not locked out");
+});
+
+test("a lockout ends when its window has passed", () => {
+  const time    = clock();
+  const limiter = createAttemptLimiter({ max: 1, windowMs: 1000, now: time.now });
+  limiter.recordFailure("a");
+  assert.equal(limiter.isLockedOut("a"), true);
+  time.at += 1001;
+  assert.equal(limiter.isLockedOut("a"), false);
+  limiter.recordFailure("a");
+  assert.equal(limiter.isLockedOut("a"), true, "a new failure starts a new window");
+});
+
+test("expired entries are swept out", () => {
+  const time    = clock();
+  const limiter = createAttemptLimiter({ max: 5, windowMs: 1000, now: time.now });
+  for (let i = 0; i < 50; i++) limiter.recordFailure(`10.0.0.${i}`);
+  assert.equal(limiter.size, 50);
+  time.at += 1001;
+  limiter.recordFailure("10.0.1.1");
+  assert.equal(limiter.size, 1);
+});
+
+test("never holds more than maxKeys entries", () => {
+  const limiter = createAttemptLimiter({ max: 2, windowMs: 60 * 1000, maxKeys: 10 });
+  limiter.recordFailure("first");
+  limiter.recordFailure("first");
+  for (let i = 0; i < 20; i++) limiter.recordFailure(`client-${i}`);
+  assert.equal(limiter.size, 10);
+  assert.equal(limiter.isLockedOut("first"), false, "the oldest entry made room");
+  assert.equal(limiter.isLockedOut("client-19"), false);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createOwnerToken, hashOwnerToken, ownerTokenMatches, bookTokenFromRequest, createBookLinkSigner, BOOK_TOKEN_HEADER
+} from "../lib/bookAccess.js";
+
+const HOUR = 60 * 60 * 1000;
+
+test("an owner token matches only its own hash", () => {
+  const { token, hash } = createOwnerToken();
+  assert.equal(hash, hashOwnerToken(token));
+  assert.ok(ownerTokenMatches(token, hash));
+  assert.ok(!ownerTokenMatches(createOwnerToken().token, hash));
+  assert.ok(!ownerTokenMatches("", hash));
+  assert.ok(!ownerTokenMatches(token, null), "a book without a stored hash has no owner token");
+});
+
+test("owner tokens are not repeated", () => {
+  assert.notEqual(createOwnerToken().token, createOwnerToken().token);
+});
+
+test("a signed link verifies for its book and returns its scope", () => {
+  const links = createBookLinkSigner("secret");
+  const expiresAt = Date.now() + HOUR;
+  assert.equal(links.verify("book-1", links.sign("book-1", { scope: "book", expiresAt })), "book");
+  assert.equal(links.verify("book-1", links.sign("book-1", { scope: "media", expiresAt })), "media");
+  assert.equal(links.verify("book-1", links.sign("book-1", { scope: "unsubscribe", expiresAt: new Date(expiresAt) })), "unsubscribe");
+});
+
+test("a link for another book, or signed with another secret, does not verify", () => {
+  const links = createBookLinkSigner("secret");
+  const token = links.sign("book-1", { expiresAt: Date.now() + HOUR });
+  assert.equal(links.verify("book-2", token), null);
+  assert.equal(createBookLinkSigner("other").verify("book-1", token), null);
+});
+
+test("an expired link does not verify", () => {
+  const links = createBookLinkSigner("secret");
+  assert.equal(links.verify("book-1", links.sign("book-1", { expiresAt: Date.now() - 1000 })), null);
+});
+
+test("the scope or expiry of a link cannot be changed", () => {
+  const links = createBookLinkSigner("secret");
+  const [, expires, signature] = links.sign("book-1", { scope: "media", expiresAt: Date.now() + HOUR }).split(".");
+  assert.equal(links.verify("book-1", `book.${expires}.${signature}`), null, "a media link cannot become a book link");
+  assert.equal(links.verify("book-1", `media.${Number(expires) + 86400}.${signature}`), null);
+});
+
+test("malformed tokens and unknown scopes are refused", () => {
+  const links = createBookLinkSigner("secret");
+  for (const token of ["", null, "book", "book.1.", "admin.9999999999.abc", "book.soon.abc"]) {
+    assert.equal(links.verify("book-1", token), null, String(token));
+  }
+  assert.throws(() => links.sign("book-1", { scope: "admin", expiresAt: Date.now() + HOUR }), /Unknown link scope/);
+  assert.throws(() => createBookLinkSigner(""), /secret is required/);
+});
+
+test("the token comes from the header, or else the query string", () => {
+  const request = (headers, query) => ({ get: name => headers[name.toLowerCase()], query });
+  assert.equal(bookTokenFromRequest(request({ [BOOK_TOKEN_HEADER]: "from-header" }, { token: "from-query" })), "from-header");
+  assert.equal(bookTokenFromRequest(request({}, { token: "from-query" })), "from-query");
+  assert.equal(bookTokenFromRequest(request({}, { token: ["a", "b"] })), "");
+  assert.equal(bookTokenFromRequest(request({}, {})), "");
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { renderBookEpub } from "../lib/bookEpub.js";
+import { pngImage } from "./helpers/images.js";
+
+function book(fields = {}) {
+  return {
+    bookId:        "0b6f1c9e-1111-4222-8333-944445555666",
+    childName:     "Maya",
+    storyLanguage: "en",
+    updatedAt:     "2026-10-19T08:30:00.123Z",
+    generatedBook: {
+      title:    "Maya & the Moon",
+      subtitle: "A bedtime <adventure>",
+      pages:    [
+        { text: "Maya looked up.", imagePrompt: "A girl in pyjamas looking up at a smiling moon" },
+        { text: "The moon smiled back." }
+      ]
+    },
+    ...fields
+  };
+}
+
+async function open(epub) {
+  const zip   = await JSZip.loadAsync(epub);
+  const text  = name => zip.file(name).async("string");
+  return { zip, text, names: Object.keys(zip.files) };
+}
+
+test("the mimetype comes first, stored uncompressed", async () => {
+  const epub = await renderBookEpub({ book: book() });
+  assert.equal(epub.subarray(30, 38).toString(), "mimetype");
+  assert.equal(epub.readUInt16LE(8), 0, "compression method STORE");
+  assert.equal(epub.subarray(38, 58).toString(), "application/epub+zip");
+});
+
+test("a fixed-layout package with the cover and a page per story page", async () => {
+  const image = { body: pngImage(16, 16) };
+  const { text, names } = await open(await renderBookEpub({ book: book(), cover: image, pageImages: [image, image] }));
+  assert.ok(names.includes("OEBPS/cover.xhtml"));
+  assert.ok(names.includes("OEBPS/page-001.xhtml"));
+  assert.ok(names.includes("OEBPS/page-002.xhtml"));
+  assert.ok(names.includes("OEBPS/images/cover-image.png"));
+
+  const opf = await text("OEBPS/content.opf");
+  assert.match(opf, /<meta property="rendition:layout">pre-paginated<\/meta>/);
+  assert.match(opf, /<dc:identifier id="book-id">urn:uuid:0b6f1c9e-1111-4222-8333-944445555666<\/dc:identifier>/);
+  assert.match(opf, /<dc:title id="title">Maya &amp; the Moon<\/dc:title>/);
+  assert.match(opf, /<dc:title id="subtitle">A bedtime &lt;adventure&gt;<\/dc:title>/);
+  assert.match(opf, /<meta property="dcterms:modified">2026-10-19T08:30:00Z<\/meta>/);
+  assert.match(opf, /properties="cover-image"/);
+  assert.match(opf, /<spine page-progression-direction="ltr">/);
+  assert.equal((opf.match(/<itemref /g) || []).length, 3);
+
+  const nav = await text("OEBPS/nav.xhtml");
+  assert.match(nav, /<a href="page-002.xhtml#page2">2<\/a>/);
+});
+
+test("alt text comes from the scene prompt, or names the child", async () => {
+  const image = { body: pngImage(16, 16) };
+  const { text } = await open(await renderBookEpub({ book: book(), cover: image, pageImages: [image, image] }));
+  assert.match(await text("OEBPS/page-001.xhtml"), /alt="A girl in pyjamas looking up at a smiling moon"/);
+  assert.match(await text("OEBPS/page-002.xhtml"), /alt="Illustration for page 2 showing Maya"/);
+});
+
+test("pages without a usable picture keep their text", async () => {
+  const { text, names } = await open(await renderBookEpub({ book: book(), pageImages: [{ body: Buffer.from("not an image") }, null] }));
+  assert.ok(!names.some(name => name.startsWith("OEBPS/images/")));
+  const page = await text("OEBPS/page-001.xhtml");
+  assert.doesNotMatch(page, /<img /);
+  assert.match(page, /<p>Maya looked up.<\/p>/);
+});
+
+test("a Hebrew book reads right to left, with English alt text tagged", async () => {
+  const image  = { body: pngImage(16, 16) };
+  const hebrew = book({ storyLanguage: "he", generatedBook: { title: "נועה והירח", pages: [{ text: "נועה הביטה אל הירח." }] } });
+  const { text } = await open(await renderBookEpub({ book: hebrew, pageImages: [image] }));
+  const opf = await text("OEBPS/content.opf");
+  assert.match(opf, /<spine page-progression-direction="rtl">/);
+  assert.match(opf, /<dc:language>he<\/dc:language>/);
+  const page = await text("OEBPS/page-001.xhtml");
+  assert.match(page, /<html [^>]*lang="he" dir="rtl">/);
+  assert.match(page, /<img [^>]* lang="en" xml:lang="en"\/>/);
+});
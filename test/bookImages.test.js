@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBookImageHandler, imageRefForSlot, imageVersionTag, isImageSlot } from "../lib/bookImages.js";
+
+const BOOK = {
+  bookId:         "book-1",
+  paymentStatus:  "paid",
+  purchaseUnlocked: true,
+  coverImage:     "books/book-1/cover-aaaa.jpg",
+  characterSheet: "books/book-1/character-sheet-bbbb.png",
+  fullImages:     ["books/book-1/page-0-cccc.jpg", null, "books/book-1/page-2-dddd.jpg"]
+};
+
+// Just the parts of Express's response the handler uses
+function response() {
+  const res = { statusCode: 200, headers: {}, body: undefined, contentType: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set    = (name, value) => { res.headers[name] = value; return res; };
+  res.type   = (type) => { res.contentType = type; return res; };
+  res.json   = (body) => { res.body = body; return res; };
+  res.send   = (body) => { res.body = body; return res; };
+  res.end    = () => res;
+  return res;
+}
+
+async function request(slot, { book = BOOK, query = {}, headers = {}, images = null } = {}) {
+  const loaded  = [];
+  const handler = createBookImageHandler({
+    getBook:   async (bookId) => (bookId === book?.bookId ? book : null),
+    loadImage: async (ref) => {
+      loaded.push(ref);
+      return images ? images[ref] ?? null : { body: Buffer.from(`image ${ref}`), contentType: "image/jpeg" };
+    }
+  });
+  const res = response();
+  await handler({ params: { bookId: "book-1", slot }, query, headers }, res);
+  return { res, loaded };
+}
+
+test("slots name the cover, the character sheet or a page", () => {
+  for (const slot of ["cover", "character-sheet", "page-0", "page-15"]) assert.ok(isImageSlot(slot), slot);
+  for (const slot of ["page-", "page-1a", "pages-1", "../cover", ""]) assert.ok(!isImageSlot(slot), slot);
+  assert.equal(imageRefForSlot(BOOK, "page-2"), BOOK.fullImages[2]);
+  assert.equal(imageRefForSlot(BOOK, "page-1"), null);
+  assert.equal(imageRefForSlot(BOOK, "character-sheet"), BOOK.characterSheet);
+});
+
+test("serves the stored image with its type", async () => {
+  const { res, loaded } = await request("page-0");
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.contentType, "image/jpeg");
+  assert.equal(res.body.toString(), `image ${BOOK.fullImages[0]}`);
+  assert.deepEqual(loaded, [BOOK.fullImages[0]]);
+  assert.equal(res.headers["Cache-Control"], "private, no-cache");
+});
+
+test("a URL with the current version is cached for good", async () => {
+  const tag = imageVersionTag(BOOK.coverImage);
+  const { res } = await request("cover", { query: { v: tag } });
+  assert.equal(res.headers.ETag, `"${tag}"`);
+  assert.equal(res.headers["Cache-Control"], "private, max-age=31536000, immutable");
+
+  // An old version's URL must revalidate
+  const stale = await request("cover", { query: { v: imageVersionTag("books/book-1/cover-old.jpg") } });
+  assert.equal(stale.res.headers["Cache-Control"], "private, no-cache");
+});
+
+test("a browser holding the current image gets 304 without a storage read", async () => {
+  const etag = `"${imageVersionTag(BOOK.coverImage)}"`;
+  const { res, loaded } = await request("cover", { headers: { "if-none-match": etag } });
+  assert.equal(res.statusCode, 304);
+  assert.deepEqual(loaded, []);
+});
+
+test("bad slots, missing books and missing images", async () => {
+  assert.equal((await request("page-x")).res.statusCode, 400);
+  assert.equal((await request("cover", { book: null })).res.statusCode, 404);
+  assert.deepEqual((await request("page-1")).res.body, { status: "error", message: "Image not ready" });
+  assert.deepEqual((await request("cover", { images: {} })).res.body, { status: "error", message: "Image not found" });
+});
+
+test("a refunded book serves only its preview pictures", async () => {
+  const refunded = { ...BOOK, paymentStatus: "refunded", purchaseUnlocked: false };
+  assert.equal((await request("cover", { book: refunded })).res.statusCode, 200);
+  assert.equal((await request("page-0", { book: refunded })).res.statusCode, 200);
+  assert.equal((await request("page-2", { book: refunded })).res.statusCode, 403);
+});
+
+test("a storage failure is a 500", async () => {
+  const handler = createBookImageHandler({
+    getBook:   async () => BOOK,
+    loadImage: async () => { throw new Error("storage down"); }
+  });
+  const res = response();
+  await handler({ params: { bookId: "book-1", slot: "cover" }, query: {}, headers: {} }, res);
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { status: "error", message: "storage down" });
+});
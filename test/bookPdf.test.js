@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import PDFDocument from "pdfkit";
+import { renderBookPdf, bookPdfFingerprint, bookStrings } from "../lib/bookPdf.js";
+import { registerBookFonts, textDirection, layoutParagraph } from "../lib/pdfText.js";
+import { pngImage } from "./helpers/images.js";
+
+function book(fields = {}) {
+  return {
+    bookId:        "book-1",
+    childName:     "Maya",
+    storyLanguage: "en",
+    coverImage:    "books/book-1/cover.jpg",
+    fullImages:    ["books/book-1/page-0.jpg", "books/book-1/page-1.jpg", "books/book-1/page-2.jpg"],
+    generatedBook: {
+      title:    "Maya and the Moon",
+      subtitle: "A bedtime adventure",
+      pages:    [{ text: "Maya looked up." }, { text: "The moon smiled back." }, { text: "Goodnight, moon." }]
+    },
+    ...fields
+  };
+}
+
+const pageCount = pdf => (pdf.toString("latin1").match(/\/Type \/Page\b(?!s)/g) || []).length;
+
+test("the PDF has a cover, a page per story page and a closing page", async () => {
+  const image = pngImage(64, 64);
+  const pdf   = await renderBookPdf({ book: book(), cover: image, pageImages: [image, image, image] });
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  assert.equal(pageCount(pdf), 5);
+  assert.match(pdf.toString("latin1"), /\/FontFile2/, "the fonts are embedded");
+});
+
+test("missing pictures get a placeholder instead of failing", async () => {
+  const pdf = await renderBookPdf({ book: book() });
+  assert.equal(pageCount(pdf), 5);
+});
+
+test("a Hebrew book renders, with its strings in Hebrew", async () => {
+  const hebrew = book({
+    storyLanguage: "he",
+    childName:     "נועה",
+    generatedBook: { title: "נועה והירח", pages: [{ text: "נועה הביטה אל הירח ואמרה Hello." }] }
+  });
+  assert.equal(bookStrings(hebrew).madeFor("נועה"), "סיפור אישי עבור נועה");
+  assert.equal(pageCount(await renderBookPdf({ book: hebrew })), 3);
+});
+
+test("unknown languages use the English strings", () => {
+  assert.equal(bookStrings({ storyLanguage: "xx" }).createdBy, "Created with Lifebook AI");
+});
+
+test("the fingerprint changes with anything drawn, and only then", () => {
+  const base = bookPdfFingerprint(book());
+  assert.equal(bookPdfFingerprint(book({ customerEmail: "parent@example.com" })), base);
+  assert.notEqual(bookPdfFingerprint(book({ childName: "Noa" })), base);
+  assert.notEqual(bookPdfFingerprint(book({ fullImages: ["books/book-1/page-0-new.jpg"] })), base);
+
+  const edited = book();
+  edited.generatedBook.pages[1].text = "The moon winked.";
+  assert.notEqual(bookPdfFingerprint(edited), base);
+  assert.notEqual(bookPdfFingerprint(book(), "epub", 1), base, "other exports pass their own version");
+});
+
+test("paragraph direction follows the first strong letter", () => {
+  assert.equal(textDirection("Maya said שלום"), "ltr");
+  assert.equal(textDirection("שלום Maya"), "rtl");
+  assert.equal(textDirection("123 — שלום"), "rtl");
+  assert.equal(textDirection(""), "ltr");
+});
+
+test("paragraphs wrap to the width and keep each line's words", () => {
+  const doc = new PDFDocument({ autoFirstPage: false });
+  registerBookFonts(doc);
+  doc.fontSize(12);
+  const text = "Maya looked up at the big round moon and the moon smiled back at her";
+  const { direction, lines } = layoutParagraph(doc, text, 120);
+  assert.equal(direction, "ltr");
+  assert.ok(lines.length > 1);
+  for (const line of lines) assert.ok(line.width <= 120 + 0.01, `line of width ${line.width}`);
+  assert.equal(lines.map(line => line.runs.join("")).join(" "), text);
+  assert.deepEqual(layoutParagraph(doc, "   ", 120).lines, []);
+});
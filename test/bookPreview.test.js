@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PREVIEW_PAGES, isPreviewOnly, pageInPreview, slotInPreview, previewOfBook } from "../lib/bookPreview.js";
+
+const PAGE_COUNT = 6;
+
+function refundedBook() {
+  const indexes = [...Array(PAGE_COUNT).keys()];
+  return {
+    bookId:           "book-1",
+    paymentStatus:    "refunded",
+    purchaseUnlocked: false,
+    coverImage:       "books/book-1/cover.jpg",
+    generatedBook:    { title: "T", subtitle: "S", pages: indexes.map(i => ({ text: `page ${i} text`, imagePrompt: `prompt ${i}` })) },
+    fullImages:       indexes.map(i => `books/book-1/page-${i}.jpg`),
+    imageVersions:    Object.fromEntries(indexes.map(i => [i, [{ src: `old-${i}`, replacedAt: "2026-10-01" }]])),
+    textRevisions:    indexes.map(i => ({ pageIndex: i, before: `secret before ${i}`, after: `page ${i} text` })),
+    narration:        { language: "en", pages: Object.fromEntries(indexes.map(i => [i, { key: `n-${i}`, words: [{ text: `word${i}` }] }])) }
+  };
+}
+
+const inPreview  = [...Array(PREVIEW_PAGES).keys()];
+const pastIt     = [...Array(PAGE_COUNT).keys()].filter(i => i >= PREVIEW_PAGES);
+
+test("only a refunded book that is locked is preview-only", () => {
+  assert.ok(isPreviewOnly(refundedBook()));
+  assert.ok(!isPreviewOnly({ ...refundedBook(), paymentStatus: "pending" }), "unpaid books are still being made");
+  assert.ok(!isPreviewOnly({ ...refundedBook(), paymentStatus: "paid", purchaseUnlocked: true }));
+  assert.ok(!isPreviewOnly(null));
+});
+
+test("page text past the preview is withheld — book, SSE story-ready snapshot", () => {
+  const pages = previewOfBook(refundedBook()).generatedBook.pages;
+  assert.equal(pages.length, PAGE_COUNT, "the page count stays right");
+  for (const i of inPreview) assert.equal(pages[i].text, `page ${i} text`);
+  for (const i of pastIt) assert.deepEqual(pages[i], {});
+});
+
+test("pictures and earlier versions past the preview are withheld", () => {
+  const preview = previewOfBook(refundedBook());
+  for (const i of pastIt) assert.equal(preview.fullImages[i], null);
+  assert.deepEqual(Object.keys(preview.imageVersions).map(Number), inPreview);
+});
+
+test("text revisions past the preview are withheld — GET /revisions", () => {
+  const revisions = previewOfBook(refundedBook()).textRevisions;
+  assert.deepEqual(revisions.map(r => r.pageIndex), inPreview);
+  assert.ok(!JSON.stringify(revisions).includes(`secret before ${PREVIEW_PAGES}`));
+});
+
+test("narration timings past the preview are withheld — GET /narration", () => {
+  const preview = previewOfBook(refundedBook());
+  assert.deepEqual(Object.keys(preview.narration.pages).map(Number), inPreview);
+  assert.equal(preview.narration.language, "en");
+  assert.equal(previewOfBook({ ...refundedBook(), narration: undefined }).narration, undefined);
+});
+
+test("page indexes past the preview are refused — narration audio, page edits", () => {
+  for (const i of inPreview) assert.ok(pageInPreview(i) && pageInPreview(String(i)));
+  for (const i of pastIt) assert.ok(!pageInPreview(i) && !pageInPreview(String(i)));
+  for (const bad of [-1, 0.5, "x", "", null]) assert.ok(!pageInPreview(bad), String(bad));
+});
+
+test("image slots past the preview are refused — image route", () => {
+  assert.ok(slotInPreview("cover"));
+  assert.ok(slotInPreview("character-sheet"));
+  assert.ok(slotInPreview("page-0"));
+  assert.ok(!slotInPreview(`page-${PREVIEW_PAGES}`));
+});
+
+test("the book itself is not changed", () => {
+  const book = refundedBook();
+  previewOfBook(book);
+  assert.deepEqual(book, refundedBook());
+});
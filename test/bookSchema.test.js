@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateBookPatch, validateBookCreate } from "../lib/bookSchema.js";
+
+test("the customer cannot change the format once the book is paid for", () => {
+  const paid = validateBookPatch({ selectedFormat: "digital" }, "customer", { purchaseUnlocked: true });
+  assert.deepEqual(paid.errors, [{ field: "selectedFormat", message: "selectedFormat cannot be changed after payment" }]);
+
+  const unpaid = validateBookPatch({ selectedFormat: "digital" }, "customer", { purchaseUnlocked: false });
+  assert.deepEqual(unpaid.errors, []);
+  assert.equal(unpaid.value.selectedFormat, "digital");
+
+  const admin = validateBookPatch({ selectedFormat: "digital" }, "admin", { purchaseUnlocked: true });
+  assert.deepEqual(admin.errors, []);
+});
+
+test("only the server records the paid format", () => {
+  assert.equal(validateBookPatch({ paidFormat: "digital" }, "customer").errors[0].message, "paidFormat cannot be changed");
+  assert.deepEqual(validateBookPatch({ paidFormat: "bundle" }, "pipeline").value, { paidFormat: "bundle" });
+});
+
+test("each role writes only its own fields", () => {
+  const customer = validateBookPatch({ childName: "Maya", paymentStatus: "paid", purchaseUnlocked: true }, "customer");
+  assert.deepEqual(customer.errors.map(e => e.field), ["paymentStatus", "purchaseUnlocked"]);
+  assert.deepEqual(customer.value, { childName: "Maya" });
+
+  const pipeline = validateBookPatch({ generatedBook: { pages: [] }, childName: "Maya" }, "pipeline");
+  assert.deepEqual(pipeline.errors, [{ field: "childName", message: "childName cannot be changed" }]);
+
+  const admin = validateBookPatch({ childName: "Maya", paymentStatus: "refunded" }, "admin");
+  assert.deepEqual(admin.errors, []);
+});
+
+test("unknown fields and non-object bodies are refused", () => {
+  assert.deepEqual(validateBookPatch({ ownerTokenHash: "x" }, "admin").errors, [{ field: "ownerTokenHash", message: "ownerTokenHash is not a book field" }]);
+  for (const body of [null, "text", [1, 2]]) {
+    assert.deepEqual(validateBookPatch(body, "customer").errors, [{ field: null, message: "Body must be a JSON object" }]);
+  }
+});
+
+test("enums accept only their values, trimmed, and ages as numbers", () => {
+  assert.deepEqual(validateBookPatch({ childAge: 5, childGender: " girl " }, "customer").value, { childAge: "5", childGender: "girl" });
+  assert.match(validateBookPatch({ childAge: 11 }, "customer").errors[0].message, /^childAge must be one of: 1, 2/);
+  assert.match(validateBookPatch({ selectedFormat: "printed" }, "customer").errors[0].message, /^selectedFormat must be one of: digital, softcover, hardcover, bundle$/);
+  assert.match(validateBookPatch({ storyLanguage: "xx" }, "customer").errors[0].message, /^storyLanguage must be one of:/);
+  assert.match(validateBookPatch({ paymentStatus: "free" }, "admin").errors[0].message, /^paymentStatus must be one of:/);
+});
+
+test("strings are trimmed and limited, emails checked", () => {
+  assert.deepEqual(validateBookPatch({ childName: "  Maya " }, "customer").value, { childName: "Maya" });
+  assert.equal(validateBookPatch({ childName: "x".repeat(61) }, "customer").errors[0].message, "childName must be at most 60 characters");
+  assert.equal(validateBookPatch({ childName: 7 }, "customer").errors[0].message, "childName must be a string");
+  assert.equal(validateBookPatch({ customerEmail: "not an email" }, "customer").errors[0].message, "customerEmail must be an email address");
+  assert.deepEqual(validateBookPatch({ customerEmail: "" }, "customer").errors, [], "an address can be cleared");
+});
+
+test("photos must be image data URLs", () => {
+  assert.deepEqual(validateBookPatch({ croppedPhoto: "data:image/png;base64,AAAA" }, "customer").errors, []);
+  assert.equal(validateBookPatch({ croppedPhoto: "https://example.com/a.png" }, "customer").errors[0].message,
+    "croppedPhoto must be a JPEG, PNG or WebP data URL");
+  assert.equal(validateBookPatch({ croppedPhoto: "data:image/svg+xml;base64,AAAA" }, "customer").errors[0].field, "croppedPhoto");
+});
+
+test("numbers, timestamps, arrays and JSON are checked by type and size", () => {
+  assert.equal(validateBookPatch({ regenerationsUsed: -1 }, "pipeline").errors[0].message, "regenerationsUsed must be a whole number from 0 to 1000");
+  assert.equal(validateBookPatch({ regenerationsUsed: 1.5 }, "pipeline").errors.length, 1);
+  assert.deepEqual(validateBookPatch({ paidAt: "2026-10-19T10:00:00+02:00" }, "pipeline").value, { paidAt: "2026-10-19T08:00:00.000Z" });
+  assert.equal(validateBookPatch({ paidAt: "yesterday" }, "pipeline").errors[0].message, "paidAt must be an ISO date");
+  assert.deepEqual(validateBookPatch({ paidAt: null }, "pipeline").value, { paidAt: null });
+  assert.equal(validateBookPatch({ purchaseUnlocked: "yes" }, "admin").errors[0].message, "purchaseUnlocked must be true or false");
+  assert.equal(validateBookPatch({ fullImages: {} }, "pipeline").errors[0].message, "fullImages must be an array");
+  assert.equal(validateBookPatch({ fullImages: new Array(33).fill(null) }, "pipeline").errors[0].message, "fullImages must have at most 32 items");
+  assert.equal(validateBookPatch({ generatedBook: "story" }, "pipeline").errors[0].message, "generatedBook must be an object");
+  assert.equal(validateBookPatch({ generatedBook: { text: "x".repeat(600 * 1024) } }, "pipeline").errors[0].message, "generatedBook is too large");
+});
+
+test("a new book needs its required fields and nothing outside the form", () => {
+  const ok = validateBookCreate({ childName: "Maya", childAge: "5", storyIdea: "A trip to the moon", storyLanguage: "en" });
+  assert.deepEqual(ok.errors, []);
+
+  const missing = validateBookCreate({ childName: " ", childAge: "5" });
+  assert.deepEqual(missing.errors.map(e => e.message), ["childName is required", "storyIdea is required"]);
+
+  const extra = validateBookCreate({ childName: "Maya", childAge: "5", storyIdea: "Moon", selectedFormat: "digital" });
+  assert.deepEqual(extra.errors, [{ field: "selectedFormat", message: "selectedFormat cannot be set when creating a book" }]);
+});
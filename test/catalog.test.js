@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PRODUCTS, PRODUCT_FORMATS, CURRENCIES, catalogPrice, catalogForClient, productFor, resolveFormat, normalizeCurrency, purchasedFormat
+} from "../lib/catalog.js";
+
+test("a paid book includes the format it was paid for", () => {
+  const book = { purchaseUnlocked: true, paidFormat: "softcover", selectedFormat: "digital" };
+  assert.equal(purchasedFormat(book), "softcover");
+});
+
+test("before payment the customer's choice counts", () => {
+  assert.equal(purchasedFormat({ purchaseUnlocked: false, paidFormat: null, selectedFormat: "bundle" }), "bundle");
+  // Refunded, then a different format chosen for a new checkout
+  assert.equal(purchasedFormat({ purchaseUnlocked: false, paidFormat: "softcover", selectedFormat: "digital" }), "digital");
+});
+
+test("books paid before the paid format was recorded keep their choice", () => {
+  assert.equal(purchasedFormat({ purchaseUnlocked: true, paidFormat: null, selectedFormat: "hardcover" }), "hardcover");
+});
+
+test("every product has a whole price in every currency", () => {
+  for (const format of PRODUCT_FORMATS) {
+    for (const currency of Object.keys(CURRENCIES)) {
+      assert.ok(Number.isInteger(PRODUCTS[format].prices[currency]) && PRODUCTS[format].prices[currency] > 0, `${format} in ${currency}`);
+    }
+  }
+});
+
+test("checkout prices come from the catalog in the currency's smallest unit", () => {
+  assert.deepEqual(catalogPrice("softcover", "gbp"), { format: "softcover", name: "Softcover Book", amount: 4200, currency: "gbp", print: true });
+  assert.deepEqual(catalogPrice("digital"), { format: "digital", name: "Digital Storybook", amount: 3900, currency: "usd", print: false });
+  assert.equal(catalogPrice("digital", "jpy"), null);
+});
+
+test("unknown and legacy formats resolve to a product", () => {
+  assert.equal(resolveFormat("printed"), "bundle", "books from before the catalog");
+  assert.equal(resolveFormat("poster"), "digital");
+  assert.equal(resolveFormat(undefined), "digital");
+  assert.equal(catalogPrice("printed", "usd").amount, PRODUCTS.bundle.prices.usd);
+  assert.equal(productFor("printed").format, "bundle");
+});
+
+test("what each format includes", () => {
+  assert.deepEqual(PRODUCT_FORMATS.map(format => [format, productFor(format).downloads, productFor(format).print]), [
+    ["digital", true, false], ["softcover", false, true], ["hardcover", false, true], ["bundle", true, true]
+  ]);
+  assert.equal(productFor("bundle").binding, "hardcover");
+});
+
+test("currencies are matched loosely and refused when unknown", () => {
+  assert.equal(normalizeCurrency(" EUR "), "eur");
+  assert.equal(normalizeCurrency("btc"), null);
+  assert.equal(normalizeCurrency(null), null);
+});
+
+test("the client catalog lists every format priced in one currency", () => {
+  const ils = catalogForClient("ils");
+  assert.deepEqual(ils.map(product => product.format), PRODUCT_FORMATS);
+  assert.deepEqual(ils[0], {
+    format: "digital", name: "Digital Storybook", description: PRODUCTS.digital.description, features: PRODUCTS.digital.features,
+    downloads: true, print: false, binding: null, price: 14900
+  });
+  assert.equal(ils.find(product => product.format === "softcover").binding, "softcover");
+  assert.ok(!("prices" in ils[0]), "only the one currency is sent");
+  assert.deepEqual(catalogForClient("jpy"), []);
+});
@@ -0,0 +1,183 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDiscounts, normalizeCode } from "../lib/discounts.js";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const SCHEMA = {
+  checkout_discounts: { defaults: () => ({ status: "held", promo_reserved: false, stripe_session_id: null }) }
+};
+
+function promo(fields) {
+  return {
+    code: "SAVE10", kind: "percent", amount: 10, currency: "usd", formats: null, active: true,
+    starts_at: null, expires_at: null, max_redemptions: null, redemptions: 0, ...fields
+  };
+}
+
+// An active card: the code itself is only ever stored hashed, so the test
+// activates one the way the gift card checkout does
+async function activeGiftCard(discounts, amount, currency = "usd") {
+  const card = await discounts.createGiftCard({ amount, currency, purchaserEmail: "buyer@example.com" });
+  const { code } = await discounts.activateGiftCard(card.id, { stripeSessionId: `cs_${card.id}` });
+  return { id: card.id, code };
+}
+
+function setup(promos = []) {
+  const supabase = createFakeSupabase(SCHEMA);
+  supabase.rows("promo_codes").push(...promos);
+  return { supabase, discounts: createDiscounts({ supabase, maxLookupFailures: 3 }) };
+}
+
+const PRICE = { amount: 3900, currency: "usd", format: "digital" };
+
+test("normalizeCode ignores case, spaces and dashes", () => {
+  assert.equal(normalizeCode(" ab-cd 12 "), "ABCD12");
+  assert.equal(normalizeCode(null), "");
+});
+
+test("a percentage promotion comes off the price", async () => {
+  const { discounts } = setup([promo()]);
+  const quote = await discounts.quote({ ...PRICE, promoCode: "save-10" });
+  assert.equal(quote.total, 3510);
+  assert.deepEqual(quote.promo, { code: "SAVE10", kind: "percent", amount: 10, off: 390 });
+});
+
+test("what is left to charge is 0 or at least Stripe's minimum", async () => {
+  const { discounts } = setup([promo({ code: "BIG", kind: "fixed", amount: 3880 }), promo({ code: "ALL", amount: 100 })]);
+  assert.equal((await discounts.quote({ ...PRICE, promoCode: "BIG" })).total, 50);
+  assert.equal((await discounts.quote({ ...PRICE, promoCode: "ALL" })).total, 0);
+  assert.equal((await discounts.quote({ ...PRICE, print: true, promoCode: "ALL" })).total, 50, "printed books always go through Stripe");
+});
+
+test("promotions that cannot be used say why", async () => {
+  const { discounts } = setup([
+    promo({ code: "OFF", active: false }),
+    promo({ code: "OLD", expires_at: new Date(Date.now() - 1000).toISOString() }),
+    promo({ code: "SOON", starts_at: new Date(Date.now() + 60000).toISOString() }),
+    promo({ code: "GONE", max_redemptions: 2, redemptions: 2 }),
+    promo({ code: "PRINT", formats: ["hardcover"] }),
+    promo({ code: "EURO", kind: "fixed", amount: 500, currency: "eur" })
+  ]);
+  const errorFor = async (code) => (await discounts.quote({ ...PRICE, promoCode: code })).error;
+  assert.match(await errorFor("NOPE"), /not valid/);
+  assert.match(await errorFor("OFF"),  /not valid/);
+  assert.match(await errorFor("OLD"),  /expired/);
+  assert.match(await errorFor("SOON"), /not active yet/);
+  assert.match(await errorFor("GONE"), /used up/);
+  assert.match(await errorFor("PRINT"), /format/);
+  assert.match(await errorFor("EURO"), /currency/);
+});
+
+test("a gift card covers what it can, after the promotion", async () => {
+  const { discounts } = setup([promo()]);
+  const small = await activeGiftCard(discounts, 1000);
+  const quote = await discounts.quote({ ...PRICE, promoCode: "SAVE10", giftCardCode: small.code.toLowerCase() });
+  assert.equal(quote.giftCard.off, 1000);
+  assert.equal(quote.total, 2510);
+
+  const large = await activeGiftCard(discounts, 10000);
+  assert.equal((await discounts.quote({ ...PRICE, giftCardCode: large.code })).total, 0);
+
+  // Never leaves less than Stripe's minimum to charge
+  const almost = await activeGiftCard(discounts, 3880);
+  const capped = await discounts.quote({ ...PRICE, giftCardCode: almost.code });
+  assert.equal(capped.total, 50);
+  assert.equal(capped.giftCard.off, 3850);
+});
+
+test("too many wrong gift card codes lock the address out", async () => {
+  const { discounts } = setup();
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await discounts.quote({ ...PRICE, giftCardCode: `WRONG-${i}`, ip: "1.2.3.4" })).status, 400);
+  }
+  assert.equal((await discounts.quote({ ...PRICE, giftCardCode: "WRONG-9", ip: "1.2.3.4" })).status, 429);
+  assert.equal((await discounts.quote({ ...PRICE, giftCardCode: "WRONG-9", ip: "5.6.7.8" })).status, 400);
+});
+
+test("hold takes the gift card amount; release gives it back", async () => {
+  const { supabase, discounts } = setup();
+  const card  = await activeGiftCard(discounts, 1000);
+  const quote = await discounts.quote({ ...PRICE, giftCardCode: card.code });
+  const balance = () => supabase.rows("gift_cards").find(row => row.id === card.id).balance_cents;
+
+  assert.deepEqual(await discounts.hold("ref-1", { bookId: "book-1", quote }), { recorded: true });
+  assert.equal(balance(), 0);
+  assert.equal((await discounts.hold("ref-2", { bookId: "book-2", quote })).status, 409, "the balance is already held");
+
+  await discounts.release({ checkoutRef: "ref-1" });
+  assert.equal(balance(), 1000);
+  await discounts.release({ checkoutRef: "ref-1" });
+  assert.equal(balance(), 1000, "releasing twice gives it back once");
+});
+
+test("a promotion's redemption is counted at hold and kept when paid", async () => {
+  const { supabase, discounts } = setup([promo()]);
+  const redemptions = () => supabase.rows("promo_codes")[0].redemptions;
+  const quote = await discounts.quote({ ...PRICE, promoCode: "SAVE10" });
+
+  await discounts.hold("ref-1", { bookId: "book-1", quote });
+  assert.equal(redemptions(), 1);
+  await discounts.settle("ref-1");
+  await discounts.settle("ref-1");
+  assert.equal(redemptions(), 1, "settling again does not count again");
+  await discounts.release({ checkoutRef: "ref-1" });
+  assert.equal(redemptions(), 1, "a refunded checkout still used the code");
+});
+
+test("an abandoned checkout gives its redemption back", async () => {
+  const { supabase, discounts } = setup([promo({ max_redemptions: 1 })]);
+  const quote = await discounts.quote({ ...PRICE, promoCode: "SAVE10" });
+  await discounts.hold("ref-1", { bookId: "book-1", quote });
+  assert.equal((await discounts.quote({ ...PRICE, promoCode: "SAVE10" })).status, 400);
+
+  await discounts.release({ checkoutRef: "ref-1" });
+  assert.equal(supabase.rows("promo_codes")[0].redemptions, 0);
+  assert.equal((await discounts.quote({ ...PRICE, promoCode: "SAVE10" })).total, 3510);
+});
+
+test("parallel checkouts cannot redeem a code more often than allowed", async () => {
+  const { supabase, discounts } = setup([promo({ max_redemptions: 2 })]);
+  const quotes = await Promise.all([1, 2, 3, 4, 5].map(() => discounts.quote({ ...PRICE, promoCode: "SAVE10" })));
+  assert.ok(quotes.every(quote => !quote.error), "every quote saw the code as available");
+
+  const held = await Promise.all(quotes.map((quote, i) => discounts.hold(`ref-${i}`, { bookId: `book-${i}`, quote })));
+  assert.equal(held.filter(result => result.recorded).length, 2);
+  assert.equal(held.filter(result => result.status === 409).length, 3);
+  assert.equal(supabase.rows("promo_codes")[0].redemptions, 2);
+  assert.equal(supabase.rows("checkout_discounts").length, 2);
+});
+
+test("a checkout held before redemptions were counted up front counts when paid", async () => {
+  const { supabase, discounts } = setup([promo()]);
+  supabase.rows("checkout_discounts").push({
+    checkout_ref: "legacy", book_id: "book-1", status: "held", promo_code: "SAVE10", promo_reserved: false
+  });
+  await discounts.settle("legacy");
+  assert.equal(supabase.rows("promo_codes")[0].redemptions, 1);
+});
+
+test("a refunded gift card is disabled with its unused balance", async () => {
+  const { supabase, discounts } = setup();
+  const card  = await activeGiftCard(discounts, 5000);
+  const quote = await discounts.quote({ ...PRICE, giftCardCode: card.code });
+  await discounts.hold("ref-1", { bookId: "book-1", quote });
+  await discounts.settle("ref-1");
+
+  const voided = await discounts.voidGiftCard(card.id);
+  assert.equal(voided.balance_cents, 1100);
+  const row = supabase.rows("gift_cards")[0];
+  assert.equal(row.status, "disabled");
+  assert.equal(row.balance_cents, 0);
+  assert.equal((await discounts.quote({ ...PRICE, giftCardCode: card.code })).status, 400);
+
+  // The refund event resent
+  assert.equal(await discounts.voidGiftCard(card.id), null);
+});
+
+test("a gift card refunded before it was activated never activates", async () => {
+  const { discounts } = setup();
+  const card = await discounts.createGiftCard({ amount: 5000, currency: "usd", purchaserEmail: "buyer@example.com" });
+  assert.ok(await discounts.voidGiftCard(card.id));
+  assert.equal(await discounts.activateGiftCard(card.id, { stripeSessionId: "cs_1" }), null);
+  assert.equal(await discounts.reissueGiftCardCode(card.id), null);
+});
@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEmailOutbox } from "../lib/emailOutbox.js";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+function quietConsole(t) {
+  for (const method of ["log", "warn", "error"]) t.mock.method(console, method, () => {});
+}
+
+function outboxSchema() {
+  return {
+    email_outbox: {
+      defaults: () => {
+        const now = new Date().toISOString();
+        return {
+          status: "queued", attempts: 0, run_after: new Date(Date.now() - 1000).toISOString(), locked_until: null,
+          provider_message_id: null, last_error: null, sent_at: null, bounced_at: null, created_at: now, updated_at: now
+        };
+      }
+    }
+  };
+}
+
+// `deliver` answers with the next of `results` — an id, or an Error to throw
+function setup(results = [], options = {}) {
+  const supabase  = createFakeSupabase(outboxSchema());
+  const delivered = [];
+  const outbox    = createEmailOutbox({
+    supabase,
+    retryDelayMs: 1000,
+    maxAttempts:  3,
+    deliver:      async (row) => {
+      delivered.push(row.id);
+      const result = results.shift() ?? `msg-${delivered.length}`;
+      if (result instanceof Error) throw result;
+      return result;
+    },
+    ...options
+  });
+  return { supabase, outbox, delivered };
+}
+
+// Makes a queued row due now, as if its retry delay had passed
+function makeDue(supabase) {
+  for (const row of supabase.rows("email_outbox")) row.run_after = new Date(Date.now() - 1000).toISOString();
+}
+
+test("a queued email is sent on the next poll", async (t) => {
+  quietConsole(t);
+  const { supabase, outbox, delivered } = setup(["msg-abc"]);
+  const row = await outbox.enqueue("bookReady", { childName: "Maya" }, { to: ["a@example.com", "b@example.com"], lang: "he", bookId: "book-1" });
+  assert.equal(row.to_email, "a@example.com, b@example.com");
+
+  await outbox.poll();
+  const [sent] = supabase.rows("email_outbox");
+  assert.deepEqual(delivered, [row.id]);
+  assert.equal(sent.status, "sent");
+  assert.equal(sent.attempts, 1);
+  assert.equal(sent.provider_message_id, "msg-abc");
+  assert.ok(sent.sent_at);
+  assert.equal(sent.locked_until, null);
+});
+
+test("a failed send is retried with a doubling delay, then fails for good", async (t) => {
+  quietConsole(t);
+  const { supabase, outbox, delivered } = setup([new Error("smtp down"), new Error("smtp down"), new Error("smtp still down")]);
+  supabase.rows("email_outbox").push({ ...outboxSchema().email_outbox.defaults(), id: "email-1", template: "bookReady", to_email: "a@example.com" });
+
+  const delays = [];
+  for (let i = 0; i < 2; i++) {
+    const before = Date.now();
+    await outbox.poll();
+    const row = supabase.rows("email_outbox")[0];
+    assert.equal(row.status, "queued");
+    assert.equal(row.attempts, i + 1);
+    assert.equal(row.last_error, "smtp down");
+    delays.push(Date.parse(row.run_after) - before);
+
+    // Not due yet: polling again sends nothing
+    await outbox.poll();
+    assert.equal(delivered.length, i + 1);
+    makeDue(supabase);
+  }
+  assert.ok(delays[0] >= 1000 && delays[0] < 1500, `first delay ${delays[0]}`);
+  assert.ok(delays[1] >= 2000 && delays[1] < 2500, `second delay ${delays[1]}`);
+
+  await outbox.poll();
+  const row = supabase.rows("email_outbox")[0];
+  assert.equal(row.status, "failed");
+  assert.equal(row.attempts, 3);
+  assert.equal(row.last_error, "smtp still down");
+});
+
+test("a failed email can be queued again by an admin", async (t) => {
+  quietConsole(t);
+  const { supabase, outbox, delivered } = setup();
+  supabase.rows("email_outbox").push({ ...outboxSchema().email_outbox.defaults(), id: "email-1", template: "bookReady", status: "failed", attempts: 3 });
+
+  assert.equal(await outbox.retry("missing"), null);
+  const retried = await outbox.retry("email-1");
+  assert.equal(retried.status, "queued");
+  assert.equal(retried.attempts, 0);
+  assert.equal(await outbox.retry("email-1"), null, "only failed emails are retried");
+
+  await outbox.poll();
+  assert.deepEqual(delivered, ["email-1"]);
+  assert.equal(supabase.rows("email_outbox")[0].status, "sent");
+});
+
+test("a claimed email is not sent by a second worker", async (t) => {
+  quietConsole(t);
+  const { supabase, outbox, delivered } = setup();
+  supabase.rows("email_outbox").push({
+    ...outboxSchema().email_outbox.defaults(), id: "email-1", template: "bookReady",
+    locked_until: new Date(Date.now() + 60 * 1000).toISOString()
+  });
+
+  await outbox.poll();
+  assert.deepEqual(delivered, []);
+
+  supabase.rows("email_outbox")[0].locked_until = new Date(Date.now() - 1000).toISOString();
+  await outbox.poll();
+  assert.deepEqual(delivered, ["email-1"]);
+});
+
+test("a bounce marks the sent email by its provider id", async (t) => {
+  quietConsole(t);
+  const { supabase, outbox } = setup(["msg-1"]);
+  await outbox.enqueue("bookReady", {}, { to: "a@example.com", bookId: "book-1" });
+  await outbox.poll();
+
+  assert.equal(await outbox.markBounced("msg-unknown", "no such mailbox"), null);
+  const bounced = await outbox.markBounced("msg-1", "no such mailbox");
+  assert.equal(bounced.status, "bounced");
+  assert.equal(bounced.last_error, "no such mailbox");
+  assert.ok(bounced.bounced_at);
+  assert.equal(await outbox.markBounced("msg-1", "again"), null, "a bounce is recorded once");
+  assert.equal(supabase.rows("email_outbox")[0].last_error, "no such mailbox");
+});
+
+test("countRecent counts one template's emails for a book since a time", async (t) => {
+  quietConsole(t);
+  const { supabase, outbox } = setup();
+  const defaults = outboxSchema().email_outbox.defaults;
+  supabase.rows("email_outbox").push(
+    { ...defaults(), template: "contactReply", book_id: "book-1", created_at: "2026-10-19T08:00:00.000Z" },
+    { ...defaults(), template: "contactReply", book_id: "book-1", created_at: "2026-10-19T09:30:00.000Z" },
+    { ...defaults(), template: "contactReply", book_id: "book-2", created_at: "2026-10-19T09:30:00.000Z" },
+    { ...defaults(), template: "bookReady",    book_id: "book-1", created_at: "2026-10-19T09:30:00.000Z" }
+  );
+  assert.equal(await outbox.countRecent("book-1", "contactReply", new Date("2026-10-19T09:00:00Z")), 1);
+  assert.equal(await outbox.countRecent("book-1", "contactReply", new Date("2026-10-19T07:00:00Z")), 2);
+  assert.equal(await outbox.countRecent("book-3", "contactReply", new Date("2026-10-19T07:00:00Z")), 0);
+});
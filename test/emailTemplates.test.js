@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  EMAIL_TEMPLATE_NAMES, emailLanguage, htmlToText, listEmailTemplates, renderEmail, sampleEmailData
+} from "../lib/emailTemplates.js";
+
+test("every template renders its sample in each of its languages", () => {
+  for (const { name, languages } of listEmailTemplates()) {
+    assert.ok(languages.includes("en"), `${name} has no English version`);
+    for (const lang of languages) {
+      const { subject, html, text } = renderEmail(name, sampleEmailData(name), { lang });
+      assert.ok(subject && !subject.includes("undefined"), `${name}/${lang} subject`);
+      assert.ok(!html.includes("undefined"), `${name}/${lang} html`);
+      assert.match(html, new RegExp(`<html lang="${lang}" dir="${lang === "he" ? "rtl" : "ltr"}"`));
+      assert.ok(text && !/<[a-z/][^>]*>/i.test(text), `${name}/${lang} text still has tags`);
+    }
+  }
+});
+
+test("customer emails come in Hebrew; team emails only in English", () => {
+  const languages = Object.fromEntries(listEmailTemplates().map(({ name, languages }) => [name, languages]));
+  assert.deepEqual(languages.bookReady, ["en", "he"]);
+  assert.deepEqual(languages.previewReminder, ["en", "he"]);
+  assert.deepEqual(languages.contactNotification, ["en"]);
+  assert.equal(listEmailTemplates().length, EMAIL_TEMPLATE_NAMES.length);
+});
+
+test("a template without the language falls back to English", () => {
+  const data = sampleEmailData("contactNotification");
+  const he   = renderEmail("contactNotification", data, { lang: "he" });
+  const en   = renderEmail("contactNotification", data, { lang: "en" });
+  assert.deepEqual(he, en);
+  assert.match(he.html, /dir="ltr"/);
+});
+
+test("story languages without email copy get English", () => {
+  assert.equal(emailLanguage("he"), "he");
+  assert.equal(emailLanguage(" HE "), "he");
+  assert.equal(emailLanguage("fr"), "en");
+  assert.equal(emailLanguage(null), "en");
+});
+
+test("an unknown template throws", () => {
+  assert.throws(() => renderEmail("noSuchEmail", {}), /Unknown email template: noSuchEmail/);
+  assert.equal(sampleEmailData("noSuchEmail"), null);
+});
+
+test("data is escaped in the HTML and read back plainly in the subject and text", () => {
+  const data = { ...sampleEmailData("bookReady"), childName: `Tom <b>"&"</b>` };
+  const { subject, html, text } = renderEmail("bookReady", data);
+  assert.ok(!html.includes("<b>"));
+  assert.ok(html.includes("Tom &lt;b&gt;&quot;&amp;&quot;&lt;/b&gt;"));
+  assert.ok(subject.startsWith(`✨ Tom <b>"&"</b>'s book is ready!`));
+  assert.ok(text.includes(`Tom <b>"&"</b>'s book is ready!`));
+});
+
+test("the plain-text part keeps link addresses and the message content", () => {
+  const data = sampleEmailData("bookReady");
+  const { text } = renderEmail("bookReady", data, { appUrl: "https://example.test" });
+  assert.ok(text.includes(`Read & Download My Book →: ${data.readUrl}`));
+  assert.ok(text.includes(`“${data.bookTitle}”`));
+  assert.ok(text.includes("Contact Us: https://example.test/contact.html"));
+  assert.ok(!/\n{3,}/.test(text));
+});
+
+test("htmlToText turns blocks into lines and drops the head", () => {
+  const html = `<head><title>Hidden</title></head><p>One&nbsp;&amp; two</p><p>Line<br/>break</p>`
+    + `<p><a href="https://a.test">https://a.test</a> <a href="https://b.test"><b>B</b></a></p>`
+    + `<table><tr><td>Name</td><td>Maya</td></tr></table>`;
+  assert.equal(htmlToText(html), "One & two\n\nLine\nbreak\n\nhttps://a.test B: https://b.test\n\nName Maya");
+});
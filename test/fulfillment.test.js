@@ -0,0 +1,190 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createFulfillmentWorker } from "../lib/fulfillment.js";
+import { createPrintProvider } from "../lib/printProviders.js";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const FILES = { interior: Buffer.from("%PDF interior"), cover: Buffer.from("%PDF cover") };
+
+function quietConsole(t) {
+  for (const method of ["log", "warn", "error"]) t.mock.method(console, method, () => {});
+}
+
+function order(fields) {
+  return {
+    id: "order-1", book_id: "book-1", status: "pending", attempts: 0, events: [],
+    run_after: new Date(Date.now() - 1000).toISOString(), locked_until: null, tracking_checked_at: null,
+    created_at: "2026-10-19T08:00:00Z", updated_at: "2026-10-19T08:00:00Z", ...fields
+  };
+}
+
+// A provider that remembers what it was sent and reports `statuses[id]`
+function fakeProvider({ fail = null, statuses = {} } = {}) {
+  const submitted = [];
+  return {
+    submitted,
+    statuses,
+    name: "fake",
+    async submit({ order: sent, files }) {
+      if (fail) throw new Error(fail);
+      submitted.push({ id: sent.id, files });
+      return { providerOrderId: `fake-${sent.id}` };
+    },
+    async getStatus(id) {
+      return statuses[id] || { status: "submitted", events: [] };
+    }
+  };
+}
+
+function setup(orders, { provider = fakeProvider(), loadPrintFiles = async () => FILES, ...options } = {}) {
+  const supabase = createFakeSupabase();
+  supabase.rows("print_orders").push(...orders);
+  const changes = [];
+  const worker  = createFulfillmentWorker({
+    supabase, provider, loadPrintFiles,
+    onStatusChange: async (changed, from) => { changes.push([from, changed.status]); },
+    ...options
+  });
+  return { supabase, worker, provider, changes, row: () => supabase.rows("print_orders")[0] };
+}
+
+test("a pending order is submitted with its print files", async (t) => {
+  quietConsole(t);
+  const { worker, provider, changes, row } = setup([order()]);
+  await worker.poll();
+
+  assert.deepEqual(provider.submitted, [{ id: "order-1", files: FILES }]);
+  assert.equal(row().status, "submitted");
+  assert.equal(row().provider, "fake");
+  assert.equal(row().provider_order_id, "fake-order-1");
+  assert.equal(row().locked_until, null);
+  assert.equal(row().events.at(-1).message, "Sent to fake");
+  assert.deepEqual(changes, [["pending", "submitted"]]);
+});
+
+test("an order whose book is still being illustrated waits", async (t) => {
+  quietConsole(t);
+  const { worker, provider, row } = setup([order()], { loadPrintFiles: async () => null });
+  await worker.poll();
+  assert.deepEqual(provider.submitted, []);
+  assert.equal(row().status, "pending");
+  assert.equal(row().locked_until, null);
+});
+
+test("a failed submission backs off, then fails the order", async (t) => {
+  quietConsole(t);
+  const { worker, changes, row } = setup([order()], { provider: fakeProvider({ fail: "provider down" }), maxAttempts: 2, retryDelayMs: 60 * 1000 });
+
+  await worker.poll();
+  assert.equal(row().status, "pending");
+  assert.equal(row().attempts, 1);
+  assert.equal(row().last_error, "provider down");
+  assert.ok(Date.parse(row().run_after) > Date.now(), "not retried until run_after");
+
+  await worker.poll();
+  assert.equal(row().attempts, 1, "still waiting");
+
+  row().run_after = new Date(Date.now() - 1000).toISOString();
+  await worker.poll();
+  assert.equal(row().status, "failed");
+  assert.equal(row().attempts, 2);
+  assert.deepEqual(changes, [["pending", "failed"]]);
+});
+
+test("an order locked by another worker is left alone until the lock runs out", async (t) => {
+  quietConsole(t);
+  const { worker, provider, row } = setup([order({ locked_until: new Date(Date.now() + 60 * 1000).toISOString() })]);
+  await worker.poll();
+  assert.deepEqual(provider.submitted, []);
+
+  row().locked_until = new Date(Date.now() - 1000).toISOString();
+  await worker.poll();
+  assert.equal(provider.submitted.length, 1);
+});
+
+test("two workers polling together submit an order once", async (t) => {
+  quietConsole(t);
+  const { supabase, provider } = setup([order()]);
+  const make = () => createFulfillmentWorker({ supabase, provider, loadPrintFiles: async () => FILES });
+  await Promise.all([make().poll(), make().poll()]);
+  assert.equal(provider.submitted.length, 1);
+});
+
+test("tracking records the shipment and merges provider events once", async (t) => {
+  quietConsole(t);
+  const events   = [{ at: "2026-10-20T09:00:00Z", status: "shipped", message: "Left the printer" }];
+  const provider = fakeProvider({
+    statuses: { "fake-order-1": { status: "shipped", carrier: "UPS", trackingNumber: "1Z999", trackingUrl: "https://ups.example/1Z999", events } }
+  });
+  const { worker, changes, row } = setup([order({ status: "submitted", provider_order_id: "fake-order-1" })], { provider });
+
+  await worker.poll();
+  assert.equal(row().status, "shipped");
+  assert.equal(row().tracking_number, "1Z999");
+  assert.ok(row().shipped_at);
+  assert.equal(row().events.length, 1);
+  assert.deepEqual(changes, [["submitted", "shipped"]]);
+
+  // Checked again later: nothing new
+  row().tracking_checked_at = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  await worker.poll();
+  assert.equal(row().events.length, 1);
+  assert.equal(changes.length, 1);
+});
+
+test("orders checked recently, or no longer open, are not tracked", async (t) => {
+  quietConsole(t);
+  let asked = 0;
+  const provider = { ...fakeProvider(), getStatus: async () => { asked++; return null; } };
+  const { worker } = setup([
+    order({ id: "recent", status: "submitted", tracking_checked_at: new Date().toISOString() }),
+    order({ id: "done",   status: "delivered" })
+  ], { provider });
+  await worker.poll();
+  assert.equal(asked, 0);
+});
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lifebook-filedrop-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("the file drop writes each order to its own folder", async (t) => {
+  const dir      = await tempDir(t);
+  const provider = createPrintProvider({ provider: "filedrop", dir });
+  const sent     = order({ format: "hardcover", binding: "hardcover", trim_size: "8x8", quantity: 1, shipping_name: "Dana", shipping_address: { city: "Haifa" } });
+
+  const first = await provider.submit({ order: sent, files: FILES });
+  assert.deepEqual(await provider.submit({ order: sent, files: FILES }), first, "submitting again is harmless");
+
+  const folder = path.join(dir, "outbox", first.providerOrderId);
+  assert.equal(await fs.readFile(path.join(folder, "interior.pdf"), "utf8"), "%PDF interior");
+  const written = JSON.parse(await fs.readFile(path.join(folder, "order.json"), "utf8"));
+  assert.equal(written.bookId, "book-1");
+  assert.deepEqual(written.shipping, { name: "Dana", address: { city: "Haifa" } });
+});
+
+test("the file drop reads status back from its status folder", async (t) => {
+  const dir      = await tempDir(t);
+  const provider = createPrintProvider({ provider: "filedrop", dir });
+  assert.deepEqual(await provider.getStatus("drop-order-1"), { status: "submitted", events: [] });
+
+  await fs.mkdir(path.join(dir, "status"));
+  await fs.writeFile(path.join(dir, "status", "drop-order-1.json"), JSON.stringify({ status: "delivered", carrier: "DHL" }));
+  assert.deepEqual(await provider.getStatus("drop-order-1"), {
+    status: "delivered", carrier: "DHL", trackingNumber: null, trackingUrl: null, events: []
+  });
+
+  await fs.writeFile(path.join(dir, "status", "drop-order-2.json"), JSON.stringify({ status: "lost" }));
+  await assert.rejects(provider.getStatus("drop-order-2"), /unknown status "lost"/);
+  assert.deepEqual(await provider.getStatus("../status/drop-order-1"), { status: "delivered", carrier: "DHL", trackingNumber: null, trackingUrl: null, events: [] },
+    "ids cannot point outside the status folder");
+});
+
+test("an unknown provider is refused", () => {
+  assert.throws(() => createPrintProvider({ provider: "lulu" }), /Unknown PRINT_PROVIDER: lulu/);
+});
@@ -0,0 +1,198 @@
+import crypto from "crypto";
+
+// ─── In-memory Supabase ───────────────────────────────────────────────────────
+// Just enough of the supabase-js query builder for the lib/ modules: tables
+// are arrays of plain rows, filters run in JS, and every query resolves to
+// { data, error } (or { count } with { head: true }). Column lists in select()
+// are ignored — whole rows come back. Each table may name default values for
+// insert, and related rows to embed the way a select of "other_table (…)"
+// would; `failNext(table, error)` makes the next query on it fail.
+//
+//   const db = createFakeSupabase({ generation_jobs: { defaults: () => ({ id: crypto.randomUUID() }) } });
+//   const db = createFakeSupabase({ sessions: { embeds: { users: (row, db) => db.rows("users").find(u => u.id === row.user_id) } } });
+//   db.rows("generation_jobs")
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case "eq":  return actual === expected || (actual != null && expected != null && String(actual) === String(expected));
+    case "neq": return !compare("eq", actual, expected) && actual != null;
+    case "lt":  return actual != null && actual <  expected;
+    case "lte": return actual != null && actual <= expected;
+    case "gt":  return actual != null && actual >  expected;
+    case "gte": return actual != null && actual >= expected;
+    case "is":  return expected === null ? actual == null : actual === expected;
+    case "in":  return expected.includes(actual);
+    default: throw new Error(`fakeSupabase: unsupported operator ${op}`);
+  }
+}
+
+// "a.eq.1,and(b.lt.2,c.is.null)" → a predicate
+function splitTerms(text) {
+  const terms = [];
+  let depth = 0, start = 0, quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && c === "(") depth++;
+    else if (!quoted && c === ")") depth--;
+    else if (!quoted && c === "," && depth === 0) {
+      terms.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  terms.push(text.slice(start));
+  return terms;
+}
+
+function parseOr(text, combine = "or") {
+  const preds = splitTerms(text).map(term => {
+    const group = /^(and|or)\((.*)\)$/s.exec(term);
+    if (group) return parseOr(group[2], group[1]);
+    const [column, op, ...rest] = term.split(".");
+    let value = rest.join(".");
+    if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+    if (value === "null") value = null;
+    return row => compare(op, row[column], value);
+  });
+  return combine === "and" ? row => preds.every(p => p(row)) : row => preds.some(p => p(row));
+}
+
+class Query {
+  constructor(db, table) {
+    this.db       = db;
+    this.table    = table;
+    this.action   = "select";
+    this.filters  = [];
+    this.orders   = [];
+    this.limitTo  = null;
+    this.mode     = "many";
+    this.head     = false;
+    this.count    = null;
+    this.payload  = null;
+    this.returns  = false;
+    this.options  = {};
+  }
+
+  select(columns, { count = null, head = false } = {}) {
+    if (this.action === "select") {
+      this.count = count;
+      this.head  = head;
+    } else {
+      this.returns = true;
+    }
+    return this;
+  }
+
+  insert(rows)          { this.action = "insert"; this.payload = rows; return this; }
+  update(patch)         { this.action = "update"; this.payload = patch; return this; }
+  upsert(rows, options) { this.action = "upsert"; this.payload = rows; this.options = options || {}; return this; }
+  delete()              { this.action = "delete"; return this; }
+
+  filter(op, column, value) { this.filters.push(row => compare(op, row[column], value)); return this; }
+  eq(column, value)  { return this.filter("eq",  column, value); }
+  neq(column, value) { return this.filter("neq", column, value); }
+  lt(column, value)  { return this.filter("lt",  column, value); }
+  lte(column, value) { return this.filter("lte", column, value); }
+  gt(column, value)  { return this.filter("gt",  column, value); }
+  gte(column, value) { return this.filter("gte", column, value); }
+  is(column, value)  { return this.filter("is",  column, value); }
+  in(column, values) { return this.filter("in",  column, values); }
+  not(column, op, value) {
+    this.filters.push(row => !compare(op, row[column], value === "null" ? null : value));
+    return this;
+  }
+  or(text) { this.filters.push(parseOr(text)); return this; }
+  ilike(column, pattern) {
+    const re = new RegExp(`^${pattern.split("%").map(s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+    this.filters.push(row => re.test(String(row[column] ?? "")));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) { this.orders.push([column, ascending]); return this; }
+  limit(n) { this.limitTo = n; return this; }
+  maybeSingle() { this.mode = "maybe"; return this; }
+  single()      { this.mode = "single"; return this; }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+
+  matching() {
+    return this.db.rows(this.table).filter(row => this.filters.every(f => f(row)));
+  }
+
+  run() {
+    const failure = this.db.takeFailure(this.table);
+    if (failure) return { data: null, error: failure, count: null };
+
+    let rows;
+    if (this.action === "insert" || this.action === "upsert") {
+      const list     = Array.isArray(this.payload) ? this.payload : [this.payload];
+      const table    = this.db.rows(this.table);
+      const conflict = this.options.onConflict;
+      rows = [];
+      for (const item of list) {
+        const existing = conflict && table.find(row => row[conflict] === item[conflict]);
+        if (existing) {
+          if (!this.options.ignoreDuplicates) Object.assign(existing, item);
+          continue;
+        }
+        const row = { ...this.db.defaults(this.table), ...item };
+        table.push(row);
+        rows.push(row);
+      }
+    } else if (this.action === "update") {
+      rows = this.matching();
+      for (const row of rows) Object.assign(row, this.payload);
+    } else if (this.action === "delete") {
+      rows = this.matching();
+      this.db.tables[this.table] = this.db.rows(this.table).filter(row => !rows.includes(row));
+    } else {
+      rows = this.matching();
+    }
+
+    for (const [column, ascending] of [...this.orders].reverse()) {
+      rows = [...rows].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+    }
+    const count = rows.length;
+    if (this.limitTo != null) rows = rows.slice(0, this.limitTo);
+
+    if (this.head) return { data: null, error: null, count };
+    if (this.action !== "select" && !this.returns) return { data: null, error: null, count: null };
+
+    const data = rows.map(row => structuredClone({ ...row, ...this.db.embedded(this.table, row) }));
+    if (this.mode === "many") return { data, error: null, count: this.count ? count : null };
+    if (data.length > 1) return { data: null, error: { message: "multiple rows returned" }, count: null };
+    if (this.mode === "single" && !data.length) return { data: null, error: { message: "no rows returned" }, count: null };
+    return { data: data[0] || null, error: null, count: null };
+  }
+}
+
+export function createFakeSupabase(schema = {}) {
+  const failures = {};
+  const db = {
+    tables: {},
+    rows(table) {
+      return (db.tables[table] ||= []);
+    },
+    defaults(table) {
+      return { id: crypto.randomUUID(), ...(schema[table]?.defaults?.() || {}) };
+    },
+    embedded(table, row) {
+      const embeds = schema[table]?.embeds || {};
+      return Object.fromEntries(Object.entries(embeds).map(([name, find]) => [name, find(row, db) ?? null]));
+    },
+    failNext(table, error) {
+      failures[table] = error;
+    },
+    takeFailure(table) {
+      const error = failures[table];
+      delete failures[table];
+      return error || null;
+    },
+    from(table) {
+      return new Query(db, table);
+    }
+  };
+  return db;
+}
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createIllustrator, normalizeImageToBase64 } from "../lib/illustrations.js";
+
+function quietConsole(t) {
+  for (const method of ["log", "warn", "error"]) t.mock.method(console, method, () => {});
+}
+
+// Records each images call; `edit` answers with editResult, or throws it when it is an Error
+function fakeOpenai({ editResult = { data: [{ b64_json: "edited" }] } } = {}) {
+  const calls = { generate: [], edit: [] };
+  return {
+    calls,
+    images: {
+      async generate(params) {
+        calls.generate.push(params);
+        return { data: [{ b64_json: "generated" }] };
+      },
+      async edit(params) {
+        calls.edit.push(params);
+        if (editResult instanceof Error) throw editResult;
+        return editResult;
+      }
+    }
+  };
+}
+
+const PHOTO = { body: Buffer.from("photo"), contentType: "image/jpeg", label: "A photo of the child" };
+const SHEET = { body: Buffer.from("sheet"), contentType: "image/png",  label: "The character sheet" };
+
+test("references are sent as image inputs, labelled in order", async () => {
+  const openai      = fakeOpenai();
+  const illustrator = createIllustrator({ openai, model: "test-model", size: "512x512" });
+
+  const result = await illustrator.draw("Maya in the garden", { references: [PHOTO, SHEET] });
+  assert.deepEqual(result, { base64: "edited", referenced: true });
+  assert.equal(openai.calls.generate.length, 0);
+
+  const [call] = openai.calls.edit;
+  assert.equal(call.model, "test-model");
+  assert.equal(call.size, "512x512");
+  assert.deepEqual(call.image.map(file => file.name), ["reference-1.jpg", "reference-2.png"]);
+  assert.match(call.prompt, /^Reference images, in order:\n1\. A photo of the child\n2\. The character sheet\n/);
+  assert.ok(call.prompt.endsWith("Maya in the garden"));
+});
+
+test("unusable references are left out, and none at all draws from the text", async () => {
+  const openai      = fakeOpenai();
+  const illustrator = createIllustrator({ openai });
+
+  await illustrator.draw("page", { references: [PHOTO, { ...SHEET, contentType: "image/gif" }, { ...SHEET, body: Buffer.alloc(0) }, null] });
+  assert.deepEqual(openai.calls.edit[0].image.map(file => file.name), ["reference-1.jpg"]);
+
+  const result = await illustrator.draw("page", { references: [{ ...PHOTO, contentType: "image/heic" }] });
+  assert.deepEqual(result, { base64: "generated", referenced: false });
+  assert.equal(openai.calls.edit.length, 1);
+});
+
+test("a failed reference call falls back to the text description", async (t) => {
+  quietConsole(t);
+  const openai      = fakeOpenai({ editResult: new Error("image input rejected") });
+  const illustrator = createIllustrator({ openai });
+
+  const result = await illustrator.draw("page", { references: [PHOTO] });
+  assert.deepEqual(result, { base64: "generated", referenced: false });
+  assert.equal(openai.calls.generate[0].prompt, "page");
+  assert.match(console.warn.mock.calls[0].arguments[0], /using the text description — image input rejected/);
+});
+
+test("a reference call that returns no image also falls back", async () => {
+  const openai      = fakeOpenai({ editResult: { data: [] } });
+  const illustrator = createIllustrator({ openai });
+
+  assert.deepEqual(await illustrator.draw("page", { references: [PHOTO] }), { base64: "generated", referenced: false });
+});
+
+test("without textFallback a failed reference call returns no image", async (t) => {
+  quietConsole(t);
+  const openai      = fakeOpenai({ editResult: new Error("busy") });
+  const illustrator = createIllustrator({ openai });
+
+  assert.deepEqual(await illustrator.draw("sheet", { references: [PHOTO], textFallback: false }), { base64: null, referenced: false });
+  assert.equal(openai.calls.generate.length, 0);
+});
+
+test("with references turned off every image is drawn from the text", async () => {
+  const openai      = fakeOpenai();
+  const illustrator = createIllustrator({ openai, useReferences: false });
+
+  assert.equal(illustrator.usesReferences, false);
+  assert.deepEqual(await illustrator.draw("page", { references: [PHOTO] }), { base64: "generated", referenced: false });
+  assert.equal(openai.calls.edit.length, 0);
+});
+
+test("normalizeImageToBase64 reads base64 answers", async () => {
+  assert.equal(await normalizeImageToBase64({ b64_json: "abc" }), "abc");
+  assert.equal(await normalizeImageToBase64({}), null);
+  assert.equal(await normalizeImageToBase64(undefined), null);
+});
@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createJobQueue, JOB_STEPS } from "../lib/jobQueue.js";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const MIGRATIONS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "supabase", "migrations");
+
+function quietConsole(t) {
+  for (const method of ["log", "warn", "error"]) t.mock.method(console, method, () => {});
+}
+
+// Resolves once `check` passes, polling the fake database
+async function waitFor(check, { timeoutMs = 2000 } = {}) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error("timed out waiting for the job queue");
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Polls every few milliseconds so retries come round quickly; stopped after the test
+function makeQueue(t, supabase, options) {
+  const queue = createJobQueue({ supabase, retryDelayMs: 1, pollIntervalMs: 5, ...options });
+  queue.start();
+  t.after(() => queue.stop());
+  return queue;
+}
+
+test("runs every step in order and calls onComplete", async (t) => {
+  quietConsole(t);
+  const supabase = createFakeSupabase();
+  const ran      = [];
+  const steps    = Object.fromEntries(JOB_STEPS.map(step => [step, async (bookId) => { ran.push(`${step}:${bookId}`); }]));
+  let completed  = null;
+  const queue    = makeQueue(t, supabase, { steps, onComplete: (job) => { completed = job; } });
+
+  const { job, created } = await queue.enqueue("book-1");
+  assert.equal(created, true);
+  await waitFor(() => supabase.rows("generation_jobs")[0].status === "completed" && completed);
+
+  assert.deepEqual(ran, JOB_STEPS.map(step => `${step}:book-1`));
+  assert.equal(completed.id, job.id);
+  assert.equal(supabase.rows("generation_jobs")[0].step, JOB_STEPS.at(-1));
+});
+
+test("reuses the active job for a book", async (t) => {
+  quietConsole(t);
+  const supabase = createFakeSupabase();
+  let release    = null;
+  const queue    = makeQueue(t, supabase, { steps: { character: () => new Promise(resolve => { release = resolve; }) } });
+
+  const first  = await queue.enqueue("book-1");
+  await waitFor(() => release);
+  const second = await queue.enqueue("book-1");
+  assert.equal(second.created, false);
+  assert.equal(second.job.id, first.job.id);
+
+  release();
+  await waitFor(() => supabase.rows("generation_jobs")[0].status === "completed");
+});
+
+test("resumes from the recorded step", async (t) => {
+  quietConsole(t);
+  const supabase = createFakeSupabase();
+  const ran      = [];
+  const steps    = Object.fromEntries(JOB_STEPS.map(step => [step, async () => { ran.push(step); }]));
+  const queue    = makeQueue(t, supabase, { steps });
+
+  await queue.enqueue("book-1", { step: "cover" });
+  await waitFor(() => supabase.rows("generation_jobs")[0].status === "completed");
+  assert.deepEqual(ran, JOB_STEPS.slice(JOB_STEPS.indexOf("cover")));
+});
+
+test("on-demand steps run only for jobs enqueued at them", async (t) => {
+  quietConsole(t);
+  const supabase = createFakeSupabase();
+  const ran      = [];
+  const steps    = Object.fromEntries(JOB_STEPS.map(step => [step, async () => { ran.push(step); }]));
+  const queue    = makeQueue(t, supabase, { steps, onDemand: ["narration"] });
+
+  await queue.enqueue("book-1");
+  await waitFor(() => supabase.rows("generation_jobs")[0].status === "completed");
+  assert.deepEqual(ran, JOB_STEPS.filter(step => step !== "narration"));
+  assert.equal(supabase.rows("generation_jobs")[0].step, "pages");
+
+  ran.length = 0;
+  await queue.enqueue("book-1", { step: "narration" });
+  await waitFor(() => supabase.rows("generation_jobs").every(job => job.status === "completed"));
+  assert.deepEqual(ran, ["narration"]);
+});
+
+test("retries a failing step, then fails the job with a sync onFailed hook", async (t) => {
+  quietConsole(t);
+  const supabase = createFakeSupabase();
+  let attempts   = 0;
+  const failures = [];
+  const queue    = makeQueue(t, supabase, {
+    maxAttempts: 2,
+    steps:       { character: async () => { attempts++; throw new Error("model unavailable"); } },
+    // Deliberately synchronous and returning nothing, like server.js's hook
+    onFailed:    (job) => { failures.push(job); }
+  });
+
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on("unhandledRejection", onUnhandled);
+  t.after(() => process.off("unhandledRejection", onUnhandled));
+
+  await queue.enqueue("book-1");
+  await waitFor(() => supabase.rows("generation_jobs")[0].status === "failed" && failures.length);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const job = supabase.rows("generation_jobs")[0];
+  assert.equal(attempts, 2);
+  assert.equal(job.attempts, 2);
+  assert.equal(job.last_error, "model unavailable");
+  assert.equal(failures[0].attempts, 2);
+  assert.deepEqual(unhandled, []);
+});
+
+test("an onFailed hook that throws does not stop the worker", async (t) => {
+  quietConsole(t);
+  const supabase = createFakeSupabase();
+  const queue    = makeQueue(t, supabase, {
+    maxAttempts: 1,
+    steps:       { character: async () => { throw new Error("boom"); } },
+    onFailed:    () => { throw new Error("hook broke"); }
+  });
+
+  await queue.enqueue("book-1");
+  await waitFor(() => supabase.rows("generation_jobs")[0].status === "failed");
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  // The queue still takes new work
+  const next = await queue.enqueue("book-2");
+  assert.equal(next.created, true);
+  await waitFor(() => supabase.rows("generation_jobs").every(job => job.status === "failed"));
+});
+
+test("the latest migration's step check allows every JOB_STEPS entry", () => {
+  const files = fs.readdirSync(MIGRATIONS).filter(f => f.endsWith(".sql")).sort();
+  let allowed = null;
+  for (const file of files) {
+    const sql   = fs.readFileSync(path.join(MIGRATIONS, file), "utf8");
+    const match = /step\s+in\s*\(([^)]*)\)/i.exec(sql.replace(/--.*$/gm, ""));
+    if (match && /generation_jobs/.test(sql)) allowed = match[1].split(",").map(s => s.trim().replace(/'/g, ""));
+  }
+  assert.ok(allowed, "no step check found in the migrations");
+  for (const step of JOB_STEPS) assert.ok(allowed.includes(step), `step "${step}" is not allowed by the database`);
+});
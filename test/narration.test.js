@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { alignWords, tokenizeWords, narrationTextHash, createTtsProvider, narratePage } from "../lib/narration.js";
+
+function timed(...entries) {
+  return entries.map(([word, start, end]) => ({ word, start, end }));
+}
+
+test("tokenizeWords keeps each word's place in the text", () => {
+  assert.deepEqual(tokenizeWords("Max  ran,\nfast."), [
+    { text: "Max",   charStart: 0, charEnd: 3 },
+    { text: "ran,",  charStart: 5, charEnd: 9 },
+    { text: "fast.", charStart: 10, charEnd: 15 }
+  ]);
+});
+
+test("matches words regardless of case and punctuation", () => {
+  const words = alignWords("Max ran, fast!", timed(["max", 0.1, 0.4], ["ran", 0.5, 0.8], ["Fast", 0.9, 1.3]), 1.5);
+  assert.deepEqual(words.map(w => [w.text, w.start, w.end]), [
+    ["Max",   0.1, 0.4],
+    ["ran,",  0.5, 0.8],
+    ["fast!", 0.9, 1.3]
+  ]);
+});
+
+test("a word the transcriber dropped fills the gap between its neighbours", () => {
+  const words = alignWords("the big dog", timed(["the", 0, 1], ["dog", 2, 3]), 3);
+  assert.deepEqual(words.map(w => [w.start, w.end]), [[0, 1], [1, 2], [2, 3]]);
+});
+
+test("unmatched words share a gap by length", () => {
+  const words = alignWords("a bb cccc", timed(["a", 0, 1]), 8);
+  assert.deepEqual(words.map(w => [w.text, w.start, w.end]), [
+    ["a",    0, 1],
+    ["bb",   1, 3.333],
+    ["cccc", 3.333, 8]
+  ]);
+});
+
+test("an extra transcribed word does not derail the rest", () => {
+  const words = alignWords("one two three", timed(["one", 0, 1], ["um", 1, 1.5], ["two", 1.5, 2], ["three", 2, 3]), 3);
+  assert.deepEqual(words.map(w => w.start), [0, 1.5, 2]);
+});
+
+test("Hebrew vowel marks are ignored when matching", () => {
+  const words = alignWords("שָׁלוֹם", timed(["שלום", 0.2, 0.9]), 1);
+  assert.deepEqual([words[0].start, words[0].end], [0.2, 0.9]);
+});
+
+test("with no timings at all, the words are spread over the duration", () => {
+  const words = alignWords("ab cd", [], 4);
+  assert.deepEqual(words.map(w => [w.start, w.end]), [[0, 2], [2, 4]]);
+});
+
+test("timings never go backwards", () => {
+  const words = alignWords("one two three four five", timed(["one", 0, 0.5], ["four", 2, 2.5]), 3);
+  for (let i = 0; i < words.length; i++) {
+    assert.ok(words[i].end >= words[i].start);
+    if (i > 0) assert.ok(words[i].start >= words[i - 1].end - 0.001);
+  }
+});
+
+test("narrationTextHash changes with the text", () => {
+  assert.equal(narrationTextHash("a"), narrationTextHash("a"));
+  assert.notEqual(narrationTextHash("a"), narrationTextHash("b"));
+});
+
+test("the stub provider narrates every word of the page", async () => {
+  const tts  = createTtsProvider({ provider: "stub" });
+  const page = await narratePage(tts, "Once upon a time");
+  assert.equal(page.contentType, "audio/wav");
+  assert.equal(page.audio.toString("ascii", 0, 4), "RIFF");
+  assert.deepEqual(page.words.map(w => w.text), ["Once", "upon", "a", "time"]);
+  assert.ok(page.words.at(-1).end <= page.duration);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PAYMENT_TRANSITIONS, canTransition, isRefundedCheckout } from "../lib/paymentStates.js";
+
+test("only paid books unlock", () => {
+  for (const [to, { unlocked }] of Object.entries(PAYMENT_TRANSITIONS)) {
+    assert.equal(unlocked, to === "paid", `${to} should ${to === "paid" ? "" : "not "}unlock the book`);
+  }
+});
+
+test("each state stamps its own timestamp", () => {
+  const stamps = Object.values(PAYMENT_TRANSITIONS).map(({ stamp }) => stamp);
+  assert.equal(new Set(stamps).size, stamps.length);
+});
+
+test("allowed moves", () => {
+  assert.ok(canTransition("pending", "paid"));
+  assert.ok(canTransition("failed", "paid"));
+  assert.ok(canTransition("expired", "paid"));
+  assert.ok(canTransition("refunded", "paid"), "a new checkout can pay for a refunded book");
+  assert.ok(canTransition("paid", "refunded"));
+  assert.ok(canTransition("pending", "failed"));
+  assert.ok(canTransition("pending", "expired"));
+});
+
+test("refused moves", () => {
+  assert.ok(!canTransition("paid", "paid"), "a second confirmation must not pay again");
+  assert.ok(!canTransition("paid", "failed"));
+  assert.ok(!canTransition("paid", "expired"));
+  assert.ok(!canTransition("pending", "refunded"));
+  assert.ok(!canTransition("refunded", "refunded"));
+  assert.ok(!canTransition("pending", "unknown"));
+});
+
+test("a refunded book's own checkout is recognised when it comes back", () => {
+  const book = { paymentStatus: "refunded", stripeSessionId: "cs_1", stripePaymentIntentId: "pi_1" };
+  assert.ok(isRefundedCheckout(book, { id: "cs_1", payment_intent: "pi_1" }));
+  // A newer checkout was opened (and abandoned) after the refund
+  assert.ok(isRefundedCheckout({ ...book, stripeSessionId: "cs_2" }, { id: "cs_1", payment_intent: "pi_1" }));
+  assert.ok(isRefundedCheckout({ ...book, stripeSessionId: "cs_2" }, { id: "cs_1", payment_intent: { id: "pi_1" } }));
+});
+
+test("a new checkout for a refunded book is not a replay", () => {
+  const book = { paymentStatus: "refunded", stripeSessionId: "cs_1", stripePaymentIntentId: "pi_1" };
+  assert.ok(!isRefundedCheckout(book, { id: "cs_2", payment_intent: "pi_2" }));
+  assert.ok(!isRefundedCheckout({ ...book, paymentStatus: "pending" }, { id: "cs_1", payment_intent: "pi_1" }));
+  assert.ok(!isRefundedCheckout({ paymentStatus: "refunded" }, { id: "cs_1", payment_intent: null }));
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPreviewReminders } from "../lib/previewReminders.js";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const HOUR = 60 * 60 * 1000;
+
+function quietConsole(t) {
+  for (const method of ["log", "warn", "error"]) t.mock.method(console, method, () => {});
+}
+
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+// A preview left two days ago, with a cover and an address
+function book(fields) {
+  return {
+    book_id: "book-1", customer_email: "Parent@Example.com", payment_status: "pending", purchase_unlocked: false,
+    cover_image: "books/book-1/cover.png", reminders_sent: 0, last_reminder_at: null,
+    created_at: ago(48 * HOUR), updated_at: ago(48 * HOUR), ...fields
+  };
+}
+
+function setup(books, remind = async () => {}) {
+  const supabase = createFakeSupabase();
+  supabase.rows("books").push(...books);
+  const sent      = [];
+  const reminders = createPreviewReminders({
+    supabase,
+    delayMs: 24 * HOUR,
+    remind:  async (bookId, number) => { await remind(bookId, number); sent.push([bookId, number]); }
+  });
+  return { supabase, reminders, sent };
+}
+
+test("a quiet preview gets its next reminder", async (t) => {
+  quietConsole(t);
+  const { supabase, reminders, sent } = setup([book()]);
+  await reminders.poll();
+  assert.deepEqual(sent, [["book-1", 1]]);
+  assert.equal(supabase.rows("books")[0].reminders_sent, 1);
+  assert.ok(supabase.rows("books")[0].last_reminder_at);
+
+  // Too soon after the first
+  await reminders.poll();
+  assert.equal(sent.length, 1);
+});
+
+test("books that are paid, recent, edited, coverless or already reminded enough are skipped", async (t) => {
+  quietConsole(t);
+  const { reminders, sent } = setup([
+    book({ book_id: "paid",      payment_status: "paid", purchase_unlocked: true }),
+    book({ book_id: "edited",    updated_at: ago(HOUR) }),
+    book({ book_id: "no-cover",  cover_image: null }),
+    book({ book_id: "no-email",  customer_email: "" }),
+    book({ book_id: "old",       created_at: ago(30 * 24 * HOUR) }),
+    book({ book_id: "reminded",  reminders_sent: 2, last_reminder_at: ago(48 * HOUR) })
+  ]);
+  await reminders.poll();
+  assert.deepEqual(sent, []);
+});
+
+test("only one of two pollers claims a reminder", async (t) => {
+  quietConsole(t);
+  const supabase = createFakeSupabase();
+  supabase.rows("books").push(book());
+  const sent  = [];
+  const make  = () => createPreviewReminders({ supabase, delayMs: 24 * HOUR, remind: async (bookId, number) => { sent.push(number); } });
+  await Promise.all([make().poll(), make().poll()]);
+  assert.deepEqual(sent, [1]);
+  assert.equal(supabase.rows("books")[0].reminders_sent, 1);
+});
+
+test("a reminder that could not be queued is tried again on the next poll", async (t) => {
+  quietConsole(t);
+  let failing = true;
+  const { supabase, reminders, sent } = setup([book()], async () => {
+    if (failing) throw new Error("outbox unavailable");
+  });
+
+  await reminders.poll();
+  assert.deepEqual(sent, []);
+  assert.equal(supabase.rows("books")[0].reminders_sent, 0);
+  assert.equal(supabase.rows("books")[0].last_reminder_at, null);
+
+  failing = false;
+  await reminders.poll();
+  assert.deepEqual(sent, [["book-1", 1]]);
+  assert.equal(supabase.rows("books")[0].reminders_sent, 1);
+});
+
+test("unsubscribed addresses get no reminders, whatever their case", async (t) => {
+  quietConsole(t);
+  const { supabase, reminders, sent } = setup([book()]);
+  await reminders.unsubscribe("  parent@example.COM ", { bookId: "book-1" });
+  await reminders.unsubscribe("parent@example.com");
+  assert.equal(supabase.rows("email_unsubscribes").length, 1);
+  assert.ok(await reminders.isUnsubscribed("PARENT@example.com"));
+  assert.ok(!await reminders.isUnsubscribed(""));
+
+  await reminders.poll();
+  assert.deepEqual(sent, []);
+});
+
+test("stats count reminded books and those paid through a reminder", async (t) => {
+  quietConsole(t);
+  const { reminders } = setup([
+    book({ book_id: "a", last_reminder_at: ago(HOUR), converted_by_reminder: 1 }),
+    book({ book_id: "b", last_reminder_at: ago(HOUR), converted_by_reminder: null }),
+    book({ book_id: "c", last_reminder_at: ago(10 * 24 * HOUR), converted_by_reminder: 2 })
+  ]);
+  assert.deepEqual(await reminders.stats(new Date(Date.now() - 24 * HOUR)), { reminded: 2, converted: 1 });
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  renderPrintInterior, renderPrintImposed, renderPrintCover, printSpec, interiorPages, printerSpreads, DEFAULT_MIN_PPI
+} from "../lib/printPdf.js";
+import { pngImage } from "./helpers/images.js";
+
+function book(pageCount = 4) {
+  return {
+    bookId:        "book-1",
+    childName:     "Maya",
+    storyLanguage: "en",
+    generatedBook: {
+      title:    "Maya and the Moon",
+      subtitle: "A bedtime adventure",
+      pages:    Array.from({ length: pageCount }, (_, i) => ({ text: `Page ${i + 1} of the story.` }))
+    }
+  };
+}
+
+const lowResolution = warnings => warnings.filter(warning => warning.type === "low-resolution");
+const pageCount     = pdf => (pdf.toString("latin1").match(/\/Type \/Page\b(?!s)/g) || []).length;
+
+test("the spine grows with the page count and the wrap spans both panels", () => {
+  const spec = printSpec({ trim: "8x8", pageCount: 24 });
+  assert.equal(spec.spineMm, 1.7); // 12 leaves × 0.1mm + 0.5mm wrap
+  assert.equal(spec.coverWidthMm, 203.2 * 2 + 1.7 + 6);
+  assert.equal(spec.coverHeightMm, 203.2 + 6);
+  assert.equal(printSpec({ trim: "a5", pageCount: 40, leafCaliperMm: 0.2 }).spineMm, 4.5);
+  assert.throws(() => printSpec({ trim: "letter", pageCount: 8 }), /Unknown trim size: letter/);
+});
+
+test("the interior is padded to a multiple of 4 with the closing page last", () => {
+  const pages = interiorPages(book(5));
+  assert.equal(pages.length, 8);
+  assert.deepEqual(pages.map(page => page.kind), ["title", "story", "story", "story", "story", "story", "blank", "closing"]);
+  assert.equal(interiorPages(book(2)).length, 4);
+});
+
+test("printer's spreads pair pages for saddle stitching, mirrored for right-bound books", () => {
+  assert.deepEqual(printerSpreads(8), [[8, 1], [2, 7], [6, 3], [4, 5]]);
+  assert.deepEqual(printerSpreads(8, "rtl"), [[1, 8], [7, 2], [3, 6], [5, 4]]);
+});
+
+test("each interior page is a sheet with trim and bleed boxes; the imposed file has half as many", async () => {
+  const interior = await renderPrintInterior({ book: book() });
+  const imposed  = await renderPrintImposed({ book: book() });
+  assert.equal(pageCount(interior.pdf), 8);
+  assert.equal(pageCount(imposed.pdf), 4);
+  assert.match(interior.pdf.toString("latin1"), /\/TrimBox \[/);
+  assert.match(interior.pdf.toString("latin1"), /\/BleedBox \[/);
+});
+
+test("missing pictures and text that cannot fit are preflight warnings", async () => {
+  const long    = book(4);
+  long.generatedBook.pages[0].text = "A very long sentence that keeps going. ".repeat(120);
+  const { warnings } = await renderPrintInterior({ book: long, pageImages: [] });
+  assert.equal(warnings.filter(warning => warning.type === "missing-image").length, 4);
+  assert.deepEqual(warnings.filter(warning => warning.type === "text-overflow").map(warning => warning.page), [2]);
+
+  // Four story pages make a spine too thin for its title
+  const wrap = await renderPrintCover({ book: book() });
+  assert.deepEqual(wrap.warnings.map(warning => [warning.page, warning.type]), [["cover", "missing-image"], ["spine", "spine-too-narrow"]]);
+});
+
+test("illustrations the size the pipeline draws pass preflight by default", async () => {
+  const image    = pngImage(1024, 1024);
+  const interior = await renderPrintInterior({ book: book(), pageImages: [image, image, image, image] });
+  const wrap     = await renderPrintCover({ book: book(), cover: image });
+  assert.deepEqual(lowResolution(interior.warnings), []);
+  assert.deepEqual(lowResolution(wrap.warnings), []);
+  assert.equal(interior.spec.minPpi, DEFAULT_MIN_PPI);
+});
+
+test("smaller illustrations are reported", async () => {
+  const image    = pngImage(512, 512);
+  const interior = await renderPrintInterior({ book: book(), pageImages: [image, image, image, image] });
+  assert.equal(lowResolution(interior.warnings).length, 4);
+  assert.match(lowResolution(interior.warnings)[0].message, /prints at 62 ppi \(minimum 120\)/);
+});
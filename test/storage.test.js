@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  createStorage, createLocalStorageDriver, createSupabaseStorageDriver, contentTypeForKey, bookObjectKey, isDataUrl, decodeDataUrl
+} from "../lib/storage.js";
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lifebook-storage-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("the local driver stores, reads back and removes an object", async (t) => {
+  const storage = createLocalStorageDriver(await tempDir(t));
+  const key     = bookObjectKey("book-1", "page-0", "image/png");
+  assert.equal(await storage.put(key, Buffer.from("png bytes"), "image/png"), key);
+
+  const object = await storage.get(key);
+  assert.equal(object.body.toString(), "png bytes");
+  assert.equal(object.contentType, "image/png");
+
+  await storage.remove(key);
+  assert.equal(await storage.get(key), null);
+  await storage.remove(key); // already gone
+});
+
+test("keys cannot leave the storage directory", async (t) => {
+  const storage = createLocalStorageDriver(await tempDir(t));
+  for (const key of ["../secret.txt", "books/../../etc/passwd", "/etc/passwd", "", "books/a b.png", null]) {
+    await assert.rejects(storage.get(key), /Invalid storage key/, `${key} should be refused`);
+  }
+});
+
+test("each write of a slot gets a new key with the type's extension", () => {
+  const first = bookObjectKey("book-1", "cover", "image/jpeg");
+  assert.match(first, /^books\/book-1\/cover-[0-9a-f]{8}\.jpg$/);
+  assert.notEqual(bookObjectKey("book-1", "cover", "image/jpeg"), first);
+  assert.match(bookObjectKey("book-1", "narration-2", "audio/mpeg"), /\.mp3$/);
+  assert.match(bookObjectKey("book-1", "blob", "text/weird"), /^books\/book-1\/blob-[0-9a-f]{8}$/);
+});
+
+test("content types follow the key's extension", () => {
+  assert.equal(contentTypeForKey("books/b/page-1.JPEG"), "image/jpeg");
+  assert.equal(contentTypeForKey("books/b/book.epub"), "application/epub+zip");
+  assert.equal(contentTypeForKey("books/b/file"), "application/octet-stream");
+});
+
+test("data URLs from before the move to storage still decode", () => {
+  assert.ok(isDataUrl("data:image/png;base64,AAAA"));
+  assert.ok(!isDataUrl("books/b/cover.png"));
+  assert.ok(!isDataUrl(null));
+
+  const image = decodeDataUrl(`data:image/png;base64,${Buffer.from("png").toString("base64")}`);
+  assert.equal(image.contentType, "image/png");
+  assert.equal(image.body.toString(), "png");
+  assert.equal(decodeDataUrl("data:,hello%20there").body.toString(), "hello there");
+  assert.equal(decodeDataUrl("books/b/cover.png"), null);
+});
+
+// Supabase Storage's bucket API: upload, download (a Blob) and remove
+function fakeBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    client: {
+      storage: {
+        from: () => ({
+          async upload(key, body, { contentType }) { objects.set(key, { body, contentType }); return { error: null }; },
+          async download(key) {
+            const object = objects.get(key);
+            if (!object) return { data: null, error: { message: "Object not found", statusCode: "404" } };
+            return { data: new Blob([object.body], { type: object.contentType }), error: null };
+          },
+          async remove(keys) { keys.forEach(key => objects.delete(key)); return { error: null }; }
+        })
+      }
+    }
+  };
+}
+
+test("the Supabase driver stores objects in its bucket", async () => {
+  const { client, objects } = fakeBucket();
+  const storage = createSupabaseStorageDriver(client, "book-media");
+  await storage.put("books/b/page-0.jpg", Buffer.from("jpeg bytes"));
+  assert.equal(objects.get("books/b/page-0.jpg").contentType, "image/jpeg");
+
+  const object = await storage.get("books/b/page-0.jpg");
+  assert.equal(object.body.toString(), "jpeg bytes");
+  assert.equal(object.contentType, "image/jpeg");
+
+  await storage.remove("books/b/page-0.jpg");
+  assert.equal(await storage.get("books/b/page-0.jpg"), null);
+  await assert.rejects(storage.put("../x", Buffer.from("")), /Invalid storage key/);
+});
+
+test("createStorage picks the driver by name", async (t) => {
+  assert.equal(createStorage({ driver: "local", localDir: await tempDir(t) }).name, "local");
+  assert.equal(createStorage({ driver: "supabase", supabase: fakeBucket().client, bucket: "b" }).name, "supabase");
+  assert.throws(() => createStorage({ driver: "s3" }), /Unknown STORAGE_DRIVER: s3/);
+});
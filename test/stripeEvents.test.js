@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStripeEventLog } from "../lib/stripeEvents.js";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const SCHEMA = {
+  stripe_events: { defaults: () => ({ status: "received", attempts: 0, last_error: null, received_at: new Date().toISOString() }) }
+};
+
+const EVENT = { id: "evt_1", type: "checkout.session.completed", data: { object: { id: "cs_1" } } };
+
+function setup(options) {
+  const supabase = createFakeSupabase(SCHEMA);
+  return { supabase, events: createStripeEventLog({ supabase, ...options }) };
+}
+
+test("an event is recorded once; a redelivery finds the stored one", async () => {
+  const { supabase, events } = setup();
+  const first = await events.record(EVENT, { bookId: "book-1" });
+  assert.equal(first.created, true);
+  assert.equal(first.event.book_id, "book-1");
+  assert.deepEqual(first.event.payload, EVENT);
+
+  const again = await events.record(EVENT);
+  assert.equal(again.created, false);
+  assert.equal(again.event.book_id, "book-1");
+  assert.equal(supabase.rows("stripe_events").length, 1);
+});
+
+test("only one of two concurrent claims wins", async () => {
+  const { events } = setup();
+  await events.record(EVENT);
+  const claims = await Promise.all([events.claim("evt_1"), events.claim("evt_1")]);
+  assert.equal(claims.filter(Boolean).length, 1);
+  assert.equal(claims.find(Boolean).status, "processing");
+  assert.equal(claims.find(Boolean).attempts, 1);
+});
+
+test("a processed event is not claimed again unless forced", async () => {
+  const { supabase, events } = setup();
+  await events.record(EVENT);
+  await events.claim("evt_1");
+  await events.complete("evt_1", { bookId: "book-7" });
+
+  const row = supabase.rows("stripe_events")[0];
+  assert.equal(row.status, "processed");
+  assert.equal(row.book_id, "book-7", "a refund only learns its book while being handled");
+  assert.ok(row.processed_at);
+
+  assert.equal(await events.claim("evt_1"), null);
+  const replay = await events.claim("evt_1", { force: true });
+  assert.equal(replay.status, "processing");
+  assert.equal(replay.attempts, 2);
+});
+
+test("a failed event keeps its error and can be claimed again", async () => {
+  const { supabase, events } = setup();
+  await events.record(EVENT);
+  await events.claim("evt_1");
+  await events.fail("evt_1", new Error("Supabase timed out"));
+  assert.equal(supabase.rows("stripe_events")[0].status, "failed");
+  assert.equal(supabase.rows("stripe_events")[0].last_error, "Supabase timed out");
+
+  const retry = await events.claim("evt_1");
+  assert.equal(retry.attempts, 2);
+  await events.complete("evt_1");
+  assert.equal(supabase.rows("stripe_events")[0].last_error, null);
+});
+
+test("a claim in progress is left alone until it goes stale", async () => {
+  const { supabase, events } = setup({ staleAfterMs: 60 * 1000 });
+  await events.record(EVENT);
+  await events.claim("evt_1");
+  assert.equal(await events.claim("evt_1"), null, "another worker is on it");
+
+  supabase.rows("stripe_events")[0].updated_at = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+  const takeover = await events.claim("evt_1");
+  assert.equal(takeover.attempts, 2);
+});
+
+test("unknown events cannot be claimed", async () => {
+  const { events } = setup();
+  assert.equal(await events.claim("evt_missing"), null);
+});
+
+test("the list filters by status and book, newest first", async () => {
+  const { supabase, events } = setup();
+  await events.record({ id: "evt_1", type: "charge.refunded" }, { bookId: "book-1" });
+  await events.record({ id: "evt_2", type: "checkout.session.completed" }, { bookId: "book-2" });
+  await events.record({ id: "evt_3", type: "checkout.session.expired" }, { bookId: "book-1" });
+  supabase.rows("stripe_events").forEach((row, i) => { row.received_at = `2026-10-19T0${i}:00:00Z`; });
+  await events.claim("evt_3");
+  await events.fail("evt_3", "boom");
+
+  assert.deepEqual((await events.list()).map(event => event.id), ["evt_3", "evt_2", "evt_1"]);
+  assert.deepEqual((await events.list({ bookId: "book-1" })).map(event => event.id), ["evt_3", "evt_1"]);
+  assert.deepEqual((await events.list({ status: "failed" })).map(event => event.id), ["evt_3"]);
+  assert.deepEqual((await events.list({ limit: 1 })).map(event => event.id), ["evt_3"]);
+});